@@ -0,0 +1,73 @@
+// server/app.js
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { requestId, requestLogger } = require('./middleware/requestId.js');
+const { notFound, errorHandler } = require('./middleware/errorHandler.js');
+const { corsOptions, securityHeaders, trustProxySetting } = require('./middleware/security.js');
+const { writeLimit } = require('./middleware/rateLimit.js');
+const { MAX_IMPORT_MB } = require('./middleware/upload.js');
+
+// createApp - Builds the Express app without connecting to MongoDB or listening on a port,
+// so server.js can start it and the tests can drive it with supertest.
+const createApp = () => {
+    const app = express();
+    app.disable('x-powered-by');
+    app.set('trust proxy', trustProxySetting());
+
+    //using ejs to handle basic front end for viewing and rendering static files.
+    // --- View Engine Setup ---
+    app.set('view engine', 'ejs'); // Set EJS as the templating engine
+    // Telling Express where to find the views directory.
+    app.set('views', path.join(__dirname, 'views'));
+
+
+    // --- Middleware ---
+    // Request IDs come first so every later log line (and error response) can carry one
+    app.use(requestId);
+    app.use(requestLogger);
+    app.use(securityHeaders);
+    app.use(cors(corsOptions())); // Only the origins in CORS_ORIGINS (see middleware/security.js)
+    // Export archives posted to the import route get the upload limit instead of the default 100kb
+    // (the request is parsed once, so the parser after this one leaves it alone)
+    app.use('/api/users/me/import', express.json({ limit: `${MAX_IMPORT_MB}mb` }));
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    // Serve Static Files (CSS, Client-Side JS, Images) 
+    app.use('/assets', express.static(path.join(__dirname, 'public'))); // Stylesheet of the EJS pages
+
+
+    // passing data from the server to the back end.
+    // app.get('/', (req, res) => {
+    //     res.send('Hello from Budget Backpacker Backend API!');
+    // });
+
+
+    // --- API Routes ---
+    // Writes are rate limited per IP across the API, login and email routes have stricter limits of their own
+    app.use('/api', writeLimit);
+    app.use('/api/users', require('./routes/users'));
+    app.use('/api/savedtrips', require('./routes/savedTrips.js'));
+    app.use('/api/reviews', require('./routes/reviews.js'));
+    app.use('/api/destinations', require('./routes/destinations.js'));
+    app.use('/api/search', require('./routes/search.js'));
+    app.use('/api/shared', require('./routes/sharedTrips.js'));
+    app.use('/api/moderation', require('./routes/moderation.js'));
+    app.use('/api/images', require('./routes/images.js'));
+    // ... other API routes ...
+
+
+    // --- Error Handling ---
+    // Unknown API paths get a JSON 404, then every error thrown by an API route ends up in errorHandler
+    app.use('/api', notFound, errorHandler);
+
+
+    // --- Pages ---
+    // Everything else is the server-rendered front end, with its own HTML error pages
+    app.use(require('./routes/pages/index.js'));
+
+    return app;
+};
+
+module.exports = { createApp };
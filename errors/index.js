@@ -0,0 +1,95 @@
+// server/errors/index.js
+// Errors that routes and middleware throw instead of answering themselves.
+// The error handler in middleware/errorHandler.js turns them into
+//   { code, message, requestId, fields? } with the matching HTTP status.
+
+// AppError - Base class, anything extending it is safe to show to the client
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details; // Extra fields merged into the response body
+    }
+}
+
+// 400 - The request itself is wrong in a way that isn't tied to one field
+class BadRequestError extends AppError {
+    constructor(message = 'Bad request.', details) {
+        super(message, { status: 400, code: 'BAD_REQUEST', details });
+    }
+}
+
+// 400 - One or more fields failed validation, fields is { 'path.to.field': 'what is wrong' }
+class ValidationError extends AppError {
+    constructor(fields, message = 'Request validation failed') {
+        super(message, { status: 400, code: 'VALIDATION_ERROR', details: { fields } });
+        this.fields = fields;
+    }
+
+    // Turning a Mongoose ValidationError into the same field map
+    static fromMongoose(err, message = 'Validation failed') {
+        let fields = {};
+        Object.keys(err.errors).forEach((key) => {
+            fields[key] = err.errors[key].message;
+        });
+        return new ValidationError(fields, message);
+    }
+}
+
+// 401 - No credentials, or credentials that can't be used
+class UnauthorizedError extends AppError {
+    constructor(message = 'Authentication required.') {
+        super(message, { status: 401, code: 'UNAUTHORIZED' });
+    }
+}
+
+// 403 - Logged in, but not allowed to do this
+class ForbiddenError extends AppError {
+    constructor(message = 'Not authorized.') {
+        super(message, { status: 403, code: 'FORBIDDEN' });
+    }
+}
+
+// 404 - The document or route doesn't exist
+class NotFoundError extends AppError {
+    constructor(message = 'Not found.') {
+        super(message, { status: 404, code: 'NOT_FOUND' });
+    }
+}
+
+// 409 - The change clashes with existing data (duplicate username, email, ...)
+class ConflictError extends AppError {
+    constructor(message = 'Conflict with existing data.', fields) {
+        super(message, { status: 409, code: 'CONFLICT', details: fields ? { fields } : undefined });
+        this.fields = fields;
+    }
+}
+
+// 412 - An If-Match header named a version of the document that is no longer the current one
+class PreconditionFailedError extends AppError {
+    constructor(message = 'The resource was changed since you loaded it.') {
+        super(message, { status: 412, code: 'PRECONDITION_FAILED' });
+    }
+}
+
+// 429 - Too many requests or failed logins, retryAfter is in seconds (sent as the Retry-After header too)
+class TooManyRequestsError extends AppError {
+    constructor(message = 'Too many requests, please try again later.', retryAfter) {
+        super(message, { status: 429, code: 'TOO_MANY_REQUESTS', details: retryAfter ? { retryAfter } : undefined });
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    TooManyRequestsError
+};
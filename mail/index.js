@@ -0,0 +1,42 @@
+// server/mail/index.js
+const path = require('path');
+const createMemoryTransport = require('./transports/memoryTransport.js');
+const createFileTransport = require('./transports/fileTransport.js');
+
+// A transport is any object with an async send({ to, subject, text }) method.
+// MAIL_TRANSPORT picks a built-in one, or a real transport (SMTP, API...) can be plugged in with setTransport().
+const MAIL_FROM = process.env.MAIL_FROM || 'Budget Backpacker <no-reply@budgetbackpacker.local>';
+
+const createTransportFromEnv = () => {
+    switch (process.env.MAIL_TRANSPORT || 'memory') {
+        case 'file':
+            return createFileTransport({ directory: process.env.MAIL_DIR || path.join(__dirname, '../mail-outbox') });
+        case 'memory':
+            return createMemoryTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}" (use memory or file)`);
+    }
+};
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        transport = createTransportFromEnv();
+    }
+    return transport;
+};
+
+// Replacing the transport (for example with an SMTP one in production)
+const setTransport = (newTransport) => {
+    if (!newTransport || typeof newTransport.send !== 'function') {
+        throw new Error('A mail transport needs a send(message) function');
+    }
+    transport = newTransport;
+};
+
+const sendMail = async (message) => {
+    return getTransport().send({ from: MAIL_FROM, ...message });
+};
+
+module.exports = { sendMail, getTransport, setTransport };
@@ -0,0 +1,35 @@
+// server/mail/templates.js
+
+// Base URL used to build the links inside emails, the pages of routes/pages/account.js handle them.
+// Set APP_URL to the public address of the site, the default only works on the developer's machine.
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const emailVerification = (user, token) => {
+    const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    return {
+        to: user.email,
+        subject: 'Verify your Budget Backpacker email',
+        text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+    };
+};
+
+const passwordReset = (user, token) => {
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    return {
+        to: user.email,
+        subject: 'Reset your Budget Backpacker password',
+        text: `Hi ${user.username},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this you can ignore this email.`
+    };
+};
+
+const tripInvitation = (user, { trip, invitedBy, role }) => {
+    const link = `${APP_URL}/invitations`;
+    const title = trip.title || 'a trip';
+    return {
+        to: user.email,
+        subject: `${invitedBy.username} invited you to plan ${title}`,
+        text: `Hi ${user.username},\n\n${invitedBy.username} invited you to join "${title}" as ${role === 'editor' ? 'an editor' : 'a viewer'}.\nAccept or decline the invitation here:\n${link}`
+    };
+};
+
+module.exports = { emailVerification, passwordReset, tripInvitation };
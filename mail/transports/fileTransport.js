@@ -0,0 +1,24 @@
+// server/mail/transports/fileTransport.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes every message as a JSON file in a folder instead of sending it.
+// Open the folder to read the emails without setting up an SMTP server.
+const createFileTransport = ({ directory }) => {
+    return {
+        name: 'file',
+        directory,
+        async send(message) {
+            await fs.mkdir(directory, { recursive: true });
+
+            const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            const filePath = path.join(directory, `${messageId}.json`);
+            await fs.writeFile(filePath, JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2));
+
+            return { messageId, filePath };
+        }
+    };
+};
+
+module.exports = createFileTransport;
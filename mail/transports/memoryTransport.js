@@ -0,0 +1,22 @@
+// server/mail/transports/memoryTransport.js
+
+// Keeps sent messages in an array instead of delivering them.
+// Useful for local development and tests: read transport.messages to get the links.
+const createMemoryTransport = () => {
+    const messages = [];
+
+    return {
+        name: 'memory',
+        messages,
+        async send(message) {
+            const stored = { ...message, messageId: `memory-${messages.length + 1}`, sentAt: new Date() };
+            messages.push(stored);
+            return { messageId: stored.messageId };
+        },
+        clear() {
+            messages.length = 0;
+        }
+    };
+};
+
+module.exports = createMemoryTransport;
@@ -0,0 +1,54 @@
+// server/middleware/auth.js
+const { verifyToken } = require('../utils/tokens.js');
+const User = require('../models/User.js');
+const { UnauthorizedError } = require('../errors/index.js');
+
+// Reading the bearer token from the Authorization header
+const getBearerToken = (req) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+// requireAuth - Verifies the access token and fills in req.user for protected routes
+// from the account as it is now, not as it was when the token was issued
+const requireAuth = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+        throw new UnauthorizedError('Authentication required.');
+    }
+
+    let payload;
+    try {
+        payload = await verifyToken(token, 'access');
+    } catch (err) {
+        // Expired, tampered with or revoked tokens all end up here
+        if (err.name === 'TokenExpiredError' || err.name === 'JsonWebTokenError') {
+            throw new UnauthorizedError('Invalid or expired token.');
+        }
+        throw err;
+    }
+
+    // The token alone is not enough: like refresh tokens and sessions, access tokens issued
+    // before the last password change stop working, and the role is read fresh so a
+    // demotion takes effect right away
+    const user = await User.findById(payload.sub).select('username role passwordChangedAt').lean();
+    if (!user || (user.passwordChangedAt && payload.iat < Math.floor(user.passwordChangedAt.getTime() / 1000))) {
+        throw new UnauthorizedError('Invalid or expired token.');
+    }
+
+    req.user = { id: payload.sub, username: user.username, role: user.role || 'user' };
+    req.token = payload; // Kept so logout can revoke the access token too
+    next();
+};
+
+// optionalAuth - Same as requireAuth when a token is sent, but lets anonymous requests through
+// Used by public routes that show extra data (like the user's own trips) to logged in users.
+const optionalAuth = (req, res, next) => {
+    if (!getBearerToken(req)) {
+        return next();
+    }
+    return requireAuth(req, res, next);
+};
+
+module.exports = { requireAuth, optionalAuth };
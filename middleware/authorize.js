@@ -0,0 +1,53 @@
+// server/middleware/authorize.js
+const mongoose = require('mongoose');
+const { ValidationError, NotFoundError, ForbiddenError } = require('../errors/index.js');
+
+// Roles that can act on content owned by other users
+const STAFF_ROLES = ['moderator', 'admin'];
+
+// The same 403 message from every route that refuses an action
+const forbidden = (action, name) => new ForbiddenError(`Not authorized to ${action} this ${name}.`);
+
+// Checking if the logged in user owns a document or is a moderator/admin
+const isOwnerOrStaff = (user, ownerId) => {
+    if (!user) return false;
+    if (STAFF_ROLES.includes(user.role)) return true;
+    return ownerId != null && ownerId.toString() === user.id;
+};
+
+// requireRole - Only lets users with one of the given roles through (use after requireAuth)
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        throw new ForbiddenError(`Not authorized: requires role ${roles.join(' or ')}.`);
+    }
+    next();
+};
+
+// authorizeOwner - Loads the document from req.params.id and enforces "owner or moderator/admin"
+// The loaded document is put on req.resource so the route handler doesn't query it again.
+// `allow(user, doc)` replaces the owner check for documents with other access rules (shared trips).
+// With `trashed: true` the document is looked up in the trash instead (restore routes, see softDelete.js).
+const authorizeOwner = (Model, { name, action, ownerField = 'user', allow, trashed = false }) => async (req, res, next) => {
+    const { id } = req.params;
+    const label = name.charAt(0).toUpperCase() + name.slice(1);
+
+    // Validating ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError({ id: `Invalid ${label} ID format.` });
+    }
+
+    const doc = trashed ? await Model.findById(id).onlyDeleted() : await Model.findById(id);
+    if (!doc) {
+        throw new NotFoundError(trashed ? `${label} not found in the trash.` : `${label} not found.`);
+    }
+
+    const allowed = allow ? allow(req.user, doc) : isOwnerOrStaff(req.user, doc[ownerField]);
+    if (!allowed) {
+        throw forbidden(action, name);
+    }
+
+    req.resource = doc;
+    next();
+};
+
+module.exports = { STAFF_ROLES, isOwnerOrStaff, requireRole, authorizeOwner, forbidden };
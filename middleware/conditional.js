@@ -0,0 +1,49 @@
+// server/middleware/conditional.js
+// Conditional requests on single trips and reviews.
+// GET answers carry an ETag like "3-kq0T2nXb9Ysa1tJ4": the document's version (__v, bumped on every
+// edit, see optimisticConcurrency in the models) and a hash of the JSON that was sent.
+//   GET  + If-None-Match: 304 Not Modified while the ETag still matches (Express compares it in res.send)
+//   Edits (POST/PUT/PATCH/DELETE) + If-Match: 412 Precondition Failed when the version in the ETag is no longer current
+// If-Match only looks at the version: vote, reply and report counts change the JSON (and the ETag)
+// but are not edits, so they don't turn someone's pending edit into a conflict.
+const crypto = require('crypto');
+const { PreconditionFailedError } = require('../errors/index.js');
+
+const versionOf = doc => doc.__v || 0;
+
+// etagFor - The ETag of `body` (the document by default) at the document's current version
+const etagFor = (doc, body = doc) => {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url').slice(0, 16);
+    return `"${versionOf(doc)}-${hash}"`;
+};
+
+// The version inside one of our ETags, null for weak or foreign tags
+const versionInTag = (tag) => {
+    const match = /^"(\d+)-[\w-]+"$/.exec(tag.trim());
+    return match ? Number(match[1]) : null;
+};
+
+// sendVersioned - Answers with `body` and its ETag, or a bare 304 when the client's copy is current
+const sendVersioned = (res, doc, body = doc, status = 200) => {
+    res.set('ETag', etagFor(doc, body));
+    res.status(status).json(body);
+};
+
+// checkIfMatch - Refuses the change with a 412 when If-Match doesn't name the current version
+// of req.resource (use after the middleware that loads it). Requests without If-Match go through,
+// `If-Match: *` only needs the document to exist.
+const checkIfMatch = (req, res, next) => {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') {
+        return next();
+    }
+
+    const current = versionOf(req.resource);
+    const matches = header.split(',').some(tag => versionInTag(tag) === current);
+    if (!matches) {
+        throw new PreconditionFailedError('This was changed since you loaded it, reload it and try again.');
+    }
+    next();
+};
+
+module.exports = { versionOf, etagFor, sendVersioned, checkIfMatch };
@@ -0,0 +1,50 @@
+// server/middleware/csrf.js
+// CSRF protection for the page forms (double submit): every browser gets a random token in a cookie,
+// and every form sends it back in a hidden _csrf field. Another site can make the browser post a form,
+// but it can't read the cookie to put the right value in it.
+const crypto = require('crypto');
+const { readCookie, cookieOptions } = require('../utils/cookies.js');
+const { ForbiddenError } = require('../errors/index.js');
+
+const CSRF_COOKIE = 'bb.csrf';
+const CSRF_FIELD = '_csrf';
+
+const setCsrfCookie = (req, res) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    res.cookie(CSRF_COOKIE, token, cookieOptions());
+    req.csrfToken = token;
+    res.locals.csrfToken = token; // For the hidden field in the views
+    return token;
+};
+
+// csrfToken - Makes the browser's token available to the views as csrfToken, creating it on the first visit
+const csrfToken = (req, res, next) => {
+    const token = readCookie(req, CSRF_COOKIE);
+    if (!token) {
+        setCsrfCookie(req, res);
+    } else {
+        req.csrfToken = token;
+        res.locals.csrfToken = token;
+    }
+    next();
+};
+
+// verifyCsrf - Refuses form posts without the browser's token, the field is removed from the body afterwards
+const verifyCsrf = (req, res, next) => {
+    const expected = readCookie(req, CSRF_COOKIE);
+    const sent = req.body ? req.body[CSRF_FIELD] : undefined;
+
+    const valid = typeof expected === 'string' && typeof sent === 'string' && expected.length === sent.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(sent));
+    if (!valid) {
+        throw new ForbiddenError('The form has expired, please reload the page and try again.');
+    }
+
+    delete req.body[CSRF_FIELD];
+    next();
+};
+
+// A new token after logging in or out, so a token planted before the login can't be used with the session
+const rotateCsrf = (req, res) => setCsrfCookie(req, res);
+
+module.exports = { CSRF_FIELD, csrfToken, verifyCsrf, rotateCsrf };
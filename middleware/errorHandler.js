@@ -0,0 +1,82 @@
+// server/middleware/errorHandler.js
+const mongoose = require('mongoose');
+const { AppError, ValidationError, ConflictError, NotFoundError, BadRequestError } = require('../errors/index.js');
+const { logger } = require('../utils/logger.js');
+
+// Turning errors from Mongoose, MongoDB, body-parser and multer into our own error classes
+const toAppError = (err) => {
+    if (err instanceof AppError) {
+        return err;
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+        return ValidationError.fromMongoose(err);
+    }
+    // optimisticConcurrency: someone else saved the document between our read and our save
+    if (err instanceof mongoose.Error.VersionError) {
+        return new ConflictError('This was changed by someone else in the meantime, reload it and try again.');
+    }
+    if (err instanceof mongoose.Error.CastError) {
+        return new ValidationError({ [err.path]: `Invalid value for ${err.path}` });
+    }
+    // Unique index violations, e.g. two users registering the same email at once
+    if (err.code === 11000) {
+        const fields = {};
+        Object.keys(err.keyValue || err.keyPattern || {}).forEach((field) => {
+            fields[field] = `${field} is already taken`;
+        });
+        return new ConflictError('A record with the same value already exists.', fields);
+    }
+    // express.json() failing on a broken body
+    if (err.type === 'entity.parse.failed') {
+        return new BadRequestError('Request body is not valid JSON.');
+    }
+    // multer rejecting an upload: a file over MAX_IMAGE_MB/MAX_IMPORT_MB, a second file, an unexpected field...
+    if (err.name === 'MulterError') {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return new AppError('The file is too large.', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+        }
+        return new ValidationError({ [err.field || 'image']: err.message });
+    }
+    // Other 4xx errors from Express/body-parser (payload too large, ...)
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return new AppError(err.message, { status: err.status, code: 'BAD_REQUEST' });
+    }
+    return null;
+};
+
+// notFound - JSON 404 for API paths no router handled
+const notFound = (req, res, next) => {
+    next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found.`));
+};
+
+// errorHandler - The one place errors are logged and answered, registered after every route
+const errorHandler = (err, req, res, next) => {
+    const log = req.log || logger;
+    const appError = toAppError(err);
+
+    if (res.headersSent) {
+        log.error('Error after response was sent', { err });
+        return next(err);
+    }
+
+    if (!appError) {
+        // Anything we didn't expect is a bug: log the details, but don't leak them to the client
+        log.error('Unhandled error', { err, method: req.method, path: req.originalUrl });
+        return res.status(500).json({ code: 'INTERNAL_ERROR', message: 'Internal server error.', requestId: req.id });
+    }
+
+    if (appError.status >= 500) {
+        log.error(appError.message, { err });
+    }
+    if (appError.retryAfter) {
+        res.set('Retry-After', String(appError.retryAfter));
+    }
+    res.status(appError.status).json({
+        code: appError.code,
+        message: appError.message,
+        requestId: req.id,
+        ...appError.details
+    });
+};
+
+module.exports = { toAppError, notFound, errorHandler };
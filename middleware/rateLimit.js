@@ -0,0 +1,72 @@
+// server/middleware/rateLimit.js
+// Fixed-window rate limits: each key gets `max` requests per `windowMs`, then 429 until the window ends.
+// Counters live in the store from rateLimit/index.js (in memory, or MongoDB when several instances run).
+const { getStore } = require('../rateLimit/index.js');
+const { TooManyRequestsError } = require('../errors/index.js');
+
+const MINUTE = 60 * 1000;
+
+// Keys: the client IP (set TRUST_PROXY behind a load balancer so req.ip is the real one)
+// or the account a login/reset is for, whatever address it comes from
+const byIp = req => req.ip;
+const byAccount = (req) => {
+    const { email, username } = req.body || {};
+    const identifier = email || username;
+    return typeof identifier === 'string' ? identifier.trim().toLowerCase() : null;
+};
+
+// rateLimit - Counts the request under `name:key(req)` and refuses it once the limit is reached
+// A key function returning null skips the limit (nothing to count by)
+// RateLimit-* headers tell well-behaved clients how much is left.
+const rateLimit = ({ name, windowMs, max, key = byIp, message }) => async (req, res, next) => {
+    const value = key(req);
+    if (!value) {
+        return next();
+    }
+
+    const { count, resetAt } = await getStore().hit(`${name}:${value}`, windowMs);
+    const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set({
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, max - count)),
+        'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (count > max) {
+        req.log.warn('Rate limit reached', { limit: name, key: value });
+        throw new TooManyRequestsError(message, resetSeconds);
+    }
+    next();
+};
+
+// Skipping reads, only requests that change something are counted
+const writesOnly = limiter => (req, res, next) => (['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? next() : limiter(req, res, next));
+
+
+// ------------------ Limits --------------------------
+
+// Login: per IP against password spraying, per account against a distributed attack on one user
+// (the account itself is also locked after repeated failed logins, see utils/loginLockout.js)
+const loginIpLimit = rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 20, message: 'Too many login attempts, please try again later.' });
+const loginAccountLimit = rateLimit({ name: 'login-account', windowMs: 15 * MINUTE, max: 10, key: byAccount, message: 'Too many login attempts, please try again later.' });
+
+// Registration and emails we send on request (verification, password reset)
+const registerLimit = rateLimit({ name: 'register', windowMs: 60 * MINUTE, max: 10, message: 'Too many accounts created, please try again later.' });
+const emailIpLimit = rateLimit({ name: 'email-ip', windowMs: 15 * MINUTE, max: 10 });
+const emailAccountLimit = rateLimit({ name: 'email-account', windowMs: 60 * MINUTE, max: 3, key: req => (req.user ? req.user.id : byAccount(req)) });
+
+// Every write request to the API, a safety net against scripts flooding the database
+const writeLimit = writesOnly(rateLimit({ name: 'write', windowMs: 15 * MINUTE, max: 300 }));
+
+module.exports = {
+    rateLimit,
+    byIp,
+    byAccount,
+    loginIpLimit,
+    loginAccountLimit,
+    registerLimit,
+    emailIpLimit,
+    emailAccountLimit,
+    writeLimit
+};
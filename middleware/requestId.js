@@ -0,0 +1,41 @@
+// server/middleware/requestId.js
+const crypto = require('crypto');
+const { logger } = require('../utils/logger.js');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs sent by a proxy/client are reused only when they look harmless in logs
+const VALID_REQUEST_ID = /^[\w.-]{1,128}$/;
+
+// requestId - Gives every request an ID, echoes it in the X-Request-Id header
+// and sets req.log, a logger that adds the ID to every line it writes.
+const requestId = (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+
+    res.set(REQUEST_ID_HEADER, req.id);
+    next();
+};
+
+// requestLogger - Writes one line per finished request with its status and duration
+const requestLogger = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+        req.log[level]('Request completed', {
+            method: req.method,
+            // Query strings carry tokens and cursors, so only the path is logged
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            userId: req.user ? req.user.id : undefined
+        });
+    });
+    next();
+};
+
+module.exports = { REQUEST_ID_HEADER, requestId, requestLogger };
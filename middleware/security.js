@@ -0,0 +1,55 @@
+// server/middleware/security.js
+// CORS allowlist and the standard security headers, set up once in app.js
+
+// CORS_ORIGINS - Comma separated origins allowed to call the API from a browser
+// ("https://app.example.com,http://localhost:5173"), or "*" for any origin.
+// Unset means same-origin only: the EJS pages served by this app work, other sites don't.
+const parseOrigins = (value = '') => value.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+
+// Response headers browser code on another origin is allowed to read (ETag for If-Match, see conditional.js)
+const EXPOSED_HEADERS = ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'ETag'];
+
+const corsOptions = (value = process.env.CORS_ORIGINS) => {
+    const origins = parseOrigins(value);
+    if (origins.includes('*')) {
+        return { origin: true, exposedHeaders: EXPOSED_HEADERS };
+    }
+    return {
+        // Requests without an Origin header (curl, server to server, same-origin GETs) aren't CORS requests
+        origin: (origin, callback) => callback(null, !origin || origins.includes(origin)),
+        exposedHeaders: EXPOSED_HEADERS
+    };
+};
+
+// securityHeaders - What browsers need to keep the API and pages from being sniffed, framed or leaking URLs
+// Share links (/api/shared/:slug) are secrets, hence no Referer header at all.
+const securityHeaders = (req, res, next) => {
+    res.set({
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'SAMEORIGIN',
+        'Referrer-Policy': 'no-referrer',
+        'Cross-Origin-Opener-Policy': 'same-origin',
+        'X-DNS-Prefetch-Control': 'off',
+        'X-Permitted-Cross-Domain-Policies': 'none'
+    });
+    // API answers are data, never something to render or run
+    if (req.path.startsWith('/api/')) {
+        res.set('Content-Security-Policy', "default-src 'none'; frame-ancestors 'none'");
+    }
+    // Only over HTTPS, browsers ignore it on plain HTTP anyway
+    if (req.secure) {
+        res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+    }
+    next();
+};
+
+// TRUST_PROXY - Behind a load balancer or reverse proxy, so req.ip (rate limits) and req.secure are right:
+// a number of hops ("1"), "true" or a list of proxy addresses. Unset means the app faces clients directly.
+const trustProxySetting = (value = process.env.TRUST_PROXY) => {
+    if (!value) return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return Number(value);
+    return value;
+};
+
+module.exports = { parseOrigins, corsOptions, securityHeaders, trustProxySetting };
@@ -0,0 +1,50 @@
+// server/middleware/session.js
+// Cookie sessions for the server-rendered pages. The /api routers keep using bearer tokens (middleware/auth.js).
+const { createSession, findSession, destroySession } = require('../utils/sessions.js');
+const { readCookie, cookieOptions } = require('../utils/cookies.js');
+
+const SESSION_COOKIE = 'bb.sid';
+
+// loadSession - Puts the session's user on req.user ({ id, username, role }, same shape as requireAuth)
+// Visitors without a (valid) session just have no req.user, requirePageAuth sends them to the login page.
+const loadSession = async (req, res, next) => {
+    if (req.user) {
+        return next(); // Already logged in with a bearer token
+    }
+
+    const token = readCookie(req, SESSION_COOKIE);
+    if (!token) {
+        return next();
+    }
+
+    const session = await findSession(token);
+    if (!session) {
+        res.clearCookie(SESSION_COOKIE, cookieOptions());
+        return next();
+    }
+
+    req.sessionToken = token;
+    req.user = { id: session.user._id.toString(), username: session.user.username, role: session.user.role };
+    next();
+};
+
+// requirePageAuth - Redirects anonymous visitors to the login page, back to this page afterwards
+const requirePageAuth = (req, res, next) => {
+    if (!req.user) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    next();
+};
+
+// Logging the browser in as `user` (after login, registration or a password change)
+const startSession = async (res, user) => {
+    const { token, expiresAt } = await createSession(user._id);
+    res.cookie(SESSION_COOKIE, token, cookieOptions({ expires: expiresAt }));
+};
+
+const endSession = async (req, res) => {
+    await destroySession(req.sessionToken);
+    res.clearCookie(SESSION_COOKIE, cookieOptions());
+};
+
+module.exports = { SESSION_COOKIE, loadSession, requirePageAuth, startSession, endSession };
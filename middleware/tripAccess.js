@@ -0,0 +1,35 @@
+// server/middleware/tripAccess.js
+const SavedTrip = require('../models/SavedTrip.js');
+const { STAFF_ROLES, authorizeOwner } = require('./authorize.js');
+
+// Who can do what on a trip:
+//   view   - owner, accepted members (viewer or editor), moderators/admins
+//   edit   - owner, editors, moderators/admins (trip details, stops, expenses)
+//   manage - owner, moderators/admins (delete, members, share link)
+const TRIP_PERMISSIONS = {
+    view: ['owner', 'editor', 'viewer'],
+    edit: ['owner', 'editor'],
+    manage: ['owner']
+};
+
+const hasTripPermission = (user, trip, permission) => {
+    if (!user) return false;
+    if (STAFF_ROLES.includes(user.role)) return true;
+    return TRIP_PERMISSIONS[permission].includes(trip.roleOf(user.id));
+};
+
+// Loading the trip from :id onto req.resource, checking the user's permission on it
+const authorizeTrip = (permission, action, { trashed } = {}) => authorizeOwner(SavedTrip, {
+    name: 'trip',
+    action,
+    trashed,
+    allow: (user, trip) => hasTripPermission(user, trip, permission)
+});
+
+const canViewTrip = authorizeTrip('view', 'view');
+const canEditTrip = authorizeTrip('edit', 'update');
+const canManageTrip = authorizeTrip('manage', 'manage');
+// Trips in the trash: whoever could delete the trip can bring it back
+const canRestoreTrip = authorizeTrip('manage', 'restore', { trashed: true });
+
+module.exports = { TRIP_PERMISSIONS, hasTripPermission, canViewTrip, canEditTrip, canManageTrip, canRestoreTrip };
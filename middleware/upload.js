@@ -0,0 +1,61 @@
+// server/middleware/upload.js
+// Parsing multipart/form-data uploads with multer. Files are kept in memory: images are small
+// (MAX_IMAGE_MB) and utils/images.js resizes them before anything is stored, import files
+// (MAX_IMPORT_MB) are read once by services/userDataService.js and never stored.
+const multer = require('multer');
+const { CONTENT_TYPES } = require('../utils/images.js');
+const { ValidationError } = require('../errors/index.js');
+
+const MAX_IMAGE_MB = Number(process.env.MAX_IMAGE_MB) || 5;
+const MAX_IMPORT_MB = Number(process.env.MAX_IMPORT_MB) || 5;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: Math.floor(MAX_IMAGE_MB * 1024 * 1024),
+        files: 1,
+        fields: 5
+    },
+    // A first check on the declared type, utils/images.js checks the real file contents
+    fileFilter: (req, file, cb) => {
+        if (!CONTENT_TYPES.includes(file.mimetype)) {
+            return cb(new ValidationError({ [file.fieldname]: 'Only JPEG, PNG and WebP images are allowed.' }));
+        }
+        cb(null, true);
+    }
+});
+
+// uploadImage - One file in the `image` field onto req.file, a request without it is a 400
+const uploadImage = [
+    upload.single('image'),
+    (req, res, next) => {
+        if (!req.file) {
+            return next(new ValidationError({ image: 'Please attach an image in the "image" field.' }));
+        }
+        next();
+    }
+];
+
+// Import files: a JSON archive or a trips CSV, told apart by their extension or declared type
+const IMPORT_TYPES = ['application/json', 'text/csv', 'application/vnd.ms-excel'];
+const isImportFile = file => /\.(json|csv)$/i.test(file.originalname) || IMPORT_TYPES.includes(file.mimetype);
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: Math.floor(MAX_IMPORT_MB * 1024 * 1024),
+        files: 1,
+        fields: 5
+    },
+    fileFilter: (req, file, cb) => {
+        if (!isImportFile(file)) {
+            return cb(new ValidationError({ [file.fieldname]: 'Only .json archives and .csv files can be imported.' }));
+        }
+        cb(null, true);
+    }
+});
+
+// uploadImportFile - An optional file in the `file` field onto req.file (imports also accept a plain body)
+const uploadImportFile = importUpload.single('file');
+
+module.exports = { MAX_IMAGE_MB, MAX_IMPORT_MB, uploadImage, uploadImportFile };
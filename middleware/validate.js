@@ -0,0 +1,43 @@
+// server/middleware/validate.js
+const { validate } = require('../utils/validator.js');
+const { ValidationError } = require('../errors/index.js');
+
+// validateRequest - Checks req.params, req.query and req.body against declarative schemas
+// Usage: router.post('/', validateRequest({ body: createTripSchema }), handler)
+// On success the cleaned body replaces req.body, and the parsed params/query
+// (numbers and dates already converted) are available on req.validated.
+const validateRequest = (schemas) => (req, res, next) => {
+    const fields = {};
+    const validated = {};
+
+    // URL params and query strings are always text, so their values are converted first
+    const sources = [
+        ['params', req.params, { coerce: true }],
+        ['query', req.query, { coerce: true }],
+        ['body', req.body || {}, {}]
+    ];
+
+    sources.forEach(([source, data, options]) => {
+        if (!schemas[source]) return;
+
+        const { value, errors } = validate(data, schemas[source], options);
+        if (errors) {
+            Object.keys(errors).forEach((key) => {
+                fields[key === 'request' ? source : key] = errors[key];
+            });
+        }
+        validated[source] = value;
+    });
+
+    if (Object.keys(fields).length > 0) {
+        throw new ValidationError(fields);
+    }
+
+    if (validated.body) {
+        req.body = validated.body;
+    }
+    req.validated = { ...req.validated, ...validated };
+    next();
+};
+
+module.exports = { validateRequest };
@@ -0,0 +1,13 @@
+// server/migrations/001-trip-stops.js
+// The old single-city trips (city, country, lat, lon on the trip) become trips with one stop.
+// Can't be reverted: trips planned since then have several stops.
+const migrateTripsToStops = require('../scripts/migrateTripsToStops.js');
+
+module.exports = {
+    description: 'Turn single-city trips into trips with one stop',
+
+    up: async ({ log }) => {
+        const migrated = await migrateTripsToStops();
+        log.info('Trips moved to the multi-stop format', { trips: migrated });
+    }
+};
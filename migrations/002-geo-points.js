@@ -0,0 +1,13 @@
+// server/migrations/002-geo-points.js
+// Stop coordinates stored as plain lat/lon numbers become GeoJSON points (the 2dsphere indexes
+// are built by 005-indexes). Can't be reverted, the API only reads the points.
+const migrateGeoPoints = require('../scripts/migrateGeoPoints.js');
+
+module.exports = {
+    description: 'Store stop coordinates as GeoJSON points',
+
+    up: async ({ log }) => {
+        const migrated = await migrateGeoPoints();
+        log.info('Stop coordinates converted to GeoJSON', { trips: migrated });
+    }
+};
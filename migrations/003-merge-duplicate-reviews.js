@@ -0,0 +1,14 @@
+// server/migrations/003-merge-duplicate-reviews.js
+// One review per user and destination: older reviews of the same place (letter case ignored)
+// become the revision history of the newest one. Has to run before 005-indexes builds the
+// unique index. Can't be reverted, the merged reviews are gone.
+const mergeDuplicateReviews = require('../scripts/mergeDuplicateReviews.js');
+
+module.exports = {
+    description: 'Merge duplicate reviews of the same place into their newest version',
+
+    up: async ({ log }) => {
+        const merged = await mergeDuplicateReviews();
+        log.info('Duplicate reviews merged', { reviews: merged });
+    }
+};
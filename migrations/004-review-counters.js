@@ -0,0 +1,16 @@
+// server/migrations/004-review-counters.js
+// The vote and reply totals stored on every review, counted again from ReviewVote and ReviewReply
+// (reviews from before votes and replies have none, and 003 moved votes around).
+// Nothing to revert: the totals are only a cache of the two collections.
+const recountReviewResponses = require('../scripts/recountReviewResponses.js');
+
+module.exports = {
+    description: 'Recount the helpful, unhelpful and reply totals of every review',
+
+    up: async ({ log }) => {
+        const updated = await recountReviewResponses();
+        log.info('Review counters recounted', { reviews: updated });
+    },
+
+    down: async () => {}
+};
@@ -0,0 +1,109 @@
+// server/migrations/005-indexes.js
+// The indexes the models used to declare (and Mongoose used to build on startup). Databases
+// where Mongoose already built them keep them as they are: same keys, same names.
+// Later index changes get a migration of their own.
+const { createIndexes, dropIndexes } = require('../utils/migrations.js');
+
+// City/country compared case-insensitively, the same collation as Review.findByPlace()
+const PLACE_COLLATION = { locale: 'en', strength: 2 };
+
+// TTL index: MongoDB removes the document once the date in the field has passed
+const expiresAt = collection => ({ collection, key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } });
+
+const INDEXES = [
+    // --- Users ---
+    { collection: 'users', key: { username: 1 }, options: { unique: true } },
+    { collection: 'users', key: { email: 1 }, options: { unique: true } },
+
+    // --- Saved trips ---
+    // Trips saved by a user
+    { collection: 'savedtrips', key: { user: 1 } },
+    // Text index for /api/search over trip notes and the places on the route
+    {
+        collection: 'savedtrips',
+        key: { title: 'text', notes: 'text', 'stops.city': 'text', 'stops.country': 'text', 'stops.notes': 'text' },
+        options: { name: 'trip_text', weights: { 'stops.city': 5, 'stops.country': 3, title: 3, notes: 1, 'stops.notes': 1 } }
+    },
+    // Every stop, so trips can be searched by distance or map area
+    { collection: 'savedtrips', key: { 'stops.location': '2dsphere' } },
+    // Trips shared with a user, and public share links (only trips with a slug are indexed)
+    { collection: 'savedtrips', key: { 'members.user': 1 } },
+    { collection: 'savedtrips', key: { shareSlug: 1 }, options: { unique: true, partialFilterExpression: { shareSlug: { $type: 'string' } } } },
+    // Trips going to a catalog destination
+    { collection: 'savedtrips', key: { 'stops.destination': 1 } },
+    // The trash purge looks for trips deleted before the retention window
+    { collection: 'savedtrips', key: { deletedAt: 1 }, options: { sparse: true } },
+
+    // --- Expenses ---
+    // Listing a trip's expenses by date
+    { collection: 'expenses', key: { trip: 1, date: -1 } },
+
+    // --- Reviews ---
+    // One review per user and destination (duplicates were merged by 003-merge-duplicate-reviews)
+    { collection: 'reviews', key: { user: 1, city: 1, country: 1 }, options: { unique: true, collation: PLACE_COLLATION } },
+    // Text index for /api/search, a match on the place counts more than one in the comment
+    {
+        collection: 'reviews',
+        key: { city: 'text', country: 'text', comment: 'text' },
+        options: { name: 'review_text', weights: { city: 5, country: 3, comment: 1 } }
+    },
+    // Reviews of one catalog destination or country (GET /api/reviews?destinationId= / ?country=)
+    { collection: 'reviews', key: { destination: 1, createdAt: -1 } },
+    { collection: 'reviews', key: { countryCode: 1, createdAt: -1 } },
+    // "Reviews near here" searches (reviews without coordinates are skipped)
+    { collection: 'reviews', key: { location: '2dsphere' } },
+    // Moderation queue: flagged reviews, most reported first
+    { collection: 'reviews', key: { flagged: 1, reportCount: -1 } },
+    // "Most helpful" sorting (GET /api/reviews?sort=-helpful)
+    { collection: 'reviews', key: { helpfulCount: -1, _id: -1 } },
+    // The trash purge
+    { collection: 'reviews', key: { deletedAt: 1 }, options: { sparse: true } },
+
+    // --- Review votes, replies and reports ---
+    // One vote per user and review, and everything a user voted on (account deletion)
+    { collection: 'reviewvotes', key: { review: 1, user: 1 }, options: { unique: true } },
+    { collection: 'reviewvotes', key: { user: 1 } },
+    // Loading a review's thread in order
+    { collection: 'reviewreplies', key: { review: 1, createdAt: 1 } },
+    { collection: 'reviewreplies', key: { user: 1 } },
+    // One report per user and review
+    { collection: 'reviewreports', key: { review: 1, reporter: 1 }, options: { unique: true } },
+    { collection: 'reviewreports', key: { review: 1, status: 1 } },
+    { collection: 'moderationlogs', key: { review: 1, createdAt: -1 } },
+    { collection: 'moderationlogs', key: { moderator: 1, createdAt: -1 } },
+    { collection: 'moderationlogs', key: { createdAt: -1 } },
+
+    // --- Pictures ---
+    { collection: 'images', key: { trip: 1, createdAt: 1 } },
+    { collection: 'images', key: { review: 1, createdAt: 1 } },
+
+    // --- Destination catalog ---
+    { collection: 'destinations', key: { countryCode: 1, name: 1 }, options: { unique: true } },
+    // Exact lookups and prefix autocomplete on the normalized names, biggest cities first
+    { collection: 'destinations', key: { searchNames: 1, population: -1 } },
+    { collection: 'destinations', key: { location: '2dsphere' } },
+
+    // --- Sessions, tokens and rate limits ---
+    { collection: 'sessions', key: { tokenHash: 1 }, options: { unique: true } },
+    expiresAt('sessions'),
+    // Logging a user out everywhere (account deletion)
+    { collection: 'sessions', key: { user: 1 } },
+    { collection: 'revokedtokens', key: { jti: 1 }, options: { unique: true } },
+    expiresAt('revokedtokens'),
+    { collection: 'usertokens', key: { tokenHash: 1 }, options: { unique: true } },
+    expiresAt('usertokens'),
+    // Finding a user's outstanding tokens of one kind
+    { collection: 'usertokens', key: { user: 1, purpose: 1 } },
+    { collection: 'ratelimits', key: { key: 1 }, options: { unique: true } },
+    // Counters whose window is over
+    { collection: 'ratelimits', key: { resetAt: 1 }, options: { expireAfterSeconds: 0 } }
+];
+
+module.exports = {
+    description: 'Create the indexes of every collection',
+    INDEXES,
+
+    up: ({ db }) => createIndexes(db, INDEXES),
+
+    down: ({ db }) => dropIndexes(db, INDEXES)
+};
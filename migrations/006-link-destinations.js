@@ -0,0 +1,28 @@
+// server/migrations/006-link-destinations.js
+// Reviews and trip stops saved before the destination catalog existed get the canonical names,
+// the country code and a `destination` reference. Runs after 005-indexes: a review renamed to a
+// place the user already reviewed is caught by the unique index and only gets the reference.
+// Can't be reverted, the old spelling of the names isn't kept.
+const Destination = require('../models/Destination.js');
+const Review = require('../models/Review.js');
+const SavedTrip = require('../models/SavedTrip.js');
+const { linkReviews, linkTripStops } = require('../scripts/linkDestinations.js');
+
+module.exports = {
+    description: 'Link reviews and trip stops to the destination catalog',
+
+    up: async ({ log }) => {
+        // A new database has nothing to link yet, an existing one needs the catalog first
+        if (await Destination.estimatedDocumentCount() === 0) {
+            const existing = await Review.exists({}).withDeleted() || await SavedTrip.exists({}).withDeleted();
+            if (existing) {
+                throw new Error('The destination catalog is empty, run npm run seed:destinations first');
+            }
+            return;
+        }
+
+        const reviews = await linkReviews();
+        const trips = await linkTripStops();
+        log.info('Linked to the destination catalog', { reviews: reviews.linked, conflicts: reviews.conflicts, trips });
+    }
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { PointSchema, addLatLonVirtuals } = require('./schemas/PointSchema.js');
+
+// Country names and codes come from a bundled ISO 3166 table, so they resolve without the database
+const COUNTRIES = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/countries.json'), 'utf8')).countries;
+
+// Lowercase, no accents, punctuation and extra spaces collapsed: "  São-Paulo " -> "sao paulo"
+const normalizeName = (value) => String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Every normalized name, code and alias -> country
+const countryIndex = new Map();
+COUNTRIES.forEach((country) => {
+    [country.code, country.name, ...country.aliases].forEach(name => countryIndex.set(normalizeName(name), country));
+});
+
+// A city from the catalog. Trips and reviews point at it with their `destination` field.
+const DestinationSchema = new Schema({
+    // Canonical city name, as shown to users
+    name: {
+        type: String,
+        required: [true, 'Destination name is required'],
+        trim: true
+    },
+    countryCode: {
+        type: String,
+        required: [true, 'Country code is required'],
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{2}$/, 'Country code must be a 2-letter ISO code like FR']
+    },
+    country: {
+        type: String,
+        required: [true, 'Country name is required'],
+        trim: true
+    },
+    // Other names people use for the city ("Lisboa", "Saigon")
+    aliases: {
+        type: [String],
+        default: []
+    },
+    // Normalized name and aliases, what lookups and autocomplete match against
+    searchNames: {
+        type: [String],
+        select: false
+    },
+    location: {
+        type: PointSchema // Set through the lat/lon virtuals
+    },
+    // Used to rank autocomplete suggestions and ambiguous names (the biggest "Granada" first)
+    population: {
+        type: Number,
+        min: 0,
+        default: 0
+    }
+});
+
+// Destinations expose lat/lon like reviews and stops
+addLatLonVirtuals(DestinationSchema);
+
+// Keeping the search names in step with the name and aliases
+DestinationSchema.pre('validate', function () {
+    this.searchNames = [...new Set([this.name, ...this.aliases].map(normalizeName).filter(Boolean))];
+});
+
+// Finding a country by code, name or alias ("us", "USA", "United States"), or null
+DestinationSchema.statics.findCountry = (value) => {
+    if (!value) return null;
+    return countryIndex.get(normalizeName(value)) || null;
+};
+
+// resolve - Matches free text city/country input with the catalog
+// Returns { city, country, countryCode, destination }: canonical names and the catalog entry when
+// found, otherwise the trimmed input (with the canonical country name if only the country is known).
+// Without a country the most populous city with that name is picked.
+DestinationSchema.statics.resolve = async function ({ city, country }) {
+    const knownCountry = this.findCountry(country);
+    const result = {
+        city: city ? city.trim() : city,
+        country: knownCountry ? knownCountry.name : (country ? country.trim() : country),
+        countryCode: knownCountry ? knownCountry.code : null,
+        destination: null
+    };
+    if (!city || (country && !knownCountry)) {
+        return result;
+    }
+
+    const filter = { searchNames: normalizeName(city) };
+    if (knownCountry) filter.countryCode = knownCountry.code;
+
+    const destination = await this.findOne(filter).sort({ population: -1 });
+    if (destination) {
+        Object.assign(result, {
+            city: destination.name,
+            country: destination.country,
+            countryCode: destination.countryCode,
+            destination
+        });
+    }
+    return result;
+};
+
+DestinationSchema.statics.normalizeName = normalizeName;
+DestinationSchema.statics.COUNTRIES = COUNTRIES;
+
+// --- Indexes ---
+// One destination per country and name, name lookups and a 2dsphere index, see migrations/005-indexes.js
+
+
+const Destination = mongoose.model('Destination', DestinationSchema);
+
+module.exports = Destination;
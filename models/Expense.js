@@ -0,0 +1,62 @@
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Expense categories used by the budget summary
+const EXPENSE_CATEGORIES = ['lodging', 'transport', 'food', 'activities'];
+
+const ExpenseSchema = new Schema({
+    trip: {
+        type: Schema.Types.ObjectId,
+        ref: 'SavedTrip',
+        required: true // An expense always belongs to a trip
+    },
+    paidBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true // The user who paid for it
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0, 'Amount cannot be negative']
+    },
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code like USD or EUR']
+    },
+    category: {
+        type: String,
+        required: [true, 'Category is required'],
+        enum: {
+            values: EXPENSE_CATEGORIES,
+            message: `Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`
+        }
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// --- Indexes ---
+// Listing a trip's expenses by date (migrations/005-indexes.js)
+
+ExpenseSchema.statics.CATEGORIES = EXPENSE_CATEGORIES;
+
+
+const Expense = mongoose.model('Expense', ExpenseSchema);
+
+module.exports = Expense;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An uploaded picture of a trip or a review. The files live in the storage adapter
+// (storage/index.js), this document keeps where they are and who may see them.
+const ImageSchema = new Schema({
+    // Who uploaded it
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Exactly one of trip/review is set, access follows that document
+    trip: {
+        type: Schema.Types.ObjectId,
+        ref: 'SavedTrip'
+    },
+    review: {
+        type: Schema.Types.ObjectId,
+        ref: 'Review'
+    },
+    // Storage keys of the resized image and its thumbnail
+    key: {
+        type: String,
+        required: true
+    },
+    thumbnailKey: {
+        type: String,
+        required: true
+    },
+    contentType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number, // Bytes, of the stored (resized) image
+        min: 0
+    },
+    width: Number,
+    height: Number,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    // Storage keys are internal, clients use the /api/images URLs
+    toJSON: {
+        virtuals: true,
+        transform: (doc, ret) => {
+            delete ret.key;
+            delete ret.thumbnailKey;
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+ImageSchema.path('trip').validate(function () {
+    return Boolean(this.trip) !== Boolean(this.review);
+}, 'An image belongs to either a trip or a review');
+
+// Where clients download the image and its thumbnail
+ImageSchema.virtual('url').get(function () {
+    return `/api/images/${this._id}`;
+});
+ImageSchema.virtual('thumbnailUrl').get(function () {
+    return `/api/images/${this._id}/thumbnail`;
+});
+
+// --- Indexes ---
+// A trip's or review's pictures in upload order, created by migrations/005-indexes.js
+
+
+const Image = mongoose.model('Image', ImageSchema);
+
+module.exports = Image;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One applied step of migrations/, written by the runner (utils/migrations.js) once its `up`
+// has finished and removed again when the step is reverted
+const MigrationSchema = new Schema({
+    name: {
+        type: String,
+        required: true // The file name without .js, e.g. 005-indexes
+    },
+    description: {
+        type: String
+    },
+    appliedAt: {
+        type: Date,
+        default: Date.now
+    },
+    durationMs: {
+        type: Number
+    }
+});
+
+const Migration = mongoose.model('Migration', MigrationSchema);
+
+module.exports = Migration;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const MODERATION_ACTIONS = ['hide', 'restore', 'delete', 'dismiss'];
+
+// Audit trail entry for one moderation action. Entries are never updated or deleted,
+// and keep a copy of the review so a deleted review can still be looked up.
+const ModerationLogSchema = new Schema({
+    action: {
+        type: String,
+        required: true,
+        enum: MODERATION_ACTIONS
+    },
+    review: {
+        type: Schema.Types.ObjectId,
+        ref: 'Review',
+        required: true
+    },
+    reviewSnapshot: {
+        user: { type: Schema.Types.ObjectId, ref: 'User' },
+        city: String,
+        country: String,
+        rating: Number,
+        comment: String,
+        status: String
+    },
+    moderator: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        required: [true, 'A reason is required for moderation actions'],
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // How many open reports the action closed
+    reportsResolved: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// --- Indexes ---
+// By review, by moderator and by date, created by migrations/005-indexes.js
+
+ModerationLogSchema.statics.ACTIONS = MODERATION_ACTIONS;
+
+const ModerationLog = mongoose.model('ModerationLog', ModerationLogSchema);
+
+module.exports = ModerationLog;
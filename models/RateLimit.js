@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One counter per rate limit key ("login-ip:203.0.113.7", "login-account:backpacker"...),
+// used by the MongoDB rate limit store so several app instances share their counts.
+const RateLimitSchema = new Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // End of the current window, the next hit after it starts a new one
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// --- Indexes ---
+// `key` is unique and a TTL index on resetAt removes counters whose window is over
+// (both in migrations/005-indexes.js)
+
+
+const RateLimit = mongoose.model('RateLimit', RateLimitSchema);
+
+module.exports = RateLimit;
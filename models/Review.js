@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { PointSchema, addLatLonVirtuals } = require('./schemas/PointSchema.js');
+const { addDestinationLink } = require('./schemas/destinationLink.js');
+const { softDelete } = require('./schemas/softDelete.js');
+
+// How many earlier versions of a review are kept
+const MAX_REVISIONS = 20;
+
+// City/country comparison for the one-review-per-destination rule: "Lisbon" and "lisbon" are the same place
+const PLACE_COLLATION = { locale: 'en', strength: 2 };
+
+// An earlier version of a review's rating and comment, saved when the author edits it
+const RevisionSchema = new Schema({
+    rating: Number,
+    comment: String,
+    createdAt: Date // When this version was written
+}, { _id: false });
 
 const ReviewSchema = new Schema({
     user: {
@@ -29,19 +45,120 @@ const ReviewSchema = new Schema({
         trim: true,
         maxlength: [500, 'Comment cannot exceed 500 characters']
     },
+    location: {
+        type: PointSchema // Optional, set through the lat/lon virtuals
+    },
+    // Moderation: hidden reviews are left out of lists, searches and rating stats
+    status: {
+        type: String,
+        enum: ['visible', 'hidden'],
+        default: 'visible'
+    },
+    // Set when a user reports the review, cleared once a moderator has dealt with it
+    flagged: {
+        type: Boolean,
+        default: false
+    },
+    // Number of open reports, back to 0 once a moderator has acted
+    reportCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Vote and reply totals, kept in step by the vote/reply routes so lists don't count them per review
+    helpfulCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    unhelpfulCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    replyCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Previous versions, oldest first. Only loaded for GET /api/reviews/:id/revisions
+    revisions: {
+        type: [RevisionSchema],
+        default: [],
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    updatedAt: {
+        type: Date // Last time the rating or comment changed
     }
+}, {
+    // Every save() checks and bumps the version (__v), revise() bumps it too.
+    // The ETag of a review is built from it (middleware/conditional.js).
+    optimisticConcurrency: true
 });
 
-// --- Indexes ---
-// Testing index to find reviews by a specific user
-// ReviewSchema.index({ user: 1 });
+// Reviews can carry the coordinates of the reviewed place as lat/lon
+addLatLonVirtuals(ReviewSchema);
+
+// Linking the city/country to the destination catalog (adds `destination` and `countryCode`)
+addDestinationLink(ReviewSchema);
+
+// Authors deleting a review move it to their trash, moderator deletions are permanent
+ReviewSchema.plugin(softDelete);
+
+// Filter for reviews the public can see (reviews saved before moderation existed have no status)
+ReviewSchema.statics.visibleFilter = () => ({ status: { $ne: 'hidden' } });
+
+// Loading a review by ID only if it is visible (null otherwise)
+ReviewSchema.statics.findVisible = function (id) {
+    return this.findOne({ _id: id, ...this.visibleFilter() });
+};
 
-// Testing index to find reviews for a specific location 
-// ReviewSchema.index({ city: 1, country: 1 });
+// revise - Changes the rating and/or comment of the review matching `filter` in one atomic update,
+// moving the previous rating and comment into `revisions` (at most MAX_REVISIONS are kept).
+// Nothing is added to the history when the rating and comment stay the same, the version (__v)
+// goes up only when they change. Put `__v` in the filter to update only an unchanged review.
+// `location` (a GeoJSON point) is replaced too when given. Resolves to the updated review or null.
+ReviewSchema.statics.revise = function (filter, { rating, comment, location }) {
+    const newRating = rating === undefined ? '$rating' : rating;
+    const newComment = comment === undefined ? '$comment' : { $literal: comment }; // $literal: user text is never an expression
 
+    const revisions = { $ifNull: ['$revisions', []] };
+    const previous = { rating: '$rating', comment: '$comment', createdAt: { $ifNull: ['$updatedAt', '$createdAt'] } };
+    const unchanged = {
+        $and: [
+            { $eq: ['$rating', newRating] },
+            { $eq: [{ $ifNull: ['$comment', null] }, { $ifNull: [newComment, null] }] }
+        ]
+    };
+
+    const update = {
+        rating: newRating,
+        comment: newComment,
+        revisions: { $cond: [unchanged, revisions, { $slice: [{ $concatArrays: [revisions, [previous]] }, -MAX_REVISIONS] }] },
+        updatedAt: { $cond: [unchanged, '$updatedAt', '$$NOW'] },
+        __v: { $cond: [unchanged, '$__v', { $add: [{ $ifNull: ['$__v', 0] }, 1] }] }
+    };
+    if (location) {
+        update.location = { $literal: location };
+    }
+
+    return this.findOneAndUpdate(filter, [{ $set: update }], { new: true });
+};
+
+// Finding a user's review of a city/country, whatever the letter case
+ReviewSchema.statics.findByPlace = function ({ user, city, country }) {
+    return this.findOne({ user, city, country }).collation(PLACE_COLLATION);
+};
+
+ReviewSchema.statics.MAX_REVISIONS = MAX_REVISIONS;
+
+// --- Indexes ---
+// Built by migrations/005-indexes.js, among them the unique one per user and place (compared
+// with PLACE_COLLATION, like findByPlace), the text index for /api/search and a 2dsphere index
 
 const Review = mongoose.model('Review', ReviewSchema);
 
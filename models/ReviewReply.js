@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A reply to a review, or to another reply when `parent` is set (threads)
+const ReviewReplySchema = new Schema({
+    review: {
+        type: Schema.Types.ObjectId,
+        ref: 'Review',
+        required: true
+    },
+    parent: {
+        type: Schema.Types.ObjectId,
+        ref: 'ReviewReply',
+        default: null // null = reply to the review itself
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    comment: {
+        type: String,
+        trim: true,
+        required: [true, 'A reply needs a comment'],
+        maxlength: [500, 'Reply cannot exceed 500 characters']
+    },
+    // Set when the review's author replies, so clients can show an "owner reply" badge
+    byReviewAuthor: {
+        type: Boolean,
+        default: false
+    },
+    // A deleted reply that others answered keeps its place in the thread without its text
+    deleted: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// --- Indexes ---
+// Loading a review's thread in order and a user's replies, see migrations/005-indexes.js
+
+// Turning a flat list of replies (oldest first) into a tree of { ...reply, replies: [] }
+// Replies whose parent is gone (deleted with its author's account) are shown at the top level.
+ReviewReplySchema.statics.toThread = (replies) => {
+    const nodes = new Map(replies.map(reply => [reply._id.toString(), { ...reply.toJSON(), replies: [] }]));
+    const thread = [];
+
+    nodes.forEach((node) => {
+        const parent = node.parent && nodes.get(node.parent.toString());
+        (parent ? parent.replies : thread).push(node);
+    });
+
+    return thread;
+};
+
+const ReviewReply = mongoose.model('ReviewReply', ReviewReplySchema);
+
+module.exports = ReviewReply;
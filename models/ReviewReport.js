@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const REPORT_REASONS = ['spam', 'offensive', 'harassment', 'off-topic', 'false-information', 'other'];
+
+// A user's report about a review, waiting in the moderation queue until a moderator acts on it
+const ReviewReportSchema = new Schema({
+    review: {
+        type: Schema.Types.ObjectId,
+        ref: 'Review',
+        required: true
+    },
+    reporter: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        required: [true, 'A reason is required'],
+        enum: { values: REPORT_REASONS, message: `Reason must be one of: ${REPORT_REASONS.join(', ')}` }
+    },
+    details: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Details cannot exceed 500 characters']
+    },
+    // open until a moderator hides/restores/deletes the review or dismisses the reports
+    status: {
+        type: String,
+        enum: ['open', 'resolved', 'dismissed'],
+        default: 'open'
+    },
+    resolvedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolvedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// --- Indexes ---
+// One report per user and review, a unique index from migrations/005-indexes.js
+
+ReviewReportSchema.statics.REASONS = REPORT_REASONS;
+
+const ReviewReport = mongoose.model('ReviewReport', ReviewReportSchema);
+
+module.exports = ReviewReport;
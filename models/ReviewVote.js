@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One user's "helpful" (1) or "not helpful" (-1) vote on a review
+// The totals live on the review (helpfulCount/unhelpfulCount), this collection makes sure
+// every user votes only once and can change or take back their vote.
+const ReviewVoteSchema = new Schema({
+    review: {
+        type: Schema.Types.ObjectId,
+        ref: 'Review',
+        required: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true,
+        enum: [1, -1]
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// --- Indexes ---
+// One vote per user and review, a unique index from migrations/005-indexes.js
+
+// The counter changes on the review when a vote goes from `before` to `after` (either can be null)
+ReviewVoteSchema.statics.counterChange = (before, after) => {
+    const change = { helpfulCount: 0, unhelpfulCount: 0 };
+    if (before === 1) change.helpfulCount--;
+    if (before === -1) change.unhelpfulCount--;
+    if (after === 1) change.helpfulCount++;
+    if (after === -1) change.unhelpfulCount++;
+    return change;
+};
+
+const ReviewVote = mongoose.model('ReviewVote', ReviewVoteSchema);
+
+module.exports = ReviewVote;
@@ -0,0 +1,35 @@
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Stores the IDs (jti) of tokens that were logged out or rotated before they expired.
+// The auth middleware checks this collection so a revoked token can't be reused.
+const RevokedTokenSchema = new Schema({
+    jti: {
+        type: String,
+        required: [true, 'Token ID is required']
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['access', 'refresh'],
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// --- Indexes ---
+// `jti` is unique and a TTL index removes the entry once the token would have expired anyway
+// (both in migrations/005-indexes.js)
+
+
+const RevokedToken = mongoose.model('RevokedToken', RevokedTokenSchema);
+
+module.exports = RevokedToken;
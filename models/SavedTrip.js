@@ -1,12 +1,12 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { PointSchema, addLatLonVirtuals } = require('./schemas/PointSchema.js');
+const { addDestinationLink } = require('./schemas/destinationLink.js');
+const { softDelete } = require('./schemas/softDelete.js');
 
-const SavedTripSchema = new Schema({
-    user: {
-        type: Schema.Types.ObjectId, // References a document ID in the User collection
-        ref: 'User', // Specifies the collection being referenced
-        required: true // A trip must belong to a user
-    },
+// One place on the trip route. Stops are kept in travel order inside the trip.
+const StopSchema = new Schema({
     city: {
         type: String,
         required: [true, 'City name is required'],
@@ -17,41 +17,182 @@ const SavedTripSchema = new Schema({
         required: [true, 'Country name is required'],
         trim: true
     },
+    location: {
+        type: PointSchema,
+        required: [true, 'Coordinates (lat, lon) are required'] // Set through the lat/lon virtuals
+    },
+    arrivalDate: {
+        type: Date
+    },
+    departureDate: {
+        type: Date,
+        validate: {
+            // Departure can't be before arrival (same day is fine)
+            validator: function (value) {
+                return !value || !this.arrivalDate || value >= this.arrivalDate;
+            },
+            message: 'Departure date cannot be before arrival date'
+        }
+    },
+    lodging: {
+        name: { type: String, trim: true },
+        address: { type: String, trim: true }
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Stop notes cannot exceed 500 characters']
+    }
+});
+
+// Stops expose lat/lon to clients and store them as a GeoJSON point
+addLatLonVirtuals(StopSchema);
+
+// Each stop points at its destination in the catalog when the city is known
+addDestinationLink(StopSchema);
+
+// Planned spend per expense category, compared with the trip's expenses in the budget summary
+const plannedAmount = { type: Number, min: [0, 'Planned amounts cannot be negative'], default: 0 };
+const BudgetSchema = new Schema({
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: 'USD',
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code like USD or EUR']
+    },
+    lodging: plannedAmount,
+    transport: plannedAmount,
+    food: plannedAmount,
+    activities: plannedAmount
+}, { _id: false });
+
+// Roles a member can have on a trip, owners are the trip's `user` and not listed as members
+const MEMBER_ROLES = ['viewer', 'editor'];
+const MEMBER_STATUSES = ['pending', 'accepted', 'declined'];
+
+// Someone invited to plan the trip with its owner. Only accepted members get access.
+const MemberSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: { values: MEMBER_ROLES, message: 'Role must be viewer or editor' },
+        default: 'viewer'
+    },
+    status: {
+        type: String,
+        enum: MEMBER_STATUSES,
+        default: 'pending'
+    },
+    invitedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    invitedAt: {
+        type: Date,
+        default: Date.now
+    },
+    respondedAt: {
+        type: Date
+    }
+}, { _id: false });
+
+const SavedTripSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId, // References a document ID in the User collection
+        ref: 'User', // Specifies the collection being referenced
+        required: true // A trip must belong to a user
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    stops: {
+        type: [StopSchema],
+        validate: {
+            validator: (stops) => Array.isArray(stops) && stops.length > 0,
+            message: 'A trip needs at least one stop'
+        }
+    },
     price: {
         type: Number,
         required: [true, 'Approximate price is required'],
         min: [0, 'Price cannot be negative'] // Basic validation
     },
-    lat: {
-        type: Number,
-        required: [true, 'Latitude is required']
-    },
-    lon: {
-        type: Number,
-        required: [true, 'Longitude is required']
+    budget: {
+        type: BudgetSchema
     },
+    // Legacy: a path the client used to send, trips now get pictures through /api/savedtrips/:id/images
     imagePath: {
         type: String,
         trim: true
         
     },
+    // The picture shown for the trip, the first upload until the owner picks another one
+    coverImage: {
+        type: Schema.Types.ObjectId,
+        ref: 'Image',
+        default: null
+    },
     notes: {
         type: String,
         trim: true,
         maxlength: [500, 'Notes cannot exceed 500 characters'] 
     },
+    members: {
+        type: [MemberSchema],
+        default: []
+    },
+    // Unguessable slug for the public read-only link, unset when sharing is turned off
+    shareSlug: {
+        type: String
+    },
     savedAt: {
         type: Date,
         default: Date.now
     }
+}, {
+    // Every save() checks and bumps the version (__v), so two people editing the same trip
+    // can't overwrite each other's changes. The ETag of a trip is built from it (middleware/conditional.js).
+    optimisticConcurrency: true
 });
 
-// --- Indexes ---
-//---- Testing ------
-// Index to efficiently find trips saved by a specific user
-const user1SavedTrips = SavedTripSchema.index({ user: 1 });
-console.log(user1SavedTrips);
+// Deleting a trip moves it to the owner's trash, it can be restored until it is purged
+SavedTripSchema.plugin(softDelete);
 
+// --- Members & Sharing ---
+
+// The caller's role on this trip: 'owner', 'editor', 'viewer' or null (pending invites don't count)
+SavedTripSchema.methods.roleOf = function (userId) {
+    if (!userId) return null;
+    if (this.user && this.user.toString() === userId.toString()) return 'owner';
+    const member = this.members.find(m => m.user.toString() === userId.toString() && m.status === 'accepted');
+    return member ? member.role : null;
+};
+
+SavedTripSchema.methods.findMember = function (userId) {
+    return this.members.find(m => m.user.toString() === userId.toString());
+};
+
+// Filter for the trips a user owns or has accepted an invitation to
+// IDs are cast here so the filter also works in aggregate(), which doesn't cast
+SavedTripSchema.statics.accessibleBy = function (userId) {
+    const id = new mongoose.Types.ObjectId(userId);
+    return { $or: [{ user: id }, { members: { $elemMatch: { user: id, status: 'accepted' } } }] };
+};
+
+SavedTripSchema.statics.generateShareSlug = () => crypto.randomBytes(18).toString('base64url');
+
+SavedTripSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+
+// --- Indexes ---
+// Built by migrations/005-indexes.js: the owner, the text index for /api/search (trip_text),
+// a 2dsphere index on the stops, members, share links and catalog destinations
 
 const SavedTrip = mongoose.model('SavedTrip', SavedTripSchema);
 
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Logins of the server-rendered pages, the browser keeps the token in a cookie (middleware/session.js).
+// Like UserToken only a SHA-256 hash of the token is stored.
+const SessionSchema = new Schema({
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now // Sessions started before the last password change are no longer accepted
+    }
+});
+
+// --- Indexes ---
+// `tokenHash` is unique and a TTL index on expiresAt removes expired sessions
+// (both in migrations/005-indexes.js)
+
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const UserSchema = new Schema({
+    username: {
+        type: String,
+        required: [true, 'Username is required'],
+        trim: true, // Removes whitespace from both ends
+        minlength: [6, 'Username must be at least 6 characters long']
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true, // Converts email to lowercase before saving
+        trim: true,
+        match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please fill a valid email address'] // Basic email format validation
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [6, 'Password must be at least 6 characters long']
+    },
+    homeCurrency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: 'USD', // Budgets are converted to this currency
+        match: [/^[A-Z]{3}$/, 'Home currency must be a 3-letter ISO code like USD or EUR']
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false // Set to true once the user confirms the link sent to their email
+    },
+    passwordChangedAt: {
+        type: Date // Refresh tokens issued before this date are no longer accepted
+    },
+    role: {
+        type: String,
+        enum: {
+            values: ['user', 'moderator', 'admin'],
+            message: 'Role must be one of: user, moderator, admin'
+        },
+        default: 'user' // Everyone starts as a regular user
+    },
+    // Failed logins since the last successful one, the account is locked for a growing time
+    // once there are too many (utils/loginLockout.js)
+    failedLoginCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    lockedUntil: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now // Automatically set the date when a user is created
+    }
+});
+
+// --- Indexes ---
+// Usernames and emails are unique, the indexes are created by migrations/005-indexes.js.
+// A taken one is a 409 from the error handler (duplicate key).
+
+const User = mongoose.model('User', UserSchema);
+
+module.exports = User;
\ No newline at end of file
@@ -0,0 +1,43 @@
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Single-use tokens sent by email (password reset and email verification)
+// Only a SHA-256 hash of the token is stored, the plain token only exists in the email.
+const UserTokenSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['password-reset', 'email-verification'],
+        required: [true, 'Token purpose is required']
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null // Set when the token is consumed so it can't be used twice
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// --- Indexes ---
+// `tokenHash` is unique and a TTL index on expiresAt cleans up expired tokens
+// (both in migrations/005-indexes.js)
+
+
+const UserToken = mongoose.model('UserToken', UserTokenSchema);
+
+module.exports = UserToken;
@@ -0,0 +1,66 @@
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// GeoJSON point, stored as { type: 'Point', coordinates: [lon, lat] } so MongoDB
+// can put a 2dsphere index on it. Note the order: longitude comes first in GeoJSON.
+const PointSchema = new Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+    },
+    coordinates: {
+        type: [Number],
+        validate: [
+            {
+                validator: (coords) => coords.length === 2,
+                message: 'Coordinates must be [longitude, latitude]'
+            },
+            {
+                validator: (coords) => coords[0] >= -180 && coords[0] <= 180,
+                message: 'Longitude must be between -180 and 180'
+            },
+            {
+                validator: (coords) => coords[1] >= -90 && coords[1] <= 90,
+                message: 'Latitude must be between -90 and 90'
+            }
+        ]
+    }
+}, { _id: false });
+
+// Adding `lat` and `lon` virtuals that read and write the GeoJSON point at `path`.
+// Clients keep sending and receiving plain lat/lon numbers; the point is only written
+// once both values are known (or one of them changes on an existing point).
+const addLatLonVirtuals = (schema, path = 'location') => {
+    const setCoordinate = (index) => function (value) {
+        if (value === undefined) return;
+
+        const current = this.get(path);
+        const hasPoint = current && current.coordinates && current.coordinates.length === 2;
+        const coords = this.$locals.pendingCoordinates || (hasPoint ? [...current.coordinates] : [undefined, undefined]);
+        coords[index] = value;
+
+        if (coords[0] === undefined || coords[1] === undefined) {
+            this.$locals.pendingCoordinates = coords; // Waiting for the other half
+            return;
+        }
+        delete this.$locals.pendingCoordinates;
+        this.set(path, { type: 'Point', coordinates: coords });
+    };
+
+    const getCoordinate = (index) => function () {
+        const point = this.get(path);
+        return point && point.coordinates && point.coordinates.length === 2 ? point.coordinates[index] : undefined;
+    };
+
+    schema.virtual('lon').get(getCoordinate(0)).set(setCoordinate(0));
+    schema.virtual('lat').get(getCoordinate(1)).set(setCoordinate(1));
+
+    // Sending lat/lon in JSON responses (without the extra `id` virtual)
+    schema.set('id', false);
+    schema.set('toJSON', { virtuals: true });
+    schema.set('toObject', { virtuals: true });
+};
+
+module.exports = { PointSchema, addLatLonVirtuals };
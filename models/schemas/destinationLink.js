@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const Destination = require('../Destination.js');
+
+// Adding a `destination` reference and a `countryCode` to a schema with city/country fields
+// (reviews and trip stops). Before validation the free text is matched with the catalog:
+// known places get the canonical city/country names, their ISO country code and the reference.
+// Clients can also pick a place directly by setting `destination` (a destination ID), then the
+// city, country and missing coordinates are copied from the catalog.
+const addDestinationLink = (schema) => {
+    schema.add({
+        destination: {
+            type: Schema.Types.ObjectId,
+            ref: 'Destination',
+            default: null
+        },
+        countryCode: {
+            type: String,
+            uppercase: true,
+            match: [/^[A-Z]{2}$/, 'Country code must be a 2-letter ISO code like FR'],
+            default: null
+        }
+    });
+
+    schema.pre('validate', async function () {
+        const picked = this.destination && (this.isNew || this.isModified('destination'));
+        const placeChanged = this.isNew || this.isModified('city') || this.isModified('country');
+
+        if (picked) {
+            const destination = await Destination.findById(this.destination);
+            if (!destination) {
+                this.invalidate('destination', 'Unknown destination');
+                return;
+            }
+            this.city = destination.name;
+            this.country = destination.country;
+            this.countryCode = destination.countryCode;
+            if (!this.location && destination.location) {
+                this.location = destination.location.toObject();
+            }
+            return;
+        }
+
+        // Missing city/country are reported by their own required validators
+        if (!placeChanged || !this.city || !this.country) return;
+
+        const place = await Destination.resolve({ city: this.city, country: this.country });
+        this.city = place.city;
+        this.country = place.country;
+        this.countryCode = place.countryCode;
+        this.destination = place.destination ? place.destination._id : null;
+    });
+};
+
+module.exports = { addDestinationLink };
@@ -0,0 +1,64 @@
+// Queries that leave trashed documents out unless asked otherwise.
+// distinct() and the update/delete queries are not filtered: account deletion and the purge
+// have to reach the trashed documents too.
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace', 'countDocuments'];
+
+// softDelete - Mongoose plugin that moves documents to a trash instead of deleting them
+// (trips and reviews). A trashed document has a `deletedAt` date and is left out of every
+// find/count/aggregate, the trash purge (services/trashService.js) removes it for good later.
+//   doc.softDelete() / doc.restore()    - moving a document to the trash and back
+//   query.onlyDeleted()                 - only trashed documents (the trash listing, restoring)
+//   query.withDeleted()                 - trashed and live documents
+// Queries with their own condition on `deletedAt` are left as they are.
+// The purge's index on `deletedAt` comes with the collection's other indexes (migrations/005-indexes.js).
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: undefined // Live documents have no deletedAt at all, so old documents count as live
+        }
+    });
+
+    schema.pre(FILTERED_QUERIES, function () {
+        if (this._withDeleted || this.getFilter().deletedAt !== undefined) {
+            return;
+        }
+        this.where({ deletedAt: null }); // null also matches documents without the field
+    });
+
+    // Aggregations too. $geoNear (and a $match with $text) have to stay the first stage,
+    // so the condition goes into their query instead of a stage of its own.
+    schema.pre('aggregate', function () {
+        const pipeline = this.pipeline();
+        const [first] = pipeline;
+
+        if (first && first.$geoNear) {
+            first.$geoNear.query = { deletedAt: null, ...first.$geoNear.query };
+        } else if (first && first.$match) {
+            first.$match = { deletedAt: null, ...first.$match };
+        } else {
+            pipeline.unshift({ $match: { deletedAt: null } });
+        }
+    });
+
+    schema.query.withDeleted = function () {
+        this._withDeleted = true;
+        return this;
+    };
+
+    schema.query.onlyDeleted = function () {
+        return this.where({ deletedAt: { $ne: null } });
+    };
+
+    schema.methods.softDelete = function (options) {
+        this.deletedAt = new Date();
+        return this.save(options);
+    };
+
+    schema.methods.restore = function (options) {
+        this.deletedAt = undefined;
+        return this.save(options);
+    };
+};
+
+module.exports = { softDelete };
@@ -0,0 +1,35 @@
+// server/rateLimit/index.js
+const createMemoryStore = require('./stores/memoryStore.js');
+const createMongoStore = require('./stores/mongoStore.js');
+
+// A rate limit store is any object with async hit(key, windowMs) -> { count, resetAt } and reset(key).
+// RATE_LIMIT_STORE picks a built-in one, or another store (Redis...) can be plugged in with setStore().
+const createStoreFromEnv = () => {
+    switch (process.env.RATE_LIMIT_STORE || 'memory') {
+        case 'memory':
+            return createMemoryStore();
+        case 'mongo':
+            return createMongoStore();
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE "${process.env.RATE_LIMIT_STORE}" (use memory or mongo)`);
+    }
+};
+
+let store = null;
+
+const getStore = () => {
+    if (!store) {
+        store = createStoreFromEnv();
+    }
+    return store;
+};
+
+// Replacing the store (for example with a shared one when running several instances)
+const setStore = (newStore) => {
+    if (!newStore || typeof newStore.hit !== 'function' || typeof newStore.reset !== 'function') {
+        throw new Error('A rate limit store needs hit(key, windowMs) and reset(key) functions');
+    }
+    store = newStore;
+};
+
+module.exports = { getStore, setStore };
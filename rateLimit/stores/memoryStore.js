@@ -0,0 +1,48 @@
+// server/rateLimit/stores/memoryStore.js
+
+// Keeps the counters in a Map of this process. Fine for one instance (and for tests),
+// several instances behind a load balancer need the MongoDB store to share their counts.
+// The Map holds at most `maxKeys` counters (MAX_KEYS by default): finished windows go first, then the oldest windows
+// (those clients start counting again, a flood of new keys can't use up the memory).
+const MAX_KEYS = 10000;
+
+const createMemoryStore = ({ maxKeys = MAX_KEYS } = {}) => {
+    const counters = new Map();
+
+    const prune = (now) => {
+        counters.forEach((entry, key) => {
+            if (entry.resetAt <= now) counters.delete(key);
+        });
+        // Still full: a Map iterates in insertion order, so the first keys have the oldest windows.
+        // Making room for a tenth more, so a flood of new keys doesn't scan the Map on every hit
+        for (const key of counters.keys()) {
+            if (counters.size < maxKeys * 0.9) break;
+            counters.delete(key);
+        }
+    };
+
+    return {
+        name: 'memory',
+        counters,
+        async hit(key, windowMs) {
+            const now = Date.now();
+            let entry = counters.get(key);
+            if (!entry || entry.resetAt <= now) {
+                counters.delete(key); // A new window goes to the end of the insertion order
+                if (counters.size >= maxKeys) prune(now);
+                entry = { count: 0, resetAt: now + windowMs };
+                counters.set(key, entry);
+            }
+            entry.count += 1;
+            return { count: entry.count, resetAt: new Date(entry.resetAt) };
+        },
+        async reset(key) {
+            counters.delete(key);
+        },
+        clear() {
+            counters.clear();
+        }
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,39 @@
+// server/rateLimit/stores/mongoStore.js
+const RateLimit = require('../../models/RateLimit.js');
+
+// Keeps the counters in MongoDB (models/RateLimit.js) so every app instance sees the same counts.
+// Each hit is one atomic update: counting up inside the window, starting a new window after it.
+const createMongoStore = () => {
+    const increment = (key, windowMs) => {
+        const now = new Date();
+        const inWindow = { $gt: ['$resetAt', now] }; // false for a new counter, resetAt is missing
+        return RateLimit.findOneAndUpdate({ key }, [
+            {
+                $set: {
+                    count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+                    resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+                }
+            }
+        ], { upsert: true, new: true, lean: true });
+    };
+
+    return {
+        name: 'mongo',
+        async hit(key, windowMs) {
+            let entry;
+            try {
+                entry = await increment(key, windowMs);
+            } catch (err) {
+                // Two first hits on the same key at once, one upsert wins (unique index) and the other one counts up
+                if (err.code !== 11000) throw err;
+                entry = await increment(key, windowMs);
+            }
+            return { count: entry.count, resetAt: entry.resetAt };
+        },
+        async reset(key) {
+            await RateLimit.deleteOne({ key });
+        }
+    };
+};
+
+module.exports = createMongoStore;
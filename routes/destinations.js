@@ -0,0 +1,111 @@
+// server/routes/destinations.js
+const express = require('express');
+const router = express.Router();
+const Destination = require('../models/Destination.js');
+const escapeRegex = require('../utils/escapeRegex.js');
+const { SORT_FIELDS } = require('../utils/destinationStats.js');
+const { runStats, destinationStats } = require('../services/destinationService.js');
+const { validateRequest } = require('../middleware/validate.js');
+const { ValidationError, NotFoundError } = require('../errors/index.js');
+const { idParams } = require('../validation/common.js');
+const schemas = require('../validation/destinations.js');
+
+const DEFAULT_LIMIT = 20;
+const DEFAULT_SUGGESTIONS = 8;
+
+
+// ------------------ Routes --------------------------
+
+// GET /api/destinations - Rating, review and price stats per city/country
+// Query: ?country= &city= &minReviews= &sort=avgRating|reviewCount|saves|medianPrice|minPrice|maxPrice
+//        &order=asc|desc &page= &limit=
+// Example "top budget destinations": ?sort=medianPrice&order=asc&minReviews=3
+router.get('/', validateRequest({ query: schemas.listDestinationsQuery }), async (req, res) => {
+    const { country, city, minReviews, sort = 'reviewCount', order, page = 1, limit = DEFAULT_LIMIT } = req.validated.query;
+
+    // Filters run on the grouped results, matching the normalized lowercase key
+    const match = {};
+    if (country || city) {
+        // Country codes and aliases ("USA") resolve to the catalog name the stats are grouped by
+        const countryName = country ? (Destination.findCountry(country)?.name || country.trim()) : null;
+        const countryPattern = countryName ? escapeRegex(countryName.toLowerCase()) : '[^/]*';
+        const cityPattern = city ? escapeRegex(city.trim().toLowerCase()) : '.*';
+        match.key = { $regex: `^${countryPattern}/${cityPattern}$` };
+    }
+    if (minReviews !== undefined) {
+        match.reviewCount = { $gte: minReviews };
+    }
+
+    // Price sorts skip destinations nobody has saved with a price yet
+    const sortField = SORT_FIELDS[sort];
+    if (sortField.startsWith('price.')) {
+        match[sortField] = { $ne: null };
+    }
+
+    // Prices read best cheapest first, everything else highest first
+    const direction = (order || (sortField.startsWith('price.') ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+
+    const result = await runStats({ match, sort: { [sortField]: direction }, page, limit });
+    res.status(200).json(result);
+});
+
+// GET /api/destinations/lookup - The catalog destination for typed ?city= (and ?country=), aliases included
+// e.g. ?city=lisboa&country=PT -> Lisbon, Portugal. Without a country the biggest city with that name wins.
+router.get('/lookup', validateRequest({ query: schemas.lookupQuery }), async (req, res) => {
+    const { city, country } = req.validated.query;
+    if (country && !Destination.findCountry(country)) {
+        throw new ValidationError({ country: 'Unknown country.' });
+    }
+
+    const { destination } = await Destination.resolve({ city, country });
+    if (!destination) {
+        throw new NotFoundError('Destination not found.');
+    }
+    res.status(200).json(destination);
+});
+
+// GET /api/destinations/autocomplete - Destinations whose name or alias starts with ?q=, biggest first
+// Optional ?country= (name or ISO code) and ?limit= (default 8)
+router.get('/autocomplete', validateRequest({ query: schemas.autocompleteQuery }), async (req, res) => {
+    const { q, country, limit = DEFAULT_SUGGESTIONS } = req.validated.query;
+
+    const prefix = Destination.normalizeName(q);
+    if (!prefix) {
+        return res.status(200).json([]);
+    }
+
+    const filter = { searchNames: { $regex: `^${escapeRegex(prefix)}` } };
+    if (country) {
+        const knownCountry = Destination.findCountry(country);
+        if (!knownCountry) {
+            throw new ValidationError({ country: 'Unknown country.' });
+        }
+        filter.countryCode = knownCountry.code;
+    }
+
+    const suggestions = await Destination.find(filter).sort({ population: -1, name: 1 }).limit(limit);
+    res.status(200).json(suggestions);
+});
+
+// GET /api/destinations/:id - One catalog destination
+router.get('/:id', validateRequest({ params: idParams('id') }), async (req, res) => {
+    const destination = await Destination.findById(req.params.id);
+    if (!destination) {
+        throw new NotFoundError('Destination not found.');
+    }
+    res.status(200).json(destination);
+});
+
+// GET /api/destinations/:country/:city - Stats for one destination
+// Country codes and aliases work too (/api/destinations/PT/lisboa), they resolve to the catalog names
+router.get('/:country/:city', validateRequest({ params: schemas.destinationParams }), async (req, res) => {
+    const { stats } = await destinationStats(req.validated.params);
+    if (!stats) {
+        throw new NotFoundError('Destination not found.');
+    }
+    res.status(200).json(stats);
+});
+
+
+// --- Export Router ---
+module.exports = router;
@@ -0,0 +1,89 @@
+// server/routes/expenses.js
+// Mounted by savedTrips.js at /api/savedtrips/:id/expenses (mergeParams gives us the trip :id)
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Expense = require('../models/Expense.js');
+const { canViewTrip, canEditTrip } = require('../middleware/tripAccess.js');
+const { NotFoundError } = require('../errors/index.js');
+const { validateRequest } = require('../middleware/validate.js');
+const { idParams } = require('../validation/common.js');
+const schemas = require('../validation/expenses.js');
+
+
+const expenseParams = validateRequest({ params: idParams('expenseId') });
+
+// Finding an expense of the trip loaded by authorizeOwner, or throwing a 404
+const findTripExpense = async (req) => {
+    const expense = await Expense.findOne({ _id: req.params.expenseId, trip: req.resource._id });
+    if (!expense) {
+        throw new NotFoundError('Expense not found.');
+    }
+    return expense;
+};
+
+
+// ------------------ Routes --------------------------
+
+// GET /api/savedtrips/:id/expenses - List a trip's expenses, optionally ?category=food
+router.get('/', validateRequest({ query: schemas.listExpensesQuery }), canViewTrip, async (req, res) => {
+    const filter = { trip: req.resource._id };
+    if (req.validated.query.category) {
+        filter.category = req.validated.query.category;
+    }
+
+    const expenses = await Expense.find(filter)
+        .populate('paidBy', 'username _id')
+        .sort({ date: -1 }); // Newest expenses first
+
+    res.status(200).json(expenses);
+});
+
+// POST /api/savedtrips/:id/expenses - Add an expense paid by the logged in user
+router.post('/', validateRequest({ body: schemas.createExpenseSchema }), canEditTrip, async (req, res) => {
+    const { amount, currency, category, date, description } = req.body;
+
+    const newExpense = new Expense({
+        trip: req.resource._id,
+        paidBy: req.user.id,
+        amount,
+        currency,
+        category,
+        date,
+        description
+    });
+    const savedExpense = await newExpense.save();
+
+    res.status(201).json(savedExpense);
+});
+
+// GET /api/savedtrips/:id/expenses/:expenseId - Get one expense
+router.get('/:expenseId', expenseParams, canViewTrip, async (req, res) => {
+    const expense = await findTripExpense(req);
+
+    res.status(200).json(expense);
+});
+
+// PATCH /api/savedtrips/:id/expenses/:expenseId - Update an expense
+router.patch('/:expenseId', expenseParams, validateRequest({ body: schemas.updateExpenseSchema }), canEditTrip, async (req, res) => {
+    const updates = req.body; // Only expense fields, checked by updateExpenseSchema
+
+    const expense = await findTripExpense(req);
+
+    expense.set(updates);
+    const updatedExpense = await expense.save();
+
+    res.status(200).json(updatedExpense);
+});
+
+// DELETE /api/savedtrips/:id/expenses/:expenseId - Delete an expense
+router.delete('/:expenseId', expenseParams, canEditTrip, async (req, res) => {
+    const expense = await findTripExpense(req);
+
+    await expense.deleteOne();
+
+    res.status(200).json({ message: 'Expense deleted successfully.' });
+});
+
+
+// --- Export Router ---
+module.exports = router;
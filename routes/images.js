@@ -0,0 +1,71 @@
+// server/routes/images.js
+// Serving uploaded pictures (see tripImages.js and the review image routes).
+// Who may see an image follows what it belongs to:
+//   trip   - whoever can view the trip (owner, members, moderators/admins), shared links use /api/shared/:slug/images
+//   review - everyone while the review is visible, only its author and moderators/admins once it is hidden
+// Trip pictures need the Authorization header or the session cookie of the pages (middleware/session.js),
+// so apps using tokens fetch them instead of using a plain <img src>.
+const express = require('express');
+const router = express.Router();
+const Image = require('../models/Image.js');
+const SavedTrip = require('../models/SavedTrip.js');
+const Review = require('../models/Review.js');
+const { optionalAuth } = require('../middleware/auth.js');
+const { loadSession } = require('../middleware/session.js');
+const { isOwnerOrStaff, forbidden } = require('../middleware/authorize.js');
+const { hasTripPermission } = require('../middleware/tripAccess.js');
+const { sendImage } = require('../utils/images.js');
+const { NotFoundError, UnauthorizedError } = require('../errors/index.js');
+const { validateRequest } = require('../middleware/validate.js');
+const { idParams } = require('../validation/common.js');
+
+const imageParams = validateRequest({ params: idParams('id') });
+
+// Loading image :id onto req.resource after checking the user may see it
+// req.imageCache says whether shared caches may keep a copy (only for pictures of visible reviews)
+const canViewImage = async (req, res, next) => {
+    const image = await Image.findById(req.params.id);
+    if (!image) {
+        throw new NotFoundError('Image not found.');
+    }
+
+    if (image.trip) {
+        const trip = await SavedTrip.findById(image.trip).select('user members');
+        if (!trip) {
+            throw new NotFoundError('Image not found.');
+        }
+        if (!req.user) {
+            throw new UnauthorizedError('Log in to view this image.');
+        }
+        if (!hasTripPermission(req.user, trip, 'view')) {
+            throw forbidden('view', 'image');
+        }
+        req.imageCache = 'private';
+    } else {
+        const review = await Review.findById(image.review).select('user status');
+        if (!review || (review.status === 'hidden' && !isOwnerOrStaff(req.user, review.user))) {
+            throw new NotFoundError('Image not found.');
+        }
+        req.imageCache = review.status === 'hidden' ? 'private' : 'public';
+    }
+
+    req.resource = image;
+    next();
+};
+
+
+// ------------------ Routes --------------------------
+
+// GET /api/images/:id - The picture, at most 1600px on its longest side
+router.get('/:id', optionalAuth, loadSession, imageParams, canViewImage, async (req, res) => {
+    await sendImage(res, req.resource, { cache: req.imageCache });
+});
+
+// GET /api/images/:id/thumbnail - A small WebP version for lists and galleries
+router.get('/:id/thumbnail', optionalAuth, loadSession, imageParams, canViewImage, async (req, res) => {
+    await sendImage(res, req.resource, { thumbnail: true, cache: req.imageCache });
+});
+
+
+// --- Export Router ---
+module.exports = router;
@@ -0,0 +1,133 @@
+// server/routes/moderation.js
+// Moderation of reported reviews, only for moderators and admins.
+// Every action needs a reason and is recorded in the audit log (models/ModerationLog.js).
+const express = require('express');
+const router = express.Router();
+const Review = require('../models/Review.js');
+const ReviewReport = require('../models/ReviewReport.js');
+const ModerationLog = require('../models/ModerationLog.js');
+const { requireAuth } = require('../middleware/auth.js');
+const { requireRole } = require('../middleware/authorize.js');
+const { moderateReview } = require('../utils/moderation.js');
+const { parseListQuery, listDocuments } = require('../utils/listQuery.js');
+const { ValidationError, NotFoundError } = require('../errors/index.js');
+const { validateRequest } = require('../middleware/validate.js');
+const { idParams } = require('../validation/common.js');
+const schemas = require('../validation/moderation.js');
+
+
+router.use(requireAuth, requireRole('moderator', 'admin'));
+
+// ------------------ Helpers -------------------------
+
+const QUEUE_LIST_OPTIONS = {
+    sortFields: { reportCount: 'reportCount', createdAt: 'createdAt' },
+    defaultSort: '-reportCount'
+};
+
+const LOG_LIST_OPTIONS = {
+    sortFields: { createdAt: 'createdAt' },
+    defaultSort: '-createdAt'
+};
+
+const QUEUE_FILTERS = {
+    flagged: { flagged: true },
+    hidden: { status: 'hidden' }
+};
+
+const reviewParams = validateRequest({ params: idParams('id') });
+const actionBody = validateRequest({ body: schemas.moderationActionSchema });
+
+// Loading the review from the URL, hidden ones included
+const findReview = async (req) => {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+        throw new NotFoundError('Review not found.');
+    }
+    return review;
+};
+
+// Route handler running one moderation action on the review from the URL
+const moderate = (action) => async (req, res) => {
+    const review = await findReview(req);
+    const log = await moderateReview({ review, action, moderatorId: req.user.id, reason: req.body.reason });
+
+    res.status(200).json({ review: action === 'delete' ? null : review, log });
+};
+
+
+// ------------------ Routes --------------------------
+
+// GET /api/moderation/reviews - The moderation queue: flagged reviews, most reported first
+// ?status=hidden lists hidden reviews instead (to restore one). Supports ?limit, ?offset or ?cursor and ?sort
+router.get('/reviews', validateRequest({ query: schemas.queueQuery }), async (req, res) => {
+    const { status = 'flagged' } = req.validated.query;
+
+    const list = parseListQuery(req.validated.query, QUEUE_LIST_OPTIONS);
+    if (list.error) {
+        throw new ValidationError({ [list.field]: list.error });
+    }
+
+    const result = await listDocuments(Review, QUEUE_FILTERS[status], list, query => query.populate('user', 'username _id'));
+
+    // Attaching the open reports so the moderator sees why each review is in the queue
+    const reports = await ReviewReport.find({ review: { $in: result.data.map(review => review._id) }, status: 'open' })
+        .sort({ createdAt: 1 })
+        .populate('reporter', 'username _id');
+
+    result.data = result.data.map(review => ({
+        ...review.toJSON(),
+        reports: reports.filter(report => report.review.equals(review._id))
+    }));
+
+    res.status(200).json(result);
+});
+
+// GET /api/moderation/reviews/:id - A review with every report and moderation action on it
+router.get('/reviews/:id', reviewParams, async (req, res) => {
+    const review = await findReview(req);
+    await review.populate('user', 'username _id');
+
+    const [reports, history] = await Promise.all([
+        ReviewReport.find({ review: review._id }).sort({ createdAt: -1 }).populate('reporter', 'username _id'),
+        ModerationLog.find({ review: review._id }).sort({ createdAt: -1 }).populate('moderator', 'username _id')
+    ]);
+
+    res.status(200).json({ review, reports, history });
+});
+
+// POST /api/moderation/reviews/:id/hide - Hide a review from everyone but its author and staff
+router.post('/reviews/:id/hide', reviewParams, actionBody, moderate('hide'));
+
+// POST /api/moderation/reviews/:id/restore - Make a hidden review visible again
+router.post('/reviews/:id/restore', reviewParams, actionBody, moderate('restore'));
+
+// POST /api/moderation/reviews/:id/dismiss - Close the open reports and leave the review as it is
+router.post('/reviews/:id/dismiss', reviewParams, actionBody, moderate('dismiss'));
+
+// DELETE /api/moderation/reviews/:id - Delete a review, the log keeps a copy of it
+router.delete('/reviews/:id', reviewParams, actionBody, moderate('delete'));
+
+// GET /api/moderation/logs - The audit log, newest first
+// Filter by ?reviewId, ?moderatorId and ?action. Supports ?limit, ?offset or ?cursor and ?sort
+router.get('/logs', validateRequest({ query: schemas.listLogsQuery }), async (req, res) => {
+    const { reviewId, moderatorId, action } = req.validated.query;
+
+    const filter = {};
+    if (reviewId) filter.review = reviewId;
+    if (moderatorId) filter.moderator = moderatorId;
+    if (action) filter.action = action;
+
+    const list = parseListQuery(req.validated.query, LOG_LIST_OPTIONS);
+    if (list.error) {
+        throw new ValidationError({ [list.field]: list.error });
+    }
+
+    const result = await listDocuments(ModerationLog, filter, list, query => query.populate('moderator', 'username _id'));
+
+    res.status(200).json(result);
+});
+
+
+// --- Export Router ---
+module.exports = router;
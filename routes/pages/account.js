@@ -0,0 +1,117 @@
+// server/routes/pages/account.js
+// The pages the emails link to (mail/templates.js): confirming an email address, choosing a new
+// password, and answering trip invitations. The emailed tokens are only used when the form is posted,
+// so a mail scanner opening the link doesn't use them up.
+const express = require('express');
+const router = express.Router();
+const { verifyEmail, resetPassword } = require('../../services/userService.js');
+const { listInvitations, answerInvitation } = require('../../services/tripService.js');
+const { requirePageAuth } = require('../../middleware/session.js');
+const { verifyCsrf } = require('../../middleware/csrf.js');
+const userSchemas = require('../../validation/users.js');
+const { checkForm, formErrors } = require('./forms.js');
+
+const MISSING_TOKEN = { form: 'This link is incomplete, please open the full link from the email.' };
+
+// Messages after a redirect (?answered=declined)
+const NOTICES = {
+    declined: 'The invitation was declined.'
+};
+
+router.use('/invitations', requirePageAuth);
+
+
+// ------------------ Routes --------------------------
+
+// GET /verify-email?token= - The link of the verification email, a button confirms the address
+router.get('/verify-email', (req, res) => {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    res.status(token ? 200 : 400).render('account/verifyEmail', {
+        title: 'Verify your email',
+        token,
+        verified: false,
+        errors: token ? null : MISSING_TOKEN
+    });
+});
+
+// POST /verify-email - Confirming the address with the emailed token
+router.post('/verify-email', verifyCsrf, async (req, res) => {
+    const { values, errors } = checkForm(req.body, userSchemas.tokenConfirmSchema);
+    const renderPage = (status, formErrorsFound, verified = false) => res.status(status).render('account/verifyEmail', {
+        title: 'Verify your email',
+        token: values.token || '',
+        verified,
+        errors: formErrorsFound
+    });
+    if (errors) {
+        return renderPage(400, MISSING_TOKEN);
+    }
+
+    try {
+        await verifyEmail(values.token);
+    } catch (err) {
+        const failed = formErrors(err);
+        return renderPage(failed.status, failed.errors);
+    }
+
+    renderPage(200, null, true);
+});
+
+// GET /reset-password?token= - The link of the password reset email, a form for the new password
+router.get('/reset-password', (req, res) => {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    res.status(token ? 200 : 400).render('account/resetPassword', {
+        title: 'Choose a new password',
+        token,
+        done: false,
+        errors: token ? null : MISSING_TOKEN
+    });
+});
+
+// POST /reset-password - Setting the new password, every session of the account is logged out
+router.post('/reset-password', verifyCsrf, async (req, res) => {
+    const { values, errors } = checkForm(req.body, userSchemas.passwordResetConfirmSchema);
+    const renderPage = (status, formErrorsFound, done = false) => res.status(status).render('account/resetPassword', {
+        title: 'Choose a new password',
+        token: values.token || '', // Never the password
+        done,
+        errors: formErrorsFound
+    });
+    if (errors) {
+        return renderPage(400, errors.token ? MISSING_TOKEN : errors);
+    }
+
+    try {
+        await resetPassword(values.token, values.newPassword);
+    } catch (err) {
+        const failed = formErrors(err);
+        return renderPage(failed.status, failed.errors);
+    }
+
+    renderPage(200, null, true);
+});
+
+// GET /invitations - The trips the user has been invited to, with accept and decline buttons
+router.get('/invitations', async (req, res) => {
+    res.render('invitations', {
+        title: 'Trip invitations',
+        invitations: await listInvitations(req.user.id),
+        notice: NOTICES[req.query.answered] || null
+    });
+});
+
+// POST /invitations/:id/accept - Joining the trip, then showing it
+router.post('/invitations/:id/accept', verifyCsrf, async (req, res) => {
+    const trip = await answerInvitation(req.user.id, req.params.id, true);
+    res.redirect(303, `/trips/${trip._id}`);
+});
+
+// POST /invitations/:id/decline
+router.post('/invitations/:id/decline', verifyCsrf, async (req, res) => {
+    await answerInvitation(req.user.id, req.params.id, false);
+    res.redirect(303, '/invitations?answered=declined');
+});
+
+
+// --- Export Router ---
+module.exports = router;
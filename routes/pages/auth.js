@@ -0,0 +1,105 @@
+// server/routes/pages/auth.js
+// Login, registration and logout pages. A successful login starts a cookie session (middleware/session.js).
+const express = require('express');
+const router = express.Router();
+const { registerUser, authenticate } = require('../../services/userService.js');
+const { startSession, endSession } = require('../../middleware/session.js');
+const { verifyCsrf, rotateCsrf } = require('../../middleware/csrf.js');
+const limits = require('../../middleware/rateLimit.js');
+const userSchemas = require('../../validation/users.js');
+const { checkForm, formErrors, safeNext } = require('./forms.js');
+
+// The login form has one "email or username" field, it is posted as `username` so the
+// per-account rate limit counts it like an API login
+const loginFormSchema = {
+    properties: {
+        username: { type: 'string', required: true, message: 'Please enter your email or username' },
+        password: userSchemas.loginSchema.properties.password,
+        next: { type: 'string' }
+    }
+};
+
+const registerFormSchema = {
+    properties: { ...userSchemas.registerSchema.properties, next: { type: 'string' } }
+};
+
+
+// ------------------ Routes --------------------------
+
+// GET /login - The login form, ?next= is where to go afterwards
+router.get('/login', (req, res) => {
+    if (req.user) {
+        return res.redirect(safeNext(req.query.next));
+    }
+    res.render('login', { title: 'Log in', values: { next: req.query.next }, errors: null });
+});
+
+// POST /login - Checking the credentials (with the API's rate limits and lockout) and starting the session
+router.post('/login', limits.loginIpLimit, verifyCsrf, limits.loginAccountLimit, async (req, res) => {
+    const { values, errors } = checkForm(req.body, loginFormSchema);
+    const renderForm = (status, formErrorsFound) => res.status(status).render('login', {
+        title: 'Log in',
+        values: { username: values.username, next: values.next }, // Never the password
+        errors: formErrorsFound
+    });
+    if (errors) {
+        return renderForm(400, errors);
+    }
+
+    let user;
+    try {
+        user = await authenticate({ identifier: values.username, password: values.password });
+    } catch (err) {
+        const failed = formErrors(err);
+        return renderForm(failed.status, failed.errors);
+    }
+
+    await startSession(res, user);
+    rotateCsrf(req, res);
+    res.redirect(303, safeNext(values.next));
+});
+
+// GET /register - The sign up form
+router.get('/register', (req, res) => {
+    if (req.user) {
+        return res.redirect('/trips');
+    }
+    res.render('register', { title: 'Sign up', values: { next: req.query.next }, errors: null });
+});
+
+// POST /register - Creating the account (a verification email is sent) and logging straight in
+router.post('/register', limits.registerLimit, verifyCsrf, async (req, res) => {
+    const { values, errors } = checkForm(req.body, registerFormSchema);
+    const renderForm = (status, formErrorsFound) => res.status(status).render('register', {
+        title: 'Sign up',
+        values: { username: values.username, email: values.email, next: values.next },
+        errors: formErrorsFound
+    });
+    if (errors) {
+        return renderForm(400, errors);
+    }
+
+    let user;
+    try {
+        const { next, ...account } = values;
+        user = await registerUser(account, { log: req.log });
+    } catch (err) {
+        const failed = formErrors(err);
+        return renderForm(failed.status, failed.errors);
+    }
+
+    await startSession(res, user);
+    rotateCsrf(req, res);
+    res.redirect(303, safeNext(values.next));
+});
+
+// POST /logout - Ending the session (a form with the CSRF token, so other sites can't log people out)
+router.post('/logout', verifyCsrf, async (req, res) => {
+    await endSession(req, res);
+    rotateCsrf(req, res);
+    res.redirect(303, '/');
+});
+
+
+// --- Export Router ---
+module.exports = router;
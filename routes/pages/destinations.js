@@ -0,0 +1,114 @@
+// server/routes/pages/destinations.js
+// Destination pages: the stats and reviews of a city, with a form to post (or update) your own review
+const express = require('express');
+const router = express.Router();
+const Review = require('../../models/Review.js');
+const { destinationStats } = require('../../services/destinationService.js');
+const { REVIEW_LIST_OPTIONS, saveReview, listReviews } = require('../../services/reviewService.js');
+const { requirePageAuth } = require('../../middleware/session.js');
+const { verifyCsrf } = require('../../middleware/csrf.js');
+const { parseListQuery } = require('../../utils/listQuery.js');
+const { validate } = require('../../utils/validator.js');
+const { ValidationError } = require('../../errors/index.js');
+const destinationSchemas = require('../../validation/destinations.js');
+const reviewSchemas = require('../../validation/reviews.js');
+const { checkForm, formErrors } = require('./forms.js');
+
+const PAGE_SIZE = 10;
+const SORTS = { newest: '-createdAt', helpful: '-helpful', rating: '-rating' };
+
+// The review form only asks for the rating and comment, the place comes from the URL
+const reviewFormSchema = {
+    properties: {
+        rating: reviewSchemas.createReviewSchema.properties.rating,
+        comment: reviewSchemas.createReviewSchema.properties.comment
+    }
+};
+
+const searchQuery = {
+    properties: {
+        city: { type: 'string', required: true, maxLength: 100, message: 'Please enter a city' },
+        country: { type: 'string', required: true, maxLength: 100, message: 'Please enter a country' }
+    }
+};
+
+const destinationPath = place => `/destinations/${encodeURIComponent(place.country)}/${encodeURIComponent(place.city)}`;
+
+// Everything the destination page shows, `form` is the review form's values and errors
+const renderDestination = async (req, res, { status = 200, form } = {}) => {
+    const { value: params, errors } = validate(req.params, destinationSchemas.destinationParams, { coerce: true });
+    if (errors) {
+        throw new ValidationError(errors);
+    }
+
+    const sort = SORTS[req.query.sort] ? req.query.sort : 'newest';
+    const list = parseListQuery({ limit: PAGE_SIZE, offset: req.query.offset, sort: SORTS[sort] }, REVIEW_LIST_OPTIONS);
+    if (list.error) {
+        throw new ValidationError({ [list.field]: list.error });
+    }
+
+    const { place, stats } = await destinationStats(params);
+    const reviews = await listReviews({ city: place.city, country: place.country }, list);
+
+    // Logged in users see their own review in the form, posting again updates it
+    let ownReview = null;
+    if (req.user) {
+        ownReview = await Review.findByPlace({ user: req.user.id, city: place.city, country: place.country });
+    }
+
+    res.status(status).render('destinations/show', {
+        title: `${place.city}, ${place.country}`,
+        place,
+        path: destinationPath(place),
+        stats,
+        reviews: reviews.data,
+        meta: reviews.meta,
+        sort,
+        offset: list.offset,
+        pageSize: list.limit,
+        ownReview,
+        form: form || {
+            values: ownReview ? { rating: ownReview.rating, comment: ownReview.comment } : {},
+            errors: null
+        }
+    });
+};
+
+
+// ------------------ Routes --------------------------
+
+// GET /destinations?city=&country= - The search form on the home page, redirects to the destination page
+router.get('/destinations', (req, res) => {
+    const { value, errors } = validate(req.query, searchQuery, { coerce: true });
+    if (errors) {
+        return res.status(400).render('index', { title: 'Budget Backpacker Planner', search: req.query, errors });
+    }
+    res.redirect(destinationPath(value));
+});
+
+// GET /destinations/:country/:city - Stats and reviews of a city (?sort=newest|helpful|rating, ?offset=)
+router.get('/destinations/:country/:city', async (req, res) => {
+    await renderDestination(req, res);
+});
+
+// POST /destinations/:country/:city/reviews - Posting the review form, back to the page when it worked
+router.post('/destinations/:country/:city/reviews', requirePageAuth, verifyCsrf, async (req, res) => {
+    const { values, errors } = checkForm(req.body, reviewFormSchema);
+    if (errors) {
+        return renderDestination(req, res, { status: 400, form: { values, errors } });
+    }
+
+    const { city, country } = req.params;
+    try {
+        await saveReview(req.user.id, { city, country, ...values });
+    } catch (err) {
+        const failed = formErrors(err);
+        return renderDestination(req, res, { status: failed.status, form: { values, errors: failed.errors } });
+    }
+
+    res.redirect(303, `/destinations/${encodeURIComponent(country)}/${encodeURIComponent(city)}#my-review`);
+});
+
+
+// --- Export Router ---
+module.exports = router;
@@ -0,0 +1,33 @@
+// server/routes/pages/forms.js
+// Helpers for the page forms: checking posted values with the same request schemas as the API
+// and turning errors from the services into messages shown next to the fields.
+const { validate } = require('../../utils/validator.js');
+const { toAppError } = require('../../middleware/errorHandler.js');
+
+// Form posts are text like query strings, so values are converted the same way ("4" -> 4, "" -> left out)
+// Returns { values, errors }, errors is null or { field: message } with 'form' for the whole form
+const checkForm = (body, schema) => {
+    const { value, errors } = validate(body, schema, { coerce: true });
+    if (!errors) {
+        return { values: value, errors: null };
+    }
+    const { request, ...fields } = errors;
+    return { values: value, errors: request ? { ...fields, form: request } : fields };
+};
+
+// The messages a form can show for an error thrown by a service (taken username, wrong password, locked account...)
+// Anything that isn't the user's mistake is thrown again for the error page.
+const formErrors = (err) => {
+    const appError = toAppError(err);
+    if (!appError || appError.status >= 500) {
+        throw err;
+    }
+    return { status: appError.status, errors: appError.fields || { form: appError.message } };
+};
+
+// Only redirecting to pages of this site after login (?next=/trips/..., never //other-site.com)
+const safeNext = (next, fallback = '/trips') => (
+    typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\') ? next : fallback
+);
+
+module.exports = { checkForm, formErrors, safeNext };
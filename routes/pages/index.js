@@ -0,0 +1,69 @@
+// server/routes/pages/index.js
+// The server-rendered front end (EJS views in views/). Pages log in with a cookie session and
+// post CSRF-protected forms, the data comes from the same services as the /api routers (services/).
+const express = require('express');
+const router = express.Router();
+const { loadSession } = require('../../middleware/session.js');
+const { csrfToken } = require('../../middleware/csrf.js');
+const { toAppError } = require('../../middleware/errorHandler.js');
+const { NotFoundError } = require('../../errors/index.js');
+const { logger } = require('../../utils/logger.js');
+
+// Who is logged in and the form token, for every page
+router.use(loadSession, csrfToken, (req, res, next) => {
+    res.locals.currentUser = req.user || null;
+    next();
+});
+
+
+// ------------------ Routes --------------------------
+
+// GET / - Home page with the destination search
+router.get('/', (req, res) => {
+    res.render('index', { title: 'Budget Backpacker Planner', search: {}, errors: null }); // Renders views/index.ejs
+});
+
+router.use(require('./auth.js'));
+router.use(require('./trips.js'));
+router.use(require('./destinations.js'));
+router.use(require('./profile.js'));
+router.use(require('./account.js'));
+
+
+// --- Error Handling ---
+// The pages answer with HTML: a 404 page for unknown paths, the login page when a session is needed,
+// and an error page with the message for everything else (details of unexpected errors stay in the log)
+router.use((req, res, next) => {
+    next(new NotFoundError('Page not found.'));
+});
+
+router.use((err, req, res, next) => {
+    const log = req.log || logger;
+    const appError = toAppError(err);
+
+    if (res.headersSent) {
+        log.error('Error after response was sent', { err });
+        return next(err);
+    }
+    if (!appError) {
+        log.error('Unhandled error', { err, method: req.method, path: req.originalUrl });
+    }
+    if (appError && appError.status === 401) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    if (appError && appError.retryAfter) {
+        res.set('Retry-After', String(appError.retryAfter));
+    }
+
+    const status = appError ? appError.status : 500;
+    res.status(status).render('error', {
+        title: status === 404 ? 'Not found' : 'Something went wrong',
+        status,
+        message: appError ? appError.message : 'Something went wrong on our side, please try again later.',
+        requestId: req.id
+    });
+});
+
+
+// --- Export Router ---
+module.exports = router;
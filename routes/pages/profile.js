@@ -0,0 +1,85 @@
+// server/routes/pages/profile.js
+// The profile page: account details, home currency and password (logged in users only)
+const express = require('express');
+const router = express.Router();
+const { getUser, updateProfile, changePassword } = require('../../services/userService.js');
+const { requirePageAuth, startSession, endSession } = require('../../middleware/session.js');
+const { verifyCsrf } = require('../../middleware/csrf.js');
+const { getRates } = require('../../utils/currency.js');
+const userSchemas = require('../../validation/users.js');
+const { checkForm, formErrors } = require('./forms.js');
+
+// Messages after a redirect (?saved=profile)
+const NOTICES = {
+    profile: 'Your profile was saved.',
+    password: 'Your password was changed. Other devices have been logged out.'
+};
+
+router.use('/profile', requirePageAuth);
+
+// The page with both forms, `profileForm`/`passwordForm` carry the values and errors of a failed post
+const renderProfile = async (req, res, { status = 200, profileForm, passwordForm } = {}) => {
+    const user = await getUser(req.user.id);
+
+    res.status(status).render('profile', {
+        title: 'Profile',
+        user,
+        currencies: Object.keys(getRates().rates).sort(),
+        notice: NOTICES[req.query.saved] || null,
+        profileForm: profileForm || {
+            values: { username: user.username, email: user.email, homeCurrency: user.homeCurrency },
+            errors: null
+        },
+        passwordForm: passwordForm || { errors: null }
+    });
+};
+
+
+// ------------------ Routes --------------------------
+
+// GET /profile
+router.get('/profile', async (req, res) => {
+    await renderProfile(req, res);
+});
+
+// POST /profile - Username, email and home currency, a new email gets a verification link
+router.post('/profile', verifyCsrf, async (req, res) => {
+    const { values, errors } = checkForm(req.body, userSchemas.updateProfileSchema);
+    if (errors) {
+        return renderProfile(req, res, { status: 400, profileForm: { values: { ...req.body, ...values }, errors } });
+    }
+
+    try {
+        await updateProfile(req.user.id, values, { log: req.log });
+    } catch (err) {
+        const failed = formErrors(err);
+        return renderProfile(req, res, { status: failed.status, profileForm: { values, errors: failed.errors } });
+    }
+
+    res.redirect(303, '/profile?saved=profile');
+});
+
+// POST /profile/password - Changing the password ends every other session,
+// this browser gets a new one so the user stays logged in
+router.post('/profile/password', verifyCsrf, async (req, res) => {
+    const { values, errors } = checkForm(req.body, userSchemas.changePasswordSchema);
+    if (errors) {
+        return renderProfile(req, res, { status: 400, passwordForm: { errors } });
+    }
+
+    let user;
+    try {
+        user = await changePassword(req.user.id, values);
+    } catch (err) {
+        const failed = formErrors(err);
+        return renderProfile(req, res, { status: failed.status, passwordForm: { errors: failed.errors } });
+    }
+
+    await endSession(req, res);
+    await startSession(res, user);
+    res.redirect(303, '/profile?saved=password');
+});
+
+
+// --- Export Router ---
+module.exports = router;
@@ -0,0 +1,69 @@
+// server/routes/pages/trips.js
+// The "my saved trips" dashboard and the trip detail page (logged in users only)
+const express = require('express');
+const router = express.Router();
+const Image = require('../../models/Image.js');
+const { TRIP_LIST_OPTIONS, listTrips, findTrip, tripBudget } = require('../../services/tripService.js');
+const { hasTripPermission } = require('../../middleware/tripAccess.js');
+const { requirePageAuth } = require('../../middleware/session.js');
+const { buildItinerary } = require('../../utils/itinerary.js');
+const { parseListQuery } = require('../../utils/listQuery.js');
+const { validate } = require('../../utils/validator.js');
+const { ValidationError } = require('../../errors/index.js');
+const tripSchemas = require('../../validation/savedTrips.js');
+
+const PAGE_SIZE = 12;
+
+router.use('/trips', requirePageAuth);
+
+
+// ------------------ Routes --------------------------
+
+// GET /trips - The user's own and shared trips, newest first (?scope=owned|shared, ?offset= for the next pages)
+router.get('/trips', async (req, res) => {
+    const { value: query, errors } = validate(req.query, tripSchemas.listTripsQuery, { coerce: true });
+    if (errors) {
+        throw new ValidationError(errors);
+    }
+
+    const list = parseListQuery({ limit: PAGE_SIZE, ...query }, TRIP_LIST_OPTIONS);
+    if (list.error) {
+        throw new ValidationError({ [list.field]: list.error });
+    }
+
+    const scope = query.scope || 'all';
+    const result = await listTrips(req.user.id, { scope, list });
+
+    res.render('trips/index', {
+        title: 'My saved trips',
+        trips: result.data,
+        meta: result.meta,
+        scope,
+        offset: list.offset,
+        pageSize: list.limit
+    });
+});
+
+// GET /trips/:id - One trip with its stops, day by day itinerary, budget and pictures
+router.get('/trips/:id', async (req, res) => {
+    const trip = await findTrip(req.user, req.params.id, 'view');
+
+    const [budget, images] = await Promise.all([
+        tripBudget(trip, { userId: req.user.id }),
+        Image.find({ trip: trip._id }).sort({ createdAt: 1 })
+    ]);
+
+    res.render('trips/show', {
+        title: trip.title || trip.stops.map(stop => stop.city).join(', '),
+        trip,
+        itinerary: buildItinerary(trip),
+        budget,
+        images,
+        role: trip.roleOf(req.user.id),
+        canEdit: hasTripPermission(req.user, trip, 'edit')
+    });
+});
+
+
+// --- Export Router ---
+module.exports = router;
@@ -0,0 +1,98 @@
+// server/routes/reviewReplies.js
+// Mounted by reviews.js at /api/reviews/:id/replies (mergeParams gives us the review :id)
+// Anyone logged in can reply to a visible review or to another reply, replies from the
+// review's author are marked with byReviewAuthor.
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Review = require('../models/Review.js');
+const ReviewReply = require('../models/ReviewReply.js');
+const { requireAuth, optionalAuth } = require('../middleware/auth.js');
+const { isOwnerOrStaff, forbidden } = require('../middleware/authorize.js');
+const { addReply, removeReply } = require('../utils/reviewResponses.js');
+const { ValidationError, NotFoundError } = require('../errors/index.js');
+const { validateRequest } = require('../middleware/validate.js');
+const { idParams } = require('../validation/common.js');
+const schemas = require('../validation/reviews.js');
+
+
+const replyParams = validateRequest({ params: idParams('replyId') });
+
+const findReview = async (req) => {
+    const review = await Review.findVisible(req.params.id);
+    if (!review) {
+        throw new NotFoundError('Review not found.');
+    }
+    return review;
+};
+
+// Finding a (not deleted) reply of the review in the URL, or throwing a 404
+const findReply = async (req) => {
+    const reply = await ReviewReply.findOne({ _id: req.params.replyId, review: req.params.id, deleted: false });
+    if (!reply) {
+        throw new NotFoundError('Reply not found.');
+    }
+    return reply;
+};
+
+
+// ------------------ Routes --------------------------
+
+// GET /api/reviews/:id/replies - Every reply as a thread, oldest first on each level
+router.get('/', optionalAuth, async (req, res) => {
+    const review = await findReview(req);
+
+    const replies = await ReviewReply.find({ review: review._id })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate('user', 'username _id');
+
+    res.status(200).json({ replyCount: review.replyCount, replies: ReviewReply.toThread(replies) });
+});
+
+// POST /api/reviews/:id/replies - Reply to the review, or to another reply with { parentId }
+router.post('/', requireAuth, validateRequest({ body: schemas.createReplySchema }), async (req, res) => {
+    const review = await findReview(req);
+    const { comment, parentId } = req.body;
+
+    if (parentId) {
+        const parent = await ReviewReply.findOne({ _id: parentId, review: review._id, deleted: false });
+        if (!parent) {
+            throw new ValidationError({ parentId: 'The reply you are answering does not exist.' });
+        }
+    }
+
+    const reply = await addReply(review, { userId: req.user.id, comment, parentId });
+    await reply.populate('user', 'username _id');
+
+    res.status(201).json(reply);
+});
+
+// PATCH /api/reviews/:id/replies/:replyId - Edit a reply (its author only)
+router.patch('/:replyId', requireAuth, replyParams, validateRequest({ body: schemas.updateReplySchema }), async (req, res) => {
+    const reply = await findReply(req);
+    if (!reply.user.equals(req.user.id)) {
+        throw forbidden('update', 'reply');
+    }
+
+    reply.comment = req.body.comment;
+    reply.updatedAt = new Date();
+    await reply.save();
+    await reply.populate('user', 'username _id');
+
+    res.status(200).json(reply);
+});
+
+// DELETE /api/reviews/:id/replies/:replyId - Delete a reply (its author or moderator/admin)
+router.delete('/:replyId', requireAuth, replyParams, async (req, res) => {
+    const reply = await findReply(req);
+    if (!isOwnerOrStaff(req.user, reply.user)) {
+        throw forbidden('delete', 'reply');
+    }
+
+    await removeReply(reply);
+
+    res.status(200).json({ message: 'Reply deleted successfully.' });
+});
+
+
+// --- Export Router ---
+module.exports = router;
@@ -2,249 +2,286 @@
 const express = require('express');
 const router = express.Router();
 const Review = require('../models/Review.js');
-const User = require('../models/User.js');
-const mongoose = require('mongoose');
-
-
+const ReviewReport = require('../models/ReviewReport.js');
+const Image = require('../models/Image.js');
+const { requireAuth, optionalAuth } = require('../middleware/auth.js');
+const { authorizeOwner, isOwnerOrStaff } = require('../middleware/authorize.js');
+const { parseListQuery } = require('../utils/listQuery.js');
+const { toNearSearch, toBoundingBox, geoNearPipeline, withDistance } = require('../utils/geo.js');
+const { moderateReview } = require('../utils/moderation.js');
+const { castVote } = require('../utils/reviewResponses.js');
+const { saveImage, removeImages } = require('../utils/images.js');
+const { uploadImage } = require('../middleware/upload.js');
+const { ValidationError, BadRequestError, ConflictError, NotFoundError } = require('../errors/index.js');
+const { validateRequest } = require('../middleware/validate.js');
+const { sendVersioned, checkIfMatch } = require('../middleware/conditional.js');
+const { idParams, nearQuery, withinQuery } = require('../validation/common.js');
+const schemas = require('../validation/reviews.js');
+const { REVIEW_LIST_OPTIONS, voteLabel, saveReview, listReviews, deleteReview } = require('../services/reviewService.js');
+const { purgeDateOf } = require('../services/trashService.js');
+const repliesRouter = require('./reviewReplies.js');
+
+
+// Checking the review ID in the URL
+const reviewParams = validateRequest({ params: idParams('id') });
+const imageParams = validateRequest({ params: idParams('id', 'imageId') });
+
+const MAX_REVIEW_IMAGES = 4;
+
+// Only the author edits a review, moderators act through /api/moderation so their changes are logged
+const isAuthor = (user, review) => review.user.equals(user.id);
+
+// Loading a visible review for votes, reports and replies, or throwing a 404
+const findVisibleReview = async (id) => {
+    const review = await Review.findVisible(id);
+    if (!review) {
+        throw new NotFoundError('Review not found.');
+    }
+    return review;
+};
+
+// The vote counts as the client sees them, myVote is 'helpful', 'unhelpful' or null
+const toVoteSummary = (review, value) => ({
+    helpfulCount: review.helpfulCount,
+    unhelpfulCount: review.unhelpfulCount,
+    myVote: voteLabel(value)
+});
 
 
 // ----------------- Routes ---------------
 
 // POST /api/reviews - Create a new review
-router.post('/', async (req, res) => {
-    // Destructure required fields from request body
-    // temporarily using userId until proper authentication is added later
-    const { userId, city, country, rating, comment } = req.body;
-
-    // Basic Validation to check required fields.
-    if (!userId || !city || !country || rating === undefined) {
-        return res.status(400).json({ message: 'Missing required fields: userId, city, country, rating are required.' });
-    }
+// Users have one review per city/country: posting again for the same place updates it (200 instead of 201)
+router.post('/', requireAuth, validateRequest({ body: schemas.createReviewSchema }), async (req, res) => {
+    // The author is the logged in user, the place is matched with the catalog (see services/reviewService.js)
+    const { review, created } = await saveReview(req.user.id, req.body);
 
-    // Validating userId format
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-        return res.status(400).json({ message: 'Invalid User ID format.' });
-    }
+    res.status(created ? 201 : 200).json(review); // Sending back the created or updated review with user info
+});
 
-    // Validating rating range 
-    if (typeof rating !== 'number' || rating < 1 || rating > 5) {
-        return res.status(400).json({ message: 'Rating must be a number between 1 and 5.' });
+// GET /api/reviews - Get reviews, filtered by location (city/country or destinationId)
+// Supports ?limit, ?offset or ?cursor, ?sort (e.g. ?sort=-helpful) and ?fields (see utils/listQuery.js)
+// Vote and reply counts are stored on each review, logged in users also get their own vote as myVote
+router.get('/', optionalAuth, validateRequest({ query: schemas.listReviewsQuery }), async (req, res) => {
+    const list = parseListQuery(req.validated.query, REVIEW_LIST_OPTIONS);
+    if (list.error) {
+        throw new ValidationError({ [list.field]: list.error });
     }
 
-    try {
-        // Checking if user exists
-        const userExists = await User.findById(userId);
-        if (!userExists) {
-            return res.status(404).json({ message: 'User not found.' });
-        }
+    // Finding a page of visible reviews matching the filters (at least one, checked by listReviewsQuery),
+    // newest first by default
+    const result = await listReviews(req.validated.query, list, { viewer: req.user });
 
-        // Creating a new Review document
-        const newReview = new Review({
-            user: userId,
-            city,
-            country,
-            rating,
-            comment
-        });
-
-        // Save the review to trigger Mongoose validation
-        const savedReview = await newReview.save();
-
-        // Populating user info before sending response 
-        // Selecting only username and id to avoid sending sensitive info.
-        const reviewWithOwner = await Review.findById(savedReview._id).populate('user', 'username _id');
-
-        res.status(201).json(reviewWithOwner); // Sending back the created review with user info
-
-    } catch (err) {
-        // Handling potential errors like Mongoose validation and DB connection.
-        if (err.name === 'ValidationError') {
-            let errors = {};
-            Object.keys(err.errors).forEach((key) => {
-                errors[key] = err.errors[key].message;
-            });
-            return res.status(400).json({ message: 'Validation Error saving review', errors: errors });
-        }
-        console.error("Error saving review:", err.message);
-        res.status(500).json({ message: 'Server error while saving review.' });
-    }
+    res.status(200).json(result); // Sending the found reviews with paging info
 });
 
-// GET /api/reviews - Get reviews, filtered by location (city/country)
-router.get('/', async (req, res) => {
-    const { city, country, userId } = req.query; // Allows filtering by city/country or userId
 
-    // Building the filter object dynamically based on query parameters
-    let filter = {};
-    if (city) {
-        // Case-insensitive search using regex
-        filter.city = new RegExp(`^${city}$`, 'i'); // Exact match but case-insensitive
-    }
-    if (country) {
-        filter.country = new RegExp(`^${country}$`, 'i'); // Exact match but case-insensitive
-    }
-    if (userId) {
-        if (!mongoose.Types.ObjectId.isValid(userId)) {
-            return res.status(400).json({ message: 'Invalid User ID format provided for filtering.' });
-        }
-        filter.user = userId;
-    }
+// GET /api/reviews/near - Reviews within ?km= of ?lat=&lon=, closest first
+router.get('/near', validateRequest({ query: nearQuery }), async (req, res) => {
+    const near = toNearSearch(req.validated.query);
 
-    // Checking if at least one valid filter criteria was provided
-    if (Object.keys(filter).length === 0) {
-        // Return error - force client to provide filter
-        return res.status(400).json({ message: 'Please provide filter criteria (e.g., city and country, or userId).' });
-    }
+    const results = await Review.aggregate(geoNearPipeline({
+        key: 'location',
+        point: near.point,
+        maxDistanceMeters: near.maxDistanceMeters,
+        query: Review.visibleFilter(),
+        limit: near.limit
+    }));
+
+    const reviews = withDistance(Review, results);
+    await Review.populate(reviews, { path: 'user', select: 'username _id' });
 
+    res.status(200).json(reviews);
+});
 
-    try {
-        // Finding reviews matching the filter
-        // Populating the 'user' field, selecting only 'username' and 'id'
-        const reviews = await Review.find(filter)
-            .populate('user', 'username _id') // Get associated user's username
-            .sort({ createdAt: -1 }); // Sorting by newest reviews first
+// GET /api/reviews/within - Reviews inside a map ?bbox=west,south,east,north, closest to its center first
+router.get('/within', validateRequest({ query: withinQuery }), async (req, res) => {
+    const box = toBoundingBox(req.validated.query);
 
-        res.status(200).json(reviews); // Sending the found reviews
+    const results = await Review.aggregate(geoNearPipeline({
+        key: 'location',
+        point: box.center,
+        query: { location: { $geoWithin: { $geometry: box.polygon } }, ...Review.visibleFilter() },
+        limit: box.limit
+    }));
 
-    } catch (err) {
-        console.error("Error fetching reviews:", err.message);
-        res.status(500).json({ message: 'Server error while fetching reviews.' });
-    }
+    const reviews = withDistance(Review, results);
+    await Review.populate(reviews, { path: 'user', select: 'username _id' });
+
+    res.status(200).json(reviews);
 });
 
 
 // GET /api/reviews/:id - Get a single review by its ID
-router.get('/:id', async (req, res) => {
-    const { id } = req.params; // Getting review ID from URL
+// A hidden review is only shown to its author and to moderators/admins
+// Sends an ETag, If-None-Match with the current one gets a 304 (see middleware/conditional.js)
+router.get('/:id', optionalAuth, reviewParams, async (req, res) => {
+    const { id } = req.params; // Getting review ID from URL, format checked by reviewParams
 
-    // Validating ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ message: 'Invalid Review ID format.' });
+    // Finding review by ID to populate user info
+    const review = await Review.findById(id).populate('user', 'username _id');
+
+    // Checking if review exists (and can be seen by this user)
+    if (!review || (review.status === 'hidden' && !isOwnerOrStaff(req.user, review.user?._id))) {
+        throw new NotFoundError('Review not found.');
     }
 
-    try {
-        // Finding review by ID to populate user info
-        const review = await Review.findById(id).populate('user', 'username _id');
+    sendVersioned(res, review); // Send the found review
+});
 
-        // Checking if review exists
-        if (!review) {
-            return res.status(404).json({ message: 'Review not found.' });
+// PATCH /api/reviews/:id - Update a review (author only)
+// With If-Match the update only goes through if the review is still at that ETag's version (412 otherwise)
+router.patch('/:id', requireAuth, reviewParams, validateRequest({ body: schemas.updateReviewSchema }), authorizeOwner(Review, { name: 'review', action: 'update', allow: isAuthor }), checkIfMatch, async (req, res) => {
+    const { rating, comment } = req.body; // Only rating and comment, checked by updateReviewSchema
+
+    // authorizeOwner already loaded the review and checked ownership,
+    // applying the updates while keeping the previous version in the history.
+    // The version in the filter keeps an edit made in the meantime from being overwritten.
+    const { _id, __v } = req.resource;
+    const updatedReview = await Review.revise({ _id, __v }, { rating, comment });
+    if (!updatedReview) {
+        if (await Review.exists({ _id })) {
+            throw new ConflictError('This was changed by someone else in the meantime, reload it and try again.');
         }
+        throw new NotFoundError('Review not found.'); // Deleted in the meantime
+    }
 
-        res.status(200).json(review); // Send the found review
+    // Populating user info again after update
+    const finalReview = await Review.findById(updatedReview._id).populate('user', 'username _id');
 
-    } catch (err) {
-        console.error("Error fetching single review:", err.message);
-        res.status(500).json({ message: 'Server error while fetching review.' });
-    }
+
+    sendVersioned(res, finalReview); // Sending back the updated review with its new ETag
 });
 
-// PATCH /api/reviews/:id - Update a review
-// IMPORTANT: route needs ownership check in the real app version to authorize changes for reviews!
-router.patch('/:id', async (req, res) => {
-    const { id } = req.params; // Get review ID from URL
-    const updates = req.body; // Get fields to update like rating and comments
 
-    // Validating ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ message: 'Invalid Review ID format.' });
-    }
+// GET /api/reviews/:id/revisions - The current version and the earlier ones, newest first (author or moderator/admin)
+router.get('/:id/revisions', requireAuth, reviewParams, authorizeOwner(Review, { name: 'review', action: 'view the history of' }), async (req, res) => {
+    const review = await Review.findById(req.resource._id).select('+revisions');
 
-    //  only allow updating ratings and comments
-    const allowedUpdates = ['rating', 'comment'];
-    const requestedUpdates = Object.keys(updates);
-    const isValidOperation = requestedUpdates.every(update => allowedUpdates.includes(update));
+    res.status(200).json({
+        current: { rating: review.rating, comment: review.comment, createdAt: review.updatedAt || review.createdAt },
+        revisions: [...review.revisions].reverse()
+    });
+});
 
-    if (!isValidOperation) {
-         const invalidFields = requestedUpdates.filter(update => !allowedUpdates.includes(update));
-         return res.status(400).json({ error: `Invalid updates attempted! Only the following fields can be updated: ${allowedUpdates.join(', ')}. Cannot update: ${invalidFields.join(', ')}` });
-    }
-   
 
-    // Validate ratings if it's being updated
-    if (updates.rating !== undefined && (typeof updates.rating !== 'number' || updates.rating < 1 || updates.rating > 5)) {
-        return res.status(400).json({ message: 'Rating must be a number between 1 and 5.' });
+// DELETE /api/reviews/:id - Delete a review (author or moderator/admin)
+// Authors move their review to the trash (restore with POST /api/reviews/:id/restore).
+// Moderators deleting someone else's review give a { reason }, the deletion is permanent and logged
+// like DELETE /api/moderation/reviews/:id
+router.delete('/:id', requireAuth, reviewParams, validateRequest({ body: schemas.deleteReviewSchema }), authorizeOwner(Review, { name: 'review', action: 'delete' }), checkIfMatch, async (req, res) => {
+    const review = req.resource; // loaded by authorizeOwner
+
+    if (!isAuthor(req.user, review)) {
+        if (!req.body.reason) {
+            throw new ValidationError({ reason: 'Please give a reason for deleting another user\'s review.' });
+        }
+        await moderateReview({ review, action: 'delete', moderatorId: req.user.id, reason: req.body.reason });
+        return res.status(200).json({ message: 'Review deleted successfully.' });
     }
 
+    // The author's own deletion goes to their trash, reports, votes, replies and pictures are kept until the purge
+    await deleteReview(review);
 
-    try {
-        // Finding the review by ID
-        // We need to find it first to potentially check ownership later
-        const review = await Review.findById(id);
+    res.status(200).json({ message: 'Review moved to the trash.', purgeAt: purgeDateOf(review) });
+});
 
-        if (!review) {
-            return res.status(404).json({ message: 'Review not found.' });
-        }
+// POST /api/reviews/:id/restore - Bring the author's review back from the trash
+router.post('/:id/restore', requireAuth, reviewParams, authorizeOwner(Review, { name: 'review', action: 'restore', allow: isAuthor, trashed: true }), async (req, res) => {
+    const review = await req.resource.restore();
+    await review.populate('user', 'username _id');
 
-        //  Account OWNERSHIP CHECK 
-         const loggedInUserId = req.user.id;
-        if (review.user.toString() !== loggedInUserId) {
-            return res.status(403).json({ message: 'User not authorized to update this review.' });
-         }
+    res.status(200).json(review);
+});
+
+
+// POST /api/reviews/:id/reports - Report a review to the moderators
+router.post('/:id/reports', requireAuth, reviewParams, validateRequest({ body: schemas.reportReviewSchema }), async (req, res) => {
+    const review = await findVisibleReview(req.params.id);
+    if (isAuthor(req.user, review)) {
+        throw new BadRequestError('You cannot report your own review.');
+    }
 
+    // One report per user and review (unique index), a second one is a 409
+    const existing = await ReviewReport.exists({ review: review._id, reporter: req.user.id });
+    if (existing) {
+        throw new ConflictError('You already reported this review.');
+    }
 
-        // Applying updates and save 
-        Object.keys(updates).forEach(updateKey => {
-            review[updateKey] = updates[updateKey];
-        });
-        const updatedReview = await review.save(); 
+    const report = await ReviewReport.create({
+        review: review._id,
+        reporter: req.user.id,
+        reason: req.body.reason,
+        details: req.body.details
+    });
 
-        // Populating user info again after update
-        const finalReview = await Review.findById(updatedReview._id).populate('user', 'username _id');
+    // Putting the review in the moderation queue
+    await Review.updateOne({ _id: review._id }, { $set: { flagged: true }, $inc: { reportCount: 1 } });
 
+    res.status(201).json(report);
+});
 
-        res.status(200).json(finalReview); // Sending back the updated review
 
-    } catch (err) {
-        // Handling potential errors like Validation and DB connection.
-         if (err.name === 'ValidationError') {
-             let errors = {};
-             Object.keys(err.errors).forEach((key) => {
-                 errors[key] = err.errors[key].message;
-             });
-             return res.status(400).json({ message: 'Validation Error updating review', errors: errors });
-         }
-        console.error("Error updating review:", err.message);
-        res.status(500).json({ message: 'Server error while updating review.' });
+// PUT /api/reviews/:id/vote - Mark a review as helpful ({ helpful: true }) or not ({ helpful: false })
+// Voting again changes the vote, there is only ever one per user (unique index on ReviewVote)
+router.put('/:id/vote', requireAuth, reviewParams, validateRequest({ body: schemas.voteSchema }), async (req, res) => {
+    const review = await findVisibleReview(req.params.id);
+    if (isAuthor(req.user, review)) {
+        throw new BadRequestError('You cannot vote on your own review.');
     }
+
+    const value = req.body.helpful ? 1 : -1;
+    const updated = await castVote(review._id, req.user.id, value);
+
+    res.status(200).json(toVoteSummary(updated, value));
 });
 
+// DELETE /api/reviews/:id/vote - Take back a vote
+router.delete('/:id/vote', requireAuth, reviewParams, async (req, res) => {
+    const review = await findVisibleReview(req.params.id);
+    const updated = await castVote(review._id, req.user.id, null);
 
-// DELETE /api/reviews/:id - Delete a review
-router.delete('/:id', async (req, res) => {
-    const { id } = req.params; // Getting review ID from URL
+    res.status(200).json(toVoteSummary(updated, null));
+});
 
-    // Validating ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ message: 'Invalid Review ID format.' });
-    }
 
-    try {
-        // Finding the review first to check user's account ownership before deleting it.
-        const review = await Review.findById(id);
+// GET /api/reviews/:id/images - The review's pictures, served by /api/images/:id
+router.get('/:id/images', reviewParams, async (req, res) => {
+    const review = await findVisibleReview(req.params.id);
+    const images = await Image.find({ review: review._id }).sort({ createdAt: 1 });
 
-        if (!review) {
-            return res.status(404).json({ message: 'Review not found.' });
-        }
+    res.status(200).json(images);
+});
 
-        // checking first if account belongs to user before authorazing the deletion of a review.
-        // const loggedInUserId = req.user.id; 
-        // if (review.user.toString() !== loggedInUserId) {
-        //     return res.status(403).json({ message: 'User not authorized to delete this review.' });
-        // }
+// POST /api/reviews/:id/images - Add a picture to a review (author only, multipart/form-data with an `image` file)
+router.post('/:id/images', requireAuth, reviewParams, authorizeOwner(Review, { name: 'review', action: 'update', allow: isAuthor }), uploadImage, async (req, res) => {
+    const review = req.resource;
 
-        // deleting the review
-        await Review.findByIdAndDelete(id);
+    const count = await Image.countDocuments({ review: review._id });
+    if (count >= MAX_REVIEW_IMAGES) {
+        throw new BadRequestError(`A review can have up to ${MAX_REVIEW_IMAGES} images. Delete one first.`);
+    }
+
+    const image = await saveImage({ file: req.file, owner: req.user.id, target: { review: review._id } });
 
-        res.status(200).json({ message: 'Review deleted successfully.' }); // Send success message
+    res.status(201).json(image);
+});
 
-    } catch (err) {
-        console.error("Error deleting review:", err.message);
-        res.status(500).json({ message: 'Server error while deleting review.' });
+// DELETE /api/reviews/:id/images/:imageId - Remove a picture (author or moderator/admin)
+router.delete('/:id/images/:imageId', requireAuth, imageParams, authorizeOwner(Review, { name: 'review', action: 'update' }), async (req, res) => {
+    const removed = await removeImages({ _id: req.params.imageId, review: req.resource._id });
+    if (removed === 0) {
+        throw new NotFoundError('Image not found.');
     }
+
+    res.status(200).json({ message: 'Image deleted.' });
 });
 
 
+// Threaded replies: /api/reviews/:id/replies (see reviewReplies.js)
+router.use('/:id/replies', reviewParams, repliesRouter);
+
+
 
 // --- Export Router ---
 module.exports = router;
\ No newline at end of file
@@ -2,193 +2,311 @@
 const express = require('express');
 const router = express.Router();
 const SavedTrip = require('../models/SavedTrip.js');
-const User = require('../models/User.js'); // Requires to verify if user exists
-const mongoose = require('mongoose'); // Required for validating ObjectId
-
+const { requireAuth } = require('../middleware/auth.js');
+const { canViewTrip, canEditTrip, canManageTrip, canRestoreTrip } = require('../middleware/tripAccess.js');
+const { buildItinerary } = require('../utils/itinerary.js');
+const { tripToGpx } = require('../utils/gpx.js');
+const { BadRequestError, ValidationError, NotFoundError } = require('../errors/index.js');
+const { parseListQuery } = require('../utils/listQuery.js');
+const { toNearSearch, toBoundingBox, geoNearPipeline, withDistance } = require('../utils/geo.js');
+const { validateRequest } = require('../middleware/validate.js');
+const { sendVersioned, checkIfMatch } = require('../middleware/conditional.js');
+const { idParams, nearQuery, withinQuery } = require('../validation/common.js');
+const schemas = require('../validation/savedTrips.js');
+const {
+    TRIP_LIST_OPTIONS, listTrips, tripBudget, listInvitations, answerInvitation, deleteTrip
+} = require('../services/tripService.js');
+const { purgeDateOf } = require('../services/trashService.js');
+const expensesRouter = require('./expenses.js');
+const membersRouter = require('./tripMembers.js');
+const imagesRouter = require('./tripImages.js');
+
+
+// Every saved trip route needs a logged in user, the owner comes from req.user
+router.use(requireAuth);
+
+// ------------------ Helpers -------------------------
+
+// Checking the IDs in the URL before anything is loaded
+const tripParams = validateRequest({ params: idParams('id') });
+const stopParams = validateRequest({ params: idParams('id', 'stopId') });
+
+// A stop from the request body: a picked destinationId becomes the stop's `destination`,
+// the model copies the city, country and coordinates from the catalog (models/schemas/destinationLink.js)
+const toStop = ({ destinationId, ...stop }) => (destinationId ? { ...stop, destination: destinationId } : stop);
 
 
 // ------------------ Routes --------------------------
 
 // POST /api/savedtrips - Save a new trip for a user
-router.post('/', async (req, res) => {
-    // Destructuring trip details AND the userId from request body
-    //For now, we'll require the userId to be passed in the request body to implement CRUD Logic. 
-    const { userId, city, country, price, lat, lon, imagePath, notes } = req.body;
-
-    // Basic Validation to check required fields
-    if (!userId || !city || !country || price === undefined || lat === undefined || lon === undefined) {
-        return res.status(400).json({ message: 'Missing required fields: userId, city, country, price, lat, lon are required.' });
-    }
+// Accepts an ordered `stops` array, or the older single-city body (city, country, lat, lon)
+router.post('/', validateRequest({ body: schemas.createTripSchema }), async (req, res) => {
+    // Destructuring trip details from request body, the owner is the logged in user
+    const { title, stops, city, country, price, lat, lon, notes } = req.body;
+
+    // A single-city trip is just a trip with one stop
+    const tripStops = stops ? stops.map(toStop) : [{ city, country, lat, lon }];
+
+    // Creating a new SavedTrip document
+    const newSavedTrip = new SavedTrip({
+        user: req.user.id, // Linking the trip to the logged in user
+        title,
+        stops: tripStops,
+        price,
+        notes      // Okay if undefined/null
+    });
+
+    // Saving the trip to the database (triggers Mongoose validation)
+    const savedTrip = await newSavedTrip.save();
+
+    // Sending success response with the saved trip data
+    res.status(201).json(savedTrip);
+});
 
-    // Validating if userId is a valid MongoDB ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-        return res.status(400).json({ message: 'Invalid User ID format.' });
+//  GET /api/savedtrips - Get the trips saved by the logged in user and the trips shared with them
+// Supports ?scope=owned|shared|all, ?limit, ?offset or ?cursor, ?sort and ?fields (see utils/listQuery.js)
+router.get('/', validateRequest({ query: schemas.listTripsQuery }), async (req, res) => {
+    const list = parseListQuery(req.validated.query, TRIP_LIST_OPTIONS);
+    if (list.error) {
+        throw new ValidationError({ [list.field]: list.error });
     }
 
-    try {
-        // Checking if the user exists
-        const userExists = await User.findById(userId);
-        if (!userExists) {
-            return res.status(404).json({ message: 'User not found.' });
-        }
-
-        // Creating a new SavedTrip document
-        const newSavedTrip = new SavedTrip({
-            user: userId, // Linking the trip to the user
-            city,
-            country,
-            price,
-            lat,
-            lon,
-            imagePath, // Okay if undefined/null
-            notes      // Okay if undefined/null
-        });
-
-        // Saving the trip to the database (triggers Mongoose validation)
-        const savedTrip = await newSavedTrip.save();
-
-        // Sending success response with the saved trip data
-        res.status(201).json(savedTrip);
-
-    } catch (err) {
-        // Handling potential errors (Mongoose validation and DB connection)
-        if (err.name === 'ValidationError') {
-            let errors = {};
-            Object.keys(err.errors).forEach((key) => {
-                errors[key] = err.errors[key].message;
-            });
-            return res.status(400).json({ message: 'Error saving trip', errors: errors });
-        }
-        console.error("Error saving trip:", err.message);
-        res.status(500).json({ message: 'Server error while saving trip.' });
-    }
+    // Finding the trips the logged in user owns or is a member of, newest first by default
+    const result = await listTrips(req.user.id, { scope: req.validated.query.scope, list });
+
+    // Sending the page of trips (data is an empty array if none found) with paging info
+    res.status(200).json(result);
 });
 
-//  GET /api/savedtrips - Get all trips saved by a specific user
-router.get('/', async (req, res) => {
-    const { userId } = req.query; // Get userId from query string
+// GET /api/savedtrips/near - The user's (and shared) trips with a stop within ?km= of ?lat=&lon=, closest first
+router.get('/near', validateRequest({ query: nearQuery }), async (req, res) => {
+    const near = toNearSearch(req.validated.query);
 
-    // Checking if userId was provided
-    if (!userId) {
-        return res.status(400).json({ message: 'User ID query parameter is required.' });
-    }
+    const results = await SavedTrip.aggregate(geoNearPipeline({
+        key: 'stops.location',
+        point: near.point,
+        maxDistanceMeters: near.maxDistanceMeters,
+        query: SavedTrip.accessibleBy(req.user.id),
+        limit: near.limit
+    }));
 
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-        return res.status(400).json({ message: 'Invalid User ID format.' });
-    }
+    res.status(200).json(withDistance(SavedTrip, results));
+});
 
-    try {
-        // Finding all trips where the user field matches the provided userId
-        const trips = await SavedTrip.find({ user: userId })
-            .sort({ savedAt: -1 }); //  Sorting by newest first
+// GET /api/savedtrips/within - The user's (and shared) trips with a stop inside ?bbox=west,south,east,north
+router.get('/within', validateRequest({ query: withinQuery }), async (req, res) => {
+    const box = toBoundingBox(req.validated.query);
+
+    const results = await SavedTrip.aggregate(geoNearPipeline({
+        key: 'stops.location',
+        point: box.center, // Sorting by distance from the middle of the map
+        query: {
+            ...SavedTrip.accessibleBy(req.user.id),
+            'stops.location': { $geoWithin: { $geometry: box.polygon } }
+        },
+        limit: box.limit
+    }));
+
+    res.status(200).json(withDistance(SavedTrip, results));
+});
 
-        // Sending the found trips (will be an empty array if none found)
-        res.status(200).json(trips);
 
-    } catch (err) {
-        // Handling potential errors
-        console.error("Error fetching saved trips:", err.message);
-        res.status(500).json({ message: 'Server error while fetching saved trips.' });
-    }
+// ------------------ Invitations --------------------------
+// Declared before /:id so "invitations" isn't treated as a trip ID
+
+// GET /api/savedtrips/invitations - Trips the logged in user has been invited to and not answered yet
+router.get('/invitations', async (req, res) => {
+    res.status(200).json(await listInvitations(req.user.id));
 });
 
+// POST /api/savedtrips/invitations/:id/accept - Join the trip with the invited role
+router.post('/invitations/:id/accept', tripParams, async (req, res) => {
+    const trip = await answerInvitation(req.user.id, req.params.id, true);
 
-//  GET /api/savedtrips/:id - Get a specific saved trip by its ID
-router.get('/:id', async (req, res) => {
-    const { id } = req.params; // Get trip ID from URL parameters
+    res.status(200).json(trip);
+});
 
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ message: 'Invalid Trip ID format.' });
-    }
+// POST /api/savedtrips/invitations/:id/decline - Turn the invitation down (the owner can invite again)
+router.post('/invitations/:id/decline', tripParams, async (req, res) => {
+    await answerInvitation(req.user.id, req.params.id, false);
 
-    try {
-        const trip = await SavedTrip.findById(id); // Finding trips by its unique _id
+    res.status(200).json({ message: 'Invitation declined.' });
+});
 
-        // Checking if trip exists
-        if (!trip) {
-            return res.status(404).json({ message: 'Saved trip not found.' });
-        }
-        res.status(200).json(trip);
 
-    } catch (err) {
-        console.error("Error fetching single saved trip:", err.message);
-        res.status(500).json({ message: 'error while fetching trip.' });
-    }
+//  GET /api/savedtrips/:id - Get a specific saved trip by its ID (owner, members or moderator/admin)
+// Sends an ETag, If-None-Match with the current one gets a 304 (see middleware/conditional.js)
+router.get('/:id', tripParams, canViewTrip, (req, res) => {
+    // authorizeOwner already validated the ID, found the trip and checked access
+    sendVersioned(res, req.resource);
 });
 
 
-// PATCH /api/savedtrips/:id - Update a specific saved trip 
-router.patch('/:id', async (req, res) => {
-    const { id } = req.params; // Get trip ID from URL parameters
+// PATCH /api/savedtrips/:id - Update a specific saved trip (owner, editors or moderator/admin)
+// updateTripSchema only allows title, notes, price and budget (stops and images have their own routes below)
+// With If-Match the update only goes through if nobody changed the trip since that ETag (412 otherwise)
+router.patch('/:id', tripParams, validateRequest({ body: schemas.updateTripSchema }), canEditTrip, checkIfMatch, async (req, res) => {
     const updates = req.body; // Get the fields to update from the request body
 
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ message: 'Invalid Trip ID format.' });
+    // Applying updates to the loaded trip, save() runs the Mongoose schema validations
+    // and fails if another save got in between (optimisticConcurrency)
+    const trip = req.resource;
+    trip.set(updates);
+    const updatedTrip = await trip.save();
+
+    sendVersioned(res, updatedTrip); // Send back the updated trip with its new ETag
+});
+
+// DELETE /api/savedtrips/:id - Move a saved trip to the owner's trash (owner or moderator/admin)
+// The trip, its expenses and pictures are removed for good once the retention window is over
+router.delete('/:id', tripParams, canManageTrip, checkIfMatch, async (req, res) => {
+    const trip = await deleteTrip(req.resource);
+
+    res.status(200).json({ message: 'Saved trip moved to the trash.', purgeAt: purgeDateOf(trip) });
+});
+
+// POST /api/savedtrips/:id/restore - Bring a trip back from the trash (owner or moderator/admin)
+// The owner's trash is listed by GET /api/users/me/trash
+router.post('/:id/restore', tripParams, canRestoreTrip, async (req, res) => {
+    const trip = await req.resource.restore();
+
+    res.status(200).json(trip);
+});
+
+
+// ------------------ Stops & Itinerary --------------------------
+
+// GET /api/savedtrips/:id/itinerary - Day by day view of the trip built from the stop dates
+router.get('/:id/itinerary', tripParams, canViewTrip, (req, res) => {
+    res.status(200).json(buildItinerary(req.resource));
+});
+
+// GET /api/savedtrips/:id/gpx - Download the trip as a GPX file (a waypoint per stop and the route between them)
+// for mapping and GPS apps
+router.get('/:id/gpx', tripParams, canViewTrip, (req, res) => {
+    const trip = req.resource;
+    const fileName = (trip.title || 'trip').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'trip';
+
+    res.attachment(`${fileName}.gpx`);
+    res.type('application/gpx+xml');
+    res.status(200).send(tripToGpx(trip));
+});
+
+// POST /api/savedtrips/:id/stops - Add a stop, at the end or at a given `position` (0-based)
+router.post('/:id/stops', tripParams, validateRequest({ body: schemas.addStopSchema }), canEditTrip, checkIfMatch, async (req, res) => {
+    const { position, ...stop } = req.body;
+
+    // The upper bound depends on the trip, so it is checked here
+    const trip = req.resource;
+    if (position !== undefined && position > trip.stops.length) {
+        throw new ValidationError({ position: `Position must be between 0 and ${trip.stops.length}.` });
     }
 
-    // Prevent updating certain fields (like user, id, savedAt)
-    const allowedUpdates = ['notes', 'imagePath', 'price']; //  only allow these to be patched
-    const requestedUpdates = Object.keys(updates);
-    const isValidOperation = requestedUpdates.every(update => allowedUpdates.includes(update));
+    trip.stops.splice(position === undefined ? trip.stops.length : position, 0, toStop(stop));
+    const updatedTrip = await trip.save();
+
+    sendVersioned(res, updatedTrip, updatedTrip, 201);
+});
+
+// PUT /api/savedtrips/:id/stops/order - Reorder stops, body is { stopIds: [...] } in the new order
+// Declared before /:id/stops/:stopId so "order" isn't treated as a stop ID
+router.put('/:id/stops/order', tripParams, validateRequest({ body: schemas.reorderStopsSchema }), canEditTrip, checkIfMatch, async (req, res) => {
+    const { stopIds } = req.body; // Unique IDs, checked by reorderStopsSchema
+    const trip = req.resource;
 
-    if (!isValidOperation) {
-        // Finding which fields are not allowed
-        const invalidFields = requestedUpdates.filter(update => !allowedUpdates.includes(update));
-        return res.status(400).json({ error: `Invalid updates attempted! Cannot update fields: ${invalidFields.join(', ')}` });
+    // The new order has to mention every current stop exactly once
+    const currentIds = trip.stops.map(stop => stop._id.toString());
+    const isPermutation = stopIds.length === currentIds.length && stopIds.every(stopId => currentIds.includes(stopId));
+
+    if (!isPermutation) {
+        throw new ValidationError({ stopIds: 'stopIds must list every stop of the trip exactly once.' });
     }
 
-    try {
-        //  ensuring Mongoose schema validations run on update
-        const updatedTrip = await SavedTrip.findByIdAndUpdate(id, updates, { new: true, runValidators: true });
-
-        // Checking if trip exists
-        if (!updatedTrip) {
-            return res.status(404).json({ message: 'Saved trip not found.' });
-        }
-
-        res.status(200).json(updatedTrip); // Send back the updated trip
-
-    } catch (err) {
-        // Handling potential errors like Validation and DB connection
-        if (err.name === 'ValidationError') {
-            let errors = {};
-            Object.keys(err.errors).forEach((key) => {
-                errors[key] = err.errors[key].message;
-            });
-            return res.status(400).json({ message: 'Validation Error updating trip', errors: errors });
-        }
-        console.error("Error updating saved trip:", err.message);
-        res.status(500).json({ message: 'Server error while updating trip.' });
+    const reordered = stopIds.map(stopId => trip.stops.id(stopId).toObject());
+    trip.stops = reordered;
+    const updatedTrip = await trip.save();
+
+    sendVersioned(res, updatedTrip);
+});
+
+// PATCH /api/savedtrips/:id/stops/:stopId - Update one stop
+// Stops are part of the trip, so If-Match takes the trip's ETag here too
+router.patch('/:id/stops/:stopId', stopParams, validateRequest({ body: schemas.updateStopSchema }), canEditTrip, checkIfMatch, async (req, res) => {
+    const trip = req.resource;
+    const stop = trip.stops.id(req.params.stopId);
+
+    if (!stop) {
+        throw new NotFoundError('Stop not found.');
     }
+
+    stop.set(toStop(req.body));
+    const updatedTrip = await trip.save();
+
+    sendVersioned(res, updatedTrip);
 });
 
-// // DELETE /api/savedtrips/:id - Delete a specific saved trip
-router.delete('/:id', async (req, res) => {
-    const { id } = req.params; // Getting trip ID from URL parameters
+// DELETE /api/savedtrips/:id/stops/:stopId - Remove a stop (a trip keeps at least one)
+router.delete('/:id/stops/:stopId', stopParams, canEditTrip, checkIfMatch, async (req, res) => {
+    const trip = req.resource;
+    const stop = trip.stops.id(req.params.stopId);
 
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({ message: 'Invalid Trip ID format.' });
+    if (!stop) {
+        throw new NotFoundError('Stop not found.');
+    }
+    if (trip.stops.length === 1) {
+        throw new BadRequestError('A trip needs at least one stop. Delete the trip instead.');
     }
 
-    try {
-        // Finding the trip by ID to delete it
-        const deletedTrip = await SavedTrip.findByIdAndDelete(id);
+    stop.deleteOne();
+    const updatedTrip = await trip.save();
 
-        // Checking if a trip was actually found and deleted
-        if (!deletedTrip) {
-            return res.status(404).json({ message: 'Saved trip not found.' });
-        }
+    sendVersioned(res, updatedTrip);
+});
 
-        res.status(200).json({ message: 'Saved trip deleted successfully.' }); // Send success message
 
-    } catch (err) {
-        console.error("Error deleting saved trip:", err.message);
-        res.status(500).json({ message: 'Server error while deleting trip.' });
+// ------------------ Images --------------------------
+
+// Uploads live in their own router: /api/savedtrips/:id/images
+router.use('/:id/images', tripParams, imagesRouter);
+
+
+// ------------------ Members & Sharing --------------------------
+
+// Member management lives in its own router: /api/savedtrips/:id/members
+router.use('/:id/members', tripParams, membersRouter);
+
+// POST /api/savedtrips/:id/share - Turn on the public read-only link (owner only)
+// Calling it again returns the same link, DELETE turns it off so old links stop working
+router.post('/:id/share', tripParams, canManageTrip, async (req, res) => {
+    const trip = req.resource;
+    if (!trip.shareSlug) {
+        trip.shareSlug = SavedTrip.generateShareSlug();
+        await trip.save();
     }
+
+    res.status(200).json({ shareSlug: trip.shareSlug, path: `/api/shared/${trip.shareSlug}` });
+});
+
+// DELETE /api/savedtrips/:id/share - Turn the public link off
+router.delete('/:id/share', tripParams, canManageTrip, async (req, res) => {
+    const trip = req.resource;
+    trip.shareSlug = undefined;
+    await trip.save();
+
+    res.status(200).json({ message: 'Share link removed.' });
+});
+
+
+// ------------------ Budget --------------------------
+
+// Expense CRUD lives in its own router: /api/savedtrips/:id/expenses
+router.use('/:id/expenses', tripParams, expensesRouter);
+
+// GET /api/savedtrips/:id/budget - Planned vs. actual spend per category
+// Amounts are converted to ?currency= or to the user's home currency
+router.get('/:id/budget', tripParams, validateRequest({ query: schemas.budgetQuery }), canViewTrip, async (req, res) => {
+    const budget = await tripBudget(req.resource, { userId: req.user.id, currency: req.validated.query.currency });
+    res.status(200).json(budget);
 });
 
 
@@ -0,0 +1,73 @@
+// server/routes/search.js
+const express = require('express');
+const router = express.Router();
+const Review = require('../models/Review.js');
+const SavedTrip = require('../models/SavedTrip.js');
+const { optionalAuth } = require('../middleware/auth.js');
+const { toTextSearch } = require('../utils/textSearch.js');
+const { ValidationError, UnauthorizedError } = require('../errors/index.js');
+const { validateRequest } = require('../middleware/validate.js');
+const schemas = require('../validation/search.js');
+
+const DEFAULT_LIMIT = 20;
+
+// Turning an optional validated ?minX=&maxX= pair into a Mongo range filter, or null
+const toRange = (min, max) => {
+    const range = {};
+    if (min !== undefined) range.$gte = min;
+    if (max !== undefined) range.$lte = max;
+    return Object.keys(range).length > 0 ? range : null;
+};
+
+
+// ------------------ Routes --------------------------
+
+// GET /api/search - Relevance ranked search over review comments, trip notes, cities and countries
+// Query: ?q= (required) &type=all|reviews|trips &minRating= &maxRating= &minPrice= &maxPrice= &limit=
+// Reviews are public; trips are only searched for a logged in user, among their own and shared trips.
+router.get('/', optionalAuth, validateRequest({ query: schemas.searchQuery }), async (req, res) => {
+    const { q, type = 'all', limit = DEFAULT_LIMIT, minRating, maxRating, minPrice, maxPrice } = req.validated.query;
+
+    // A term made only of operators/quotes has nothing left to search for
+    const search = toTextSearch(q);
+    if (!search) {
+        throw new ValidationError({ q: 'Please provide a search term with ?q=' });
+    }
+    if (type === 'trips' && !req.user) {
+        throw new UnauthorizedError('Authentication required to search trips.');
+    }
+
+    const ratingRange = toRange(minRating, maxRating);
+    const priceRange = toRange(minPrice, maxPrice);
+
+    // Ranking by MongoDB's text relevance score, highest first
+    const score = { score: { $meta: 'textScore' } };
+
+    const results = { query: search };
+
+    if (type === 'all' || type === 'reviews') {
+        const filter = { $text: { $search: search }, ...Review.visibleFilter() };
+        if (ratingRange) filter.rating = ratingRange;
+
+        results.reviews = await Review.find(filter, score)
+            .sort(score)
+            .limit(limit)
+            .populate('user', 'username _id');
+    }
+
+    // Anonymous "all" searches just leave trips out
+    if ((type === 'all' || type === 'trips') && req.user) {
+        const filter = { $text: { $search: search }, ...SavedTrip.accessibleBy(req.user.id) };
+        if (priceRange) filter.price = priceRange;
+
+        results.trips = await SavedTrip.find(filter, score)
+            .sort(score)
+            .limit(limit);
+    }
+
+    res.status(200).json(results);
+});
+
+
+// --- Export Router ---
+module.exports = router;
@@ -0,0 +1,98 @@
+// server/routes/sharedTrips.js
+// Public, read-only view of trips whose owner turned on a share link (POST /api/savedtrips/:id/share)
+const express = require('express');
+const router = express.Router();
+const SavedTrip = require('../models/SavedTrip.js');
+const Image = require('../models/Image.js');
+const { NotFoundError } = require('../errors/index.js');
+const { buildItinerary } = require('../utils/itinerary.js');
+const { sendImage } = require('../utils/images.js');
+const { validateRequest } = require('../middleware/validate.js');
+const { idParams } = require('../validation/common.js');
+
+// Slugs are base64url strings, anything else can't match a trip
+const slug = { type: 'string', pattern: /^[\w-]{16,64}$/, message: 'Invalid share link.' };
+const slugParams = validateRequest({ params: { properties: { slug } } });
+const imageParams = validateRequest({ params: { properties: { slug, ...idParams('imageId').properties } } });
+
+// Loading the shared trip, a removed link answers the same as one that never existed
+const findSharedTrip = async (slug) => {
+    const trip = await SavedTrip.findOne({ shareSlug: slug }).populate('user', 'username');
+    if (!trip) {
+        throw new NotFoundError('Shared trip not found.');
+    }
+    return trip;
+};
+
+// An image of the shared trip, or a 404
+const findSharedImage = async (trip, imageId) => {
+    const image = await Image.findOne({ _id: imageId, trip: trip._id });
+    if (!image) {
+        throw new NotFoundError('Image not found.');
+    }
+    return image;
+};
+
+// Visitors load pictures through the share link, /api/images/:id needs a member's token
+const toSharedImage = (slug, image) => ({
+    _id: image._id,
+    url: `/api/shared/${slug}/images/${image._id}`,
+    thumbnailUrl: `/api/shared/${slug}/images/${image._id}/thumbnail`,
+    width: image.width,
+    height: image.height
+});
+
+// Only what a visitor should see: no members, budget, expenses or owner email
+const toSharedTrip = (trip, images) => ({
+    title: trip.title,
+    owner: trip.user ? trip.user.username : null,
+    stops: trip.stops.map(stop => ({
+        city: stop.city,
+        country: stop.country,
+        lat: stop.lat,
+        lon: stop.lon,
+        arrivalDate: stop.arrivalDate,
+        departureDate: stop.departureDate,
+        notes: stop.notes
+    })),
+    price: trip.price,
+    coverImage: trip.coverImage,
+    images: images.map(image => toSharedImage(trip.shareSlug, image)),
+    notes: trip.notes,
+    savedAt: trip.savedAt
+});
+
+
+// ------------------ Routes --------------------------
+
+// GET /api/shared/:slug - The shared trip
+router.get('/:slug', slugParams, async (req, res) => {
+    const trip = await findSharedTrip(req.params.slug);
+    const images = await Image.find({ trip: trip._id }).sort({ createdAt: 1 });
+    res.status(200).json(toSharedTrip(trip, images));
+});
+
+// GET /api/shared/:slug/itinerary - Day by day view of the shared trip
+router.get('/:slug/itinerary', slugParams, async (req, res) => {
+    const trip = await findSharedTrip(req.params.slug);
+    const { tripId, ...itinerary } = buildItinerary(trip); // The trip ID stays private
+    res.status(200).json(itinerary);
+});
+
+// GET /api/shared/:slug/images/:imageId - A picture of the shared trip
+router.get('/:slug/images/:imageId', imageParams, async (req, res) => {
+    const trip = await findSharedTrip(req.params.slug);
+    const image = await findSharedImage(trip, req.params.imageId);
+    await sendImage(res, image);
+});
+
+// GET /api/shared/:slug/images/:imageId/thumbnail - Its thumbnail
+router.get('/:slug/images/:imageId/thumbnail', imageParams, async (req, res) => {
+    const trip = await findSharedTrip(req.params.slug);
+    const image = await findSharedImage(trip, req.params.imageId);
+    await sendImage(res, image, { thumbnail: true });
+});
+
+
+// --- Export Router ---
+module.exports = router;
@@ -0,0 +1,85 @@
+// server/routes/tripImages.js
+// Mounted by savedTrips.js at /api/savedtrips/:id/images (mergeParams gives us the trip :id)
+// Members who can edit the trip upload pictures, the files themselves are served by /api/images/:id.
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Image = require('../models/Image.js');
+const { canViewTrip, canEditTrip } = require('../middleware/tripAccess.js');
+const { uploadImage } = require('../middleware/upload.js');
+const { saveImage, removeImages } = require('../utils/images.js');
+const { BadRequestError, NotFoundError } = require('../errors/index.js');
+const { validateRequest } = require('../middleware/validate.js');
+const { idParams } = require('../validation/common.js');
+
+const MAX_TRIP_IMAGES = 10;
+
+const imageParams = validateRequest({ params: idParams('imageId') });
+
+// Finding an image of the trip loaded by authorizeOwner, or throwing a 404
+const findTripImage = async (req) => {
+    const image = await Image.findOne({ _id: req.params.imageId, trip: req.resource._id });
+    if (!image) {
+        throw new NotFoundError('Image not found.');
+    }
+    return image;
+};
+
+
+// ------------------ Routes --------------------------
+
+// GET /api/savedtrips/:id/images - The trip's pictures, oldest first, with their URLs
+router.get('/', canViewTrip, async (req, res) => {
+    const images = await Image.find({ trip: req.resource._id }).sort({ createdAt: 1 });
+    res.status(200).json(images);
+});
+
+// POST /api/savedtrips/:id/images - Upload a picture (multipart/form-data, file in the `image` field)
+// The first picture becomes the trip's cover
+router.post('/', canEditTrip, uploadImage, async (req, res) => {
+    const trip = req.resource;
+
+    const count = await Image.countDocuments({ trip: trip._id });
+    if (count >= MAX_TRIP_IMAGES) {
+        throw new BadRequestError(`A trip can have up to ${MAX_TRIP_IMAGES} images. Delete one first.`);
+    }
+
+    const image = await saveImage({ file: req.file, owner: req.user.id, target: { trip: trip._id } });
+
+    if (!trip.coverImage) {
+        trip.coverImage = image._id;
+        await trip.save();
+    }
+
+    res.status(201).json(image);
+});
+
+// PUT /api/savedtrips/:id/images/:imageId/cover - Show this picture for the trip
+router.put('/:imageId/cover', imageParams, canEditTrip, async (req, res) => {
+    const image = await findTripImage(req);
+
+    req.resource.coverImage = image._id;
+    const updatedTrip = await req.resource.save();
+
+    res.status(200).json(updatedTrip);
+});
+
+// DELETE /api/savedtrips/:id/images/:imageId - Remove a picture and its files
+// Deleting the cover makes the next oldest picture the cover
+router.delete('/:imageId', imageParams, canEditTrip, async (req, res) => {
+    const trip = req.resource;
+    const image = await findTripImage(req);
+
+    await removeImages({ _id: image._id });
+
+    if (trip.coverImage && trip.coverImage.equals(image._id)) {
+        const next = await Image.findOne({ trip: trip._id }).sort({ createdAt: 1 }).select('_id');
+        trip.coverImage = next ? next._id : null;
+        await trip.save();
+    }
+
+    res.status(200).json({ message: 'Image deleted.' });
+});
+
+
+// --- Export Router ---
+module.exports = router;
@@ -0,0 +1,106 @@
+// server/routes/tripMembers.js
+// Mounted by savedTrips.js at /api/savedtrips/:id/members (mergeParams gives us the trip :id)
+// The owner invites people as viewer or editor, they accept or decline from /api/savedtrips/invitations.
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const User = require('../models/User.js');
+const { hasTripPermission, canViewTrip, canManageTrip } = require('../middleware/tripAccess.js');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../errors/index.js');
+const { sendMail } = require('../mail/index.js');
+const mailTemplates = require('../mail/templates.js');
+const { validateRequest } = require('../middleware/validate.js');
+const { idParams } = require('../validation/common.js');
+const schemas = require('../validation/savedTrips.js');
+
+
+const memberParams = validateRequest({ params: idParams('userId') });
+
+// Finding a member (any status) of the trip loaded by authorizeOwner, or throwing a 404
+const findTripMember = (req) => {
+    const member = req.resource.findMember(req.params.userId);
+    if (!member) {
+        throw new NotFoundError('Member not found.');
+    }
+    return member;
+};
+
+const withoutMember = (trip, userId) => trip.members.filter(member => member.user.toString() !== userId.toString());
+
+
+// ------------------ Routes --------------------------
+
+// GET /api/savedtrips/:id/members - The owner and everyone invited, with their role and status
+router.get('/', canViewTrip, async (req, res) => {
+    const trip = await req.resource.populate([
+        { path: 'user', select: 'username _id' },
+        { path: 'members.user', select: 'username _id' }
+    ]);
+
+    res.status(200).json({ owner: trip.user, members: trip.members });
+});
+
+// POST /api/savedtrips/:id/members - Invite a user by username or email (owner only)
+router.post('/', validateRequest({ body: schemas.inviteMemberSchema }), canManageTrip, async (req, res) => {
+    const { username, email, role = 'viewer' } = req.body;
+    const trip = req.resource;
+
+    const invitee = await User.findOne(username ? { username } : { email });
+    if (!invitee) {
+        throw new NotFoundError('User not found.');
+    }
+    if (invitee._id.equals(trip.user)) {
+        throw new BadRequestError('The owner is already part of the trip.');
+    }
+
+    // Someone who declined can be invited again, anyone else is already on the list
+    const existing = trip.findMember(invitee._id);
+    if (existing && existing.status !== 'declined') {
+        throw new ConflictError(`${invitee.username} is already ${existing.status === 'pending' ? 'invited' : 'a member'}.`);
+    }
+    if (existing) {
+        trip.members = withoutMember(trip, invitee._id);
+    }
+
+    trip.members.push({ user: invitee._id, role, status: 'pending', invitedBy: req.user.id });
+    await trip.save();
+
+    // Letting the invitee know, a mail failure shouldn't undo the invitation
+    try {
+        await sendMail(mailTemplates.tripInvitation(invitee, { trip, invitedBy: req.user, role }));
+    } catch (mailErr) {
+        req.log.warn('Trip invitation email failed', { err: mailErr, tripId: trip.id });
+    }
+
+    res.status(201).json(trip.findMember(invitee._id));
+});
+
+// PATCH /api/savedtrips/:id/members/:userId - Change a member's role (owner only)
+router.patch('/:userId', memberParams, validateRequest({ body: schemas.updateMemberSchema }), canManageTrip, async (req, res) => {
+    const member = findTripMember(req);
+
+    member.role = req.body.role;
+    await req.resource.save();
+
+    res.status(200).json(member);
+});
+
+// DELETE /api/savedtrips/:id/members/:userId - Remove a member or cancel an invitation
+// The owner can remove anyone, members can remove themselves (leave the trip)
+router.delete('/:userId', memberParams, canViewTrip, async (req, res) => {
+    const trip = req.resource;
+    const leaving = req.params.userId === req.user.id;
+
+    if (!leaving && !hasTripPermission(req.user, trip, 'manage')) {
+        throw new ForbiddenError('Not authorized to remove members from this trip.');
+    }
+
+    findTripMember(req);
+    trip.members = withoutMember(trip, req.params.userId);
+    await trip.save();
+
+    res.status(200).json({ message: leaving ? 'You left the trip.' : 'Member removed.' });
+});
+
+
+// --- Export Router ---
+module.exports = router;
@@ -2,139 +2,343 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const User = require('../models/User.js');
+const SavedTrip = require('../models/SavedTrip.js');
+const Review = require('../models/Review.js');
+const ReviewReport = require('../models/ReviewReport.js');
+const Expense = require('../models/Expense.js');
+const Session = require('../models/Session.js');
+const UserToken = require('../models/UserToken.js');
+const { issueTokens, verifyToken, revokeToken } = require('../utils/tokens.js');
+const { requireAuth } = require('../middleware/auth.js');
+const { requireRole } = require('../middleware/authorize.js');
+const { createUserToken } = require('../utils/userTokens.js');
+const { sendMail } = require('../mail/index.js');
+const mailTemplates = require('../mail/templates.js');
+const { parseListQuery, listDocuments } = require('../utils/listQuery.js');
+const { removeUserResponses, removeReviewResponses } = require('../utils/reviewResponses.js');
+const { removeImages } = require('../utils/images.js');
+const limits = require('../middleware/rateLimit.js');
+const { BadRequestError, ValidationError, UnauthorizedError, NotFoundError } = require('../errors/index.js');
+const { validateRequest } = require('../middleware/validate.js');
+const schemas = require('../validation/users.js');
+const {
+    toUserResponse, sendVerificationEmail, registerUser, authenticate, updateProfile, changePassword, verifyEmail, resetPassword
+} = require('../services/userService.js');
+const { listTrash } = require('../services/trashService.js');
+const { exportArchive, exportTripsCsv, exportExpensesCsv, importTrips } = require('../services/userDataService.js');
+const { MAX_IMPORT_MB, uploadImportFile } = require('../middleware/upload.js');
 
 
+// ------------------ Helpers ---------------------
+
+// Sorting and field selection allowed on GET /api/users
+const USER_LIST_OPTIONS = {
+    sortFields: { createdAt: 'createdAt', username: 'username' },
+    defaultSort: '-createdAt',
+    fields: ['username', 'email', 'role', 'homeCurrency', 'emailVerified', 'createdAt']
+};
+
+// A trips CSV sent as the request body (JSON archives are parsed by app.js, with the same limit)
+const csvBody = express.text({ type: 'text/csv', limit: `${MAX_IMPORT_MB}mb` });
+
+// What POST /me/import was given: an uploaded file in `file`, a CSV body or a JSON archive body
+const readImport = (req) => {
+    if (req.file) {
+        const text = req.file.buffer.toString('utf8');
+        if (/\.csv$/i.test(req.file.originalname) || req.file.mimetype === 'text/csv') {
+            return { csv: text };
+        }
+        try {
+            return { archive: JSON.parse(text) };
+        } catch (err) {
+            throw new ValidationError({ file: 'The file is not valid JSON.' });
+        }
+    }
+    if (typeof req.body === 'string') {
+        return { csv: req.body };
+    }
+    if (req.body && Object.keys(req.body).length > 0) {
+        return { archive: req.body };
+    }
+    throw new ValidationError({ file: 'Send a JSON archive or a trips CSV, as the request body or in the "file" field.' });
+};
+
+// Today's date for the names of downloaded files
+const today = () => new Date().toISOString().slice(0, 10);
+
 
 // ------------------ Routes ----------------------
 
 // POST /api/users/register - Register a new user
-router.post('/register', async (req, res) => {
-     // Destructure request body
-    const { username, email, password } = req.body;
+// The body (username, email, password length checked before hashing) is validated by registerSchema
+router.post('/register', limits.registerLimit, validateRequest({ body: schemas.registerSchema }), async (req, res) => {
+    // Creating the account (the email/username check, password hashing and verification email are in the service)
+    const newUser = await registerUser(req.body, { log: req.log });
+
+    // Sending success response without sending back the user's password hash
+    res.status(201).json({ message: 'User registered successfully', user: toUserResponse(newUser) });
+});
+
+// POST /api/users/login - Log in a user 
+// Rate limited per IP and per account, and the account is locked after repeated failures (utils/loginLockout.js)
+router.post('/login', limits.loginIpLimit, validateRequest({ body: schemas.loginSchema }), limits.loginAccountLimit, async (req, res) => {
+    // Destructure request body (allowing login via email or username)
+    const { email, username, password } = req.body;
+    const identifier = email || username; // Use email if provided, otherwise username
 
-    // Basic Validation (Checking if fields are provided)
-    if (!username || !email || !password) {
-        return res.status(400).json({ message: 'Please provide username, email, and password' });
+    // Checking the password (and the account lockout), the same 400 for an unknown user and a wrong password
+    const user = await authenticate({ identifier, password });
+
+    // Login Successful!
+    // sending back success message, user info (excluding password) and the signed tokens
+    res.status(200).json({
+        message: 'Login successful',
+        user: toUserResponse(user),
+        ...issueTokens(user)
+    });
+});
+
+
+// POST /api/users/refresh - Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', validateRequest({ body: schemas.refreshSchema }), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    let payload;
+    try {
+        payload = await verifyToken(refreshToken, 'refresh');
+    } catch (err) {
+        throw new UnauthorizedError('Invalid or expired refresh token');
     }
 
-    // Explicit Password Length Validation (Checking original password before hashing)
-    if (password.length < 6) {
-        return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    // Making sure the account still exists before issuing new tokens
+    const user = await User.findById(payload.sub);
+    if (!user) {
+        throw new UnauthorizedError('Invalid or expired refresh token');
     }
 
-    try {
-        // Checking if user already exists (by email or username)
-        // We use User.findOne() with $or to efficiently check if either the email or username is already taken
-        let existingUser = await User.findOne({ $or: [{ email: email }, { username: username }] });
-        if (existingUser) {
-            let message = existingUser.email === email ? 'Email already in use' : 'Username already taken';
-            return res.status(400).json({ message: message });
-        }
+    // Refresh tokens issued before the last password change or reset are not accepted
+    if (user.passwordChangedAt && payload.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+        throw new UnauthorizedError('Invalid or expired refresh token');
+    }
 
-        // Creating a new User instance
-        const newUser = new User({
-            username,
-            email,
-            password // Plain password stored temporarily in the object, hash next
-        });
+    // Rotating: the old refresh token can't be used again once it has been exchanged
+    await revokeToken(payload);
 
-        // Hashing the password
-        // We use bcrypt to securely hash the password before saving it to the database
-        const salt = await bcrypt.genSalt(10); // Generated 10 rounds of salt to make common passwords more secured afainst hacking
-        newUser.password = await bcrypt.hash(password, salt); // Replace plain password with the hash
+    res.status(200).json({ message: 'Token refreshed', ...issueTokens(user) });
+});
 
-        // Saving the user to the database
-        // The .save() method attempts to store the document in MongoDB
-        // It also triggers Mongoose schema validations (required, unique, format, etc.) on the final data 
+// POST /api/users/logout - Revoke the current access token and the given refresh token
+router.post('/logout', requireAuth, validateRequest({ body: schemas.logoutSchema }), async (req, res) => {
+    const { refreshToken } = req.body;
 
-        // Sending success response without sending back the user's password hash
-        const userResponse = {
-             _id: newUser._id,
-             username: newUser.username,
-             email: newUser.email,
-             createdAt: newUser.createdAt
-        };
-        res.status(201).json({ message: 'User registered successfully', user: userResponse });
+    await revokeToken(req.token);
 
-    } catch (err) {
-        // Handling potential errors during the process
-        // checking for Mongoose validation errors like unique constraint fail, invalid email format etc.
-        if (err.name === 'ValidationError') {
-            // Extracting meaningful messages from the Mongoose validation error object
-             let errors = {};
-             Object.keys(err.errors).forEach((key) => {
-                 errors[key] = err.errors[key].message;
-             });
-             return res.status(400).json({ message: 'Validation Error', errors: errors });
+    if (refreshToken) {
+        let refreshPayload;
+        try {
+            refreshPayload = await verifyToken(refreshToken, 'refresh');
+        } catch (err) {
+            refreshPayload = null; // Already expired or revoked, nothing left to do
+        }
+        // Only revoking refresh tokens that belong to the logged in user
+        if (refreshPayload && refreshPayload.sub === req.user.id) {
+            await revokeToken(refreshPayload);
         }
-        // Handling other potential server errors (e.g., database connection issues)
-        console.error("Registration Error:", err.message); // Log the detailed error on the server
-        res.status(500).json({ message: 'Server error during registration' }); // Send generic error to client
     }
+
+    res.status(200).json({ message: 'Logout successful' });
 });
 
-// POST /api/users/login - Log in a user 
-router.post('/login', async (req, res) => {
-    // Destructure request body (allowing login via email or username)
-    const { email, username, password } = req.body;
 
-    // Checking if identifier and password are provided
-    const identifier = email || username; // Use email if provided, otherwise username
-    if (!identifier || !password) {
-        return res.status(400).json({ message: 'Please provide email/username and password' });
+// POST /api/users/verify-email/request - Send a new verification link to the logged in user
+router.post('/verify-email/request', requireAuth, limits.emailAccountLimit, async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+    if (user.emailVerified) {
+        throw new BadRequestError('Email is already verified');
     }
 
-    try {
-        // Finding user by email or username
-        const user = await User.findOne({ $or: [{ email: identifier }, { username: identifier }] });
+    await sendVerificationEmail(user);
 
-        // Checking if user exists
-        if (!user) {
-            return res.status(400).json({ message: 'Invalid Credentials' });
-        }
+    res.status(200).json({ message: 'Verification email sent' });
+});
 
-        //  Compare provided password with stored hash
-        // bcrypt.compare handles extracting the salt from the stored hash automatically
-        const isMatch = await bcrypt.compare(password, user.password);
+// POST /api/users/verify-email/confirm - Confirm an email address with the emailed token
+router.post('/verify-email/confirm', validateRequest({ body: schemas.tokenConfirmSchema }), async (req, res) => {
+    const user = await verifyEmail(req.body.token);
 
-        // Checking if passwords match
-        if (!isMatch) {
-            return res.status(400).json({ message: 'Invalid Credentials' });
-        }
+    res.status(200).json({ message: 'Email verified successfully', user: toUserResponse(user) });
+});
 
-        // Login Successful!
-        // sending back success message and user info (excluding password)
-         const userResponse = {
-             _id: user._id,
-             username: user.username,
-             email: user.email,
-             createdAt: user.createdAt
-         };
-
-        res.status(200).json({
-            message: 'Login successful',
-            user: userResponse
-        });
+// POST /api/users/password-reset/request - Email a password reset link
+router.post('/password-reset/request', limits.emailIpLimit, validateRequest({ body: schemas.passwordResetRequestSchema }), limits.emailAccountLimit, async (req, res) => {
+    const { email } = req.body;
 
-    } catch (err) {
-        // Handling potential server errors
-        console.error("Login Error:", err.message);
-        res.status(500).json({ message: 'Server error during login' });
+    // Same answer whether or not the email exists, so this can't be used to discover accounts
+    const genericResponse = { message: 'If an account with that email exists, a reset link has been sent' };
+
+    const user = await User.findOne({ email });
+    if (user) {
+        const token = await createUserToken(user._id, 'password-reset');
+        await sendMail(mailTemplates.passwordReset(user, token));
     }
+
+    res.status(200).json(genericResponse);
 });
 
+// POST /api/users/password-reset/confirm - Set a new password with the emailed token
+router.post('/password-reset/confirm', validateRequest({ body: schemas.passwordResetConfirmSchema }), async (req, res) => {
+    const { token, newPassword } = req.body;
 
-// GET /api/users - route to get all users 
-router.get('/', async (req, res) => {
-     try {
-            // Fetching users but excluding the password field from the result
-            const users = await User.find().select('-password');
-            res.json(users);
-        } catch (err) {
-            console.error("Error fetching users:", err.message);
-            res.status(500).send('Server Error');
-        }
+    await resetPassword(token, newPassword);
+
+    res.status(200).json({ message: 'Password reset successfully' });
+});
+
+
+// GET /api/users/me - Get the logged in user's profile
+router.get('/me', requireAuth, async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+    res.status(200).json(toUserResponse(user));
+});
+
+// PATCH /api/users/me - Update the logged in user's username, email or home currency
+// Password and role have their own rules, so updateProfileSchema only allows these fields
+router.patch('/me', requireAuth, validateRequest({ body: schemas.updateProfileSchema }), async (req, res) => {
+    // A taken username/email is a 409, a new email gets a verification link (see services/userService.js)
+    const user = await updateProfile(req.user.id, req.body, { log: req.log });
+
+    res.status(200).json({ message: 'Profile updated successfully', user: toUserResponse(user) });
+});
+
+// PATCH /api/users/me/password - Change password after re-verifying the current one
+router.patch('/me/password', requireAuth, validateRequest({ body: schemas.changePasswordSchema }), async (req, res) => {
+    // Re-verifying the current password before allowing the change
+    await changePassword(req.user.id, req.body);
+
+    res.status(200).json({ message: 'Password changed successfully' });
+});
+
+// GET /api/users/me/trash - The user's deleted trips and reviews with the date each one is purged
+// Restore them with POST /api/savedtrips/:id/restore and POST /api/reviews/:id/restore
+router.get('/me/trash', requireAuth, async (req, res) => {
+    res.status(200).json(await listTrash(req.user.id));
+});
+
+// ------------------ Export & Import ----------------------
+
+// GET /api/users/me/export - Download the user's profile, own trips (with their expenses) and reviews as JSON
+// The archive can be imported again with POST /api/users/me/import
+router.get('/me/export', requireAuth, async (req, res) => {
+    const archive = await exportArchive(req.user.id);
+
+    res.attachment(`budget-backpacker-${today()}.json`);
+    res.status(200).json(archive);
+});
+
+// GET /api/users/me/export/trips.csv - The user's own trips, one line per stop
+router.get('/me/export/trips.csv', requireAuth, async (req, res) => {
+    const csv = await exportTripsCsv(req.user.id);
+
+    res.attachment(`trips-${today()}.csv`);
+    res.status(200).send(csv);
+});
+
+// GET /api/users/me/export/expenses.csv - The expenses of the user's own trips
+router.get('/me/export/expenses.csv', requireAuth, async (req, res) => {
+    const csv = await exportExpensesCsv(req.user.id);
+
+    res.attachment(`expenses-${today()}.csv`);
+    res.status(200).send(csv);
+});
+
+// POST /api/users/me/import - Add trips from an export archive or a trips CSV (the trips.csv layout)
+// Accepts the file in a multipart `file` field, or a JSON / text/csv body. Nothing is saved unless
+// every trip is valid, the 400 lists the errors per row (rows.<line>.<column>) or trip (trips.<index>.<path>).
+// ?dryRun=true only checks the file.
+router.post('/me/import', requireAuth, validateRequest({ query: schemas.importQuery }), uploadImportFile, csvBody, async (req, res) => {
+    const { dryRun = false } = req.validated.query;
+
+    const result = await importTrips(req.user.id, { ...readImport(req), dryRun });
+
+    res.status(dryRun ? 200 : 201).json({
+        message: dryRun ? 'The file can be imported' : 'Trips imported successfully',
+        ...result
+    });
+});
+
+// DELETE /api/users/me - Delete the logged in user's account along with their trips, expenses and reviews
+// The password is asked again (deleteAccountSchema) so a stolen token alone can't delete the account
+router.delete('/me', requireAuth, validateRequest({ body: schemas.deleteAccountSchema }), async (req, res) => {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+        throw new BadRequestError('Password is incorrect');
+    }
+
+    // Removing the account and everything that references it in one transaction,
+    // so a failure half way can't leave orphaned trips or reviews behind.
+    // Note: MongoDB transactions need a replica set (Atlas clusters are one).
+    const session = await mongoose.startSession();
+    let tripIds = [];
+    let reviewIds = [];
+    try {
+        await session.withTransaction(async () => {
+            // distinct() and deleteMany() include the trips and reviews in the trash
+            tripIds = await SavedTrip.distinct('_id', { user: user._id }).session(session);
+            await Expense.deleteMany({ trip: { $in: tripIds } }, { session });
+            await SavedTrip.deleteMany({ user: user._id }, { session });
+            // Leaving the trips other people shared with this user
+            await SavedTrip.updateMany({ 'members.user': user._id }, { $pull: { members: { user: user._id } } }, { session });
+            // Taking back the user's votes and replies on other reviews
+            await removeUserResponses(user._id, session);
+            reviewIds = await Review.distinct('_id', { user: user._id }).session(session);
+            await ReviewReport.deleteMany({ review: { $in: reviewIds } }, { session });
+            await removeReviewResponses(reviewIds, session);
+            await Review.deleteMany({ user: user._id }, { session });
+            await Session.deleteMany({ user: user._id }, { session }); // Logged out of the pages too
+            await UserToken.deleteMany({ user: user._id }, { session }); // Unused email verification and reset links
+            await User.deleteOne({ _id: user._id }, { session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    // Pictures of the deleted trips and reviews, the files can only go once the transaction is committed
+    await removeImages({ $or: [{ trip: { $in: tripIds } }, { review: { $in: reviewIds } }] });
+
+    // The access token used for this request is useless now, revoking it anyway
+    await revokeToken(req.token);
+
+    res.status(200).json({ message: 'Account deleted successfully' });
+});
+
+
+// GET /api/users - route to get all users (admins only)
+// Supports ?limit, ?offset or ?cursor, ?sort and ?fields (see utils/listQuery.js)
+router.get('/', requireAuth, requireRole('admin'), validateRequest({ query: schemas.listUsersQuery }), async (req, res) => {
+    const list = parseListQuery(req.validated.query, USER_LIST_OPTIONS);
+    if (list.error) {
+        throw new ValidationError({ [list.field]: list.error });
+    }
+
+    // Fetching users but excluding the password field from the result
+    // (a ?fields= selection can only name whitelisted fields, so it never includes it)
+    const result = await listDocuments(User, {}, list, query => (list.projection ? query : query.select('-password')));
+    res.status(200).json(result);
 });
 
 // --- Export Router ---
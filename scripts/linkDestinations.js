@@ -0,0 +1,105 @@
+// server/scripts/linkDestinations.js
+// One-off migration: links the reviews and trip stops saved before the destination catalog existed.
+// Their city/country text is matched with the catalog (aliases and country codes included), then
+// they get the canonical names, the ISO country code and a `destination` reference.
+// Seed the catalog first (npm run seed:destinations). Safe to run more than once.
+//
+// Applied as migrations/006-link-destinations.js (npm run migrate), run it by hand after adding
+// destinations to the catalog: node scripts/linkDestinations.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Destination = require('../models/Destination.js');
+const Review = require('../models/Review.js');
+const SavedTrip = require('../models/SavedTrip.js');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+// The fields to store for a city/country, or null when nothing would change
+const linkFields = async ({ city, country, destination, countryCode }) => {
+    const place = await Destination.resolve({ city, country });
+    const fields = {
+        city: place.city,
+        country: place.country,
+        countryCode: place.countryCode,
+        destination: place.destination ? place.destination._id : null
+    };
+    const unchanged = fields.city === city && fields.country === country && fields.countryCode === (countryCode || null)
+        && String(fields.destination) === String(destination || null);
+    return unchanged ? null : fields;
+};
+
+const linkReviews = async () => {
+    const reviews = mongoose.connection.collection(Review.collection.collectionName);
+    const result = { linked: 0, conflicts: 0 };
+
+    for await (const review of reviews.find({ destination: null })) {
+        const fields = await linkFields(review);
+        if (!fields) continue;
+
+        try {
+            await reviews.updateOne({ _id: review._id }, { $set: fields });
+            result.linked++;
+        } catch (err) {
+            // The user already has a review under the canonical name, only the reference is stored
+            if (err.code !== 11000) throw err;
+            await reviews.updateOne({ _id: review._id }, { $set: { destination: fields.destination, countryCode: fields.countryCode } });
+            result.conflicts++;
+        }
+    }
+    return result;
+};
+
+const linkTripStops = async () => {
+    const trips = mongoose.connection.collection(SavedTrip.collection.collectionName);
+    let linked = 0;
+
+    for await (const trip of trips.find({ 'stops.destination': null })) {
+        let changed = false;
+        const stops = [];
+        for (const stop of trip.stops) {
+            const fields = stop.destination ? null : await linkFields(stop);
+            if (fields) changed = true;
+            stops.push(fields ? { ...stop, ...fields } : stop);
+        }
+
+        if (changed) {
+            await trips.updateOne({ _id: trip._id }, { $set: { stops } });
+            linked++;
+        }
+    }
+    return linked;
+};
+
+const run = async () => {
+    try {
+        if (!MONGODB_URI) {
+            throw new Error('MONGODB_URI string is not working properly in .env file');
+        }
+        await mongoose.connect(MONGODB_URI);
+
+        if (await Destination.estimatedDocumentCount() === 0) {
+            throw new Error('The destination catalog is empty, run npm run seed:destinations first');
+        }
+
+        const reviews = await linkReviews();
+        console.log(`Linked ${reviews.linked} review(s) to the destination catalog`);
+        if (reviews.conflicts > 0) {
+            console.log(`${reviews.conflicts} review(s) kept their old names because the user already reviewed the place,`
+                + ' merge them with node scripts/mergeDuplicateReviews.js');
+        }
+
+        const trips = await linkTripStops();
+        console.log(`Linked the stops of ${trips} trip(s) to the destination catalog`);
+    } catch (err) {
+        console.error('Destination link migration failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = { linkReviews, linkTripStops };
@@ -0,0 +1,92 @@
+// server/scripts/mergeDuplicateReviews.js
+// One-off migration for the one-review-per-destination rule: when a user has several reviews of
+// the same city/country (letter case ignored), the newest one is kept and the older ones become
+// its revision history. Their votes, replies and reports are moved to the kept review (a user's
+// second vote or report on the same review is dropped). The unique index that keeps it that way
+// is built by migrations/005-indexes.js. Safe to run more than once.
+//
+// Applied as migrations/003-merge-duplicate-reviews.js (npm run migrate), or by hand: node scripts/mergeDuplicateReviews.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Review = require('../models/Review.js');
+const ReviewVote = require('../models/ReviewVote.js');
+const ReviewReply = require('../models/ReviewReply.js');
+const ReviewReport = require('../models/ReviewReport.js');
+const recountReviewResponses = require('./recountReviewResponses.js');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+// Moving documents to the kept review one by one, dropping those that would break a unique index
+const moveToReview = async (Model, fromIds, toId) => {
+    const docs = await Model.find({ review: { $in: fromIds } });
+    for (const doc of docs) {
+        try {
+            await Model.updateOne({ _id: doc._id }, { review: toId });
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            await Model.deleteOne({ _id: doc._id });
+        }
+    }
+};
+
+const mergeDuplicateReviews = async () => {
+    const groups = await Review.aggregate([
+        { $sort: { createdAt: 1 } },
+        {
+            $group: {
+                _id: { user: '$user', city: '$city', country: '$country' },
+                reviews: { $push: { _id: '$_id', rating: '$rating', comment: '$comment', createdAt: { $ifNull: ['$updatedAt', '$createdAt'] } } }
+            }
+        },
+        { $match: { 'reviews.1': { $exists: true } } }
+    ]).collation({ locale: 'en', strength: 2 }); // Same comparison as the unique index
+
+    let merged = 0;
+    for (const group of groups) {
+        const older = group.reviews.slice(0, -1);
+        const kept = await Review.findById(group.reviews[group.reviews.length - 1]._id).select('+revisions');
+        const olderIds = older.map(review => review._id);
+
+        await moveToReview(ReviewVote, olderIds, kept._id);
+        await moveToReview(ReviewReport, olderIds, kept._id);
+        await ReviewReply.updateMany({ review: { $in: olderIds } }, { review: kept._id });
+
+        const openReports = await ReviewReport.countDocuments({ review: kept._id, status: 'open' });
+        const history = older.map(({ rating, comment, createdAt }) => ({ rating, comment, createdAt }));
+        kept.revisions = [...history, ...kept.revisions].slice(-Review.MAX_REVISIONS);
+        kept.reportCount = openReports;
+        kept.flagged = openReports > 0;
+        await kept.save();
+
+        await Review.deleteMany({ _id: { $in: olderIds } });
+        merged += olderIds.length;
+    }
+
+    return merged;
+};
+
+const run = async () => {
+    try {
+        if (!MONGODB_URI) {
+            throw new Error('MONGODB_URI string is not working properly in .env file');
+        }
+        await mongoose.connect(MONGODB_URI);
+
+        const merged = await mergeDuplicateReviews();
+        console.log(`Merged ${merged} duplicate review(s) into their newest version`);
+
+        // Vote and reply totals of the kept reviews changed
+        await recountReviewResponses();
+    } catch (err) {
+        console.error('Duplicate review migration failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = mergeDuplicateReviews;
@@ -0,0 +1,64 @@
+// server/scripts/migrate.js
+// Applies or reverts the database migrations in migrations/ (see utils/migrations.js).
+//
+// Usage: npm run migrate                       - apply every pending migration
+//        npm run migrate -- up <name>          - apply the pending ones up to <name>
+//        npm run migrate:down                  - revert the last applied migration
+//        npm run migrate:down -- <steps|name>  - revert the last <steps>, or everything after <name>
+//        npm run migrate:status                - list the migrations and when they were applied
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { migrationStatus, migrateUp, migrateDown } = require('../utils/migrations.js');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+const printStatus = async () => {
+    const steps = await migrationStatus();
+    steps.forEach((step) => {
+        const state = step.missing ? 'missing file' : step.appliedAt ? step.appliedAt.toISOString() : 'pending';
+        console.log(`${step.name.padEnd(32)} ${state.padEnd(24)} ${step.description || ''}`);
+    });
+    const pending = steps.filter(step => !step.appliedAt).length;
+    console.log(pending > 0 ? `${pending} migration(s) pending` : 'The database is up to date');
+};
+
+const runCommand = async (command = 'up', target) => {
+    if (command === 'status') {
+        return printStatus();
+    }
+    if (command === 'up') {
+        const applied = await migrateUp({ to: target });
+        console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'Nothing to apply, the database is up to date');
+        return undefined;
+    }
+    if (command === 'down') {
+        const options = /^\d+$/.test(target || '') ? { steps: Number(target) } : { to: target };
+        const reverted = await migrateDown(options);
+        console.log(reverted.length > 0 ? `Reverted: ${reverted.join(', ')}` : 'Nothing to revert');
+        return undefined;
+    }
+    throw new Error(`Unknown command "${command}", use up, down or status`);
+};
+
+const run = async () => {
+    try {
+        if (!MONGODB_URI) {
+            throw new Error('MONGODB_URI string is not working properly in .env file');
+        }
+        await mongoose.connect(MONGODB_URI);
+
+        const [command, target] = process.argv.slice(2);
+        await runCommand(command, target);
+    } catch (err) {
+        console.error('Migration failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = runCommand;
@@ -0,0 +1,53 @@
+// server/scripts/migrateGeoPoints.js
+// One-off migration: converts the plain lat/lon numbers stored on trip stops into
+// GeoJSON points ({ type: 'Point', coordinates: [lon, lat] }) for the 2dsphere index.
+// Safe to run more than once, stops that already have a location are left alone.
+//
+// Applied as migrations/002-geo-points.js (npm run migrate), or by hand: node scripts/migrateGeoPoints.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+const migrateGeoPoints = async () => {
+    const trips = mongoose.connection.collection('savedtrips');
+    const cursor = trips.find({ 'stops.lat': { $exists: true } });
+
+    let migrated = 0;
+    for await (const trip of cursor) {
+        const stops = trip.stops.map((stop) => {
+            if (stop.lat === undefined || stop.lon === undefined) return stop;
+
+            const { lat, lon, ...rest } = stop;
+            return { ...rest, location: stop.location || { type: 'Point', coordinates: [lon, lat] } };
+        });
+
+        await trips.updateOne({ _id: trip._id }, { $set: { stops } });
+        migrated++;
+    }
+
+    return migrated;
+};
+
+const run = async () => {
+    try {
+        if (!MONGODB_URI) {
+            throw new Error('MONGODB_URI string is not working properly in .env file');
+        }
+        await mongoose.connect(MONGODB_URI);
+
+        const migrated = await migrateGeoPoints();
+        console.log(`Converted stop coordinates to GeoJSON on ${migrated} trip(s)`);
+    } catch (err) {
+        console.error('Geo points migration failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = migrateGeoPoints;
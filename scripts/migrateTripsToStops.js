@@ -0,0 +1,60 @@
+// server/scripts/migrateTripsToStops.js
+// One-off migration: turns the old single-city trips (city, country, lat, lon on the trip)
+// into trips with one stop. Safe to run more than once, migrated trips are skipped.
+//
+// Applied as migrations/001-trip-stops.js (npm run migrate), or by hand: node scripts/migrateTripsToStops.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+const migrateTripsToStops = async () => {
+    const trips = mongoose.connection.collection('savedtrips');
+
+    // Old trips have a top-level city and no stops array yet
+    const cursor = trips.find({ stops: { $exists: false }, city: { $exists: true } });
+
+    let migrated = 0;
+    for await (const trip of cursor) {
+        const stop = {
+            _id: new mongoose.Types.ObjectId(),
+            city: trip.city,
+            country: trip.country,
+            location: { type: 'Point', coordinates: [trip.lon, trip.lat] } // GeoJSON order: [lon, lat]
+        };
+
+        await trips.updateOne(
+            { _id: trip._id, stops: { $exists: false } },
+            {
+                $set: { stops: [stop] },
+                $unset: { city: '', country: '', lat: '', lon: '' }
+            }
+        );
+        migrated++;
+    }
+
+    return migrated;
+};
+
+const run = async () => {
+    try {
+        if (!MONGODB_URI) {
+            throw new Error('MONGODB_URI string is not working properly in .env file');
+        }
+        await mongoose.connect(MONGODB_URI);
+
+        const migrated = await migrateTripsToStops();
+        console.log(`Migrated ${migrated} trip(s) to the multi-stop format`);
+    } catch (err) {
+        console.error('Trip stops migration failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = migrateTripsToStops;
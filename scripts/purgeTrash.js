@@ -0,0 +1,32 @@
+// server/scripts/purgeTrash.js
+// Removes the trips and reviews that have been in the trash longer than TRASH_RETENTION_DAYS.
+// The server already does this on a timer (services/trashService.js), the script is for running it
+// by hand or from cron.
+//
+// Usage: npm run purge:trash
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { purgeTrash, RETENTION_DAYS } = require('../services/trashService.js');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+const run = async () => {
+    try {
+        if (!MONGODB_URI) {
+            throw new Error('MONGODB_URI string is not working properly in .env file');
+        }
+        await mongoose.connect(MONGODB_URI);
+
+        const { trips, reviews } = await purgeTrash();
+        console.log(`Purged ${trips} trip(s) and ${reviews} review(s) deleted more than ${RETENTION_DAYS} day(s) ago`);
+    } catch (err) {
+        console.error('Trash purge failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+if (require.main === module) {
+    run();
+}
@@ -0,0 +1,66 @@
+// server/scripts/recountReviewResponses.js
+// Recomputes the helpfulCount, unhelpfulCount and replyCount stored on every review from the
+// ReviewVote and ReviewReply collections. Run it once after upgrading (reviews saved before votes
+// and replies existed have no counters, which breaks ?sort=helpful paging) or to repair the totals.
+// Safe to run more than once.
+//
+// Applied as migrations/004-review-counters.js (npm run migrate), run it by hand to repair the totals:
+// node scripts/recountReviewResponses.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Review = require('../models/Review.js');
+const ReviewVote = require('../models/ReviewVote.js');
+const ReviewReply = require('../models/ReviewReply.js');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+// Map of review ID -> counters from one aggregation
+const countBy = async (Model, match, group) => {
+    const rows = await Model.aggregate([{ $match: match }, { $group: { _id: '$review', ...group } }]);
+    return new Map(rows.map(({ _id, ...counts }) => [_id.toString(), counts]));
+};
+
+const recountReviewResponses = async () => {
+    const votes = await countBy(ReviewVote, {}, {
+        helpfulCount: { $sum: { $cond: [{ $eq: ['$value', 1] }, 1, 0] } },
+        unhelpfulCount: { $sum: { $cond: [{ $eq: ['$value', -1] }, 1, 0] } }
+    });
+    const replies = await countBy(ReviewReply, { deleted: false }, { replyCount: { $sum: 1 } });
+
+    let updated = 0;
+    for await (const review of Review.find({}, '_id').lean().cursor()) {
+        const key = review._id.toString();
+        const counters = {
+            helpfulCount: votes.get(key)?.helpfulCount || 0,
+            unhelpfulCount: votes.get(key)?.unhelpfulCount || 0,
+            replyCount: replies.get(key)?.replyCount || 0
+        };
+        await Review.updateOne({ _id: review._id }, { $set: counters });
+        updated++;
+    }
+
+    return updated;
+};
+
+const run = async () => {
+    try {
+        if (!MONGODB_URI) {
+            throw new Error('MONGODB_URI string is not working properly in .env file');
+        }
+        await mongoose.connect(MONGODB_URI);
+
+        const updated = await recountReviewResponses();
+        console.log(`Recounted votes and replies on ${updated} review(s)`);
+    } catch (err) {
+        console.error('Review counter migration failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = recountReviewResponses;
@@ -0,0 +1,200 @@
+// server/scripts/seed.js
+// Fills a development database with the sample accounts, trips, expenses, reviews and votes of
+// data/seed.json, on top of the destination catalog (seeded first). Trip dates are counted from
+// today, so there are always past and upcoming trips. Every sample account logs in with
+// SEED_PASSWORD (backpacker123 by default).
+// Running it again starts the sample accounts over: they are deleted with everything they made,
+// then created again. Other accounts are left alone. Refuses to run with NODE_ENV=production.
+//
+// Usage: npm run migrate && npm run seed
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const SavedTrip = require('../models/SavedTrip.js');
+const Expense = require('../models/Expense.js');
+const Review = require('../models/Review.js');
+const ReviewReport = require('../models/ReviewReport.js');
+const Destination = require('../models/Destination.js');
+const Session = require('../models/Session.js');
+const { hashPassword } = require('../services/userService.js');
+const { castVote, removeUserResponses, removeReviewResponses } = require('../utils/reviewResponses.js');
+const { removeImages } = require('../utils/images.js');
+const { pendingMigrations } = require('../utils/migrations.js');
+const seedDestinations = require('./seedDestinations.js');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const SEED_PASSWORD = process.env.SEED_PASSWORD || 'backpacker123';
+const SEED_FILE = path.join(__dirname, '../data/seed.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const loadSeedData = (filePath = SEED_FILE) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+// Midnight UTC `days` days after (or before) `now`
+const dayFrom = (now, days) => {
+    const date = new Date(now.getTime() + days * DAY_MS);
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+};
+
+const findDestination = async ({ city, countryCode }) => {
+    const destination = await Destination.findOne({ countryCode, name: city });
+    if (!destination) {
+        throw new Error(`${city} (${countryCode}) is not in the destination catalog`);
+    }
+    return destination;
+};
+
+// Deleting the sample accounts of an earlier run with their trips, expenses, reviews, votes and pictures
+const removeSeedAccounts = async (emails) => {
+    const users = await User.find({ email: { $in: emails } });
+    const userIds = users.map(user => user._id);
+    if (userIds.length === 0) return 0;
+
+    // distinct() and deleteMany() reach the trashed trips and reviews too
+    const tripIds = await SavedTrip.distinct('_id', { user: { $in: userIds } });
+    const reviewIds = await Review.distinct('_id', { user: { $in: userIds } });
+
+    for (const userId of userIds) {
+        await removeUserResponses(userId);
+    }
+    await removeReviewResponses(reviewIds);
+    await ReviewReport.deleteMany({ review: { $in: reviewIds } });
+    await removeImages({ $or: [{ trip: { $in: tripIds } }, { review: { $in: reviewIds } }] });
+    await Expense.deleteMany({ trip: { $in: tripIds } });
+    await SavedTrip.deleteMany({ _id: { $in: tripIds } });
+    await SavedTrip.updateMany({ 'members.user': { $in: userIds } }, { $pull: { members: { user: { $in: userIds } } } });
+    await Review.deleteMany({ _id: { $in: reviewIds } });
+    await Session.deleteMany({ user: { $in: userIds } });
+    await User.deleteMany({ _id: { $in: userIds } });
+    return userIds.length;
+};
+
+// seed - Loads `data` (data/seed.json by default), returns how many of each thing were created
+const seed = async ({ data = loadSeedData(), password = SEED_PASSWORD, now = new Date() } = {}) => {
+    await seedDestinations();
+    await removeSeedAccounts(data.users.map(entry => entry.email));
+
+    const counts = { users: 0, trips: 0, expenses: 0, reviews: 0, votes: 0 };
+    const passwordHash = await hashPassword(password);
+    const users = new Map();
+    const userId = (username) => {
+        if (!users.has(username)) throw new Error(`Unknown seed user: ${username}`);
+        return users.get(username)._id;
+    };
+
+    for (const entry of data.users) {
+        const user = await User.create({
+            username: entry.username,
+            email: entry.email,
+            password: passwordHash,
+            homeCurrency: entry.homeCurrency,
+            role: entry.role,
+            emailVerified: true
+        });
+        users.set(entry.username, user);
+        counts.users++;
+    }
+
+    for (const entry of data.trips) {
+        const stops = [];
+        for (const stop of entry.stops) {
+            const destination = await findDestination(stop);
+            stops.push({
+                destination: destination._id, // The model copies the city, country and coordinates
+                arrivalDate: dayFrom(now, stop.day),
+                departureDate: dayFrom(now, stop.day + (stop.nights || 0)),
+                lodging: stop.lodging,
+                notes: stop.notes
+            });
+        }
+
+        const owner = userId(entry.owner);
+        const trip = await SavedTrip.create({
+            user: owner,
+            title: entry.title,
+            price: entry.price,
+            notes: entry.notes,
+            budget: entry.budget,
+            stops,
+            members: (entry.members || []).map(member => ({
+                user: userId(member.user),
+                role: member.role,
+                status: 'accepted',
+                invitedBy: owner,
+                respondedAt: now
+            }))
+        });
+        counts.trips++;
+
+        for (const expense of entry.expenses || []) {
+            await Expense.create({
+                trip: trip._id,
+                paidBy: userId(expense.paidBy || entry.owner),
+                amount: expense.amount,
+                currency: expense.currency,
+                category: expense.category,
+                date: dayFrom(now, expense.day),
+                description: expense.description
+            });
+            counts.expenses++;
+        }
+    }
+
+    for (const entry of data.reviews) {
+        const destination = await findDestination(entry);
+        const createdAt = dayFrom(now, -entry.daysAgo);
+        const review = await Review.create({
+            user: userId(entry.user),
+            destination: destination._id,
+            rating: entry.rating,
+            comment: entry.comment,
+            createdAt,
+            updatedAt: createdAt
+        });
+        counts.reviews++;
+
+        // Through castVote() so the helpful/unhelpful totals on the review are right
+        for (const vote of entry.votes || []) {
+            await castVote(review._id, userId(vote.user), vote.helpful ? 1 : -1);
+            counts.votes++;
+        }
+    }
+
+    return counts;
+};
+
+const run = async () => {
+    try {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('Seeding replaces the sample accounts, it is for development databases only');
+        }
+        if (!MONGODB_URI) {
+            throw new Error('MONGODB_URI string is not working properly in .env file');
+        }
+        await mongoose.connect(MONGODB_URI);
+
+        // The sample data relies on the unique and geospatial indexes
+        const pending = await pendingMigrations();
+        if (pending.length > 0) {
+            throw new Error(`${pending.length} migration(s) pending, run npm run migrate first`);
+        }
+
+        const counts = await seed();
+        console.log(`Seeded ${counts.users} users, ${counts.trips} trips, ${counts.expenses} expenses, `
+            + `${counts.reviews} reviews and ${counts.votes} votes`);
+        console.log(`Log in as ${loadSeedData().users.map(user => user.email).join(', ')} with password "${SEED_PASSWORD}"`);
+    } catch (err) {
+        console.error('Seeding failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = seed;
@@ -0,0 +1,71 @@
+// server/scripts/seedDestinations.js
+// Loads the bundled destination catalog (data/destinations.json) into the Destination collection.
+// Entries are matched on country code + name, so running it again updates aliases, coordinates
+// and population instead of adding duplicates. Destinations added by hand are left alone.
+//
+// Usage: npm run seed:destinations
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Destination = require('../models/Destination.js');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DATASET_FILE = path.join(__dirname, '../data/destinations.json');
+
+const loadDataset = (filePath = DATASET_FILE) => JSON.parse(fs.readFileSync(filePath, 'utf8')).destinations;
+
+const seedDestinations = async (entries = loadDataset()) => {
+    let created = 0;
+    let updated = 0;
+
+    for (const entry of entries) {
+        const country = Destination.findCountry(entry.countryCode);
+        if (!country) {
+            throw new Error(`Unknown country code ${entry.countryCode} for ${entry.name}`);
+        }
+
+        let destination = await Destination.findOne({ countryCode: country.code, name: entry.name });
+        if (destination) {
+            updated++;
+        } else {
+            destination = new Destination({ countryCode: country.code, name: entry.name });
+            created++;
+        }
+
+        // save() runs the hook that rebuilds the search names
+        destination.set({
+            country: country.name,
+            aliases: entry.aliases || [],
+            lat: entry.lat,
+            lon: entry.lon,
+            population: entry.population || 0
+        });
+        await destination.save();
+    }
+
+    return { created, updated };
+};
+
+const run = async () => {
+    try {
+        if (!MONGODB_URI) {
+            throw new Error('MONGODB_URI string is not working properly in .env file');
+        }
+        await mongoose.connect(MONGODB_URI);
+
+        const { created, updated } = await seedDestinations();
+        console.log(`Destination catalog: ${created} added, ${updated} updated`);
+    } catch (err) {
+        console.error('Destination seeding failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = seedDestinations;
@@ -0,0 +1,34 @@
+// server/services/destinationService.js
+// Rating, review and price stats per destination, shared by the /api/destinations router and the pages
+const Review = require('../models/Review.js');
+const Destination = require('../models/Destination.js');
+const { buildDestinationStatsPipeline } = require('../utils/destinationStats.js');
+
+// runStats - Running the stats pipeline and shaping { data, meta } for a page of destinations
+const runStats = async ({ match, sort, page, limit }) => {
+    const [result] = await Review.aggregate(buildDestinationStatsPipeline({
+        match,
+        sort,
+        skip: (page - 1) * limit,
+        limit
+    }));
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    return {
+        data: result.data,
+        meta: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+};
+
+// destinationStats - The place a typed city/country stands for ({ city, country, countryCode, destination },
+// see Destination.resolve) and its stats, null when nobody has reviewed or saved it yet
+// Country codes and aliases work too ("PT", "lisboa"), they resolve to the catalog names
+const destinationStats = async ({ city, country }) => {
+    const place = await Destination.resolve({ city, country });
+    const key = `${place.country.toLowerCase()}/${place.city.toLowerCase()}`;
+
+    const result = await runStats({ match: { key }, sort: { reviewCount: -1 }, page: 1, limit: 1 });
+    return { place, stats: result.data[0] || null };
+};
+
+module.exports = { runStats, destinationStats };
@@ -0,0 +1,144 @@
+// server/services/reviewService.js
+// Posting and listing reviews, shared by the /api/reviews router and the destination pages.
+// Functions take already validated input (validation/reviews.js) and throw the errors from errors/index.js.
+const Review = require('../models/Review.js');
+const ReviewReport = require('../models/ReviewReport.js');
+const Destination = require('../models/Destination.js');
+const escapeRegex = require('../utils/escapeRegex.js');
+const { listDocuments } = require('../utils/listQuery.js');
+const { votesBy, removeReviewResponses } = require('../utils/reviewResponses.js');
+const { removeImages } = require('../utils/images.js');
+const { ValidationError } = require('../errors/index.js');
+
+// Sorting and field selection allowed on GET /api/reviews and the destination pages
+const REVIEW_LIST_OPTIONS = {
+    sortFields: { createdAt: 'createdAt', rating: 'rating', helpful: 'helpfulCount', replies: 'replyCount' },
+    defaultSort: '-createdAt',
+    fields: ['user', 'city', 'country', 'rating', 'comment', 'location', 'helpfulCount', 'unhelpfulCount', 'replyCount', 'createdAt']
+};
+
+// A stored vote value as the client sees it: 'helpful', 'unhelpful' or null
+const voteLabel = value => (value === 1 ? 'helpful' : value === -1 ? 'unhelpful' : null);
+
+// The canonical place for a new review: the picked catalog destination, or the typed city/country
+// matched with the catalog ("lisboa, PT" -> Lisbon, Portugal)
+const placeOf = async ({ destinationId, city, country }) => {
+    if (!destinationId) {
+        return Destination.resolve({ city, country });
+    }
+    const destination = await Destination.findById(destinationId);
+    if (!destination) {
+        throw new ValidationError({ destinationId: 'Unknown destination.' });
+    }
+    return { city: destination.name, country: destination.country, destination };
+};
+
+// Updating the user's existing review of the same place, the old rating and comment go into its history
+const reviseExisting = (existing, { rating, comment, lat, lon }) => Review.revise({ _id: existing._id }, {
+    rating,
+    comment,
+    location: lat !== undefined ? { type: 'Point', coordinates: [lon, lat] } : undefined
+});
+
+// The user's review of a place, including one waiting in their trash
+const findOwnReview = (userId, { city, country }) => Review.findByPlace({ user: userId, city, country }).withDeleted();
+
+// saveReview - Creates the user's review of a place, or updates it when they already reviewed that place
+// A review of the place sitting in the user's trash is restored and updated, there is only ever one.
+// Returns { review, created }, the review with its author's username populated
+const saveReview = async (userId, body) => {
+    const { rating, comment, lat, lon } = body;
+    const { city, country, destination } = await placeOf(body);
+
+    let existing = await findOwnReview(userId, { city, country });
+    let savedReview;
+    if (!existing) {
+        try {
+            // Save the review to trigger Mongoose validation
+            savedReview = await new Review({
+                user: userId,
+                city,
+                country,
+                destination: destination ? destination._id : null,
+                rating,
+                comment,
+                lat,
+                lon
+            }).save();
+        } catch (err) {
+            // Another request created it in the meantime (unique index), updating that one instead
+            if (err.code !== 11000) throw err;
+            existing = await findOwnReview(userId, { city, country });
+        }
+    }
+    if (existing) {
+        if (existing.deletedAt) {
+            await existing.restore();
+        }
+        savedReview = await reviseExisting(existing, body);
+    }
+
+    // Selecting only username and id to avoid sending sensitive info
+    const review = await Review.findById(savedReview._id).populate('user', 'username _id');
+    return { review, created: !existing };
+};
+
+// reviewFilter - The visible reviews of a place (city/country or destinationId) and/or by a user
+// Places known to the catalog are matched by reference ("USA" and "United States" are the same country),
+// anything else falls back on a case-insensitive match of the text
+const reviewFilter = async ({ city, country, userId, destinationId }) => {
+    const filter = Review.visibleFilter();
+
+    const place = city || country ? await Destination.resolve({ city, country }) : null;
+    if (destinationId) {
+        filter.destination = destinationId;
+    } else if (city && country && place.destination) {
+        filter.destination = place.destination._id;
+    } else if (city) {
+        // Case-insensitive search using regex, with the input escaped so it is matched literally
+        filter.city = new RegExp(`^${escapeRegex(place.city)}$`, 'i'); // Exact match but case-insensitive
+    }
+    if (country && !filter.destination) {
+        if (place.countryCode) {
+            filter.countryCode = place.countryCode;
+        } else {
+            filter.country = new RegExp(`^${escapeRegex(country)}$`, 'i'); // Exact match but case-insensitive
+        }
+    }
+    if (userId) {
+        filter.user = userId;
+    }
+    return filter;
+};
+
+// listReviews - A page of reviews matching `filters` (see reviewFilter), `list` comes from parseListQuery()
+// With a `viewer` (the logged in user) each review also gets their own vote as myVote
+const listReviews = async (filters, list, { viewer } = {}) => {
+    const filter = await reviewFilter(filters);
+    const result = await listDocuments(Review, filter, list, query => query.populate('user', 'username _id'));
+
+    // One extra query for the user's votes on the whole page
+    if (viewer) {
+        const votes = await votesBy(viewer.id, result.data.map(review => review._id));
+        result.data = result.data.map(review => ({
+            ...review.toJSON(),
+            myVote: voteLabel(votes.get(review._id.toString()))
+        }));
+    }
+    return result;
+};
+
+// deleteReview - Moves the review to its author's trash, votes, replies, reports and pictures stay until it is purged
+const deleteReview = review => review.softDelete();
+
+// purgeReview - Removes a review for good with its reports, votes, replies and pictures
+const purgeReview = async (review) => {
+    await Review.deleteOne({ _id: review._id });
+    await ReviewReport.deleteMany({ review: review._id });
+    await removeReviewResponses([review._id]);
+    await removeImages({ review: review._id });
+};
+
+module.exports = {
+    REVIEW_LIST_OPTIONS, voteLabel, placeOf, saveReview, reviewFilter, listReviews, deleteReview, purgeReview
+};
@@ -0,0 +1,67 @@
+// server/services/trashService.js
+// The trash: deleted trips and reviews wait here for TRASH_RETENTION_DAYS (30 by default)
+// before the purge removes them for good. Until then their owner can list and restore them.
+const SavedTrip = require('../models/SavedTrip.js');
+const Review = require('../models/Review.js');
+const { purgeTrip } = require('./tripService.js');
+const { purgeReview } = require('./reviewService.js');
+const { logger } = require('../utils/logger.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+// How often the server runs the purge (TRASH_PURGE_INTERVAL_MINUTES, hourly by default)
+const PURGE_INTERVAL_MS = (Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// When a trashed document is removed for good
+const purgeDateOf = doc => new Date(doc.deletedAt.getTime() + RETENTION_DAYS * DAY_MS);
+
+const withPurgeDate = doc => ({ ...doc.toJSON(), purgeAt: purgeDateOf(doc) });
+
+// listTrash - The user's trashed trips and reviews, most recently deleted first
+// Trips shared with the user are not listed, only their owner can restore them.
+const listTrash = async (userId) => {
+    const [trips, reviews] = await Promise.all([
+        SavedTrip.find({ user: userId }).onlyDeleted().sort({ deletedAt: -1 }),
+        Review.find({ user: userId }).onlyDeleted().sort({ deletedAt: -1 })
+    ]);
+
+    return {
+        retentionDays: RETENTION_DAYS,
+        trips: trips.map(withPurgeDate),
+        reviews: reviews.map(withPurgeDate)
+    };
+};
+
+// purgeTrash - Removes everything trashed before the retention window, returns the counts
+// One document at a time, so a failure only leaves that one for the next run.
+const purgeTrash = async ({ now = new Date(), log = logger } = {}) => {
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+    const counts = { trips: 0, reviews: 0 };
+
+    for await (const trip of SavedTrip.find({ deletedAt: { $lte: cutoff } }).cursor()) {
+        await purgeTrip(trip);
+        counts.trips++;
+    }
+    for await (const review of Review.find({ deletedAt: { $lte: cutoff } }).cursor()) {
+        await purgeReview(review);
+        counts.reviews++;
+    }
+
+    if (counts.trips > 0 || counts.reviews > 0) {
+        log.info('Trash purged', counts);
+    }
+    return counts;
+};
+
+// scheduleTrashPurge - Runs the purge now and then every PURGE_INTERVAL_MS (called by server.js)
+// The timer doesn't keep the process alive, a failed run is logged and retried next time.
+const scheduleTrashPurge = ({ intervalMs = PURGE_INTERVAL_MS, log = logger } = {}) => {
+    const run = () => purgeTrash({ log }).catch(err => log.error('Trash purge failed', { err }));
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { RETENTION_DAYS, purgeDateOf, listTrash, purgeTrash, scheduleTrashPurge };
@@ -0,0 +1,122 @@
+// server/services/tripService.js
+// Saved trips as the logged in user sees them, shared by the /api/savedtrips router and the pages.
+// Access rules are the ones from middleware/tripAccess.js (owner, members, moderators/admins).
+const mongoose = require('mongoose');
+const SavedTrip = require('../models/SavedTrip.js');
+const Expense = require('../models/Expense.js');
+const User = require('../models/User.js');
+const { hasTripPermission } = require('../middleware/tripAccess.js');
+const { forbidden } = require('../middleware/authorize.js');
+const { summarizeBudget } = require('../utils/budget.js');
+const { listDocuments } = require('../utils/listQuery.js');
+const { removeImages } = require('../utils/images.js');
+const { NotFoundError } = require('../errors/index.js');
+
+// Sorting and field selection allowed on GET /api/savedtrips and the trips page
+const TRIP_LIST_OPTIONS = {
+    sortFields: { savedAt: 'savedAt', price: 'price', title: 'title' },
+    defaultSort: '-savedAt',
+    fields: ['title', 'stops', 'price', 'budget', 'coverImage', 'notes', 'savedAt', 'user', 'members']
+};
+
+// What each permission is called in the 403 message
+const ACTIONS = { view: 'view', edit: 'update', manage: 'manage' };
+
+// Trips a list/search covers: ?scope=owned, shared (accepted invitations) or all (default)
+const scopeFilter = (userId, scope = 'all') => {
+    const id = new mongoose.Types.ObjectId(userId); // aggregate() doesn't cast IDs
+    if (scope === 'owned') return { user: id };
+    if (scope === 'shared') return { members: { $elemMatch: { user: id, status: 'accepted' } } };
+    return SavedTrip.accessibleBy(userId);
+};
+
+// listTrips - A page of the user's own and shared trips, `list` comes from parseListQuery()
+const listTrips = (userId, { scope, list }) => listDocuments(SavedTrip, scopeFilter(userId, scope), list);
+
+// findTrip - Trip `tripId` if `user` has `permission` on it ('view', 'edit' or 'manage'), or a 404/403
+// The API routes do the same through canViewTrip/canEditTrip/canManageTrip
+const findTrip = async (user, tripId, permission = 'view') => {
+    const trip = mongoose.Types.ObjectId.isValid(tripId) ? await SavedTrip.findById(tripId) : null;
+    if (!trip) {
+        throw new NotFoundError('Trip not found.');
+    }
+    if (!hasTripPermission(user, trip, permission)) {
+        throw forbidden(ACTIONS[permission], 'trip');
+    }
+    return trip;
+};
+
+// tripBudget - Planned vs. actual spend per category, in `currency` or the user's home currency
+const tripBudget = async (trip, { userId, currency }) => {
+    if (!currency) {
+        const user = await User.findById(userId).select('homeCurrency');
+        currency = (user && user.homeCurrency) || 'USD';
+    }
+
+    const expenses = await Expense.find({ trip: trip._id });
+    const summary = summarizeBudget({
+        budget: trip.budget,
+        expenses,
+        categories: Expense.CATEGORIES,
+        currency
+    });
+
+    return { tripId: trip._id, ...summary };
+};
+
+// listInvitations - Trips `userId` has been invited to and hasn't answered yet
+const listInvitations = async (userId) => {
+    const trips = await SavedTrip.find({ members: { $elemMatch: { user: userId, status: 'pending' } } })
+        .select('title stops.city stops.country user members savedAt')
+        .populate('user', 'username _id');
+
+    return trips.map((trip) => {
+        const member = trip.findMember(userId);
+        return {
+            tripId: trip._id,
+            title: trip.title,
+            cities: trip.stops.map(stop => stop.city),
+            owner: trip.user,
+            role: member.role,
+            invitedAt: member.invitedAt
+        };
+    });
+};
+
+// answerInvitation - Accepts or declines the user's pending invitation to trip `tripId`, returns the trip
+// A declined invitation can be sent again by the owner. 404 when there is nothing to answer.
+const answerInvitation = async (userId, tripId, accept) => {
+    const trip = mongoose.Types.ObjectId.isValid(tripId) ? await SavedTrip.findById(tripId) : null;
+    const member = trip && trip.findMember(userId);
+    if (!member || member.status !== 'pending') {
+        throw new NotFoundError('Invitation not found.');
+    }
+
+    member.status = accept ? 'accepted' : 'declined';
+    member.respondedAt = new Date();
+    await trip.save();
+    return trip;
+};
+
+// deleteTrip - Moves the trip to its owner's trash (see models/schemas/softDelete.js)
+// Members lose access and the share link stops working until the trip is restored.
+const deleteTrip = trip => trip.softDelete();
+
+// purgeTrip - Removes a trip for good with its expenses and its pictures (documents and files)
+const purgeTrip = async (trip) => {
+    await SavedTrip.deleteOne({ _id: trip._id });
+    await Expense.deleteMany({ trip: trip._id });
+    await removeImages({ trip: trip._id });
+};
+
+module.exports = {
+    TRIP_LIST_OPTIONS,
+    scopeFilter,
+    listTrips,
+    findTrip,
+    tripBudget,
+    listInvitations,
+    answerInvitation,
+    deleteTrip,
+    purgeTrip
+};
@@ -0,0 +1,423 @@
+// server/services/userDataService.js
+// A user's data in and out: the JSON archive (profile, trips with their expenses, reviews),
+// CSV exports of trips and expenses, and importing trips from an archive or a trips CSV.
+// Imports only ever add new trips owned by the importing user. Members, share links and
+// pictures are not part of an export, and reviews are not imported (they are public and
+// limited to one per place, restore those from the trash instead).
+const mongoose = require('mongoose');
+const User = require('../models/User.js');
+const SavedTrip = require('../models/SavedTrip.js');
+const Review = require('../models/Review.js');
+const Expense = require('../models/Expense.js');
+const { toUserResponse } = require('./userService.js');
+const { toCsv, parseCsv } = require('../utils/csv.js');
+const { isSupportedCurrency } = require('../utils/currency.js');
+const { ValidationError, NotFoundError } = require('../errors/index.js');
+
+const ARCHIVE_FORMAT = 'budget-backpacker-export';
+const ARCHIVE_VERSION = 1;
+// How many trips one import can add (IMPORT_MAX_TRIPS)
+const MAX_IMPORT_TRIPS = Number(process.env.IMPORT_MAX_TRIPS) || 200;
+
+// Columns of the trips CSV, one line per stop. Lines with the same `trip` are stops of the same
+// trip in travel order, the trip's own columns (title to notes) are read from its first line.
+const TRIP_COLUMNS = [
+    'trip', 'title', 'price', 'budgetCurrency', 'budgetLodging', 'budgetTransport', 'budgetFood', 'budgetActivities', 'notes',
+    'city', 'country', 'lat', 'lon', 'arrivalDate', 'departureDate', 'lodgingName', 'lodgingAddress', 'stopNotes'
+];
+const REQUIRED_TRIP_COLUMNS = ['price', 'city', 'country', 'lat', 'lon'];
+const NUMBER_COLUMNS = ['price', 'budgetLodging', 'budgetTransport', 'budgetFood', 'budgetActivities', 'lat', 'lon'];
+const DATE_COLUMNS = ['arrivalDate', 'departureDate'];
+
+const EXPENSE_COLUMNS = ['trip', 'tripTitle', 'date', 'category', 'amount', 'currency', 'description'];
+
+// Schema paths that have a CSV column of another name (errors are reported under the column)
+const TRIP_PATH_COLUMNS = {
+    'budget.currency': 'budgetCurrency',
+    'budget.lodging': 'budgetLodging',
+    'budget.transport': 'budgetTransport',
+    'budget.food': 'budgetFood',
+    'budget.activities': 'budgetActivities'
+};
+const STOP_PATH_COLUMNS = {
+    location: 'lat',
+    'lodging.name': 'lodgingName',
+    'lodging.address': 'lodgingAddress',
+    notes: 'stopNotes'
+};
+
+
+// ------------------ Export ----------------------
+
+// The parts of a trip that are the user's own planning, without the IDs of other users
+const toArchivedTrip = (trip, expenses) => {
+    const { _id, title, price, budget, notes, savedAt } = trip.toJSON();
+    return {
+        _id,
+        title,
+        price,
+        budget,
+        notes,
+        savedAt,
+        stops: trip.stops.map(stop => ({
+            city: stop.city,
+            country: stop.country,
+            countryCode: stop.countryCode,
+            lat: stop.lat,
+            lon: stop.lon,
+            arrivalDate: stop.arrivalDate,
+            departureDate: stop.departureDate,
+            lodging: stop.lodging && stop.lodging.toObject(),
+            notes: stop.notes
+        })),
+        expenses: expenses.map(expense => ({
+            date: expense.date,
+            category: expense.category,
+            amount: expense.amount,
+            currency: expense.currency,
+            description: expense.description
+        }))
+    };
+};
+
+const toArchivedReview = review => ({
+    _id: review._id,
+    city: review.city,
+    country: review.country,
+    countryCode: review.countryCode,
+    lat: review.lat,
+    lon: review.lon,
+    rating: review.rating,
+    comment: review.comment,
+    status: review.status,
+    helpfulCount: review.helpfulCount,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+});
+
+// The user's own trips (trips shared with them belong to someone else) and their expenses.
+// Trashed trips are left out, they are gone for good soon anyway.
+const loadTrips = async (userId) => {
+    const trips = await SavedTrip.find({ user: userId }).sort({ savedAt: 1 });
+    const expenses = await Expense.find({ trip: { $in: trips.map(trip => trip._id) } }).sort({ date: 1 });
+    return { trips, expenses };
+};
+
+const expensesOf = (expenses, trip) => expenses.filter(expense => expense.trip.equals(trip._id));
+
+// exportArchive - Everything the user has put in, as one JSON document importTrips() can read back
+const exportArchive = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    const [{ trips, expenses }, reviews] = await Promise.all([
+        loadTrips(userId),
+        Review.find({ user: userId }).sort({ createdAt: 1 })
+    ]);
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date(),
+        profile: toUserResponse(user),
+        trips: trips.map(trip => toArchivedTrip(trip, expensesOf(expenses, trip))),
+        reviews: reviews.map(toArchivedReview)
+    };
+};
+
+// exportTripsCsv - The user's trips in the TRIP_COLUMNS layout, one line per stop
+const exportTripsCsv = async (userId) => {
+    const { trips } = await loadTrips(userId);
+    const budgetOf = trip => trip.budget || {};
+
+    const rows = trips.flatMap(trip => trip.stops.map(stop => ({
+        trip: trip._id,
+        title: trip.title,
+        price: trip.price,
+        budgetCurrency: budgetOf(trip).currency,
+        budgetLodging: budgetOf(trip).lodging,
+        budgetTransport: budgetOf(trip).transport,
+        budgetFood: budgetOf(trip).food,
+        budgetActivities: budgetOf(trip).activities,
+        notes: trip.notes,
+        city: stop.city,
+        country: stop.country,
+        lat: stop.lat,
+        lon: stop.lon,
+        arrivalDate: stop.arrivalDate,
+        departureDate: stop.departureDate,
+        lodgingName: stop.lodging && stop.lodging.name,
+        lodgingAddress: stop.lodging && stop.lodging.address,
+        stopNotes: stop.notes
+    })));
+
+    return toCsv(rows, TRIP_COLUMNS);
+};
+
+// exportExpensesCsv - The expenses of the user's trips, trip by trip
+const exportExpensesCsv = async (userId) => {
+    const { trips, expenses } = await loadTrips(userId);
+
+    const rows = trips.flatMap(trip => expensesOf(expenses, trip).map(expense => ({
+        trip: trip._id,
+        tripTitle: trip.title,
+        date: expense.date,
+        category: expense.category,
+        amount: expense.amount,
+        currency: expense.currency,
+        description: expense.description
+    })));
+
+    return toCsv(rows, EXPENSE_COLUMNS);
+};
+
+
+// ------------------ Import ----------------------
+// Both formats are turned into a list of candidates: { data, expenses, at, invalid }, where `at` turns
+// a schema path of the trip into the key its error is reported under, and `invalid` holds the
+// errors found before the model could check anything (null when there are none).
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Trips from an archive made by exportArchive(), errors under trips.<index>.<path>
+const fromArchive = (archive) => {
+    if (!isObject(archive) || archive.format !== ARCHIVE_FORMAT || !Array.isArray(archive.trips)) {
+        throw new ValidationError({ format: `Expected an archive from GET /api/users/me/export (format "${ARCHIVE_FORMAT}")` }, 'Nothing was imported.');
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+        throw new ValidationError({ version: `Archives up to version ${ARCHIVE_VERSION} can be imported` }, 'Nothing was imported.');
+    }
+
+    return archive.trips.map((trip, index) => {
+        const at = path => `trips.${index}${path ? `.${path}` : ''}`;
+        if (!isObject(trip)) {
+            return { data: null, expenses: [], at, invalid: { [at()]: 'Each trip must be an object' } };
+        }
+
+        const { title, price, budget, notes, savedAt } = trip;
+        const stops = Array.isArray(trip.stops) ? trip.stops.filter(isObject) : [];
+        return {
+            data: {
+                title,
+                price,
+                budget,
+                notes,
+                savedAt,
+                stops: stops.map(stop => ({
+                    city: stop.city,
+                    country: stop.country,
+                    lat: stop.lat,
+                    lon: stop.lon,
+                    arrivalDate: stop.arrivalDate,
+                    departureDate: stop.departureDate,
+                    lodging: stop.lodging,
+                    notes: stop.notes
+                }))
+            },
+            expenses: Array.isArray(trip.expenses) ? trip.expenses : [],
+            at,
+            invalid: null
+        };
+    });
+};
+
+// A CSV cell as the number or date its column holds, '' is no value
+const readCell = (row, column, invalid) => {
+    const text = (row[column] || '').trim();
+    if (text === '') return undefined;
+
+    if (NUMBER_COLUMNS.includes(column)) {
+        const number = Number(text);
+        if (!Number.isFinite(number)) {
+            invalid[`rows.${row.line}.${column}`] = `${column} must be a number`;
+        }
+        return number;
+    }
+    if (DATE_COLUMNS.includes(column)) {
+        const date = new Date(text);
+        if (Number.isNaN(date.getTime())) {
+            invalid[`rows.${row.line}.${column}`] = `${column} must be a date like 2024-05-31`;
+        }
+        return date;
+    }
+    return text;
+};
+
+// The key of a schema path's error in a trip made of `rows`: rows.<line>.<column>
+const csvErrorKey = rows => (path) => {
+    const stop = /^stops\.(\d+)\.(.+)$/.exec(path);
+    if (stop && rows[stop[1]]) {
+        const field = stop[2].startsWith('location') ? 'location' : stop[2];
+        return `rows.${rows[stop[1]].line}.${STOP_PATH_COLUMNS[field] || field}`;
+    }
+    return `rows.${rows[0].line}.${TRIP_PATH_COLUMNS[path] || path}`;
+};
+
+// Trips from a CSV in the TRIP_COLUMNS layout, errors under rows.<line>.<column>
+const fromCsv = (text) => {
+    let parsed;
+    try {
+        parsed = parseCsv(text);
+    } catch (err) {
+        throw new ValidationError({ file: `The CSV could not be read: ${err.message}` }, 'Nothing was imported.');
+    }
+
+    const missing = REQUIRED_TRIP_COLUMNS.filter(column => !parsed.columns.includes(column));
+    if (missing.length > 0) {
+        throw new ValidationError({ columns: `Missing columns: ${missing.join(', ')}` }, 'Nothing was imported.');
+    }
+
+    // Grouping the lines by trip, a line without a trip value is a one-stop trip of its own
+    const groups = new Map();
+    parsed.rows.forEach((row) => {
+        const key = (row.trip || '').trim() || `line ${row.line}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+
+    return [...groups.values()].map((rows) => {
+        const invalid = {};
+        const cell = (row, column) => readCell(row, column, invalid);
+        const [first] = rows;
+        const hasBudget = ['budgetCurrency', 'budgetLodging', 'budgetTransport', 'budgetFood', 'budgetActivities']
+            .some(column => cell(first, column) !== undefined);
+
+        const data = {
+            title: cell(first, 'title'),
+            price: cell(first, 'price'),
+            notes: cell(first, 'notes'),
+            budget: hasBudget ? {
+                currency: cell(first, 'budgetCurrency'),
+                lodging: cell(first, 'budgetLodging'),
+                transport: cell(first, 'budgetTransport'),
+                food: cell(first, 'budgetFood'),
+                activities: cell(first, 'budgetActivities')
+            } : undefined,
+            stops: rows.map(row => ({
+                city: cell(row, 'city'),
+                country: cell(row, 'country'),
+                lat: cell(row, 'lat'),
+                lon: cell(row, 'lon'),
+                arrivalDate: cell(row, 'arrivalDate'),
+                departureDate: cell(row, 'departureDate'),
+                lodging: { name: cell(row, 'lodgingName'), address: cell(row, 'lodgingAddress') },
+                notes: cell(row, 'stopNotes')
+            }))
+        };
+
+        return { data, expenses: [], at: csvErrorKey(rows), invalid: Object.keys(invalid).length > 0 ? invalid : null };
+    });
+};
+
+// Running the model's validation on `doc`, its errors are added to `fields` under at(path)
+const collectErrors = async (doc, at, fields) => {
+    try {
+        await doc.validate();
+        return true;
+    } catch (err) {
+        if (!(err instanceof mongoose.Error.ValidationError)) {
+            throw err;
+        }
+        Object.keys(err.errors).forEach((path) => {
+            const error = err.errors[path];
+            const key = at(path);
+            // Keeping the first error of a cell, with the same wording as the API for values of the wrong type
+            fields[key] = fields[key] || (error.name === 'CastError' ? `Invalid value for ${path}` : error.message);
+        });
+        return false;
+    }
+};
+
+// The models only check that a currency looks like an ISO code, budgets and expenses are converted
+// with the exchange rate table too, so it has to be in there (like `currency` in validation/common.js)
+const checkCurrency = (currency, key, fields) => {
+    if (currency === undefined || isSupportedCurrency(currency)) {
+        return true;
+    }
+    fields[key] = fields[key] || `Unsupported currency: ${currency}`;
+    return false;
+};
+
+// importTrips - Adds the trips of an archive ({ archive }) or a trips CSV ({ csv }) to the user's trips
+// Every trip (and archived expense) is validated against its model first, and nothing is saved
+// unless all of them pass: a ValidationError lists what is wrong per row or trip.
+// With `dryRun` the file is only checked. Returns { dryRun, trips: [{ _id, title }], expenses: count }
+const importTrips = async (userId, { archive, csv, dryRun = false }) => {
+    const candidates = csv !== undefined ? fromCsv(csv) : fromArchive(archive);
+
+    if (candidates.length === 0) {
+        throw new ValidationError({ trips: 'There are no trips to import' }, 'Nothing was imported.');
+    }
+    if (candidates.length > MAX_IMPORT_TRIPS) {
+        throw new ValidationError({ trips: `At most ${MAX_IMPORT_TRIPS} trips can be imported at once` }, 'Nothing was imported.');
+    }
+
+    const fields = {};
+    const trips = [];
+    const expenses = [];
+    let failed = 0;
+
+    // One at a time: validation looks the stops up in the destination catalog
+    for (const candidate of candidates) {
+        Object.assign(fields, candidate.invalid);
+        if (!candidate.data) {
+            failed++;
+            continue;
+        }
+
+        const trip = new SavedTrip({ ...candidate.data, user: userId });
+        let valid = (await collectErrors(trip, candidate.at, fields)) && !candidate.invalid;
+        valid = checkCurrency(trip.budget && trip.budget.currency, candidate.at('budget.currency'), fields) && valid;
+
+        for (const [index, entry] of candidate.expenses.entries()) {
+            const { date, category, amount, currency, description } = isObject(entry) ? entry : {};
+            const expense = new Expense({ trip: trip._id, paidBy: userId, date, category, amount, currency, description });
+            const at = path => candidate.at(`expenses.${index}.${path}`);
+            valid = (await collectErrors(expense, at, fields)) && valid;
+            valid = checkCurrency(expense.currency, at('currency'), fields) && valid;
+            expenses.push(expense);
+        }
+
+        if (!valid) failed++;
+        trips.push(trip);
+    }
+
+    if (failed > 0) {
+        throw new ValidationError(fields, `Nothing was imported: ${failed} of ${candidates.length} trips have errors.`);
+    }
+
+    // All or nothing, like the account deletion (transactions need a replica set)
+    if (!dryRun) {
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                await SavedTrip.insertMany(trips, { session });
+                if (expenses.length > 0) {
+                    await Expense.insertMany(expenses, { session });
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    return {
+        dryRun,
+        trips: trips.map(trip => ({ _id: trip._id, title: trip.title })),
+        expenses: expenses.length
+    };
+};
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    MAX_IMPORT_TRIPS,
+    TRIP_COLUMNS,
+    EXPENSE_COLUMNS,
+    exportArchive,
+    exportTripsCsv,
+    exportExpensesCsv,
+    importTrips
+};
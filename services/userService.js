@@ -0,0 +1,192 @@
+// server/services/userService.js
+// Accounts: registration, login and profile changes, shared by the /api/users router and the pages.
+// Functions take already validated input (validation/users.js) and throw the errors from errors/index.js.
+const bcrypt = require('bcryptjs');
+const User = require('../models/User.js');
+const { createUserToken, consumeUserToken } = require('../utils/userTokens.js');
+const { lockedFor, recordFailedLogin, clearFailedLogins } = require('../utils/loginLockout.js');
+const { sendMail } = require('../mail/index.js');
+const mailTemplates = require('../mail/templates.js');
+const { logger } = require('../utils/logger.js');
+const { BadRequestError, ConflictError, NotFoundError, TooManyRequestsError } = require('../errors/index.js');
+
+// Building the user info we send back to clients (never includes the password hash)
+const toUserResponse = (user) => ({
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    homeCurrency: user.homeCurrency,
+    emailVerified: user.emailVerified,
+    createdAt: user.createdAt
+});
+
+// Hashing a plain password with bcrypt before it is stored
+// 10 salt rounds to make common passwords more secured against hacking
+const hashPassword = async (password) => {
+    const salt = await bcrypt.genSalt(10);
+    return bcrypt.hash(password, salt);
+};
+
+// Emailing a fresh verification link to the user
+const sendVerificationEmail = async (user) => {
+    const token = await createUserToken(user._id, 'email-verification');
+    await sendMail(mailTemplates.emailVerification(user, token));
+};
+
+// Same as sendVerificationEmail, but a mail failure is only logged (it shouldn't undo a registration or profile change)
+const trySendVerificationEmail = async (user, log) => {
+    try {
+        await sendVerificationEmail(user);
+    } catch (mailErr) {
+        log.warn('Verification email failed', { err: mailErr, userId: user.id });
+    }
+};
+
+// The 409 for a username or email that belongs to another account
+const conflictFor = (existingUser, { email }) => {
+    const field = email && existingUser.email === email ? 'email' : 'username';
+    return new ConflictError('User already exists', { [field]: field === 'email' ? 'Email already in use' : 'Username already taken' });
+};
+
+// Loading a user by ID, or throwing a 404
+const getUser = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+    return user;
+};
+
+// registerUser - Creates the account and emails a verification link
+// `log` is the request logger when there is one, so mail failures carry the request ID
+const registerUser = async ({ username, email, password }, { log = logger } = {}) => {
+    // Checking if user already exists (by email or username)
+    // We use User.findOne() with $or to efficiently check if either the email or username is already taken
+    const existingUser = await User.findOne({ $or: [{ email: email }, { username: username }] });
+    if (existingUser) {
+        throw conflictFor(existingUser, { email });
+    }
+
+    // Hashing the password before it is stored, the plain one never reaches the database
+    const newUser = new User({ username, email, password: await hashPassword(password) });
+
+    // Saving the user to the database
+    // It also triggers Mongoose schema validations (required, unique, format, etc.) on the final data
+    await newUser.save();
+
+    await trySendVerificationEmail(newUser, log);
+    return newUser;
+};
+
+// authenticate - The user with this email or username and password, or a 400 that doesn't say which was wrong
+// A locked account is refused before the password is even checked, so guessing gets nowhere (utils/loginLockout.js)
+const authenticate = async ({ identifier, password }) => {
+    const user = await User.findOne({ $or: [{ email: identifier }, { username: identifier }] });
+    if (!user) {
+        throw new BadRequestError('Invalid Credentials');
+    }
+
+    const retryAfter = lockedFor(user);
+    if (retryAfter > 0) {
+        throw new TooManyRequestsError('Too many failed login attempts, the account is temporarily locked.', retryAfter);
+    }
+
+    // bcrypt.compare handles extracting the salt from the stored hash automatically
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+        await recordFailedLogin(user);
+        throw new BadRequestError('Invalid Credentials');
+    }
+    await clearFailedLogins(user);
+
+    return user;
+};
+
+// updateProfile - Changes the username, email or home currency
+// A new email address has to be verified again, the link is sent right away
+const updateProfile = async (userId, updates, { log = logger } = {}) => {
+    const user = await getUser(userId);
+
+    // Checking the new username/email is not already used by another account
+    const taken = [];
+    if (updates.email) taken.push({ email: updates.email });
+    if (updates.username) taken.push({ username: updates.username });
+    if (taken.length > 0) {
+        const existingUser = await User.findOne({ _id: { $ne: user._id }, $or: taken });
+        if (existingUser) {
+            throw conflictFor(existingUser, updates);
+        }
+    }
+
+    const emailChanged = updates.email && updates.email !== user.email;
+
+    user.set(updates);
+    if (emailChanged) {
+        user.emailVerified = false; // The new address has to be verified again
+    }
+    await user.save(); // Runs the schema validations (length, email format, etc.)
+
+    if (emailChanged) {
+        await trySendVerificationEmail(user, log);
+    }
+    return user;
+};
+
+// changePassword - Sets a new password after re-verifying the current one
+// passwordChangedAt ends every refresh token and session issued before now
+const changePassword = async (userId, { currentPassword, newPassword }) => {
+    const user = await getUser(userId);
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+        throw new BadRequestError('Current password is incorrect');
+    }
+
+    user.password = await hashPassword(newPassword);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    return user;
+};
+
+// verifyEmail - Marks the address of the emailed token's user as verified, returns the user
+// The token can only be used once.
+const verifyEmail = async (token) => {
+    const userToken = await consumeUserToken(token, 'email-verification');
+    const user = userToken && await User.findByIdAndUpdate(userToken.user, { emailVerified: true }, { new: true });
+    if (!user) {
+        throw new BadRequestError('Invalid or expired verification token');
+    }
+    return user;
+};
+
+// resetPassword - Sets a new password with the emailed token, returns the user
+// Like changePassword it ends every session, and it unlocks the account.
+const resetPassword = async (token, newPassword) => {
+    const userToken = await consumeUserToken(token, 'password-reset');
+    const user = userToken && await User.findById(userToken.user);
+    if (!user) {
+        throw new BadRequestError('Invalid or expired reset token');
+    }
+
+    user.password = await hashPassword(newPassword);
+    user.passwordChangedAt = new Date(); // Logs out sessions that still hold an old refresh token
+    user.emailVerified = true; // Receiving the reset email proves the address works
+    user.failedLoginCount = 0; // And unlocks the account
+    user.lockedUntil = undefined;
+    await user.save();
+    return user;
+};
+
+module.exports = {
+    toUserResponse,
+    hashPassword,
+    sendVerificationEmail,
+    getUser,
+    registerUser,
+    authenticate,
+    updateProfile,
+    changePassword,
+    verifyEmail,
+    resetPassword
+};
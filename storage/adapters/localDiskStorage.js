@@ -0,0 +1,42 @@
+// server/storage/adapters/localDiskStorage.js
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files in a folder on this machine, the key is the path inside the folder ("trips/<id>/<file>")
+const createLocalDiskStorage = ({ directory }) => {
+    const root = path.resolve(directory);
+
+    // Keys are built by the app, still making sure none can point outside the folder
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        directory: root,
+        async put(key, body) {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, body);
+            return { key };
+        },
+        // The file contents, or null when there is no such file
+        async get(key) {
+            try {
+                return await fs.readFile(resolveKey(key));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+        async remove(key) {
+            await fs.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+module.exports = createLocalDiskStorage;
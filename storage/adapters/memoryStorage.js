@@ -0,0 +1,27 @@
+// server/storage/adapters/memoryStorage.js
+
+// Keeps files in a Map instead of writing them anywhere.
+// Useful for tests: read storage.files to check what was stored or removed.
+const createMemoryStorage = () => {
+    const files = new Map();
+
+    return {
+        name: 'memory',
+        files,
+        async put(key, body) {
+            files.set(key, Buffer.from(body));
+            return { key };
+        },
+        async get(key) {
+            return files.get(key) || null;
+        },
+        async remove(key) {
+            files.delete(key);
+        },
+        clear() {
+            files.clear();
+        }
+    };
+};
+
+module.exports = createMemoryStorage;
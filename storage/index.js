@@ -0,0 +1,39 @@
+// server/storage/index.js
+const path = require('path');
+const createLocalDiskStorage = require('./adapters/localDiskStorage.js');
+const createMemoryStorage = require('./adapters/memoryStorage.js');
+
+// A storage adapter is any object with async put(key, buffer, { contentType }), get(key) -> buffer or null,
+// and remove(key) (removing a missing file is not an error).
+// STORAGE_DRIVER picks a built-in one, or another adapter (S3, GCS...) can be plugged in with setStorage().
+const createStorageFromEnv = () => {
+    switch (process.env.STORAGE_DRIVER || 'local') {
+        case 'local':
+            // app.js serves the project folder as static files, express.static skips dot-folders
+            // so uploads can only be reached through /api/images (UPLOAD_DIR should stay outside it too)
+            return createLocalDiskStorage({ directory: process.env.UPLOAD_DIR || path.join(__dirname, '../.uploads') });
+        case 'memory':
+            return createMemoryStorage();
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${process.env.STORAGE_DRIVER}" (use local or memory)`);
+    }
+};
+
+let storage = null;
+
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorageFromEnv();
+    }
+    return storage;
+};
+
+// Replacing the storage (for example with a cloud bucket in production)
+const setStorage = (newStorage) => {
+    if (!newStorage || ['put', 'get', 'remove'].some(method => typeof newStorage[method] !== 'function')) {
+        throw new Error('A storage adapter needs put(key, body), get(key) and remove(key) functions');
+    }
+    storage = newStorage;
+};
+
+module.exports = { getStorage, setStorage };
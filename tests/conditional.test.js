@@ -0,0 +1,187 @@
+// server/tests/conditional.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, startDatabase, stopDatabase, clearDatabase, createUser } = require('./helpers/testApp.js');
+
+const LISBON = { city: 'Lisbon', country: 'Portugal', lat: 38.72, lon: -9.14 };
+
+describe('ETags and conditional requests', () => {
+    let owner;
+    let stranger;
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        owner = await createUser();
+        stranger = await createUser();
+    });
+
+    describe('trips', () => {
+        let trip;
+
+        beforeEach(async () => {
+            trip = (await request(app)
+                .post('/api/savedtrips')
+                .set('Authorization', owner.auth)
+                .send({ title: 'Portugal', stops: [LISBON], price: 500 })).body;
+        });
+
+        it('answers 304 while the trip is unchanged', async () => {
+            const first = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(first.status, 200);
+            assert.ok(first.headers.etag);
+
+            const again = await request(app)
+                .get(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', owner.auth)
+                .set('If-None-Match', first.headers.etag);
+            assert.equal(again.status, 304);
+
+            await request(app).patch(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth).send({ title: 'Portugal by train' });
+
+            const changed = await request(app)
+                .get(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', owner.auth)
+                .set('If-None-Match', first.headers.etag);
+            assert.equal(changed.status, 200);
+            assert.equal(changed.body.title, 'Portugal by train');
+            assert.notEqual(changed.headers.etag, first.headers.etag);
+        });
+
+        it('refuses a PATCH or DELETE made on an older version with 412', async () => {
+            const loaded = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            const etag = loaded.headers.etag;
+
+            const first = await request(app)
+                .patch(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', etag)
+                .send({ title: 'First edit' });
+            assert.equal(first.status, 200);
+            assert.ok(first.headers.etag);
+            assert.notEqual(first.headers.etag, etag);
+
+            // A second device still holding the old ETag
+            const stale = await request(app)
+                .patch(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', etag)
+                .send({ title: 'Second edit' });
+            assert.equal(stale.status, 412);
+            assert.equal(stale.body.code, 'PRECONDITION_FAILED');
+
+            const staleDelete = await request(app)
+                .delete(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', etag);
+            assert.equal(staleDelete.status, 412);
+
+            const current = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(current.body.title, 'First edit');
+
+            const remove = await request(app)
+                .delete(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', first.headers.etag);
+            assert.equal(remove.status, 200);
+        });
+
+        it('refuses adding or reordering stops on an older version with 412', async () => {
+            const loaded = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            const etag = loaded.headers.etag;
+
+            const edit = await request(app)
+                .patch(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', etag)
+                .send({ title: 'Portugal by train' });
+            assert.equal(edit.status, 200);
+
+            const staleAdd = await request(app)
+                .post(`/api/savedtrips/${trip._id}/stops`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', etag)
+                .send({ city: 'Porto', country: 'Portugal', lat: 41.15, lon: -8.61 });
+            assert.equal(staleAdd.status, 412);
+
+            const staleOrder = await request(app)
+                .put(`/api/savedtrips/${trip._id}/stops/order`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', etag)
+                .send({ stopIds: loaded.body.stops.map(stop => stop._id) });
+            assert.equal(staleOrder.status, 412);
+
+            const add = await request(app)
+                .post(`/api/savedtrips/${trip._id}/stops`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', edit.headers.etag)
+                .send({ city: 'Porto', country: 'Portugal', lat: 41.15, lon: -8.61 });
+            assert.equal(add.status, 201);
+            assert.equal(add.body.stops.length, 2);
+        });
+
+        it('checks access before the version', async () => {
+            const res = await request(app)
+                .patch(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', stranger.auth)
+                .set('If-Match', '"99-nope"')
+                .send({ title: 'Mine now' });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('reviews', () => {
+        let review;
+
+        beforeEach(async () => {
+            review = (await request(app)
+                .post('/api/reviews')
+                .set('Authorization', owner.auth)
+                .send({ ...LISBON, rating: 4, comment: 'Great food' })).body;
+        });
+
+        it('refuses an edit based on an older version of the review', async () => {
+            const loaded = await request(app).get(`/api/reviews/${review._id}`);
+            const etag = loaded.headers.etag;
+            assert.ok(etag);
+
+            await request(app).patch(`/api/reviews/${review._id}`).set('Authorization', owner.auth).send({ rating: 5 });
+
+            const stale = await request(app)
+                .patch(`/api/reviews/${review._id}`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', etag)
+                .send({ rating: 2 });
+            assert.equal(stale.status, 412);
+
+            const current = await request(app).get(`/api/reviews/${review._id}`);
+            assert.equal(current.body.rating, 5);
+
+            const fresh = await request(app)
+                .patch(`/api/reviews/${review._id}`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', current.headers.etag)
+                .send({ rating: 2 });
+            assert.equal(fresh.status, 200);
+            assert.equal(fresh.body.rating, 2);
+        });
+
+        it('changes the ETag on votes without making the author\'s edit stale', async () => {
+            const loaded = await request(app).get(`/api/reviews/${review._id}`);
+
+            await request(app).put(`/api/reviews/${review._id}/vote`).set('Authorization', stranger.auth).send({ helpful: true });
+
+            const reread = await request(app).get(`/api/reviews/${review._id}`).set('If-None-Match', loaded.headers.etag);
+            assert.equal(reread.status, 200);
+            assert.equal(reread.body.helpfulCount, 1);
+
+            const edit = await request(app)
+                .patch(`/api/reviews/${review._id}`)
+                .set('Authorization', owner.auth)
+                .set('If-Match', loaded.headers.etag)
+                .send({ comment: 'Great food and views' });
+            assert.equal(edit.status, 200);
+        });
+    });
+});
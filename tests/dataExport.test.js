@@ -0,0 +1,220 @@
+// server/tests/dataExport.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, startDatabase, stopDatabase, clearDatabase, createUser } = require('./helpers/testApp.js');
+const SavedTrip = require('../models/SavedTrip.js');
+const { parseCsv } = require('../utils/csv.js');
+
+const LISBON = { city: 'Lisbon', country: 'Portugal', lat: 38.72, lon: -9.14, arrivalDate: '2024-05-01', departureDate: '2024-05-04' };
+const PORTO = { city: 'Porto', country: 'Portugal', lat: 41.15, lon: -8.61 };
+
+describe('data export and import', () => {
+    let owner;
+    let stranger;
+    let trip;
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        owner = await createUser();
+        stranger = await createUser();
+
+        trip = (await request(app)
+            .post('/api/savedtrips')
+            .set('Authorization', owner.auth)
+            .send({ title: 'Portugal, north & south', stops: [LISBON, PORTO], price: 800, notes: '=cheap trip' })).body;
+        await request(app)
+            .post(`/api/savedtrips/${trip._id}/expenses`)
+            .set('Authorization', owner.auth)
+            .send({ amount: 35, currency: 'EUR', category: 'food', description: 'Dinner' });
+        await request(app)
+            .post('/api/reviews')
+            .set('Authorization', owner.auth)
+            .send({ ...LISBON, rating: 5, comment: 'Loved it' });
+    });
+
+    describe('export', () => {
+        it('downloads the profile, trips with expenses and reviews as one archive', async () => {
+            const res = await request(app).get('/api/users/me/export').set('Authorization', owner.auth);
+            assert.equal(res.status, 200);
+            assert.match(res.headers['content-disposition'], /attachment; filename="budget-backpacker-.*\.json"/);
+
+            assert.equal(res.body.format, 'budget-backpacker-export');
+            assert.equal(res.body.profile.username, owner.username);
+            assert.equal(res.body.profile.password, undefined);
+            assert.equal(res.body.trips.length, 1);
+            assert.deepEqual(res.body.trips[0].stops.map(stop => stop.city), ['Lisbon', 'Porto']);
+            assert.equal(res.body.trips[0].stops[1].lat, 41.15);
+            assert.equal(res.body.trips[0].expenses[0].description, 'Dinner');
+            assert.equal(res.body.trips[0].members, undefined);
+            assert.equal(res.body.reviews[0].comment, 'Loved it');
+
+            const other = await request(app).get('/api/users/me/export').set('Authorization', stranger.auth);
+            assert.equal(other.body.trips.length, 0);
+            assert.equal(other.body.reviews.length, 0);
+        });
+
+        it('exports trips with one CSV line per stop and the expenses', async () => {
+            const trips = await request(app).get('/api/users/me/export/trips.csv').set('Authorization', owner.auth);
+            assert.equal(trips.status, 200);
+            assert.match(trips.headers['content-type'], /^text\/csv/);
+
+            const { rows } = parseCsv(trips.text);
+            assert.equal(rows.length, 2);
+            assert.equal(rows[0].title, 'Portugal, north & south');
+            assert.equal(rows[0].notes, '=cheap trip'); // Written as '=cheap trip so spreadsheets don't run it
+            assert.ok(trips.text.includes("'=cheap trip"));
+            assert.deepEqual(rows.map(row => row.city), ['Lisbon', 'Porto']);
+            assert.equal(rows[1].trip, trip._id);
+
+            const expenses = await request(app).get('/api/users/me/export/expenses.csv').set('Authorization', owner.auth);
+            const expenseRows = parseCsv(expenses.text).rows;
+            assert.equal(expenseRows.length, 1);
+            assert.equal(expenseRows[0].amount, '35');
+            assert.equal(expenseRows[0].tripTitle, 'Portugal, north & south');
+        });
+
+        it('downloads a trip as GPX for the people who can view it', async () => {
+            const res = await request(app).get(`/api/savedtrips/${trip._id}/gpx`).set('Authorization', owner.auth);
+            assert.equal(res.status, 200);
+            assert.match(res.headers['content-type'], /^application\/gpx\+xml/);
+            assert.match(res.headers['content-disposition'], /filename="Portugal-north-south\.gpx"/);
+            assert.match(res.text, /<wpt lat="38.72" lon="-9.14">/);
+            assert.match(res.text, /<name>Portugal, north &amp; south<\/name>/);
+            assert.equal((res.text.match(/<rtept /g) || []).length, 2);
+
+            const forbidden = await request(app).get(`/api/savedtrips/${trip._id}/gpx`).set('Authorization', stranger.auth);
+            assert.equal(forbidden.status, 403);
+        });
+    });
+
+    describe('import', () => {
+        it('imports an archive as new trips of the importing user', async () => {
+            const archive = (await request(app).get('/api/users/me/export').set('Authorization', owner.auth)).body;
+
+            const res = await request(app)
+                .post('/api/users/me/import')
+                .set('Authorization', stranger.auth)
+                .attach('file', Buffer.from(JSON.stringify(archive)), { filename: 'export.json', contentType: 'application/json' });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.trips.length, 1);
+            assert.equal(res.body.expenses, 1);
+            assert.notEqual(res.body.trips[0]._id, trip._id);
+
+            const imported = await request(app).get(`/api/savedtrips/${res.body.trips[0]._id}`).set('Authorization', stranger.auth);
+            assert.equal(imported.body.title, 'Portugal, north & south');
+            assert.equal(imported.body.user, stranger.id);
+            assert.equal(imported.body.stops.length, 2);
+
+            const expenses = await request(app).get(`/api/savedtrips/${res.body.trips[0]._id}/expenses`).set('Authorization', stranger.auth);
+            assert.equal(expenses.body.length, 1);
+            assert.equal(expenses.body[0].paidBy._id, stranger.id);
+        });
+
+        it('takes archives over 100kb as a JSON body, like an upload', async () => {
+            const archive = (await request(app).get('/api/users/me/export').set('Authorization', owner.auth)).body;
+            archive.profile.bio = 'x'.repeat(200 * 1024); // Profiles aren't imported
+
+            const res = await request(app).post('/api/users/me/import').set('Authorization', owner.auth).send(archive);
+            assert.equal(res.status, 201);
+            assert.equal(res.body.trips.length, 1);
+        });
+
+        it('imports the trips CSV it exported', async () => {
+            const csv = (await request(app).get('/api/users/me/export/trips.csv').set('Authorization', owner.auth)).text;
+
+            const res = await request(app)
+                .post('/api/users/me/import')
+                .set('Authorization', owner.auth)
+                .set('Content-Type', 'text/csv')
+                .send(csv);
+            assert.equal(res.status, 201);
+            assert.equal(res.body.trips.length, 1);
+
+            const copy = await SavedTrip.findById(res.body.trips[0]._id);
+            assert.equal(copy.notes, '=cheap trip');
+            assert.deepEqual(copy.stops.map(stop => stop.city), ['Lisbon', 'Porto']);
+            assert.equal(copy.stops[0].arrivalDate.toISOString(), '2024-05-01T00:00:00.000Z');
+        });
+
+        it('reports errors per row and imports nothing when a row is invalid', async () => {
+            const csv = [
+                'trip,title,price,city,country,lat,lon',
+                'a,Spain,300,Madrid,Spain,40.42,-3.70',
+                'a,,,Seville,,37.39,-5.98',
+                ',Italy,-5,Rome,Italy,abc,12.5'
+            ].join('\n');
+
+            const res = await request(app)
+                .post('/api/users/me/import')
+                .set('Authorization', owner.auth)
+                .attach('file', Buffer.from(csv), { filename: 'trips.csv', contentType: 'text/csv' });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+            assert.equal(res.body.fields['rows.3.country'], 'Country name is required');
+            assert.equal(res.body.fields['rows.4.price'], 'Price cannot be negative');
+            assert.equal(res.body.fields['rows.4.lat'], 'lat must be a number');
+            assert.equal(res.body.fields['rows.2.city'], undefined);
+
+            assert.equal(await SavedTrip.countDocuments({ user: owner.id }), 1);
+        });
+
+        it('refuses currencies the exchange rate table does not have', async () => {
+            const csv = await request(app)
+                .post('/api/users/me/import')
+                .set('Authorization', owner.auth)
+                .set('Content-Type', 'text/csv')
+                .send('title,price,budgetCurrency,budgetFood,city,country,lat,lon\nRome,100,XAF,50,Rome,Italy,41.9,12.5\n');
+            assert.equal(csv.status, 400);
+            assert.equal(csv.body.fields['rows.2.budgetCurrency'], 'Unsupported currency: XAF');
+
+            const archive = (await request(app).get('/api/users/me/export').set('Authorization', owner.auth)).body;
+            archive.trips[0].expenses[0].currency = 'XAF';
+            const res = await request(app).post('/api/users/me/import').set('Authorization', owner.auth).send(archive);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.fields['trips.0.expenses.0.currency'], 'Unsupported currency: XAF');
+
+            // Nothing was saved, so the budget summaries can still convert every amount
+            const trips = await SavedTrip.find({ user: owner.id });
+            assert.equal(trips.length, 1);
+            const budget = await request(app).get(`/api/savedtrips/${trips[0]._id}/budget`).set('Authorization', owner.auth);
+            assert.equal(budget.status, 200);
+        });
+
+        it('only checks the file on a dry run', async () => {
+            const res = await request(app)
+                .post('/api/users/me/import?dryRun=true')
+                .set('Authorization', owner.auth)
+                .set('Content-Type', 'text/csv')
+                .send('title,price,city,country,lat,lon\nRome,100,Rome,Italy,41.9,12.5\n');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.dryRun, true);
+            assert.equal(res.body.trips.length, 1);
+            assert.equal(await SavedTrip.countDocuments({ user: owner.id }), 1);
+        });
+
+        it('refuses files that are not an export archive or a trips CSV', async () => {
+            const notArchive = await request(app).post('/api/users/me/import').set('Authorization', owner.auth).send({ hello: 'world' });
+            assert.equal(notArchive.status, 400);
+            assert.ok(notArchive.body.fields.format);
+
+            const columns = await request(app)
+                .post('/api/users/me/import')
+                .set('Authorization', owner.auth)
+                .set('Content-Type', 'text/csv')
+                .send('name,place\nx,y\n');
+            assert.equal(columns.status, 400);
+            assert.match(columns.body.fields.columns, /price/);
+
+            const image = await request(app)
+                .post('/api/users/me/import')
+                .set('Authorization', owner.auth)
+                .attach('file', Buffer.from('GIF89a'), { filename: 'photo.gif', contentType: 'image/gif' });
+            assert.equal(image.status, 400);
+
+            const empty = await request(app).post('/api/users/me/import').set('Authorization', owner.auth);
+            assert.equal(empty.status, 400);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+// server/tests/destinations.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, startDatabase, stopDatabase, clearDatabase, createUser } = require('./helpers/testApp.js');
+const seedDestinations = require('../scripts/seedDestinations.js');
+const { destinations: DATASET } = require('../data/destinations.json');
+
+// A few catalog entries are enough, seeding the whole dataset before every test is slow
+const CATALOG = DATASET.filter(entry => ['Lisbon', 'Porto', 'Bangkok', 'Barcelona', 'Buenos Aires', 'Granada'].includes(entry.name));
+
+describe('destination catalog', () => {
+    let user;
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        await seedDestinations(CATALOG);
+        user = await createUser();
+    });
+
+    describe('GET /api/destinations/lookup and /autocomplete', () => {
+        it('finds a destination by alias and country code', async () => {
+            const res = await request(app).get('/api/destinations/lookup?city=lisboa&country=pt');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.name, 'Lisbon');
+            assert.equal(res.body.country, 'Portugal');
+            assert.equal(res.body.countryCode, 'PT');
+            assert.equal(res.body.searchNames, undefined);
+            assert.ok(res.body.lat);
+
+            const unknown = await request(app).get('/api/destinations/lookup?city=Atlantis');
+            assert.equal(unknown.status, 404);
+
+            const badCountry = await request(app).get('/api/destinations/lookup?city=Lisbon&country=Narnia');
+            assert.equal(badCountry.status, 400);
+        });
+
+        it('picks the biggest city when the country is left out', async () => {
+            const res = await request(app).get('/api/destinations/lookup?city=Granada');
+            assert.equal(res.body.countryCode, 'ES');
+        });
+
+        it('suggests destinations by prefix, biggest first, optionally in one country', async () => {
+            const res = await request(app).get('/api/destinations/autocomplete?q=Ba');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.map(destination => destination.name), ['Bangkok', 'Buenos Aires', 'Barcelona']);
+
+            const inCountry = await request(app).get('/api/destinations/autocomplete?q=gra&country=Nicaragua');
+            assert.deepEqual(inCountry.body.map(destination => destination.countryCode), ['NI']);
+
+            const missing = await request(app).get('/api/destinations/autocomplete');
+            assert.equal(missing.status, 400);
+        });
+    });
+
+    describe('linking reviews and trips', () => {
+        it('stores reviews under the canonical names and finds them by country code', async () => {
+            const created = await request(app)
+                .post('/api/reviews')
+                .set('Authorization', user.auth)
+                .send({ city: 'lisboa', country: 'PT', rating: 5 });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.city, 'Lisbon');
+            assert.equal(created.body.country, 'Portugal');
+            assert.equal(created.body.countryCode, 'PT');
+            assert.ok(created.body.destination);
+
+            // Same place under another name updates the review
+            const again = await request(app)
+                .post('/api/reviews')
+                .set('Authorization', user.auth)
+                .send({ destinationId: created.body.destination, rating: 4 });
+            assert.equal(again.status, 200);
+
+            const byCountry = await request(app).get('/api/reviews?country=Portugal');
+            assert.equal(byCountry.body.data.length, 1);
+            const byPlace = await request(app).get('/api/reviews?city=Lisboa&country=PT');
+            assert.equal(byPlace.body.data.length, 1);
+            const byDestination = await request(app).get(`/api/reviews?destinationId=${created.body.destination}`);
+            assert.equal(byDestination.body.data.length, 1);
+        });
+
+        it('keeps unknown places as typed', async () => {
+            const res = await request(app)
+                .post('/api/reviews')
+                .set('Authorization', user.auth)
+                .send({ city: 'Tiny Village', country: 'USA', rating: 3 });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.city, 'Tiny Village');
+            assert.equal(res.body.country, 'United States');
+            assert.equal(res.body.countryCode, 'US');
+            assert.equal(res.body.destination, null);
+        });
+
+        it('fills a trip stop from a picked destination', async () => {
+            const lookup = await request(app).get('/api/destinations/lookup?city=Porto&country=Portugal');
+
+            const res = await request(app)
+                .post('/api/savedtrips')
+                .set('Authorization', user.auth)
+                .send({ title: 'North', stops: [{ destinationId: lookup.body._id }], price: 300 });
+            assert.equal(res.status, 201, JSON.stringify(res.body));
+            assert.equal(res.body.stops[0].city, 'Porto');
+            assert.equal(res.body.stops[0].lat, lookup.body.lat);
+
+            const incomplete = await request(app)
+                .post('/api/savedtrips')
+                .set('Authorization', user.auth)
+                .send({ stops: [{ city: 'Porto' }], price: 300 });
+            assert.equal(incomplete.status, 400);
+        });
+
+        it('groups stats under the catalog names', async () => {
+            await request(app).post('/api/reviews').set('Authorization', user.auth).send({ city: 'Lisboa', country: 'Portugal', rating: 4 });
+
+            const res = await request(app).get('/api/destinations/PT/lisboa');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.city, 'Lisbon');
+            assert.equal(res.body.reviewCount, 1);
+        });
+    });
+});
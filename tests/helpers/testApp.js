@@ -0,0 +1,112 @@
+// server/tests/helpers/testApp.js
+// Shared setup for the integration tests: an in-memory MongoDB, the Express app and a few shortcuts.
+// The env has to be set before app.js (and the token/mail modules it loads) is required.
+process.env.NODE_ENV = 'test';
+process.env.ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'test-access-secret';
+process.env.REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'test-refresh-secret';
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { createApp } = require('../../app.js');
+const { getTransport } = require('../../mail/index.js');
+const { getStorage } = require('../../storage/index.js');
+const rateLimitStore = require('../../rateLimit/index.js');
+const { purgeTrash, RETENTION_DAYS } = require('../../services/trashService.js');
+const { migrateUp } = require('../../utils/migrations.js');
+const User = require('../../models/User.js');
+
+const app = createApp();
+const PASSWORD = 'secret123';
+
+let replSet = null;
+
+// Starting a one-node replica set, so routes that use transactions (DELETE /api/users/me) work too.
+// The MongoDB binary is downloaded once into node_modules/.cache, later runs work offline
+// (or point MONGOMS_SYSTEM_BINARY at a local mongod).
+const startDatabase = async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    mongoose.set('autoIndex', false); // Like server.js
+    await mongoose.connect(replSet.getUri());
+
+    // Unique, text and 2dsphere indexes have to exist before the tests rely on them,
+    // they come from the migrations like in production
+    await migrateUp();
+};
+
+const stopDatabase = async () => {
+    await mongoose.disconnect();
+    if (replSet) {
+        await replSet.stop();
+        replSet = null;
+    }
+};
+
+// Emptying every collection (indexes and applied migrations stay), the mail outbox, the uploaded files
+// and the rate limit counters between tests
+const clearDatabase = async () => {
+    const collections = Object.values(mongoose.connection.collections)
+        .filter(collection => collection.collectionName !== 'migrations');
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+    getTransport().clear();
+    getStorage().clear();
+    rateLimitStore.getStore().clear();
+};
+
+// Registering and logging in a user, returns { id, username, email, accessToken, refreshToken, auth }
+// `role` is set directly in the database before logging in, so it ends up in the token.
+const createUser = async ({ username, email, password = PASSWORD, role } = {}) => {
+    const name = username || `user${Math.random().toString(36).slice(2, 10)}`;
+    const address = email || `${name}@example.com`;
+
+    const registered = await request(app)
+        .post('/api/users/register')
+        .send({ username: name, email: address, password });
+    if (registered.status !== 201) {
+        throw new Error(`Test user registration failed: ${registered.status} ${JSON.stringify(registered.body)}`);
+    }
+
+    if (role) {
+        await User.updateOne({ _id: registered.body.user._id }, { role });
+    }
+
+    const login = await request(app)
+        .post('/api/users/login')
+        .send({ email: address, password });
+
+    return {
+        id: registered.body.user._id,
+        username: name,
+        email: address,
+        password,
+        accessToken: login.body.accessToken,
+        refreshToken: login.body.refreshToken,
+        auth: `Bearer ${login.body.accessToken}`
+    };
+};
+
+// Reading the token out of the link in the last email sent to an address
+const lastMailToken = (to) => {
+    const messages = getTransport().messages.filter(message => message.to === to);
+    if (messages.length === 0) return null;
+    const match = messages[messages.length - 1].text.match(/token=([^\s]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Running the trash purge as if the retention window of everything in the trash had passed
+const emptyTrash = () => purgeTrash({ now: new Date(Date.now() + (RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000) });
+
+module.exports = {
+    app,
+    request,
+    PASSWORD,
+    startDatabase,
+    stopDatabase,
+    clearDatabase,
+    createUser,
+    lastMailToken,
+    emptyTrash
+};
@@ -0,0 +1,162 @@
+// server/tests/images.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { app, request, startDatabase, stopDatabase, clearDatabase, createUser, emptyTrash } = require('./helpers/testApp.js');
+const { getStorage } = require('../storage/index.js');
+const Image = require('../models/Image.js');
+
+const LISBON = { city: 'Lisbon', country: 'Portugal', lat: 38.72, lon: -9.14 };
+
+// A plain colored picture, `format` is anything sharp can write (jpeg, png, webp, gif)
+const makeImage = (width, height, format = 'jpeg') => sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } }
+}).toFormat(format).toBuffer();
+
+// supertest parses image/* bodies as text, keeping the bytes instead
+const asBuffer = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('image uploads', () => {
+    let owner;
+    let stranger;
+    let trip;
+
+    // Uploading `buffer` to a trip or review URL as `user`
+    const upload = (url, user, buffer, contentType = 'image/jpeg') => request(app)
+        .post(url)
+        .set('Authorization', user.auth)
+        .attach('image', buffer, { filename: 'photo', contentType });
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        owner = await createUser();
+        stranger = await createUser();
+
+        const res = await request(app)
+            .post('/api/savedtrips')
+            .set('Authorization', owner.auth)
+            .send({ title: 'Portugal', stops: [LISBON], price: 500 });
+        trip = res.body;
+    });
+
+    describe('trips', () => {
+        it('resizes the upload, makes a thumbnail and uses the first picture as the cover', async () => {
+            const res = await upload(`/api/savedtrips/${trip._id}/images`, owner, await makeImage(2400, 1200));
+            assert.equal(res.status, 201, JSON.stringify(res.body));
+            assert.equal(res.body.width, 1600);
+            assert.equal(res.body.height, 800);
+            assert.equal(res.body.contentType, 'image/jpeg');
+            assert.equal(res.body.key, undefined);
+            assert.equal(getStorage().files.size, 2);
+
+            const updated = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(updated.body.coverImage, res.body._id);
+
+            const file = await request(app).get(res.body.url).set('Authorization', owner.auth).parse(asBuffer);
+            assert.equal(file.status, 200);
+            assert.equal(file.headers['content-type'], 'image/jpeg');
+            assert.equal((await sharp(file.body).metadata()).width, 1600);
+
+            const thumbnail = await request(app).get(res.body.thumbnailUrl).set('Authorization', owner.auth).parse(asBuffer);
+            assert.equal(thumbnail.headers['content-type'], 'image/webp');
+            assert.equal((await sharp(thumbnail.body).metadata()).width, 320);
+        });
+
+        it('rejects files that are not JPEG, PNG or WebP, whatever their declared type', async () => {
+            const gif = await upload(`/api/savedtrips/${trip._id}/images`, owner, await makeImage(20, 20, 'gif'), 'image/gif');
+            assert.equal(gif.status, 400);
+            assert.ok(gif.body.fields.image);
+
+            const disguised = await upload(`/api/savedtrips/${trip._id}/images`, owner, Buffer.from('not a picture'));
+            assert.equal(disguised.status, 400);
+
+            const missing = await request(app).post(`/api/savedtrips/${trip._id}/images`).set('Authorization', owner.auth);
+            assert.equal(missing.status, 400);
+
+            assert.equal(getStorage().files.size, 0);
+        });
+
+        it('only shows trip pictures to people who can view the trip', async () => {
+            const image = (await upload(`/api/savedtrips/${trip._id}/images`, owner, await makeImage(50, 50, 'png'), 'image/png')).body;
+
+            const anonymous = await request(app).get(image.url);
+            assert.equal(anonymous.status, 401);
+
+            const other = await request(app).get(image.url).set('Authorization', stranger.auth);
+            assert.equal(other.status, 403);
+
+            const strangerUpload = await upload(`/api/savedtrips/${trip._id}/images`, stranger, await makeImage(50, 50));
+            assert.equal(strangerUpload.status, 403);
+        });
+
+        it('serves pictures through the share link', async () => {
+            await upload(`/api/savedtrips/${trip._id}/images`, owner, await makeImage(50, 50));
+            const { shareSlug } = (await request(app).post(`/api/savedtrips/${trip._id}/share`).set('Authorization', owner.auth)).body;
+
+            const shared = await request(app).get(`/api/shared/${shareSlug}`);
+            assert.equal(shared.body.images.length, 1);
+
+            const file = await request(app).get(shared.body.images[0].url);
+            assert.equal(file.status, 200);
+
+            const otherTrip = await request(app).get(`/api/shared/${shareSlug}/images/${trip._id}`);
+            assert.equal(otherTrip.status, 404);
+        });
+
+        it('moves the cover when it is deleted and removes every file once the trip is purged', async () => {
+            const first = (await upload(`/api/savedtrips/${trip._id}/images`, owner, await makeImage(50, 50))).body;
+            const second = (await upload(`/api/savedtrips/${trip._id}/images`, owner, await makeImage(60, 60))).body;
+
+            const removed = await request(app).delete(`/api/savedtrips/${trip._id}/images/${first._id}`).set('Authorization', owner.auth);
+            assert.equal(removed.status, 200);
+
+            const updated = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(updated.body.coverImage, second._id);
+            assert.equal(getStorage().files.size, 2);
+
+            await request(app).delete(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(getStorage().files.size, 2); // Still in the trash
+
+            await emptyTrash();
+            assert.equal(getStorage().files.size, 0);
+            assert.equal(await Image.countDocuments(), 0);
+        });
+
+        it('no longer accepts an imagePath', async () => {
+            const res = await request(app).patch(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth).send({ imagePath: '/img/lisbon.jpg' });
+            assert.equal(res.status, 400);
+            assert.ok(res.body.fields.imagePath);
+        });
+    });
+
+    describe('reviews', () => {
+        it('lets the author add pictures anyone can see while the review is visible', async () => {
+            const review = (await request(app)
+                .post('/api/reviews')
+                .set('Authorization', owner.auth)
+                .send({ ...LISBON, rating: 5 })).body;
+
+            const other = await upload(`/api/reviews/${review._id}/images`, stranger, await makeImage(50, 50));
+            assert.equal(other.status, 403);
+
+            const image = await upload(`/api/reviews/${review._id}/images`, owner, await makeImage(50, 50, 'webp'), 'image/webp');
+            assert.equal(image.status, 201);
+
+            const list = await request(app).get(`/api/reviews/${review._id}/images`);
+            assert.equal(list.body.length, 1);
+
+            const file = await request(app).get(image.body.url);
+            assert.equal(file.status, 200);
+
+            await request(app).delete(`/api/reviews/${review._id}`).set('Authorization', owner.auth);
+            await emptyTrash();
+            assert.equal(getStorage().files.size, 0);
+        });
+    });
+});
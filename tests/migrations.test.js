@@ -0,0 +1,140 @@
+// server/tests/migrations.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { app, request, startDatabase, stopDatabase, clearDatabase } = require('./helpers/testApp.js');
+const Migration = require('../models/Migration.js');
+const SavedTrip = require('../models/SavedTrip.js');
+const Review = require('../models/Review.js');
+const Expense = require('../models/Expense.js');
+const User = require('../models/User.js');
+const { loadMigrations, migrationStatus, pendingMigrations, migrateUp, migrateDown } = require('../utils/migrations.js');
+const seed = require('../scripts/seed.js');
+const indexes = require('../migrations/005-indexes.js');
+
+const indexNames = async (collection) => {
+    const indexes = await mongoose.connection.db.collection(collection).indexes();
+    return indexes.map(index => index.name);
+};
+
+describe('migrations', () => {
+    before(startDatabase);
+    after(stopDatabase);
+
+    it('applies every migration once, in order', async () => {
+        const names = loadMigrations().map(migration => migration.name);
+        assert.deepEqual(names.slice(0, 2), ['001-trip-stops', '002-geo-points']);
+
+        const status = await migrationStatus();
+        assert.deepEqual(status.map(step => step.name), names);
+        assert.ok(status.every(step => step.appliedAt instanceof Date));
+        assert.deepEqual(await pendingMigrations(), []);
+
+        // Running again has nothing left to do
+        assert.deepEqual(await migrateUp(), []);
+        assert.equal(await Migration.countDocuments(), names.length);
+    });
+
+    it('creates the indexes the models rely on, and drops them again on the way down', async () => {
+        assert.ok((await indexNames('reviews')).includes('user_1_city_1_country_1'));
+        assert.ok((await indexNames('reviews')).includes('review_text'));
+        assert.ok((await indexNames('savedtrips')).includes('stops.location_2dsphere'));
+        assert.ok((await indexNames('users')).includes('email_1'));
+        assert.ok((await indexNames('sessions')).includes('expiresAt_1'));
+
+        const context = { db: mongoose.connection.db, mongoose, log: { info() {} } };
+        await indexes.down(context);
+        assert.deepEqual(await indexNames('reviews'), ['_id_']);
+        await indexes.down(context); // Already gone is fine
+
+        await indexes.up(context);
+        assert.ok((await indexNames('reviews')).includes('review_text'));
+    });
+
+    describe('runner', () => {
+        // Steps writing to a collection of their own, so what ran is easy to check
+        const log = { info() {} };
+        const marker = step => ({
+            name: step,
+            description: `Step ${step}`,
+            up: ({ db }) => db.collection('runnertest').insertOne({ step }),
+            down: ({ db }) => db.collection('runnertest').deleteOne({ step })
+        });
+        const irreversible = { ...marker('003-final'), down: undefined };
+        const steps = [marker('001-first'), marker('002-second'), irreversible];
+        const markers = async () => (await mongoose.connection.db.collection('runnertest').find().toArray()).map(doc => doc.step);
+
+        before(async () => {
+            await Migration.deleteMany({});
+        });
+
+        it('applies pending steps up to a given one, then the rest', async () => {
+            assert.deepEqual(await migrateUp({ migrations: steps, to: '002-second', log }), ['001-first', '002-second']);
+            assert.deepEqual((await pendingMigrations({ migrations: steps })).map(step => step.name), ['003-final']);
+
+            assert.deepEqual(await migrateUp({ migrations: steps, log }), ['003-final']);
+            assert.deepEqual(await markers(), ['001-first', '002-second', '003-final']);
+            await assert.rejects(migrateUp({ migrations: steps, to: '999-nope', log }), /Unknown migration/);
+        });
+
+        it('refuses to revert a step without a down, and changes nothing', async () => {
+            await assert.rejects(migrateDown({ migrations: steps, steps: 2, log }), /003-final can't be reverted/);
+            assert.deepEqual(await pendingMigrations({ migrations: steps }), []);
+            assert.equal((await markers()).length, 3);
+        });
+
+        it('reverts the newest steps first', async () => {
+            const reversible = steps.slice(0, 2);
+            await Migration.deleteOne({ name: '003-final' });
+
+            assert.deepEqual(await migrateDown({ migrations: reversible, log }), ['002-second']);
+            assert.deepEqual(await markers(), ['001-first', '003-final']);
+
+            assert.deepEqual(await migrateUp({ migrations: reversible, log }), ['002-second']);
+            assert.deepEqual(await migrateDown({ migrations: reversible, to: '001-first', log }), ['002-second']);
+            assert.deepEqual(await migrateDown({ migrations: reversible, steps: 5, log }), ['001-first']);
+            assert.equal(await Migration.countDocuments(), 0);
+        });
+
+        it('lists applied steps whose file is gone', async () => {
+            await Migration.create({ name: '000-removed', description: 'Old step' });
+
+            const status = await migrationStatus({ migrations: steps });
+            assert.deepEqual(status.find(step => step.name === '000-removed').missing, true);
+        });
+    });
+});
+
+describe('seed data', () => {
+    before(startDatabase);
+    after(stopDatabase);
+
+    it('creates sample accounts with trips and reviews, and starts them over on every run', async () => {
+        await clearDatabase();
+
+        const first = await seed({ password: 'seed-secret' });
+        assert.ok(first.users >= 3);
+        assert.ok(first.trips >= 3);
+        assert.ok(first.reviews >= 5);
+
+        const again = await seed({ password: 'seed-secret' });
+        assert.deepEqual(again, first);
+        assert.equal(await User.countDocuments(), first.users);
+        assert.equal(await SavedTrip.countDocuments(), first.trips);
+        assert.equal(await Expense.countDocuments(), first.expenses);
+        assert.equal(await Review.countDocuments(), first.reviews);
+
+        // Places come from the catalog, votes are counted on the reviews
+        const review = await Review.findOne({ helpfulCount: { $gt: 0 } });
+        assert.ok(review.destination);
+        assert.ok(review.lat !== undefined);
+
+        const user = await User.findOne({ role: 'user' });
+        const login = await request(app).post('/api/users/login').send({ email: user.email, password: 'seed-secret' });
+        assert.equal(login.status, 200);
+
+        const trips = await request(app).get('/api/savedtrips').set('Authorization', `Bearer ${login.body.accessToken}`);
+        assert.ok(trips.body.data.length > 0);
+        assert.ok(trips.body.data[0].stops[0].lat !== undefined);
+    });
+});
@@ -0,0 +1,159 @@
+// server/tests/moderation.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, startDatabase, stopDatabase, clearDatabase, createUser } = require('./helpers/testApp.js');
+
+const LISBON = { city: 'Lisbon', country: 'Portugal', lat: 38.72, lon: -9.14 };
+
+describe('review moderation', () => {
+    let author;
+    let reporter;
+    let moderator;
+    let review;
+
+    const report = (user, body = { reason: 'spam' }) => request(app)
+        .post(`/api/reviews/${review._id}/reports`)
+        .set('Authorization', user.auth)
+        .send(body);
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        author = await createUser();
+        reporter = await createUser();
+        moderator = await createUser({ role: 'moderator' });
+
+        const res = await request(app)
+            .post('/api/reviews')
+            .set('Authorization', author.auth)
+            .send({ ...LISBON, rating: 1, comment: 'Buy cheap watches at my site' });
+        review = res.body;
+    });
+
+    describe('POST /api/reviews/:id/reports', () => {
+        it('puts the review in the moderation queue with its reports', async () => {
+            const res = await report(reporter, { reason: 'spam', details: 'Advertising' });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.status, 'open');
+
+            const queue = await request(app).get('/api/moderation/reviews').set('Authorization', moderator.auth);
+            assert.equal(queue.status, 200);
+            assert.equal(queue.body.data.length, 1);
+            assert.equal(queue.body.data[0].reportCount, 1);
+            assert.equal(queue.body.data[0].reports[0].reason, 'spam');
+            assert.equal(queue.body.data[0].reports[0].reporter.username, reporter.username);
+        });
+
+        it('accepts one report per user and none from the author', async () => {
+            await report(reporter);
+
+            const twice = await report(reporter);
+            assert.equal(twice.status, 409);
+
+            const own = await report(author);
+            assert.equal(own.status, 400);
+
+            const reason = await report(moderator, { reason: 'boring' });
+            assert.equal(reason.status, 400);
+            assert.ok(reason.body.fields.reason);
+        });
+    });
+
+    describe('moderator actions', () => {
+        it('is only open to moderators and admins', async () => {
+            const res = await request(app).get('/api/moderation/reviews').set('Authorization', reporter.auth);
+            assert.equal(res.status, 403);
+        });
+
+        it('needs a reason', async () => {
+            const res = await request(app).post(`/api/moderation/reviews/${review._id}/hide`).set('Authorization', moderator.auth);
+            assert.equal(res.status, 400);
+            assert.ok(res.body.fields.reason);
+        });
+
+        it('hides a review from lists, search and ratings until it is restored', async () => {
+            await report(reporter);
+
+            const hide = await request(app)
+                .post(`/api/moderation/reviews/${review._id}/hide`)
+                .set('Authorization', moderator.auth)
+                .send({ reason: 'Advertising' });
+            assert.equal(hide.status, 200);
+            assert.equal(hide.body.review.status, 'hidden');
+            assert.equal(hide.body.log.reportsResolved, 1);
+
+            const list = await request(app).get('/api/reviews?city=Lisbon');
+            assert.equal(list.body.data.length, 0);
+
+            const near = await request(app).get('/api/reviews/near?lat=38.7&lon=-9.1');
+            assert.equal(near.body.length, 0);
+
+            const stats = await request(app).get('/api/destinations');
+            assert.equal(stats.body.data.length, 0);
+
+            // Only the author and staff can still open it
+            const anonymous = await request(app).get(`/api/reviews/${review._id}`);
+            assert.equal(anonymous.status, 404);
+            const own = await request(app).get(`/api/reviews/${review._id}`).set('Authorization', author.auth);
+            assert.equal(own.status, 200);
+
+            const queue = await request(app).get('/api/moderation/reviews').set('Authorization', moderator.auth);
+            assert.equal(queue.body.data.length, 0);
+            const hidden = await request(app).get('/api/moderation/reviews?status=hidden').set('Authorization', moderator.auth);
+            assert.equal(hidden.body.data.length, 1);
+
+            const restore = await request(app)
+                .post(`/api/moderation/reviews/${review._id}/restore`)
+                .set('Authorization', moderator.auth)
+                .send({ reason: 'Appeal accepted' });
+            assert.equal(restore.status, 200);
+
+            const visible = await request(app).get('/api/reviews?city=Lisbon');
+            assert.equal(visible.body.data.length, 1);
+        });
+
+        it('refuses to hide a hidden review or restore a visible one', async () => {
+            const restore = await request(app)
+                .post(`/api/moderation/reviews/${review._id}/restore`)
+                .set('Authorization', moderator.auth)
+                .send({ reason: 'Nothing to restore' });
+            assert.equal(restore.status, 400);
+        });
+
+        it('dismisses reports without touching the review', async () => {
+            await report(reporter);
+
+            const dismiss = await request(app)
+                .post(`/api/moderation/reviews/${review._id}/dismiss`)
+                .set('Authorization', moderator.auth)
+                .send({ reason: 'Not spam' });
+            assert.equal(dismiss.status, 200);
+            assert.equal(dismiss.body.review.status, 'visible');
+            assert.equal(dismiss.body.review.flagged, false);
+
+            const details = await request(app).get(`/api/moderation/reviews/${review._id}`).set('Authorization', moderator.auth);
+            assert.equal(details.body.reports[0].status, 'dismissed');
+            assert.equal(details.body.history[0].action, 'dismiss');
+        });
+
+        it('keeps a copy of deleted reviews in the audit log', async () => {
+            const remove = await request(app)
+                .delete(`/api/moderation/reviews/${review._id}`)
+                .set('Authorization', moderator.auth)
+                .send({ reason: 'Spam account' });
+            assert.equal(remove.status, 200);
+
+            const gone = await request(app).get(`/api/reviews/${review._id}`).set('Authorization', moderator.auth);
+            assert.equal(gone.status, 404);
+
+            const logs = await request(app).get(`/api/moderation/logs?reviewId=${review._id}`).set('Authorization', moderator.auth);
+            assert.equal(logs.status, 200);
+            assert.equal(logs.body.data.length, 1);
+            assert.equal(logs.body.data[0].action, 'delete');
+            assert.equal(logs.body.data[0].reason, 'Spam account');
+            assert.equal(logs.body.data[0].reviewSnapshot.comment, review.comment);
+            assert.equal(logs.body.data[0].moderator.username, moderator.username);
+        });
+    });
+});
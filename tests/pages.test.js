@@ -0,0 +1,274 @@
+// server/tests/pages.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, PASSWORD, startDatabase, stopDatabase, clearDatabase, createUser } = require('./helpers/testApp.js');
+const Review = require('../models/Review.js');
+const User = require('../models/User.js');
+const { getTransport } = require('../mail/index.js');
+
+const LISBON = { city: 'Lisbon', country: 'Portugal', lat: 38.72, lon: -9.14 };
+
+// The CSRF token of the first form on a page
+const csrfOf = (html) => {
+    const match = html.match(/name="_csrf" value="([^"]+)"/);
+    assert.ok(match, 'page has no CSRF field');
+    return match[1];
+};
+
+// The path of the link in the last email sent to `email`, as a browser would open it
+const mailedLink = (email) => {
+    const messages = getTransport().messages.filter(message => message.to === email);
+    assert.ok(messages.length > 0, `no email sent to ${email}`);
+    const match = messages[messages.length - 1].text.match(/https?:\/\/[^\s]+/);
+    assert.ok(match, 'email has no link');
+    const url = new URL(match[0]);
+    return url.pathname + url.search;
+};
+
+// A browser (cookie jar) logged in as `user` through the login form
+const logIn = async (user) => {
+    const browser = request.agent(app);
+    const page = await browser.get('/login');
+
+    const res = await browser
+        .post('/login')
+        .type('form')
+        .send({ _csrf: csrfOf(page.text), username: user.username, password: PASSWORD, next: '/trips' });
+    assert.equal(res.status, 303, res.text);
+    assert.equal(res.headers.location, '/trips');
+    return browser;
+};
+
+describe('pages', () => {
+    let user;
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        user = await createUser();
+    });
+
+    describe('accounts', () => {
+        it('sends anonymous visitors to the login page and back afterwards', async () => {
+            const res = await request(app).get('/trips/123');
+            assert.equal(res.status, 302);
+            assert.equal(res.headers.location, '/login?next=%2Ftrips%2F123');
+        });
+
+        it('logs in with a session cookie and out again', async () => {
+            const browser = await logIn(user);
+
+            const trips = await browser.get('/trips');
+            assert.equal(trips.status, 200);
+            assert.match(trips.text, new RegExp(user.username));
+
+            await browser.post('/logout').type('form').send({ _csrf: csrfOf(trips.text) });
+            const loggedOut = await browser.get('/trips');
+            assert.equal(loggedOut.status, 302);
+        });
+
+        it('shows the login form again with an error for a wrong password', async () => {
+            const browser = request.agent(app);
+            const page = await browser.get('/login');
+
+            const res = await browser
+                .post('/login')
+                .type('form')
+                .send({ _csrf: csrfOf(page.text), username: user.username, password: 'wrong-password' });
+            assert.equal(res.status, 400);
+            assert.match(res.text, /alert-error/);
+            assert.match(res.text, new RegExp(`value="${user.username}"`));
+        });
+
+        it('refuses forms posted without the CSRF token', async () => {
+            const browser = request.agent(app);
+            await browser.get('/login');
+
+            const res = await browser.post('/login').type('form').send({ username: user.username, password: PASSWORD });
+            assert.equal(res.status, 403);
+        });
+
+        it('registers a new user and logs them in', async () => {
+            const browser = request.agent(app);
+            const page = await browser.get('/register');
+
+            const res = await browser
+                .post('/register')
+                .type('form')
+                .send({ _csrf: csrfOf(page.text), username: 'newtraveller', email: 'new@example.com', password: PASSWORD });
+            assert.equal(res.status, 303);
+
+            const trips = await browser.get('/trips');
+            assert.equal(trips.status, 200);
+            assert.equal(await User.countDocuments({ username: 'newtraveller' }), 1);
+        });
+    });
+
+    describe('trips', () => {
+        it('lists the user\'s trips and shows one with its itinerary and budget', async () => {
+            const created = await request(app)
+                .post('/api/savedtrips')
+                .set('Authorization', user.auth)
+                .send({ title: 'Portugal in spring', stops: [{ ...LISBON, arrivalDate: '2026-04-01', departureDate: '2026-04-03' }], price: 500 });
+            const browser = await logIn(user);
+
+            const list = await browser.get('/trips');
+            assert.match(list.text, /Portugal in spring/);
+
+            const detail = await browser.get(`/trips/${created.body._id}`);
+            assert.equal(detail.status, 200);
+            assert.match(detail.text, /Itinerary/);
+            assert.match(detail.text, /2026-04-03/);
+            assert.match(detail.text, /Budget/);
+        });
+
+        it('refuses trips of other users', async () => {
+            const stranger = await createUser();
+            const created = await request(app)
+                .post('/api/savedtrips')
+                .set('Authorization', stranger.auth)
+                .send({ title: 'Private', stops: [LISBON], price: 100 });
+            const browser = await logIn(user);
+
+            const res = await browser.get(`/trips/${created.body._id}`);
+            assert.equal(res.status, 403);
+            assert.doesNotMatch(res.text, /Private/);
+        });
+    });
+
+    describe('destination reviews', () => {
+        it('posts and then updates the user\'s review from the form', async () => {
+            const browser = await logIn(user);
+            const page = await browser.get('/destinations/Portugal/Lisbon');
+            assert.equal(page.status, 200);
+            assert.match(page.text, /No reviews yet/);
+
+            const posted = await browser
+                .post('/destinations/Portugal/Lisbon/reviews')
+                .type('form')
+                .send({ _csrf: csrfOf(page.text), rating: '5', comment: 'Loved the trams' });
+            assert.equal(posted.status, 303);
+            assert.equal(posted.headers.location, '/destinations/Portugal/Lisbon#my-review');
+
+            const updated = await browser
+                .post('/destinations/Portugal/Lisbon/reviews')
+                .type('form')
+                .send({ _csrf: csrfOf(page.text), rating: '3', comment: 'Crowded in August' });
+            assert.equal(updated.status, 303);
+
+            const reviews = await Review.find({ user: user.id });
+            assert.equal(reviews.length, 1);
+            assert.equal(reviews[0].rating, 3);
+
+            const reloaded = await browser.get('/destinations/Portugal/Lisbon');
+            assert.match(reloaded.text, /Crowded in August/);
+            assert.match(reloaded.text, /Update review/);
+        });
+
+        it('shows the form again with the error for a missing rating', async () => {
+            const browser = await logIn(user);
+            const page = await browser.get('/destinations/Portugal/Lisbon');
+
+            const res = await browser
+                .post('/destinations/Portugal/Lisbon/reviews')
+                .type('form')
+                .send({ _csrf: csrfOf(page.text), rating: '', comment: 'No stars' });
+            assert.equal(res.status, 400);
+            assert.match(res.text, /field-error/);
+            assert.match(res.text, /No stars/);
+        });
+    });
+
+    describe('profile', () => {
+        it('saves the home currency', async () => {
+            const browser = await logIn(user);
+            const page = await browser.get('/profile');
+
+            const res = await browser
+                .post('/profile')
+                .type('form')
+                .send({ _csrf: csrfOf(page.text), username: user.username, email: user.email, homeCurrency: 'EUR' });
+            assert.equal(res.status, 303);
+
+            const saved = await browser.get(res.headers.location);
+            assert.match(saved.text, /Your profile was saved/);
+            assert.equal((await User.findById(user.id)).homeCurrency, 'EUR');
+        });
+
+        it('keeps this browser logged in after a password change', async () => {
+            const browser = await logIn(user);
+            const other = await logIn(user);
+            const page = await browser.get('/profile');
+
+            const res = await browser
+                .post('/profile/password')
+                .type('form')
+                .send({ _csrf: csrfOf(page.text), currentPassword: PASSWORD, newPassword: 'brand-new-password' });
+            assert.equal(res.status, 303);
+
+            assert.equal((await browser.get('/profile')).status, 200);
+            assert.equal((await other.get('/profile')).status, 302);
+        });
+    });
+
+    describe('emailed links', () => {
+        it('verifies the email address from the link of the welcome email', async () => {
+            const browser = request.agent(app);
+            const page = await browser.get(mailedLink(user.email));
+            assert.equal(page.status, 200);
+
+            const token = page.text.match(/name="token" value="([^"]+)"/)[1];
+            const res = await browser.post('/verify-email').type('form').send({ _csrf: csrfOf(page.text), token });
+            assert.equal(res.status, 200);
+            assert.match(res.text, /Your email address is verified/);
+            assert.equal((await User.findById(user.id)).emailVerified, true);
+
+            // The token only works once
+            const again = await browser.post('/verify-email').type('form').send({ _csrf: csrfOf(page.text), token });
+            assert.equal(again.status, 400);
+            assert.match(again.text, /Invalid or expired verification token/);
+        });
+
+        it('sets a new password from the link of the reset email', async () => {
+            await request(app).post('/api/users/password-reset/request').send({ email: user.email });
+
+            const browser = request.agent(app);
+            const page = await browser.get(mailedLink(user.email));
+            assert.equal(page.status, 200);
+
+            const token = page.text.match(/name="token" value="([^"]+)"/)[1];
+            const res = await browser
+                .post('/reset-password')
+                .type('form')
+                .send({ _csrf: csrfOf(page.text), token, newPassword: 'brand-new-password' });
+            assert.equal(res.status, 200);
+            assert.match(res.text, /Your password was changed/);
+
+            const login = await request(app).post('/api/users/login').send({ email: user.email, password: 'brand-new-password' });
+            assert.equal(login.status, 200);
+        });
+
+        it('answers a trip invitation from the link of the invitation email', async () => {
+            const owner = await createUser();
+            const trip = (await request(app)
+                .post('/api/savedtrips')
+                .set('Authorization', owner.auth)
+                .send({ title: 'Portugal', stops: [LISBON], price: 500 })).body;
+            await request(app)
+                .post(`/api/savedtrips/${trip._id}/members`)
+                .set('Authorization', owner.auth)
+                .send({ email: user.email, role: 'viewer' });
+
+            const browser = await logIn(user);
+            const page = await browser.get(mailedLink(user.email));
+            assert.equal(page.status, 200);
+            assert.match(page.text, /Portugal/);
+
+            const res = await browser.post(`/invitations/${trip._id}/accept`).type('form').send({ _csrf: csrfOf(page.text) });
+            assert.equal(res.status, 303);
+            assert.equal(res.headers.location, `/trips/${trip._id}`);
+            assert.equal((await browser.get(res.headers.location)).status, 200);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+// server/tests/reviewResponses.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, startDatabase, stopDatabase, clearDatabase, createUser, PASSWORD } = require('./helpers/testApp.js');
+const Review = require('../models/Review.js');
+
+const LISBON = { city: 'Lisbon', country: 'Portugal' };
+
+describe('review votes and replies', () => {
+    let author;
+    let reader;
+    let other;
+    let review;
+
+    const vote = (user, helpful) => request(app)
+        .put(`/api/reviews/${review._id}/vote`)
+        .set('Authorization', user.auth)
+        .send({ helpful });
+
+    const reply = (user, body) => request(app)
+        .post(`/api/reviews/${review._id}/replies`)
+        .set('Authorization', user.auth)
+        .send(body);
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        author = await createUser();
+        reader = await createUser();
+        other = await createUser();
+
+        const res = await request(app)
+            .post('/api/reviews')
+            .set('Authorization', author.auth)
+            .send({ ...LISBON, rating: 5, comment: 'Take tram 28 early in the morning' });
+        review = res.body;
+    });
+
+    describe('votes', () => {
+        it('counts one vote per user, which can be changed and taken back', async () => {
+            const first = await vote(reader, true);
+            assert.equal(first.status, 200);
+            assert.deepEqual(first.body, { helpfulCount: 1, unhelpfulCount: 0, myVote: 'helpful' });
+
+            const again = await vote(reader, true);
+            assert.equal(again.body.helpfulCount, 1);
+
+            const changed = await vote(reader, false);
+            assert.deepEqual(changed.body, { helpfulCount: 0, unhelpfulCount: 1, myVote: 'unhelpful' });
+
+            const removed = await request(app).delete(`/api/reviews/${review._id}/vote`).set('Authorization', reader.auth);
+            assert.deepEqual(removed.body, { helpfulCount: 0, unhelpfulCount: 0, myVote: null });
+        });
+
+        it('refuses votes on your own review and without a value', async () => {
+            const own = await vote(author, true);
+            assert.equal(own.status, 400);
+
+            const missing = await request(app).put(`/api/reviews/${review._id}/vote`).set('Authorization', reader.auth).send({});
+            assert.equal(missing.status, 400);
+            assert.ok(missing.body.fields.helpful);
+        });
+
+        it('sorts the list by helpfulness and shows the user\'s own vote', async () => {
+            const second = await request(app)
+                .post('/api/reviews')
+                .set('Authorization', other.auth)
+                .send({ ...LISBON, rating: 3 });
+            await vote(reader, true);
+            await vote(other, true);
+
+            const res = await request(app).get('/api/reviews?city=Lisbon&sort=-helpful').set('Authorization', reader.auth);
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.map(r => r._id), [review._id, second.body._id]);
+            assert.equal(res.body.data[0].helpfulCount, 2);
+            assert.equal(res.body.data[0].myVote, 'helpful');
+            assert.equal(res.body.data[1].myVote, null);
+
+            const anonymous = await request(app).get('/api/reviews?city=Lisbon');
+            assert.equal(anonymous.body.data[0].myVote, undefined);
+        });
+    });
+
+    describe('replies', () => {
+        it('builds a thread and marks the author\'s replies', async () => {
+            const question = await reply(reader, { comment: 'How early?' });
+            assert.equal(question.status, 201);
+            assert.equal(question.body.byReviewAuthor, false);
+
+            const answer = await reply(author, { comment: 'Before 8am', parentId: question.body._id });
+            assert.equal(answer.status, 201);
+            assert.equal(answer.body.byReviewAuthor, true);
+
+            await reply(other, { comment: 'Thanks for the tip' });
+
+            const thread = await request(app).get(`/api/reviews/${review._id}/replies`);
+            assert.equal(thread.status, 200);
+            assert.equal(thread.body.replyCount, 3);
+            assert.equal(thread.body.replies.length, 2);
+            assert.equal(thread.body.replies[0].replies[0].comment, 'Before 8am');
+
+            const list = await request(app).get('/api/reviews?city=Lisbon');
+            assert.equal(list.body.data[0].replyCount, 3);
+        });
+
+        it('rejects a parent from another review', async () => {
+            const res = await reply(reader, { comment: 'Hi', parentId: review._id });
+            assert.equal(res.status, 400);
+            assert.ok(res.body.fields.parentId);
+        });
+
+        it('lets only the author edit and keeps answered replies in the thread when deleted', async () => {
+            const question = await reply(reader, { comment: 'How early?' });
+            await reply(author, { comment: 'Before 8am', parentId: question.body._id });
+
+            const edit = await request(app)
+                .patch(`/api/reviews/${review._id}/replies/${question.body._id}`)
+                .set('Authorization', other.auth)
+                .send({ comment: 'Changed' });
+            assert.equal(edit.status, 403);
+
+            const remove = await request(app)
+                .delete(`/api/reviews/${review._id}/replies/${question.body._id}`)
+                .set('Authorization', reader.auth);
+            assert.equal(remove.status, 200);
+
+            const thread = await request(app).get(`/api/reviews/${review._id}/replies`);
+            assert.equal(thread.body.replyCount, 1);
+            assert.equal(thread.body.replies[0].deleted, true);
+            assert.equal(thread.body.replies[0].replies.length, 1);
+        });
+    });
+
+    it('takes back votes and replies when their author deletes the account', async () => {
+        await vote(reader, true);
+        await reply(reader, { comment: 'Agreed' });
+
+        const res = await request(app).delete('/api/users/me').set('Authorization', reader.auth).send({ password: PASSWORD });
+        assert.equal(res.status, 200);
+
+        const updated = await Review.findById(review._id);
+        assert.equal(updated.helpfulCount, 0);
+        assert.equal(updated.replyCount, 0);
+    });
+});
@@ -0,0 +1,224 @@
+// server/tests/reviews.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { app, request, startDatabase, stopDatabase, clearDatabase, createUser } = require('./helpers/testApp.js');
+
+const LISBON = { city: 'Lisbon', country: 'Portugal', lat: 38.72, lon: -9.14 };
+const MADRID = { city: 'Madrid', country: 'Spain', lat: 40.42, lon: -3.70 };
+
+// Posting a review through the API for the given user
+const createReview = async (user, body = {}) => {
+    const res = await request(app)
+        .post('/api/reviews')
+        .set('Authorization', user.auth)
+        .send({ ...LISBON, rating: 4, comment: 'Great food and hills everywhere', ...body });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+};
+
+describe('/api/reviews', () => {
+    let author;
+    let stranger;
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        author = await createUser();
+        stranger = await createUser();
+    });
+
+    describe('POST /', () => {
+        it('creates a review owned by the logged in user', async () => {
+            const review = await createReview(author);
+
+            assert.equal(review.user._id, author.id);
+            assert.equal(review.user.username, author.username);
+            assert.equal(review.rating, 4);
+            assert.equal(review.lat, LISBON.lat);
+        });
+
+        it('needs a logged in user', async () => {
+            const res = await request(app).post('/api/reviews').send({ ...LISBON, rating: 4 });
+            assert.equal(res.status, 401);
+        });
+
+        it('rejects ratings out of range and half a coordinate pair', async () => {
+            const rating = await request(app)
+                .post('/api/reviews')
+                .set('Authorization', author.auth)
+                .send({ city: 'Lisbon', country: 'Portugal', rating: 9 });
+            assert.equal(rating.status, 400);
+            assert.ok(rating.body.fields.rating);
+
+            const coordinates = await request(app)
+                .post('/api/reviews')
+                .set('Authorization', author.auth)
+                .send({ city: 'Lisbon', country: 'Portugal', rating: 4, lat: 38.72 });
+            assert.equal(coordinates.status, 400);
+        });
+    });
+
+    describe('one review per destination', () => {
+        it('updates the existing review when the same user posts the same place again', async () => {
+            const first = await createReview(author);
+
+            const again = await request(app)
+                .post('/api/reviews')
+                .set('Authorization', author.auth)
+                .send({ city: 'LISBON', country: 'portugal', rating: 2, comment: 'Crowded in August' });
+            assert.equal(again.status, 200);
+            assert.equal(again.body._id, first._id);
+            assert.equal(again.body.rating, 2);
+            assert.equal(again.body.city, 'Lisbon');
+
+            const list = await request(app).get(`/api/reviews?userId=${author.id}`);
+            assert.equal(list.body.data.length, 1);
+            assert.equal(list.body.data[0].revisions, undefined);
+        });
+
+        it('keeps earlier versions in a history only the author can read', async () => {
+            const review = await createReview(author);
+            await request(app).patch(`/api/reviews/${review._id}`).set('Authorization', author.auth).send({ rating: 3 });
+            await request(app).patch(`/api/reviews/${review._id}`).set('Authorization', author.auth).send({ comment: 'Still worth it' });
+            // Unchanged values don't add a version
+            await request(app).patch(`/api/reviews/${review._id}`).set('Authorization', author.auth).send({ rating: 3 });
+
+            const history = await request(app).get(`/api/reviews/${review._id}/revisions`).set('Authorization', author.auth);
+            assert.equal(history.status, 200);
+            assert.equal(history.body.current.rating, 3);
+            assert.equal(history.body.current.comment, 'Still worth it');
+            assert.deepEqual(history.body.revisions.map(revision => [revision.rating, revision.comment]), [
+                [3, review.comment],
+                [4, review.comment]
+            ]);
+
+            const other = await request(app).get(`/api/reviews/${review._id}/revisions`).set('Authorization', stranger.auth);
+            assert.equal(other.status, 403);
+        });
+    });
+
+    describe('GET /', () => {
+        it('needs a filter', async () => {
+            const res = await request(app).get('/api/reviews');
+            assert.equal(res.status, 400);
+        });
+
+        it('filters by city case-insensitively and by user', async () => {
+            await createReview(author);
+            await createReview(stranger, { ...MADRID, rating: 5 });
+
+            const byCity = await request(app).get('/api/reviews?city=lisbon');
+            assert.equal(byCity.status, 200);
+            assert.equal(byCity.body.data.length, 1);
+            assert.equal(byCity.body.data[0].city, 'Lisbon');
+
+            const byUser = await request(app).get(`/api/reviews?userId=${stranger.id}`);
+            assert.equal(byUser.body.data.length, 1);
+            assert.equal(byUser.body.data[0].city, 'Madrid');
+        });
+
+        it('matches regex characters literally', async () => {
+            await createReview(author);
+            const res = await request(app).get('/api/reviews?city=.*');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.length, 0);
+        });
+
+        it('rejects a malformed user ID', async () => {
+            const res = await request(app).get('/api/reviews?userId=nope');
+            assert.equal(res.status, 400);
+            assert.ok(res.body.fields.userId);
+        });
+    });
+
+    describe('GET /near and /within', () => {
+        it('finds reviews near a point and inside a box', async () => {
+            await createReview(author);
+            await createReview(author, { ...MADRID });
+            await createReview(author, { city: 'Nowhere', country: 'Portugal', lat: undefined, lon: undefined });
+
+            const near = await request(app).get('/api/reviews/near?lat=40.4&lon=-3.7&km=25');
+            assert.equal(near.status, 200);
+            assert.deepEqual(near.body.map(review => review.city), ['Madrid']);
+
+            const within = await request(app).get('/api/reviews/within?bbox=-10,36,-6,42');
+            assert.equal(within.status, 200);
+            assert.deepEqual(within.body.map(review => review.city), ['Lisbon']);
+        });
+    });
+
+    describe('/:id', () => {
+        it('returns a review, with 400 for malformed and 404 for unknown IDs', async () => {
+            const review = await createReview(author);
+
+            const found = await request(app).get(`/api/reviews/${review._id}`);
+            assert.equal(found.status, 200);
+            assert.equal(found.body.comment, review.comment);
+
+            const malformed = await request(app).get('/api/reviews/123');
+            assert.equal(malformed.status, 400);
+
+            const unknown = await request(app).get(`/api/reviews/${new mongoose.Types.ObjectId()}`);
+            assert.equal(unknown.status, 404);
+        });
+
+        it('lets the author update the rating and comment only', async () => {
+            const review = await createReview(author);
+
+            const updated = await request(app)
+                .patch(`/api/reviews/${review._id}`)
+                .set('Authorization', author.auth)
+                .send({ rating: 2, comment: 'Too many tourists' });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.rating, 2);
+
+            const city = await request(app)
+                .patch(`/api/reviews/${review._id}`)
+                .set('Authorization', author.auth)
+                .send({ city: 'Porto' });
+            assert.equal(city.status, 400);
+            assert.ok(city.body.fields.city);
+        });
+
+        it('keeps other users from editing or deleting', async () => {
+            const review = await createReview(author);
+
+            const update = await request(app)
+                .patch(`/api/reviews/${review._id}`)
+                .set('Authorization', stranger.auth)
+                .send({ rating: 1 });
+            assert.equal(update.status, 403);
+
+            const remove = await request(app).delete(`/api/reviews/${review._id}`).set('Authorization', stranger.auth);
+            assert.equal(remove.status, 403);
+        });
+
+        it('lets a moderator delete any review with a reason', async () => {
+            const review = await createReview(author);
+            const moderator = await createUser({ role: 'moderator' });
+
+            const noReason = await request(app).delete(`/api/reviews/${review._id}`).set('Authorization', moderator.auth);
+            assert.equal(noReason.status, 400);
+            assert.ok(noReason.body.fields.reason);
+
+            const res = await request(app)
+                .delete(`/api/reviews/${review._id}`)
+                .set('Authorization', moderator.auth)
+                .send({ reason: 'Spam' });
+            assert.equal(res.status, 200);
+
+            const gone = await request(app).get(`/api/reviews/${review._id}`);
+            assert.equal(gone.status, 404);
+        });
+    });
+
+    it('answers unknown API routes with a JSON 404 and a request ID', async () => {
+        const res = await request(app).get('/api/nothing-here').set('X-Request-Id', 'test-request-1');
+
+        assert.equal(res.status, 404);
+        assert.equal(res.headers['x-request-id'], 'test-request-1');
+        assert.equal(res.body.requestId, 'test-request-1');
+    });
+});
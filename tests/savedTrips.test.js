@@ -0,0 +1,412 @@
+// server/tests/savedTrips.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { app, request, startDatabase, stopDatabase, clearDatabase, createUser, emptyTrash } = require('./helpers/testApp.js');
+const Expense = require('../models/Expense.js');
+
+const LISBON = { city: 'Lisbon', country: 'Portugal', lat: 38.72, lon: -9.14 };
+const PORTO = { city: 'Porto', country: 'Portugal', lat: 41.15, lon: -8.61 };
+const MADRID = { city: 'Madrid', country: 'Spain', lat: 40.42, lon: -3.70 };
+
+// Saving a trip through the API for the given user
+const createTrip = async (user, body = {}) => {
+    const res = await request(app)
+        .post('/api/savedtrips')
+        .set('Authorization', user.auth)
+        .send({ title: 'Iberia', stops: [LISBON, PORTO], price: 900, ...body });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+};
+
+describe('/api/savedtrips', () => {
+    let owner;
+    let stranger;
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        owner = await createUser();
+        stranger = await createUser();
+    });
+
+    it('needs a logged in user', async () => {
+        const res = await request(app).get('/api/savedtrips');
+        assert.equal(res.status, 401);
+    });
+
+    describe('POST /', () => {
+        it('saves a multi-stop trip for the logged in user', async () => {
+            const trip = await createTrip(owner);
+
+            assert.equal(trip.user, owner.id);
+            assert.equal(trip.stops.length, 2);
+            assert.equal(trip.stops[0].lat, LISBON.lat);
+            assert.equal(trip.stops[0].lon, LISBON.lon);
+            assert.deepEqual(trip.stops[0].location.coordinates, [LISBON.lon, LISBON.lat]);
+        });
+
+        it('turns the older single-city body into one stop', async () => {
+            const res = await request(app)
+                .post('/api/savedtrips')
+                .set('Authorization', owner.auth)
+                .send({ ...LISBON, price: 300 });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.stops.length, 1);
+            assert.equal(res.body.stops[0].city, 'Lisbon');
+        });
+
+        it('rejects bad coordinates, dates and a missing price', async () => {
+            const res = await request(app)
+                .post('/api/savedtrips')
+                .set('Authorization', owner.auth)
+                .send({
+                    stops: [{ ...LISBON, lat: 120, arrivalDate: '2025-06-10', departureDate: '2025-06-01' }]
+                });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+            assert.ok(res.body.fields['stops.0.lat']);
+            assert.ok(res.body.fields['stops.0']);
+            assert.ok(res.body.fields.price);
+        });
+
+        it('refuses a trip without stops', async () => {
+            const res = await request(app).post('/api/savedtrips').set('Authorization', owner.auth).send({ price: 100 });
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('GET /', () => {
+        it('only lists the user\'s own trips, a page at a time', async () => {
+            await createTrip(owner, { title: 'One' });
+            await createTrip(owner, { title: 'Two' });
+            await createTrip(owner, { title: 'Three' });
+            await createTrip(stranger, { title: 'Not mine' });
+
+            const first = await request(app).get('/api/savedtrips?limit=2&sort=title').set('Authorization', owner.auth);
+            assert.equal(first.status, 200);
+            assert.deepEqual(first.body.data.map(trip => trip.title), ['One', 'Three']);
+            assert.equal(first.body.meta.total, 3);
+            assert.ok(first.body.meta.nextCursor);
+
+            const second = await request(app)
+                .get(`/api/savedtrips?limit=2&sort=title&cursor=${first.body.meta.nextCursor}`)
+                .set('Authorization', owner.auth);
+            assert.deepEqual(second.body.data.map(trip => trip.title), ['Two']);
+            assert.equal(second.body.meta.hasMore, false);
+        });
+
+        it('pages through trips with and without a title, each one once', async () => {
+            const ids = [];
+            for (const title of ['Beta', undefined, 'Alpha', undefined, undefined]) {
+                ids.push((await createTrip(owner, { title }))._id);
+            }
+
+            for (const sort of ['title', '-title']) {
+                const seen = [];
+                let cursor = '';
+                do {
+                    const res = await request(app)
+                        .get(`/api/savedtrips?limit=2&sort=${sort}${cursor ? `&cursor=${cursor}` : ''}`)
+                        .set('Authorization', owner.auth);
+                    assert.equal(res.status, 200);
+                    seen.push(...res.body.data.map(trip => trip._id));
+                    cursor = res.body.meta.nextCursor;
+                } while (cursor);
+
+                assert.deepEqual([...seen].sort(), [...ids].sort(), sort);
+            }
+        });
+
+        it('rejects a cursor whose value is not a plain scalar', async () => {
+            const trip = await createTrip(owner, { title: 'One' });
+            const cursor = Buffer.from(JSON.stringify({
+                s: 'title', v: { $ne: null }, d: 0, id: trip._id.toString()
+            })).toString('base64url');
+
+            const res = await request(app)
+                .get(`/api/savedtrips?limit=2&sort=title&cursor=${cursor}`)
+                .set('Authorization', owner.auth);
+            assert.equal(res.status, 400);
+            assert.ok(res.body.fields.cursor);
+        });
+
+        it('rejects a limit out of range', async () => {
+            const res = await request(app).get('/api/savedtrips?limit=0').set('Authorization', owner.auth);
+            assert.equal(res.status, 400);
+            assert.ok(res.body.fields.limit);
+        });
+    });
+
+    describe('GET /near and /within', () => {
+        it('finds trips with a stop close to a point, closest first', async () => {
+            await createTrip(owner, { title: 'Portugal', stops: [LISBON] });
+            await createTrip(owner, { title: 'Spain', stops: [MADRID] });
+
+            const res = await request(app).get('/api/savedtrips/near?lat=38.7&lon=-9.1&km=50').set('Authorization', owner.auth);
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.map(trip => trip.title), ['Portugal']);
+            assert.equal(typeof res.body[0].distanceKm, 'number');
+        });
+
+        it('finds trips inside a bounding box', async () => {
+            await createTrip(owner, { title: 'Portugal', stops: [LISBON] });
+            await createTrip(owner, { title: 'Spain', stops: [MADRID] });
+
+            const res = await request(app).get('/api/savedtrips/within?bbox=-5,39,0,42').set('Authorization', owner.auth);
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.map(trip => trip.title), ['Spain']);
+        });
+
+        it('validates the search parameters', async () => {
+            const near = await request(app).get('/api/savedtrips/near?lat=200').set('Authorization', owner.auth);
+            assert.equal(near.status, 400);
+            assert.ok(near.body.fields.lat);
+            assert.ok(near.body.fields.lon);
+
+            const within = await request(app).get('/api/savedtrips/within?bbox=1,2,3').set('Authorization', owner.auth);
+            assert.equal(within.status, 400);
+            assert.ok(within.body.fields.bbox);
+        });
+    });
+
+    describe('/:id', () => {
+        it('returns, updates and deletes the owner\'s trip', async () => {
+            const trip = await createTrip(owner);
+
+            const found = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(found.status, 200);
+            assert.equal(found.body.title, 'Iberia');
+
+            const updated = await request(app)
+                .patch(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', owner.auth)
+                .send({ title: 'Portugal by train', budget: { currency: 'EUR', lodging: 400 } });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.title, 'Portugal by train');
+            assert.equal(updated.body.budget.lodging, 400);
+
+            const deleted = await request(app).delete(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(deleted.status, 200);
+
+            const gone = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(gone.status, 404);
+        });
+
+        it('answers 400 for a malformed ID and 404 for an unknown one', async () => {
+            const malformed = await request(app).get('/api/savedtrips/not-an-id').set('Authorization', owner.auth);
+            assert.equal(malformed.status, 400);
+            assert.ok(malformed.body.fields.id);
+
+            const unknown = await request(app)
+                .get(`/api/savedtrips/${new mongoose.Types.ObjectId()}`)
+                .set('Authorization', owner.auth);
+            assert.equal(unknown.status, 404);
+            assert.equal(unknown.body.code, 'NOT_FOUND');
+        });
+
+        it('keeps other users out with 403', async () => {
+            const trip = await createTrip(owner);
+
+            const view = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', stranger.auth);
+            assert.equal(view.status, 403);
+            assert.equal(view.body.code, 'FORBIDDEN');
+
+            const update = await request(app).patch(`/api/savedtrips/${trip._id}`).set('Authorization', stranger.auth).send({ title: 'Mine now' });
+            assert.equal(update.status, 403);
+
+            const remove = await request(app).delete(`/api/savedtrips/${trip._id}`).set('Authorization', stranger.auth);
+            assert.equal(remove.status, 403);
+        });
+
+        it('lets a moderator view someone else\'s trip', async () => {
+            const trip = await createTrip(owner);
+            const moderator = await createUser({ role: 'moderator' });
+
+            const res = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', moderator.auth);
+            assert.equal(res.status, 200);
+        });
+
+        it('refuses updates to fields that are not allowed', async () => {
+            const trip = await createTrip(owner);
+            const res = await request(app)
+                .patch(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', owner.auth)
+                .send({ user: stranger.id });
+
+            assert.equal(res.status, 400);
+            assert.ok(res.body.fields.user);
+        });
+    });
+
+    describe('stops and itinerary', () => {
+        it('adds a stop at a position, reorders, updates and removes stops', async () => {
+            const trip = await createTrip(owner);
+
+            const added = await request(app)
+                .post(`/api/savedtrips/${trip._id}/stops`)
+                .set('Authorization', owner.auth)
+                .send({ ...MADRID, position: 0 });
+            assert.equal(added.status, 201);
+            assert.deepEqual(added.body.stops.map(stop => stop.city), ['Madrid', 'Lisbon', 'Porto']);
+
+            const ids = added.body.stops.map(stop => stop._id);
+            const reordered = await request(app)
+                .put(`/api/savedtrips/${trip._id}/stops/order`)
+                .set('Authorization', owner.auth)
+                .send({ stopIds: [ids[1], ids[2], ids[0]] });
+            assert.equal(reordered.status, 200);
+            assert.deepEqual(reordered.body.stops.map(stop => stop.city), ['Lisbon', 'Porto', 'Madrid']);
+
+            const updated = await request(app)
+                .patch(`/api/savedtrips/${trip._id}/stops/${ids[0]}`)
+                .set('Authorization', owner.auth)
+                .send({ notes: 'Tapas tour' });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.stops.find(stop => stop._id === ids[0]).notes, 'Tapas tour');
+
+            const removed = await request(app)
+                .delete(`/api/savedtrips/${trip._id}/stops/${ids[0]}`)
+                .set('Authorization', owner.auth);
+            assert.equal(removed.status, 200);
+            assert.equal(removed.body.stops.length, 2);
+        });
+
+        it('validates positions, orders and unknown stops', async () => {
+            const trip = await createTrip(owner);
+
+            const position = await request(app)
+                .post(`/api/savedtrips/${trip._id}/stops`)
+                .set('Authorization', owner.auth)
+                .send({ ...MADRID, position: 5 });
+            assert.equal(position.status, 400);
+            assert.ok(position.body.fields.position);
+
+            const order = await request(app)
+                .put(`/api/savedtrips/${trip._id}/stops/order`)
+                .set('Authorization', owner.auth)
+                .send({ stopIds: [trip.stops[0]._id] });
+            assert.equal(order.status, 400);
+            assert.ok(order.body.fields.stopIds);
+
+            const unknown = await request(app)
+                .patch(`/api/savedtrips/${trip._id}/stops/${new mongoose.Types.ObjectId()}`)
+                .set('Authorization', owner.auth)
+                .send({ notes: 'Nowhere' });
+            assert.equal(unknown.status, 404);
+        });
+
+        it('keeps the last stop of a trip', async () => {
+            const trip = await createTrip(owner, { stops: [LISBON] });
+            const res = await request(app)
+                .delete(`/api/savedtrips/${trip._id}/stops/${trip.stops[0]._id}`)
+                .set('Authorization', owner.auth);
+            assert.equal(res.status, 400);
+        });
+
+        it('builds a day by day itinerary from the stop dates', async () => {
+            const trip = await createTrip(owner, {
+                stops: [
+                    { ...LISBON, arrivalDate: '2025-06-01', departureDate: '2025-06-03' },
+                    { ...PORTO, arrivalDate: '2025-06-03', departureDate: '2025-06-04' }
+                ]
+            });
+
+            const res = await request(app).get(`/api/savedtrips/${trip._id}/itinerary`).set('Authorization', owner.auth);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.totalDays, 4);
+            assert.deepEqual(res.body.days.map(day => day.type), ['stay', 'stay', 'travel', 'travel']);
+        });
+    });
+
+    describe('expenses and budget', () => {
+        it('records expenses and compares them with the planned budget', async () => {
+            const trip = await createTrip(owner);
+            await request(app)
+                .patch(`/api/savedtrips/${trip._id}`)
+                .set('Authorization', owner.auth)
+                .send({ budget: { currency: 'USD', food: 100 } });
+
+            const created = await request(app)
+                .post(`/api/savedtrips/${trip._id}/expenses`)
+                .set('Authorization', owner.auth)
+                .send({ amount: 150, currency: 'usd', category: 'food', description: 'Pastel de nata' });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.currency, 'USD');
+
+            const list = await request(app).get(`/api/savedtrips/${trip._id}/expenses?category=food`).set('Authorization', owner.auth);
+            assert.equal(list.status, 200);
+            assert.equal(list.body.length, 1);
+
+            const budget = await request(app).get(`/api/savedtrips/${trip._id}/budget?currency=USD`).set('Authorization', owner.auth);
+            assert.equal(budget.status, 200);
+            const food = budget.body.categories.find(row => row.category === 'food');
+            assert.equal(food.planned, 100);
+            assert.equal(food.actual, 150);
+            assert.equal(food.overBudget, true);
+        });
+
+        it('updates and deletes an expense, and answers 404 for an unknown one', async () => {
+            const trip = await createTrip(owner);
+            const created = await request(app)
+                .post(`/api/savedtrips/${trip._id}/expenses`)
+                .set('Authorization', owner.auth)
+                .send({ amount: 20, currency: 'EUR', category: 'transport' });
+
+            const updated = await request(app)
+                .patch(`/api/savedtrips/${trip._id}/expenses/${created.body._id}`)
+                .set('Authorization', owner.auth)
+                .send({ amount: 25 });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.amount, 25);
+
+            const deleted = await request(app)
+                .delete(`/api/savedtrips/${trip._id}/expenses/${created.body._id}`)
+                .set('Authorization', owner.auth);
+            assert.equal(deleted.status, 200);
+
+            const gone = await request(app)
+                .get(`/api/savedtrips/${trip._id}/expenses/${created.body._id}`)
+                .set('Authorization', owner.auth);
+            assert.equal(gone.status, 404);
+        });
+
+        it('rejects unsupported currencies and unknown categories', async () => {
+            const trip = await createTrip(owner);
+            const res = await request(app)
+                .post(`/api/savedtrips/${trip._id}/expenses`)
+                .set('Authorization', owner.auth)
+                .send({ amount: 10, currency: 'XXX', category: 'souvenirs' });
+
+            assert.equal(res.status, 400);
+            assert.ok(res.body.fields.currency);
+            assert.ok(res.body.fields.category);
+        });
+
+        it('keeps other users away from the expenses', async () => {
+            const trip = await createTrip(owner);
+            const res = await request(app)
+                .post(`/api/savedtrips/${trip._id}/expenses`)
+                .set('Authorization', stranger.auth)
+                .send({ amount: 10, currency: 'USD', category: 'food' });
+            assert.equal(res.status, 403);
+        });
+
+        it('deletes the expenses when the trashed trip is purged', async () => {
+            const trip = await createTrip(owner);
+            await request(app)
+                .post(`/api/savedtrips/${trip._id}/expenses`)
+                .set('Authorization', owner.auth)
+                .send({ amount: 10, currency: 'USD', category: 'food' });
+
+            await request(app).delete(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(await Expense.countDocuments({ trip: trip._id }), 1);
+
+            await emptyTrash();
+            assert.equal(await Expense.countDocuments({ trip: trip._id }), 0);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+// server/tests/security.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cors = require('cors');
+const {
+    app, request, PASSWORD, startDatabase, stopDatabase, clearDatabase, createUser, lastMailToken
+} = require('./helpers/testApp.js');
+const User = require('../models/User.js');
+const createMemoryStore = require('../rateLimit/stores/memoryStore.js');
+const createMongoStore = require('../rateLimit/stores/mongoStore.js');
+const { LOCK_AFTER } = require('../utils/loginLockout.js');
+const { corsOptions } = require('../middleware/security.js');
+
+// Logging in `times` times with a wrong password, returns the last response
+const failLogins = async (identifier, times) => {
+    let res;
+    for (let attempt = 0; attempt < times; attempt++) {
+        res = await request(app).post('/api/users/login').send({ email: identifier, password: 'wrong-password' });
+    }
+    return res;
+};
+
+describe('rate limits and lockout', () => {
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(clearDatabase);
+
+    describe('account lockout', () => {
+        it('locks the account after repeated failures, even for the right password', async () => {
+            const user = await createUser();
+
+            const last = await failLogins(user.email, LOCK_AFTER);
+            assert.equal(last.status, 400);
+
+            const locked = await request(app).post('/api/users/login').send({ email: user.email, password: PASSWORD });
+            assert.equal(locked.status, 429);
+            assert.equal(locked.body.code, 'TOO_MANY_REQUESTS');
+            assert.ok(Number(locked.headers['retry-after']) > 0);
+        });
+
+        it('locks for longer with every further failure', async () => {
+            const user = await createUser();
+            await failLogins(user.email, LOCK_AFTER);
+            const first = (await User.findById(user.id)).lockedUntil;
+
+            // Once the lock is over, the next failure locks again, twice as long
+            await User.updateOne({ _id: user.id }, { lockedUntil: new Date(Date.now() - 1000) });
+            await failLogins(user.email, 1);
+            const second = (await User.findById(user.id)).lockedUntil;
+
+            assert.ok(second - Date.now() > first - Date.now() + 30 * 1000);
+        });
+
+        it('starts over after a successful login', async () => {
+            const user = await createUser();
+
+            await failLogins(user.email, LOCK_AFTER - 1);
+            const ok = await request(app).post('/api/users/login').send({ email: user.email, password: PASSWORD });
+            assert.equal(ok.status, 200);
+            assert.equal((await User.findById(user.id)).failedLoginCount, 0);
+        });
+
+        it('unlocks the account with a password reset', async () => {
+            const user = await createUser();
+            await failLogins(user.email, LOCK_AFTER);
+
+            await request(app).post('/api/users/password-reset/request').send({ email: user.email });
+            await request(app)
+                .post('/api/users/password-reset/confirm')
+                .send({ token: lastMailToken(user.email), newPassword: 'brand-new-password' });
+
+            const afterReset = await request(app).post('/api/users/login').send({ email: user.email, password: 'brand-new-password' });
+            assert.equal(afterReset.status, 200);
+        });
+    });
+
+    describe('rate limits', () => {
+        it('limits login attempts per account, whether or not it exists', async () => {
+            const res = await failLogins('nobody@example.com', 11);
+            assert.equal(res.status, 429);
+            assert.equal(res.headers['ratelimit-remaining'], '0');
+
+            // Another account from the same address can still log in
+            const user = await createUser();
+            const other = await request(app).post('/api/users/login').send({ email: user.email, password: PASSWORD });
+            assert.equal(other.status, 200);
+        });
+
+        it('limits password reset emails per address', async () => {
+            const user = await createUser();
+            const statuses = [];
+            for (let attempt = 0; attempt < 4; attempt++) {
+                const res = await request(app).post('/api/users/password-reset/request').send({ email: user.email });
+                statuses.push(res.status);
+            }
+            assert.deepEqual(statuses, [200, 200, 200, 429]);
+        });
+
+        it('counts hits in MongoDB for several instances', async () => {
+            const store = createMongoStore();
+            const first = await store.hit('test:key', 60 * 1000);
+            const second = await store.hit('test:key', 60 * 1000);
+            assert.equal(first.count, 1);
+            assert.equal(second.count, 2);
+            assert.equal(second.resetAt.getTime(), first.resetAt.getTime());
+
+            await store.reset('test:key');
+            assert.equal((await store.hit('test:key', 60 * 1000)).count, 1);
+        });
+
+        it('keeps the memory store to its size, dropping the oldest windows', async () => {
+            const store = createMemoryStore({ maxKeys: 100 });
+            for (let i = 0; i < 250; i++) {
+                await store.hit(`test:${i}`, 60 * 1000);
+            }
+            assert.ok(store.counters.size <= 100);
+            assert.ok(store.counters.has('test:249'));
+            assert.ok(!store.counters.has('test:0'));
+        });
+    });
+
+    describe('headers and CORS', () => {
+        it('sends the security headers', async () => {
+            const res = await request(app).get('/api/nothing-here');
+            assert.equal(res.headers['x-content-type-options'], 'nosniff');
+            assert.equal(res.headers['referrer-policy'], 'no-referrer');
+            assert.ok(res.headers['content-security-policy']);
+            assert.equal(res.headers['x-powered-by'], undefined);
+        });
+
+        it('only answers CORS requests from the allowed origins', async () => {
+            const corsApp = express();
+            corsApp.use(cors(corsOptions('https://app.example.com, http://localhost:5173/')));
+            corsApp.get('/', (req, res) => res.json({}));
+
+            const allowed = await request(corsApp).get('/').set('Origin', 'http://localhost:5173');
+            assert.equal(allowed.headers['access-control-allow-origin'], 'http://localhost:5173');
+
+            const other = await request(corsApp).get('/').set('Origin', 'https://evil.example.com');
+            assert.equal(other.headers['access-control-allow-origin'], undefined);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+// server/tests/trash.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    app, request, startDatabase, stopDatabase, clearDatabase, createUser, emptyTrash
+} = require('./helpers/testApp.js');
+const SavedTrip = require('../models/SavedTrip.js');
+const Review = require('../models/Review.js');
+const { purgeTrash } = require('../services/trashService.js');
+
+const LISBON = { city: 'Lisbon', country: 'Portugal', lat: 38.72, lon: -9.14 };
+
+describe('trash', () => {
+    let owner;
+    let stranger;
+    let trip;
+    let review;
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        owner = await createUser();
+        stranger = await createUser();
+
+        trip = (await request(app)
+            .post('/api/savedtrips')
+            .set('Authorization', owner.auth)
+            .send({ title: 'Portugal', stops: [LISBON], price: 500 })).body;
+        review = (await request(app)
+            .post('/api/reviews')
+            .set('Authorization', owner.auth)
+            .send({ ...LISBON, rating: 4, comment: 'Great food' })).body;
+    });
+
+    describe('trips', () => {
+        it('hides a deleted trip everywhere and lists it in the owner\'s trash', async () => {
+            const deleted = await request(app).delete(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(deleted.status, 200);
+            assert.ok(new Date(deleted.body.purgeAt) > new Date());
+
+            const get = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(get.status, 404);
+
+            const list = await request(app).get('/api/savedtrips').set('Authorization', owner.auth);
+            assert.equal(list.body.data.length, 0);
+            assert.equal(list.body.meta.total, 0);
+
+            const near = await request(app).get('/api/savedtrips/near?lat=38.7&lon=-9.1').set('Authorization', owner.auth);
+            assert.equal(near.body.length, 0);
+
+            const trash = await request(app).get('/api/users/me/trash').set('Authorization', owner.auth);
+            assert.equal(trash.status, 200);
+            assert.deepEqual(trash.body.trips.map(t => t.title), ['Portugal']);
+            assert.ok(trash.body.trips[0].deletedAt);
+            assert.ok(trash.body.trips[0].purgeAt);
+
+            const other = await request(app).get('/api/users/me/trash').set('Authorization', stranger.auth);
+            assert.equal(other.body.trips.length, 0);
+        });
+
+        it('restores a trip for its owner only', async () => {
+            await request(app).delete(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+
+            const forbidden = await request(app).post(`/api/savedtrips/${trip._id}/restore`).set('Authorization', stranger.auth);
+            assert.equal(forbidden.status, 403);
+
+            const restored = await request(app).post(`/api/savedtrips/${trip._id}/restore`).set('Authorization', owner.auth);
+            assert.equal(restored.status, 200);
+            assert.equal(restored.body.deletedAt, undefined);
+
+            const get = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            assert.equal(get.status, 200);
+
+            // Only trips in the trash can be restored
+            const again = await request(app).post(`/api/savedtrips/${trip._id}/restore`).set('Authorization', owner.auth);
+            assert.equal(again.status, 404);
+        });
+    });
+
+    describe('reviews', () => {
+        it('takes a deleted review out of the lists and the stats until it is restored', async () => {
+            const deleted = await request(app).delete(`/api/reviews/${review._id}`).set('Authorization', owner.auth);
+            assert.equal(deleted.status, 200);
+
+            const list = await request(app).get('/api/reviews?city=Lisbon');
+            assert.equal(list.body.data.length, 0);
+
+            const stats = await request(app).get('/api/destinations/Portugal/Lisbon');
+            assert.equal(stats.status, 200); // The trip still counts
+            assert.equal(stats.body.reviewCount, 0);
+
+            const trash = await request(app).get('/api/users/me/trash').set('Authorization', owner.auth);
+            assert.deepEqual(trash.body.reviews.map(r => r.comment), ['Great food']);
+
+            const forbidden = await request(app).post(`/api/reviews/${review._id}/restore`).set('Authorization', stranger.auth);
+            assert.equal(forbidden.status, 403);
+
+            const restored = await request(app).post(`/api/reviews/${review._id}/restore`).set('Authorization', owner.auth);
+            assert.equal(restored.status, 200);
+            assert.equal(restored.body.user.username, owner.username);
+
+            const back = await request(app).get(`/api/reviews/${review._id}`);
+            assert.equal(back.status, 200);
+        });
+
+        it('brings a trashed review back when the author reviews the place again', async () => {
+            await request(app).delete(`/api/reviews/${review._id}`).set('Authorization', owner.auth);
+
+            const again = await request(app)
+                .post('/api/reviews')
+                .set('Authorization', owner.auth)
+                .send({ ...LISBON, rating: 2, comment: 'Changed my mind' });
+            assert.equal(again.status, 200);
+            assert.equal(again.body._id, review._id);
+            assert.equal(again.body.rating, 2);
+
+            const trash = await request(app).get('/api/users/me/trash').set('Authorization', owner.auth);
+            assert.equal(trash.body.reviews.length, 0);
+        });
+    });
+
+    describe('purge', () => {
+        it('removes only what has been in the trash longer than the retention window', async () => {
+            await request(app).delete(`/api/savedtrips/${trip._id}`).set('Authorization', owner.auth);
+            await request(app).delete(`/api/reviews/${review._id}`).set('Authorization', owner.auth);
+
+            const early = await purgeTrash();
+            assert.deepEqual(early, { trips: 0, reviews: 0 });
+            assert.equal(await SavedTrip.countDocuments({ _id: trip._id }).withDeleted(), 1);
+
+            const late = await emptyTrash();
+            assert.deepEqual(late, { trips: 1, reviews: 1 });
+            assert.equal(await SavedTrip.countDocuments({ _id: trip._id }).withDeleted(), 0);
+            assert.equal(await Review.countDocuments({ _id: review._id }).withDeleted(), 0);
+
+            const restore = await request(app).post(`/api/savedtrips/${trip._id}/restore`).set('Authorization', owner.auth);
+            assert.equal(restore.status, 404);
+        });
+    });
+});
@@ -0,0 +1,222 @@
+// server/tests/tripSharing.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, startDatabase, stopDatabase, clearDatabase, createUser } = require('./helpers/testApp.js');
+const { getTransport } = require('../mail/index.js');
+
+const LISBON = { city: 'Lisbon', country: 'Portugal', lat: 38.72, lon: -9.14 };
+
+describe('trip members and sharing', () => {
+    let owner;
+    let friend;
+    let stranger;
+    let trip;
+
+    // Inviting `user` to the trip as `role` and accepting for them
+    const addMember = async (user, role) => {
+        const invite = await request(app)
+            .post(`/api/savedtrips/${trip._id}/members`)
+            .set('Authorization', owner.auth)
+            .send({ username: user.username, role });
+        assert.equal(invite.status, 201, JSON.stringify(invite.body));
+
+        const accept = await request(app)
+            .post(`/api/savedtrips/invitations/${trip._id}/accept`)
+            .set('Authorization', user.auth);
+        assert.equal(accept.status, 200);
+    };
+
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(async () => {
+        await clearDatabase();
+        owner = await createUser();
+        friend = await createUser();
+        stranger = await createUser();
+
+        const res = await request(app)
+            .post('/api/savedtrips')
+            .set('Authorization', owner.auth)
+            .send({ title: 'Portugal', stops: [LISBON], price: 500 });
+        trip = res.body;
+        getTransport().clear();
+    });
+
+    describe('invitations', () => {
+        it('emails the invitee and lists the invitation until it is answered', async () => {
+            const invite = await request(app)
+                .post(`/api/savedtrips/${trip._id}/members`)
+                .set('Authorization', owner.auth)
+                .send({ email: friend.email, role: 'editor' });
+            assert.equal(invite.status, 201);
+            assert.equal(invite.body.status, 'pending');
+            assert.equal(getTransport().messages.filter(message => message.to === friend.email).length, 1);
+
+            const pending = await request(app).get('/api/savedtrips/invitations').set('Authorization', friend.auth);
+            assert.equal(pending.status, 200);
+            assert.equal(pending.body.length, 1);
+            assert.equal(pending.body[0].role, 'editor');
+
+            // Pending invitations don't give access yet
+            const early = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', friend.auth);
+            assert.equal(early.status, 403);
+
+            await request(app).post(`/api/savedtrips/invitations/${trip._id}/accept`).set('Authorization', friend.auth);
+
+            const answered = await request(app).get('/api/savedtrips/invitations').set('Authorization', friend.auth);
+            assert.equal(answered.body.length, 0);
+        });
+
+        it('lets the invitee decline, and the owner invite again', async () => {
+            await request(app).post(`/api/savedtrips/${trip._id}/members`).set('Authorization', owner.auth).send({ username: friend.username });
+
+            const decline = await request(app).post(`/api/savedtrips/invitations/${trip._id}/decline`).set('Authorization', friend.auth);
+            assert.equal(decline.status, 200);
+
+            const view = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', friend.auth);
+            assert.equal(view.status, 403);
+
+            const again = await request(app).post(`/api/savedtrips/${trip._id}/members`).set('Authorization', owner.auth).send({ username: friend.username });
+            assert.equal(again.status, 201);
+        });
+
+        it('answers 404 for an invitation that does not exist', async () => {
+            const res = await request(app).post(`/api/savedtrips/invitations/${trip._id}/accept`).set('Authorization', stranger.auth);
+            assert.equal(res.status, 404);
+        });
+
+        it('rejects duplicate invitations, the owner and unknown users', async () => {
+            await request(app).post(`/api/savedtrips/${trip._id}/members`).set('Authorization', owner.auth).send({ username: friend.username });
+
+            const duplicate = await request(app).post(`/api/savedtrips/${trip._id}/members`).set('Authorization', owner.auth).send({ username: friend.username });
+            assert.equal(duplicate.status, 409);
+
+            const self = await request(app).post(`/api/savedtrips/${trip._id}/members`).set('Authorization', owner.auth).send({ username: owner.username });
+            assert.equal(self.status, 400);
+
+            const unknown = await request(app).post(`/api/savedtrips/${trip._id}/members`).set('Authorization', owner.auth).send({ username: 'nobody-here' });
+            assert.equal(unknown.status, 404);
+
+            const missing = await request(app).post(`/api/savedtrips/${trip._id}/members`).set('Authorization', owner.auth).send({});
+            assert.equal(missing.status, 400);
+        });
+
+        it('only lets the owner invite', async () => {
+            await addMember(friend, 'editor');
+            const res = await request(app).post(`/api/savedtrips/${trip._id}/members`).set('Authorization', friend.auth).send({ username: stranger.username });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('member permissions', () => {
+        it('lets viewers read but not change the trip', async () => {
+            await addMember(friend, 'viewer');
+
+            const view = await request(app).get(`/api/savedtrips/${trip._id}`).set('Authorization', friend.auth);
+            assert.equal(view.status, 200);
+
+            const update = await request(app).patch(`/api/savedtrips/${trip._id}`).set('Authorization', friend.auth).send({ title: 'Changed' });
+            assert.equal(update.status, 403);
+
+            const expense = await request(app)
+                .post(`/api/savedtrips/${trip._id}/expenses`)
+                .set('Authorization', friend.auth)
+                .send({ amount: 10, currency: 'EUR', category: 'food' });
+            assert.equal(expense.status, 403);
+        });
+
+        it('lets editors change stops and expenses but not delete the trip', async () => {
+            await addMember(friend, 'editor');
+
+            const update = await request(app).patch(`/api/savedtrips/${trip._id}`).set('Authorization', friend.auth).send({ title: 'Portugal and Spain' });
+            assert.equal(update.status, 200);
+
+            const expense = await request(app)
+                .post(`/api/savedtrips/${trip._id}/expenses`)
+                .set('Authorization', friend.auth)
+                .send({ amount: 10, currency: 'EUR', category: 'food' });
+            assert.equal(expense.status, 201);
+            assert.equal(expense.body.paidBy, friend.id);
+
+            const remove = await request(app).delete(`/api/savedtrips/${trip._id}`).set('Authorization', friend.auth);
+            assert.equal(remove.status, 403);
+        });
+
+        it('lists shared trips next to the user\'s own, filtered by scope', async () => {
+            await addMember(friend, 'viewer');
+            await request(app).post('/api/savedtrips').set('Authorization', friend.auth).send({ title: 'Own trip', stops: [LISBON], price: 100 });
+
+            const all = await request(app).get('/api/savedtrips?sort=title').set('Authorization', friend.auth);
+            assert.deepEqual(all.body.data.map(t => t.title), ['Own trip', 'Portugal']);
+
+            const shared = await request(app).get('/api/savedtrips?scope=shared').set('Authorization', friend.auth);
+            assert.deepEqual(shared.body.data.map(t => t.title), ['Portugal']);
+
+            const near = await request(app).get('/api/savedtrips/near?lat=38.7&lon=-9.1').set('Authorization', friend.auth);
+            assert.equal(near.body.length, 2);
+        });
+
+        it('lets the owner change roles and remove members, and members leave', async () => {
+            await addMember(friend, 'viewer');
+            await addMember(stranger, 'viewer');
+
+            const promote = await request(app)
+                .patch(`/api/savedtrips/${trip._id}/members/${friend.id}`)
+                .set('Authorization', owner.auth)
+                .send({ role: 'editor' });
+            assert.equal(promote.status, 200);
+            assert.equal(promote.body.role, 'editor');
+
+            const kick = await request(app).delete(`/api/savedtrips/${trip._id}/members/${stranger.id}`).set('Authorization', friend.auth);
+            assert.equal(kick.status, 403);
+
+            const leave = await request(app).delete(`/api/savedtrips/${trip._id}/members/${friend.id}`).set('Authorization', friend.auth);
+            assert.equal(leave.status, 200);
+
+            const removed = await request(app).delete(`/api/savedtrips/${trip._id}/members/${stranger.id}`).set('Authorization', owner.auth);
+            assert.equal(removed.status, 200);
+
+            const members = await request(app).get(`/api/savedtrips/${trip._id}/members`).set('Authorization', owner.auth);
+            assert.equal(members.body.members.length, 0);
+            assert.equal(members.body.owner.username, owner.username);
+        });
+    });
+
+    describe('public share links', () => {
+        it('shows a read-only trip without members or budget until the link is removed', async () => {
+            await addMember(friend, 'viewer');
+
+            const shared = await request(app).post(`/api/savedtrips/${trip._id}/share`).set('Authorization', owner.auth);
+            assert.equal(shared.status, 200);
+            assert.ok(shared.body.shareSlug.length >= 16);
+
+            const again = await request(app).post(`/api/savedtrips/${trip._id}/share`).set('Authorization', owner.auth);
+            assert.equal(again.body.shareSlug, shared.body.shareSlug);
+
+            const view = await request(app).get(`/api/shared/${shared.body.shareSlug}`);
+            assert.equal(view.status, 200);
+            assert.equal(view.body.title, 'Portugal');
+            assert.equal(view.body.owner, owner.username);
+            assert.equal(view.body.members, undefined);
+            assert.equal(view.body.budget, undefined);
+
+            const itinerary = await request(app).get(`/api/shared/${shared.body.shareSlug}/itinerary`);
+            assert.equal(itinerary.status, 200);
+
+            await request(app).delete(`/api/savedtrips/${trip._id}/share`).set('Authorization', owner.auth);
+            const gone = await request(app).get(`/api/shared/${shared.body.shareSlug}`);
+            assert.equal(gone.status, 404);
+        });
+
+        it('only lets the owner create a link', async () => {
+            await addMember(friend, 'editor');
+            const res = await request(app).post(`/api/savedtrips/${trip._id}/share`).set('Authorization', friend.auth);
+            assert.equal(res.status, 403);
+        });
+
+        it('rejects slugs that could never exist', async () => {
+            const res = await request(app).get('/api/shared/short');
+            assert.equal(res.status, 400);
+        });
+    });
+});
@@ -0,0 +1,310 @@
+// server/tests/users.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    app, request, PASSWORD, startDatabase, stopDatabase, clearDatabase, createUser, lastMailToken
+} = require('./helpers/testApp.js');
+const SavedTrip = require('../models/SavedTrip.js');
+const Review = require('../models/Review.js');
+const User = require('../models/User.js');
+const UserToken = require('../models/UserToken.js');
+
+describe('/api/users', () => {
+    before(startDatabase);
+    after(stopDatabase);
+    beforeEach(clearDatabase);
+
+    describe('POST /register', () => {
+        it('creates the user without returning the password and sends a verification email', async () => {
+            const res = await request(app)
+                .post('/api/users/register')
+                .send({ username: 'backpacker', email: 'Backpacker@Example.com', password: PASSWORD });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.user.username, 'backpacker');
+            assert.equal(res.body.user.email, 'backpacker@example.com');
+            assert.equal(res.body.user.role, 'user');
+            assert.equal(res.body.user.emailVerified, false);
+            assert.equal(res.body.user.password, undefined);
+            assert.ok(lastMailToken('backpacker@example.com'));
+        });
+
+        it('rejects missing and invalid fields with a field map', async () => {
+            const res = await request(app)
+                .post('/api/users/register')
+                .send({ username: 'abc', email: 'not-an-email' });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+            assert.ok(res.body.fields.username);
+            assert.ok(res.body.fields.email);
+            assert.ok(res.body.fields.password);
+            assert.ok(res.body.requestId);
+        });
+
+        it('answers 409 when the email or username is taken', async () => {
+            await createUser({ username: 'backpacker', email: 'taken@example.com' });
+
+            const sameEmail = await request(app)
+                .post('/api/users/register')
+                .send({ username: 'someoneelse', email: 'taken@example.com', password: PASSWORD });
+            assert.equal(sameEmail.status, 409);
+            assert.ok(sameEmail.body.fields.email);
+
+            const sameName = await request(app)
+                .post('/api/users/register')
+                .send({ username: 'backpacker', email: 'other@example.com', password: PASSWORD });
+            assert.equal(sameName.status, 409);
+            assert.ok(sameName.body.fields.username);
+        });
+    });
+
+    describe('POST /login', () => {
+        it('returns an access and refresh token for email or username', async () => {
+            const user = await createUser({ username: 'backpacker' });
+
+            const byEmail = await request(app).post('/api/users/login').send({ email: user.email, password: PASSWORD });
+            assert.equal(byEmail.status, 200);
+            assert.ok(byEmail.body.accessToken);
+            assert.ok(byEmail.body.refreshToken);
+            assert.equal(byEmail.body.tokenType, 'Bearer');
+
+            const byName = await request(app).post('/api/users/login').send({ username: 'backpacker', password: PASSWORD });
+            assert.equal(byName.status, 200);
+        });
+
+        it('rejects a wrong password and an unknown user the same way', async () => {
+            const user = await createUser();
+
+            const wrongPassword = await request(app).post('/api/users/login').send({ email: user.email, password: 'wrong-password' });
+            const unknown = await request(app).post('/api/users/login').send({ email: 'nobody@example.com', password: PASSWORD });
+
+            assert.equal(wrongPassword.status, 400);
+            assert.equal(unknown.status, 400);
+            assert.equal(wrongPassword.body.message, unknown.body.message);
+        });
+
+        it('needs a password and an email or username', async () => {
+            const res = await request(app).post('/api/users/login').send({});
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+        });
+    });
+
+    describe('POST /refresh and /logout', () => {
+        it('rotates the refresh token so the old one stops working', async () => {
+            const user = await createUser();
+
+            const refreshed = await request(app).post('/api/users/refresh').send({ refreshToken: user.refreshToken });
+            assert.equal(refreshed.status, 200);
+            assert.ok(refreshed.body.accessToken);
+
+            const reused = await request(app).post('/api/users/refresh').send({ refreshToken: user.refreshToken });
+            assert.equal(reused.status, 401);
+        });
+
+        it('refuses an access token where a refresh token is expected', async () => {
+            const user = await createUser();
+            const res = await request(app).post('/api/users/refresh').send({ refreshToken: user.accessToken });
+            assert.equal(res.status, 401);
+        });
+
+        it('revokes the access and refresh token on logout', async () => {
+            const user = await createUser();
+
+            const logout = await request(app)
+                .post('/api/users/logout')
+                .set('Authorization', user.auth)
+                .send({ refreshToken: user.refreshToken });
+            assert.equal(logout.status, 200);
+
+            const me = await request(app).get('/api/users/me').set('Authorization', user.auth);
+            assert.equal(me.status, 401);
+
+            const refresh = await request(app).post('/api/users/refresh').send({ refreshToken: user.refreshToken });
+            assert.equal(refresh.status, 401);
+        });
+    });
+
+    describe('email verification', () => {
+        it('verifies the email with the token from the email, only once', async () => {
+            const user = await createUser();
+            const token = lastMailToken(user.email);
+
+            const confirm = await request(app).post('/api/users/verify-email/confirm').send({ token });
+            assert.equal(confirm.status, 200);
+            assert.equal(confirm.body.user.emailVerified, true);
+
+            const again = await request(app).post('/api/users/verify-email/confirm').send({ token });
+            assert.equal(again.status, 400);
+        });
+
+        it('sends a new link on request, unless the email is already verified', async () => {
+            const user = await createUser();
+
+            const first = await request(app).post('/api/users/verify-email/request').set('Authorization', user.auth);
+            assert.equal(first.status, 200);
+
+            await request(app).post('/api/users/verify-email/confirm').send({ token: lastMailToken(user.email) });
+
+            const second = await request(app).post('/api/users/verify-email/request').set('Authorization', user.auth);
+            assert.equal(second.status, 400);
+        });
+    });
+
+    describe('password reset', () => {
+        it('answers the same for unknown emails', async () => {
+            const res = await request(app).post('/api/users/password-reset/request').send({ email: 'nobody@example.com' });
+            assert.equal(res.status, 200);
+            assert.equal(lastMailToken('nobody@example.com'), null);
+        });
+
+        it('sets a new password with the emailed token', async () => {
+            const user = await createUser();
+            await request(app).post('/api/users/password-reset/request').send({ email: user.email });
+            const token = lastMailToken(user.email);
+
+            const reset = await request(app)
+                .post('/api/users/password-reset/confirm')
+                .send({ token, newPassword: 'brand-new-password' });
+            assert.equal(reset.status, 200);
+
+            const oldLogin = await request(app).post('/api/users/login').send({ email: user.email, password: PASSWORD });
+            assert.equal(oldLogin.status, 400);
+            const newLogin = await request(app).post('/api/users/login').send({ email: user.email, password: 'brand-new-password' });
+            assert.equal(newLogin.status, 200);
+
+            const reused = await request(app)
+                .post('/api/users/password-reset/confirm')
+                .send({ token, newPassword: 'another-password' });
+            assert.equal(reused.status, 400);
+        });
+    });
+
+    describe('/me', () => {
+        it('needs a valid access token', async () => {
+            const missing = await request(app).get('/api/users/me');
+            assert.equal(missing.status, 401);
+
+            const garbage = await request(app).get('/api/users/me').set('Authorization', 'Bearer not-a-token');
+            assert.equal(garbage.status, 401);
+        });
+
+        it('refuses access tokens issued before the last password change', async () => {
+            const user = await createUser();
+
+            // A change a few seconds ahead, since iat only has one-second precision
+            await User.updateOne({ _id: user.id }, { passwordChangedAt: new Date(Date.now() + 5000) });
+
+            const res = await request(app).get('/api/users/me').set('Authorization', user.auth);
+            assert.equal(res.status, 401);
+        });
+
+        it('uses the current role, not the one in the token', async () => {
+            const admin = await createUser({ role: 'admin' });
+            const asAdmin = await request(app).get('/api/users').set('Authorization', admin.auth);
+            assert.equal(asAdmin.status, 200);
+
+            await User.updateOne({ _id: admin.id }, { role: 'user' });
+            const demoted = await request(app).get('/api/users').set('Authorization', admin.auth);
+            assert.equal(demoted.status, 403);
+        });
+
+        it('returns and updates the profile', async () => {
+            const user = await createUser();
+
+            const me = await request(app).get('/api/users/me').set('Authorization', user.auth);
+            assert.equal(me.status, 200);
+            assert.equal(me.body.email, user.email);
+
+            const updated = await request(app)
+                .patch('/api/users/me')
+                .set('Authorization', user.auth)
+                .send({ homeCurrency: 'eur', email: 'moved@example.com' });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.user.homeCurrency, 'EUR');
+            assert.equal(updated.body.user.email, 'moved@example.com');
+            assert.equal(updated.body.user.emailVerified, false);
+            assert.ok(lastMailToken('moved@example.com'));
+        });
+
+        it('refuses fields that are not part of the profile', async () => {
+            const user = await createUser();
+            const res = await request(app).patch('/api/users/me').set('Authorization', user.auth).send({ role: 'admin' });
+
+            assert.equal(res.status, 400);
+            assert.ok(res.body.fields.role);
+        });
+
+        it('answers 409 when the new username belongs to someone else', async () => {
+            await createUser({ username: 'takenname' });
+            const user = await createUser();
+
+            const res = await request(app).patch('/api/users/me').set('Authorization', user.auth).send({ username: 'takenname' });
+            assert.equal(res.status, 409);
+        });
+
+        it('changes the password only with the current one', async () => {
+            const user = await createUser();
+
+            const wrong = await request(app)
+                .patch('/api/users/me/password')
+                .set('Authorization', user.auth)
+                .send({ currentPassword: 'wrong-password', newPassword: 'brand-new-password' });
+            assert.equal(wrong.status, 400);
+
+            const right = await request(app)
+                .patch('/api/users/me/password')
+                .set('Authorization', user.auth)
+                .send({ currentPassword: PASSWORD, newPassword: 'brand-new-password' });
+            assert.equal(right.status, 200);
+        });
+
+        it('deletes the account with its trips and reviews', async () => {
+            const user = await createUser();
+            await request(app).post('/api/savedtrips').set('Authorization', user.auth)
+                .send({ city: 'Lisbon', country: 'Portugal', lat: 38.72, lon: -9.14, price: 500 });
+            await request(app).post('/api/reviews').set('Authorization', user.auth)
+                .send({ city: 'Lisbon', country: 'Portugal', rating: 5 });
+
+            const wrong = await request(app).delete('/api/users/me').set('Authorization', user.auth).send({ password: 'wrong-password' });
+            assert.equal(wrong.status, 400);
+
+            const res = await request(app).delete('/api/users/me').set('Authorization', user.auth).send({ password: PASSWORD });
+            assert.equal(res.status, 200);
+
+            assert.equal(await User.countDocuments({ _id: user.id }), 0);
+            assert.equal(await SavedTrip.countDocuments({ user: user.id }), 0);
+            assert.equal(await Review.countDocuments({ user: user.id }), 0);
+            assert.equal(await UserToken.countDocuments({ user: user.id }), 0); // The verification link from registering
+        });
+    });
+
+    describe('GET /', () => {
+        it('is only open to admins', async () => {
+            const user = await createUser();
+            const res = await request(app).get('/api/users').set('Authorization', user.auth);
+            assert.equal(res.status, 403);
+        });
+
+        it('pages through users without exposing passwords', async () => {
+            const admin = await createUser({ role: 'admin' });
+            await createUser();
+            await createUser();
+
+            const res = await request(app).get('/api/users?limit=2&sort=username').set('Authorization', admin.auth);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.length, 2);
+            assert.equal(res.body.meta.total, 3);
+            assert.equal(res.body.meta.hasMore, true);
+            res.body.data.forEach(user => assert.equal(user.password, undefined));
+        });
+
+        it('rejects unknown sort fields', async () => {
+            const admin = await createUser({ role: 'admin' });
+            const res = await request(app).get('/api/users?sort=password').set('Authorization', admin.auth);
+            assert.equal(res.status, 400);
+            assert.ok(res.body.fields.sort);
+        });
+    });
+});
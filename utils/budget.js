@@ -0,0 +1,42 @@
+// server/utils/budget.js
+const { convert, roundMoney } = require('./currency.js');
+
+// summarizeBudget - Planned vs. actual spend per category, all converted to one currency
+// budget:   the trip's planned amounts ({ currency, lodging, transport, ... })
+// expenses: the trip's expense documents
+const summarizeBudget = ({ budget, expenses, categories, currency }) => {
+    const plannedCurrency = (budget && budget.currency) || currency;
+
+    const byCategory = categories.map((category) => {
+        const plannedAmount = budget && budget[category] != null ? budget[category] : 0;
+        const planned = convert(plannedAmount, plannedCurrency, currency);
+        const actual = expenses
+            .filter(expense => expense.category === category)
+            .reduce((sum, expense) => sum + convert(expense.amount, expense.currency, currency), 0);
+
+        return {
+            category,
+            planned: roundMoney(planned),
+            actual: roundMoney(actual),
+            remaining: roundMoney(planned - actual),
+            overBudget: actual > planned
+        };
+    });
+
+    const plannedTotal = byCategory.reduce((sum, row) => sum + row.planned, 0);
+    const actualTotal = byCategory.reduce((sum, row) => sum + row.actual, 0);
+
+    return {
+        currency,
+        categories: byCategory,
+        totals: {
+            planned: roundMoney(plannedTotal),
+            actual: roundMoney(actualTotal),
+            remaining: roundMoney(plannedTotal - actualTotal),
+            overBudget: actualTotal > plannedTotal
+        },
+        expenseCount: expenses.length
+    };
+};
+
+module.exports = { summarizeBudget };
@@ -0,0 +1,31 @@
+// server/utils/cookies.js
+
+// Reading one cookie from the Cookie header, null when it isn't there (or can't be decoded)
+// Express sets cookies with res.cookie() but doesn't parse the ones it receives.
+const readCookie = (req, name) => {
+    const header = req.headers.cookie;
+    if (!header) return null;
+
+    for (const part of header.split(';')) {
+        const separator = part.indexOf('=');
+        if (separator === -1 || part.slice(0, separator).trim() !== name) continue;
+        try {
+            return decodeURIComponent(part.slice(separator + 1).trim());
+        } catch (err) {
+            return null;
+        }
+    }
+    return null;
+};
+
+// Options for the cookies this app sets: not readable by scripts, only sent over HTTPS in production
+// and not sent along with requests other sites start (forms posted from elsewhere, images...)
+const cookieOptions = (options = {}) => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    ...options
+});
+
+module.exports = { readCookie, cookieOptions };
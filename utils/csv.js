@@ -0,0 +1,111 @@
+// server/utils/csv.js
+// Reading and writing CSV (RFC 4180: comma separated, fields with commas, quotes or line breaks
+// in double quotes, "" for a quote inside them). Used by the trip and expense exports and the trip import.
+
+// A text cell starting with one of these is run as a formula by spreadsheet apps,
+// a leading ' makes them show it as text instead
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const toCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// toCsv - A CSV document with a header line and one line per row
+// `columns` lists the header names, each row is an object keyed by them (missing values are empty cells)
+const toCsv = (rows, columns) => {
+    const lines = [columns.map(toCell).join(',')];
+    rows.forEach((row) => {
+        lines.push(columns.map(column => toCell(row[column])).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+// Splitting CSV text into records (arrays of cells), quoted fields can span lines.
+// Each record gets the `line` it starts on.
+const parseRecords = (text) => {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let i = 0;
+
+    const endRecord = () => {
+        record.push(cell);
+        records.push(record);
+        record = [];
+        cell = '';
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        if (record.line === undefined) {
+            record.line = line;
+        }
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+                if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            endRecord();
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            line++;
+        } else {
+            cell += char;
+        }
+        i++;
+    }
+
+    if (quoted) {
+        throw new SyntaxError('A quoted field is not closed.');
+    }
+    if (cell !== '' || record.length > 0) {
+        endRecord();
+    }
+    return records;
+};
+
+// A cell toCsv() protected from spreadsheet formulas, without the added '
+const fromCell = cell => (/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+
+// parseCsv - The rows of a CSV document as objects keyed by the (trimmed) header names
+// Each row also gets the `line` it starts on (the header is line 1) so errors can point at it.
+// Blank lines are skipped, a byte order mark (Excel adds one) is ignored.
+const parseCsv = (text) => {
+    const records = parseRecords(text.replace(/^\uFEFF/, ''));
+    const [header = [], ...body] = records;
+    const columns = header.map(name => name.trim());
+
+    const rows = [];
+    body.forEach((record) => {
+        if (record.every(cell => cell.trim() === '')) return;
+        const row = { line: record.line };
+        columns.forEach((column, i) => {
+            row[column] = record[i] === undefined ? '' : fromCell(record[i]);
+        });
+        rows.push(row);
+    });
+
+    return { columns, rows };
+};
+
+module.exports = { toCsv, parseCsv };
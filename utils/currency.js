@@ -0,0 +1,43 @@
+// server/utils/currency.js
+const fs = require('fs');
+const path = require('path');
+
+// Exchange rates are read from a local JSON table, no outside API is called.
+// The file looks like { "base": "USD", "rates": { "USD": 1, "EUR": 0.92, ... } }
+// and can be swapped with EXCHANGE_RATES_FILE.
+const DEFAULT_RATES_FILE = path.join(__dirname, '../data/exchangeRates.json');
+
+let rateTable = null;
+
+// Loading (or reloading) the rate table from disk
+const loadRates = (filePath = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE) => {
+    const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!table.base || !table.rates || table.rates[table.base] !== 1) {
+        throw new Error(`Exchange rate file ${filePath} needs a base currency with a rate of 1`);
+    }
+    rateTable = table;
+    return rateTable;
+};
+
+const getRates = () => rateTable || loadRates();
+
+const isSupportedCurrency = (code) => {
+    return typeof code === 'string' && Object.prototype.hasOwnProperty.call(getRates().rates, code.toUpperCase());
+};
+
+// Rounding to cents so summaries don't show floating point noise
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Converting an amount between two currencies through the base currency of the table
+const convert = (amount, from, to) => {
+    const { rates } = getRates();
+    const fromRate = rates[String(from).toUpperCase()];
+    const toRate = rates[String(to).toUpperCase()];
+
+    if (fromRate === undefined || toRate === undefined) {
+        throw new Error(`No exchange rate for ${fromRate === undefined ? from : to}`);
+    }
+    return (amount / fromRate) * toRate;
+};
+
+module.exports = { loadRates, getRates, isSupportedCurrency, convert, roundMoney };
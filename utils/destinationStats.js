@@ -0,0 +1,134 @@
+// server/utils/destinationStats.js
+const SavedTrip = require('../models/SavedTrip.js');
+
+// Sort options accepted by /api/destinations and the field they sort on
+const SORT_FIELDS = {
+    avgRating: 'avgRating',
+    reviewCount: 'reviewCount',
+    saves: 'saves',
+    medianPrice: 'price.median',
+    minPrice: 'price.min',
+    maxPrice: 'price.max'
+};
+
+// Normalizing a free-text city/country so "Paris", "paris" and "Paris " group together
+const normalizedKey = (field) => ({ $toLower: { $trim: { input: field } } });
+
+// Median of an array expression (null when empty), works on MongoDB versions without $median
+const medianOf = (arrayExpr) => ({
+    $let: {
+        vars: { sorted: { $sortArray: { input: arrayExpr, sortBy: 1 } } },
+        in: {
+            $let: {
+                vars: { n: { $size: '$$sorted' } },
+                in: {
+                    $switch: {
+                        branches: [
+                            { case: { $eq: ['$$n', 0] }, then: null },
+                            { case: { $eq: [{ $mod: ['$$n', 2] }, 1] }, then: { $arrayElemAt: ['$$sorted', { $floor: { $divide: ['$$n', 2] } }] } }
+                        ],
+                        default: {
+                            $avg: [
+                                { $arrayElemAt: ['$$sorted', { $subtract: [{ $divide: ['$$n', 2] }, 1] }] },
+                                { $arrayElemAt: ['$$sorted', { $divide: ['$$n', 2] }] }
+                            ]
+                        }
+                    }
+                }
+            }
+        }
+    }
+});
+
+// buildDestinationStatsPipeline - Aggregation run on the Review collection that merges in
+// every saved trip stop, then groups both by city + country.
+// Each destination gets rating stats from reviews and price/save stats from trips.
+// A trip's price is counted for each of its stops, since prices are not split per stop.
+const buildDestinationStatsPipeline = ({ match = {}, sort = { reviewCount: -1 }, skip = 0, limit = 20 }) => [
+    // Reviews: one row per review, hidden reviews don't count towards the ratings
+    { $match: { status: { $ne: 'hidden' } } },
+    {
+        $project: {
+            _id: 0,
+            kind: { $literal: 'review' },
+            city: '$city',
+            country: '$country',
+            cityKey: normalizedKey('$city'),
+            countryKey: normalizedKey('$country'),
+            rating: '$rating'
+        }
+    },
+    // Trips: one row per stop
+    {
+        $unionWith: {
+            coll: SavedTrip.collection.collectionName,
+            pipeline: [
+                // The unioned collection skips the models' middleware, trips in the trash are left out here
+                { $match: { deletedAt: null } },
+                { $unwind: '$stops' },
+                {
+                    $project: {
+                        _id: 0,
+                        kind: { $literal: 'trip' },
+                        city: '$stops.city',
+                        country: '$stops.country',
+                        cityKey: normalizedKey('$stops.city'),
+                        countryKey: normalizedKey('$stops.country'),
+                        price: '$price',
+                        user: '$user'
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $group: {
+            _id: { city: '$cityKey', country: '$countryKey' },
+            city: { $first: '$city' },
+            country: { $first: '$country' },
+            reviewCount: { $sum: { $cond: [{ $eq: ['$kind', 'review'] }, 1, 0] } },
+            avgRating: { $avg: '$rating' }, // Trip rows have no rating and are ignored by $avg
+            rating1: { $sum: { $cond: [{ $eq: ['$rating', 1] }, 1, 0] } },
+            rating2: { $sum: { $cond: [{ $eq: ['$rating', 2] }, 1, 0] } },
+            rating3: { $sum: { $cond: [{ $eq: ['$rating', 3] }, 1, 0] } },
+            rating4: { $sum: { $cond: [{ $eq: ['$rating', 4] }, 1, 0] } },
+            rating5: { $sum: { $cond: [{ $eq: ['$rating', 5] }, 1, 0] } },
+            tripCount: { $sum: { $cond: [{ $eq: ['$kind', 'trip'] }, 1, 0] } },
+            prices: { $push: { $cond: [{ $eq: ['$kind', 'trip'] }, '$price', '$$REMOVE'] } },
+            savedBy: { $addToSet: { $cond: [{ $eq: ['$kind', 'trip'] }, '$user', '$$REMOVE'] } }
+        }
+    },
+    {
+        $project: {
+            _id: 0,
+            key: { $concat: ['$_id.country', '/', '$_id.city'] },
+            city: 1,
+            country: 1,
+            reviewCount: 1,
+            avgRating: { $round: ['$avgRating', 2] },
+            ratingDistribution: {
+                1: '$rating1',
+                2: '$rating2',
+                3: '$rating3',
+                4: '$rating4',
+                5: '$rating5'
+            },
+            tripCount: 1,
+            saves: { $size: '$savedBy' }, // Number of different users who saved it
+            price: {
+                min: { $min: '$prices' },
+                max: { $max: '$prices' },
+                median: medianOf('$prices')
+            }
+        }
+    },
+    { $match: match },
+    {
+        $facet: {
+            data: [{ $sort: { ...sort, key: 1 } }, { $skip: skip }, { $limit: limit }],
+            total: [{ $count: 'count' }]
+        }
+    }
+];
+
+module.exports = { SORT_FIELDS, buildDestinationStatsPipeline };
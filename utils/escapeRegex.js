@@ -0,0 +1,6 @@
+// server/utils/escapeRegex.js
+
+// Escaping user input so it is matched literally inside a RegExp
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,51 @@
+// server/utils/geo.js
+// Helpers for the "near a point" and "inside a map area" searches.
+// The query parameters are checked by the nearQuery/withinQuery schemas in validation/common.js.
+
+const DEFAULT_RADIUS_KM = 10;
+const DEFAULT_LIMIT = 50;
+
+// toNearSearch - Turns a validated ?lat=&lon=&km=&limit= into { point, maxDistanceMeters, limit }
+const toNearSearch = ({ lat, lon, km = DEFAULT_RADIUS_KM, limit = DEFAULT_LIMIT }) => ({
+    point: { type: 'Point', coordinates: [lon, lat] }, // GeoJSON order: [lon, lat]
+    maxDistanceMeters: km * 1000,
+    limit
+});
+
+// toBoundingBox - Turns a validated ?bbox=west,south,east,north into { polygon, center, limit }
+// Boxes crossing the date line are not supported.
+const toBoundingBox = ({ bbox, limit = DEFAULT_LIMIT }) => {
+    const [west, south, east, north] = bbox.split(',').map(Number);
+    return {
+        polygon: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        },
+        center: { type: 'Point', coordinates: [(west + east) / 2, (south + north) / 2] },
+        limit
+    };
+};
+
+// geoNearPipeline - Aggregation stages that return documents sorted by distance from a point
+// $geoNear has to be the first stage and adds `distanceMeters` to every result.
+const geoNearPipeline = ({ key, point, maxDistanceMeters, query = {}, limit }) => {
+    const geoNear = {
+        near: point,
+        key,
+        distanceField: 'distanceMeters',
+        spherical: true,
+        query
+    };
+    if (maxDistanceMeters !== undefined) {
+        geoNear.maxDistance = maxDistanceMeters;
+    }
+    return [{ $geoNear: geoNear }, { $limit: limit }];
+};
+
+// Turning raw aggregation results back into model JSON (with lat/lon) plus the distance in km
+const withDistance = (Model, docs) => docs.map(({ distanceMeters, ...doc }) => ({
+    ...Model.hydrate(doc).toJSON(),
+    distanceKm: Math.round(distanceMeters / 10) / 100
+}));
+
+module.exports = { toNearSearch, toBoundingBox, geoNearPipeline, withDistance };
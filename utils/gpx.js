@@ -0,0 +1,64 @@
+// server/utils/gpx.js
+// Trips as GPX 1.1 (https://www.topografix.com/GPX/1/1/), the format mapping and GPS apps open.
+// Every stop becomes a waypoint, and a route connects them in travel order.
+
+const escapeXml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Optional child element, left out when there is no value
+const element = (name, value, indent) => (value === undefined || value === null || value === ''
+    ? ''
+    : `${indent}<${name}>${escapeXml(value)}</${name}>\n`);
+
+// What a stop's <desc> says: the dates, the lodging and the notes
+const describeStop = (stop) => {
+    const parts = [];
+    if (stop.arrivalDate || stop.departureDate) {
+        const day = date => (date ? date.toISOString().slice(0, 10) : '?');
+        parts.push(`${day(stop.arrivalDate)} to ${day(stop.departureDate)}`);
+    }
+    if (stop.lodging && stop.lodging.name) {
+        parts.push(`Staying at ${stop.lodging.name}`);
+    }
+    if (stop.notes) {
+        parts.push(stop.notes);
+    }
+    return parts.join('. ');
+};
+
+// A <wpt> or <rtept> for a stop, `lat`/`lon` come from the stop's virtuals
+const point = (tag, stop, indent) => [
+    `${indent}<${tag} lat="${stop.lat}" lon="${stop.lon}">\n`,
+    element('time', stop.arrivalDate && stop.arrivalDate.toISOString(), `${indent}  `),
+    element('name', `${stop.city}, ${stop.country}`, `${indent}  `),
+    element('desc', describeStop(stop), `${indent}  `),
+    `${indent}</${tag}>\n`
+].join('');
+
+// tripToGpx - The GPX document of a trip. Stops without coordinates are skipped.
+const tripToGpx = (trip) => {
+    const stops = trip.stops.filter(stop => stop.lat !== undefined && stop.lon !== undefined);
+    const name = trip.title || stops.map(stop => stop.city).join(' - ') || 'Trip';
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>\n',
+        '<gpx version="1.1" creator="Budget Backpacker" xmlns="http://www.topografix.com/GPX/1/1">\n',
+        '  <metadata>\n',
+        element('name', name, '    '),
+        element('desc', trip.notes, '    '),
+        element('time', trip.savedAt && trip.savedAt.toISOString(), '    '),
+        '  </metadata>\n',
+        ...stops.map(stop => point('wpt', stop, '  ')),
+        '  <rte>\n',
+        element('name', name, '    '),
+        ...stops.map(stop => point('rtept', stop, '    ')),
+        '  </rte>\n',
+        '</gpx>\n'
+    ].join('');
+};
+
+module.exports = { tripToGpx };
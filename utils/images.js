@@ -0,0 +1,117 @@
+// server/utils/images.js
+// Checking, resizing and storing uploaded pictures. The files go to the storage adapter
+// (storage/index.js), an Image document records where they are and what they belong to.
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Image = require('../models/Image.js');
+const { getStorage } = require('../storage/index.js');
+const { ValidationError, NotFoundError } = require('../errors/index.js');
+
+// Formats we accept, by what sharp reads from the file (the client's Content-Type is only a hint)
+const FORMATS = {
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+    png: { contentType: 'image/png', extension: 'png' },
+    webp: { contentType: 'image/webp', extension: 'webp' }
+};
+const CONTENT_TYPES = Object.values(FORMATS).map(format => format.contentType);
+
+const MAX_SIZE = 1600;      // Longest side of the stored image
+const THUMBNAIL_SIZE = 320; // Longest side of the thumbnail
+const MAX_PIXELS = 50e6;    // Refusing decompression bombs before they are decoded
+
+// Reading the real format of an upload, anything that isn't a JPEG, PNG or WebP is a validation error
+const inspectImage = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+    } catch (err) {
+        throw new ValidationError({ image: 'The file is not a readable image.' });
+    }
+    if (!FORMATS[metadata.format]) {
+        throw new ValidationError({ image: 'Only JPEG, PNG and WebP images are allowed.' });
+    }
+    if (metadata.width * metadata.height > MAX_PIXELS) {
+        throw new ValidationError({ image: 'The image has too many pixels.' });
+    }
+    return metadata;
+};
+
+// The stored version: turned upright (EXIF orientation), shrunk to fit MAX_SIZE and stripped of metadata
+// (GPS position, camera serial...), in the uploaded format. Thumbnails are always WebP.
+const processImage = async (buffer) => {
+    const metadata = await inspectImage(buffer);
+    const pipeline = sharp(buffer, { limitInputPixels: MAX_PIXELS })
+        .rotate()
+        .resize(MAX_SIZE, MAX_SIZE, { fit: 'inside', withoutEnlargement: true });
+
+    const { data, info } = await pipeline.clone().toFormat(metadata.format).toBuffer({ resolveWithObject: true });
+    const thumbnail = await pipeline.clone()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+
+    return { data, info, thumbnail, format: FORMATS[metadata.format] };
+};
+
+// saveImage - Processes an upload (multer's req.file) and stores it for a trip or a review
+// owner: the uploading user's ID, target: { trip } or { review }
+const saveImage = async ({ file, owner, target }) => {
+    const { data, info, thumbnail, format } = await processImage(file.buffer);
+
+    const folder = target.trip ? `trips/${target.trip}` : `reviews/${target.review}`;
+    const name = crypto.randomUUID();
+    const key = `${folder}/${name}.${format.extension}`;
+    const thumbnailKey = `${folder}/${name}-thumb.webp`;
+
+    const storage = getStorage();
+    await storage.put(key, data, { contentType: format.contentType });
+    await storage.put(thumbnailKey, thumbnail, { contentType: 'image/webp' });
+
+    try {
+        return await Image.create({
+            owner,
+            ...target,
+            key,
+            thumbnailKey,
+            contentType: format.contentType,
+            size: data.length,
+            width: info.width,
+            height: info.height
+        });
+    } catch (err) {
+        // Not leaving files behind that no document points to
+        await Promise.all([storage.remove(key), storage.remove(thumbnailKey)]);
+        throw err;
+    }
+};
+
+// removeImages - Deletes the images matching an Image filter ({ trip }, { review: { $in } }, { _id }...) and their files
+// Documents go first: a file left behind by a failure is harmless, a document without its file is a broken link.
+const removeImages = async (filter) => {
+    const images = await Image.find(filter).select('key thumbnailKey');
+    if (images.length === 0) return 0;
+
+    await Image.deleteMany({ _id: { $in: images.map(image => image._id) } });
+
+    const storage = getStorage();
+    await Promise.all(images.flatMap(image => [storage.remove(image.key), storage.remove(image.thumbnailKey)]));
+    return images.length;
+};
+
+// sendImage - Answers with the image file (or its thumbnail), access has to be checked before
+// `cache` is the Cache-Control value: 'private' for trip pictures, public ones can be cached by proxies too
+const sendImage = async (res, image, { thumbnail = false, cache = 'private' } = {}) => {
+    const body = await getStorage().get(thumbnail ? image.thumbnailKey : image.key);
+    if (!body) {
+        throw new NotFoundError('Image file not found.');
+    }
+
+    res.set({
+        'Content-Type': thumbnail ? 'image/webp' : image.contentType,
+        'Cache-Control': `${cache}, max-age=86400`,
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.status(200).send(body);
+};
+
+module.exports = { CONTENT_TYPES, MAX_SIZE, THUMBNAIL_SIZE, inspectImage, processImage, saveImage, removeImages, sendImage };
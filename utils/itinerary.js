@@ -0,0 +1,84 @@
+// server/utils/itinerary.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Safety limit so a typo in a date (e.g. year 2205) can't produce a huge response
+const MAX_ITINERARY_DAYS = 366;
+
+// Turning a date into midnight UTC of the same calendar day
+const startOfDay = (date) => {
+    const d = new Date(date);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+};
+
+const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+
+const summarizeStop = (stop) => ({
+    stopId: stop._id,
+    city: stop.city,
+    country: stop.country,
+    lodging: stop.lodging && stop.lodging.name ? stop.lodging : undefined
+});
+
+// buildItinerary - Walks a trip day by day from the first arrival to the last departure
+// Each day lists the stops the traveller is at, plus arrivals/departures on travel days.
+// Days without any stop are marked as "unplanned" so gaps in the route are easy to spot.
+const buildItinerary = (trip) => {
+    const stops = trip.stops || [];
+
+    // Stops without an arrival date can't be placed on the calendar yet
+    const datedStops = stops.filter(stop => stop.arrivalDate);
+    const undatedStops = stops.filter(stop => !stop.arrivalDate).map(summarizeStop);
+
+    if (datedStops.length === 0) {
+        return { tripId: trip._id, startDate: null, endDate: null, totalDays: 0, days: [], undatedStops, truncated: false };
+    }
+
+    // A stop without a departure date is treated as a single-day stop
+    const ranges = datedStops.map(stop => ({
+        stop,
+        start: startOfDay(stop.arrivalDate),
+        end: startOfDay(stop.departureDate || stop.arrivalDate)
+    }));
+
+    const tripStart = Math.min(...ranges.map(r => r.start));
+    const tripEnd = Math.max(...ranges.map(r => r.end));
+    const totalDays = Math.round((tripEnd - tripStart) / DAY_MS) + 1;
+    const dayCount = Math.min(totalDays, MAX_ITINERARY_DAYS);
+
+    const days = [];
+    for (let i = 0; i < dayCount; i++) {
+        const day = tripStart + i * DAY_MS;
+        const current = ranges.filter(r => r.start <= day && day <= r.end);
+
+        const arrivals = current.filter(r => r.start === day).map(r => r.stop.city);
+        const departures = current.filter(r => r.end === day && r.end !== r.start).map(r => r.stop.city);
+
+        let type = 'stay';
+        if (current.length === 0) {
+            type = 'unplanned';
+        } else if ((arrivals.length > 0 && i > 0) || departures.length > 0) {
+            type = 'travel';
+        }
+
+        days.push({
+            day: i + 1,
+            date: toDateString(day),
+            type,
+            stops: current.map(r => summarizeStop(r.stop)),
+            arrivals,
+            departures
+        });
+    }
+
+    return {
+        tripId: trip._id,
+        startDate: toDateString(tripStart),
+        endDate: toDateString(tripEnd),
+        totalDays,
+        days,
+        undatedStops,
+        truncated: totalDays > dayCount
+    };
+};
+
+module.exports = { buildItinerary, MAX_ITINERARY_DAYS };
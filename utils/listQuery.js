@@ -0,0 +1,167 @@
+// server/utils/listQuery.js
+// Shared pagination, sorting and field selection for the list endpoints.
+//
+// Query parameters understood by every list route:
+//   ?limit=20            page size (1 to maxLimit)
+//   ?offset=40           skip N results (limit/offset paging)
+//   ?cursor=...          continue after the last result of the previous page (cursor paging)
+//   ?sort=-createdAt     sort field from the route's whitelist, "-" for descending
+//   ?fields=city,rating  only return these fields (from the route's whitelist)
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Cursors are opaque to clients: base64url JSON of the sort key plus the last value and _id
+// A missing value is kept as null (JSON.stringify would drop an undefined one)
+const encodeCursor = (sortKey, doc, field) => {
+    const value = doc.get ? doc.get(field) : doc[field];
+    const payload = {
+        s: sortKey,
+        v: value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+        d: value instanceof Date ? 1 : 0,
+        id: doc._id.toString()
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const isCursorScalar = (value) => value === null || typeof value === 'string' ||
+    typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+        // The value goes straight into a $gt/$lt filter, so anything but a plain
+        // scalar (e.g. {"$ne": null}) would turn the cursor into a query operator
+        const value = payload.v === undefined ? null : payload.v;
+        if (!isCursorScalar(value)) return null;
+        if (payload.d && (value === null || Number.isNaN(new Date(value).getTime()))) return null;
+
+        return {
+            sortKey: payload.s,
+            value: payload.d ? new Date(value) : value,
+            id: new mongoose.Types.ObjectId(payload.id)
+        };
+    } catch (err) {
+        return null;
+    }
+};
+
+const parseWholeNumber = (value, fallback) => {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    return Number.isInteger(number) ? number : NaN;
+};
+
+// parseListQuery - Validates the list parameters against a route's options
+// options: { sortFields: { name: 'path' }, defaultSort: '-createdAt', fields: ['city', ...], maxLimit }
+// Returns { field, error } or { limit, offset, cursor, sortKey, sortField, direction, projection }
+const parseListQuery = (query, options) => {
+    const { sortFields, defaultSort, fields = [], maxLimit = MAX_LIMIT } = options;
+
+    const limit = parseWholeNumber(query.limit, DEFAULT_LIMIT);
+    if (!(limit >= 1 && limit <= maxLimit)) {
+        return { field: 'limit', error: `limit must be a whole number between 1 and ${maxLimit}.` };
+    }
+
+    const offset = parseWholeNumber(query.offset, 0);
+    if (!(offset >= 0)) {
+        return { field: 'offset', error: 'offset must be a whole number of 0 or more.' };
+    }
+
+    const sortKey = query.sort ? String(query.sort) : defaultSort;
+    const sortName = sortKey.replace(/^-/, '');
+    if (!sortFields[sortName]) {
+        return { field: 'sort', error: `sort must be one of: ${Object.keys(sortFields).join(', ')} (prefix with - for descending).` };
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        if (query.offset !== undefined) {
+            return { field: 'cursor', error: 'Use either cursor or offset, not both.' };
+        }
+        cursor = decodeCursor(query.cursor);
+        if (!cursor || cursor.sortKey !== sortKey) {
+            return { field: 'cursor', error: 'Invalid cursor for this sort.' };
+        }
+    }
+
+    let projection = null;
+    if (query.fields) {
+        const requested = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+        const invalid = requested.filter(field => !fields.includes(field));
+        if (invalid.length > 0) {
+            return { field: 'fields', error: `Unknown fields: ${invalid.join(', ')}. Allowed fields: ${fields.join(', ')}.` };
+        }
+        projection = requested;
+    }
+
+    return {
+        limit,
+        offset,
+        cursor,
+        sortKey,
+        sortField: sortFields[sortName],
+        direction: sortKey.startsWith('-') ? -1 : 1,
+        projection
+    };
+};
+
+// The documents after the cursor in the sort order, with _id breaking ties.
+// Optional sort fields can be null or missing ({ field: null } matches both): MongoDB sorts those
+// first when ascending and last when descending, and $gt/$lt never match them.
+const afterCursor = (sortField, direction, cursor) => {
+    const op = direction === -1 ? '$lt' : '$gt';
+    const tie = { [sortField]: cursor.value, _id: { [op]: cursor.id } };
+
+    if (cursor.value === null) {
+        // Every value comes after the nulls going up, nothing does going down
+        return direction === -1 ? tie : { $or: [tie, { [sortField]: { $ne: null } }] };
+    }
+    const clauses = [{ [sortField]: { [op]: cursor.value } }, tie];
+    if (direction === -1) {
+        clauses.push({ [sortField]: null });
+    }
+    return { $or: clauses };
+};
+
+// listDocuments - Runs a paginated find() and returns { data, meta }
+// `build` can adjust the query before it runs (populate, extra select...).
+const listDocuments = async (Model, filter, list, build = (query) => query) => {
+    const { limit, offset, cursor, sortKey, sortField, direction, projection } = list;
+
+    // Continuing after the cursor: values past the last one, with _id breaking ties
+    const pageFilter = cursor ? { $and: [filter, afterCursor(sortField, direction, cursor)] } : filter;
+
+    let query = Model.find(pageFilter)
+        .sort({ [sortField]: direction, _id: direction })
+        .skip(cursor ? 0 : offset)
+        .limit(limit + 1); // One extra to know if there is a next page
+
+    if (projection) {
+        // The sort field is always selected so the next cursor can be built
+        query = query.select([...new Set([...projection, sortField])].join(' '));
+    }
+    query = build(query);
+
+    const [docs, total] = await Promise.all([query, Model.countDocuments(filter)]);
+
+    const hasMore = docs.length > limit;
+    const data = hasMore ? docs.slice(0, limit) : docs;
+
+    return {
+        data,
+        meta: {
+            limit,
+            offset: cursor ? null : offset,
+            total,
+            sort: sortKey,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(sortKey, data[data.length - 1], sortField) : null
+        }
+    };
+};
+
+module.exports = { parseListQuery, listDocuments };
@@ -0,0 +1,59 @@
+// server/utils/logger.js
+// Small structured logger: every entry is one JSON line, so log tools can filter on its fields.
+//   logger.info('Server listening', { port: 3000 })
+//   -> {"time":"...","level":"info","msg":"Server listening","port":3000}
+// req.log (see middleware/requestId.js) is a child logger that adds the requestId to every line.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const resolveLevel = () => {
+    const level = process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info');
+    return LEVELS[level] !== undefined ? level : 'info';
+};
+
+// Error objects don't survive JSON.stringify, so their useful parts are copied out
+const serializeError = (err) => ({
+    name: err.name,
+    message: err.message,
+    code: err.code,
+    stack: err.stack
+});
+
+const serializeFields = (fields) => {
+    const out = {};
+    Object.keys(fields).forEach((key) => {
+        const value = fields[key];
+        out[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    return out;
+};
+
+const createLogger = (bindings = {}) => {
+    const write = (level, msg, fields = {}) => {
+        if (LEVELS[level] < LEVELS[resolveLevel()]) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...bindings,
+            ...serializeFields(fields)
+        };
+        // Warnings and errors go to stderr so they can be split from normal output
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${JSON.stringify(entry)}\n`);
+    };
+
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        // A logger that adds more fixed fields (like requestId) to every entry
+        child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+    };
+};
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger };
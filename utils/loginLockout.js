@@ -0,0 +1,41 @@
+// server/utils/loginLockout.js
+// Locking an account after repeated failed logins, whoever (and from wherever) is trying.
+// The first LOCK_AFTER failures are free, then every failure locks the account for twice as long
+// as the one before (1, 2, 4... minutes, at most a day). A successful login or a password reset starts over.
+const User = require('../models/User.js');
+
+const LOCK_AFTER = 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// How long failure number `count` locks the account for, 0 before LOCK_AFTER
+const lockDuration = (count) => {
+    if (count < LOCK_AFTER) return 0;
+    return Math.min(BASE_LOCK_MS * 2 ** (count - LOCK_AFTER), MAX_LOCK_MS);
+};
+
+// Seconds until a locked account can log in again, 0 when it isn't locked
+const lockedFor = (user, now = Date.now()) => {
+    if (!user.lockedUntil || user.lockedUntil.getTime() <= now) return 0;
+    return Math.ceil((user.lockedUntil.getTime() - now) / 1000);
+};
+
+// Counting a failed login (atomically, parallel attempts all count) and locking the account when it is one too many
+const recordFailedLogin = async (user) => {
+    const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLoginCount: 1 } }, { new: true }).select('failedLoginCount');
+    if (!updated) return 0;
+
+    const duration = lockDuration(updated.failedLoginCount);
+    if (duration > 0) {
+        await User.updateOne({ _id: user._id }, { lockedUntil: new Date(Date.now() + duration) });
+    }
+    return updated.failedLoginCount;
+};
+
+// Starting over after a successful login or a password reset
+const clearFailedLogins = async (user) => {
+    if (!user.failedLoginCount && !user.lockedUntil) return;
+    await User.updateOne({ _id: user._id }, { $set: { failedLoginCount: 0 }, $unset: { lockedUntil: 1 } });
+};
+
+module.exports = { LOCK_AFTER, lockDuration, lockedFor, recordFailedLogin, clearFailedLogins };
@@ -0,0 +1,137 @@
+// server/utils/migrations.js
+// Versioned database migrations. Every file in migrations/ is one step, applied in the order of
+// its number (001-..., 002-...) and recorded in the `migrations` collection once it has run.
+// A step exports:
+//   description                  - what it changes, shown by `npm run migrate:status`
+//   up({ db, mongoose, log })    - applying it (db is the native driver's database)
+//   down({ db, mongoose, log })  - reverting it, left out when it can't be undone (data conversions)
+// The indexes live in the migrations too, Mongoose doesn't build them (autoIndex is off, see server.js).
+// Run one migration process at a time (a deploy step), the runner doesn't lock the database.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration.js');
+const { logger } = require('./logger.js');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const FILE_PATTERN = /^\d+-[\w-]+\.js$/;
+
+// The name MongoDB gives an index without an explicit one, e.g. { user: 1, date: -1 } -> user_1_date_-1
+const defaultIndexName = key => Object.entries(key).map(([field, type]) => `${field}_${type}`).join('_');
+
+// createIndexes - Builds a migration's indexes, listed as { collection, key, options }
+// Indexes that already exist with the same definition are left as they are.
+const createIndexes = async (db, indexes) => {
+    for (const { collection, key, options = {} } of indexes) {
+        await db.collection(collection).createIndex(key, options);
+    }
+};
+
+// dropIndexes - Removes the indexes createIndexes() built, the ones already gone are skipped
+const dropIndexes = async (db, indexes) => {
+    for (const { collection, key, options = {} } of [...indexes].reverse()) {
+        try {
+            await db.collection(collection).dropIndex(options.name || defaultIndexName(key));
+        } catch (err) {
+            // 26: the collection doesn't exist, 27: the index doesn't
+            if (err.code !== 26 && err.code !== 27) throw err;
+        }
+    }
+};
+
+// loadMigrations - The steps in `dir`, in the order they are applied
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b))
+    .map(file => ({ name: file.replace(/\.js$/, ''), ...require(path.join(dir, file)) }));
+
+const contextFor = log => ({ db: mongoose.connection.db, mongoose, log });
+
+// The runner's own index, it can't come from a migration
+const ensureMigrationIndex = () => Migration.collection.createIndex({ name: 1 }, { unique: true });
+
+// migrationStatus - Every step with the date it was applied (null while pending)
+// Steps recorded in the database whose file is gone are listed too, as `missing`.
+const migrationStatus = async ({ migrations = loadMigrations() } = {}) => {
+    const applied = await Migration.find().sort({ appliedAt: 1 });
+    const byName = new Map(applied.map(record => [record.name, record]));
+
+    const steps = migrations.map(migration => ({
+        name: migration.name,
+        description: migration.description,
+        appliedAt: byName.has(migration.name) ? byName.get(migration.name).appliedAt : null,
+        reversible: typeof migration.down === 'function'
+    }));
+    const known = new Set(migrations.map(migration => migration.name));
+    const missing = applied
+        .filter(record => !known.has(record.name))
+        .map(record => ({ name: record.name, description: record.description, appliedAt: record.appliedAt, missing: true }));
+
+    return [...steps, ...missing];
+};
+
+// pendingMigrations - The steps that haven't been applied yet
+const pendingMigrations = async (options) => (await migrationStatus(options)).filter(step => !step.appliedAt);
+
+// migrateUp - Applies the pending steps in order, up to and including `to` when given.
+// Stops at the first failure: the steps before it stay applied, the failed one isn't recorded.
+// Returns the names of the applied steps.
+const migrateUp = async ({ to, migrations = loadMigrations(), log = logger } = {}) => {
+    if (to && !migrations.some(migration => migration.name === to)) {
+        throw new Error(`Unknown migration: ${to}`);
+    }
+    await ensureMigrationIndex();
+
+    const applied = new Set(await Migration.distinct('name'));
+    const done = [];
+    for (const migration of migrations) {
+        if (!applied.has(migration.name)) {
+            const started = Date.now();
+            log.info('Applying migration', { migration: migration.name });
+            await migration.up(contextFor(log));
+            await Migration.create({ name: migration.name, description: migration.description, durationMs: Date.now() - started });
+            done.push(migration.name);
+        }
+        if (migration.name === to) break;
+    }
+    return done;
+};
+
+// migrateDown - Reverts the last `steps` applied steps (one by default), or every step after `to`,
+// newest first. Nothing is reverted when one of them has no `down` or its file is gone.
+// Returns the names of the reverted steps.
+const migrateDown = async ({ steps = 1, to, migrations = loadMigrations(), log = logger } = {}) => {
+    const byName = new Map(migrations.map(migration => [migration.name, migration]));
+    if (to && !byName.has(to)) {
+        throw new Error(`Unknown migration: ${to}`);
+    }
+
+    const order = name => migrations.findIndex(migration => migration.name === name);
+    const applied = (await Migration.find()).sort((a, b) => order(b.name) - order(a.name));
+    const targets = to ? applied.filter(record => order(record.name) > order(to)) : applied.slice(0, steps);
+
+    const blocked = targets.find(record => !byName.has(record.name) || typeof byName.get(record.name).down !== 'function');
+    if (blocked) {
+        throw new Error(`Migration ${blocked.name} can't be reverted, nothing was changed`);
+    }
+
+    const done = [];
+    for (const record of targets) {
+        log.info('Reverting migration', { migration: record.name });
+        await byName.get(record.name).down(contextFor(log));
+        await Migration.deleteOne({ name: record.name });
+        done.push(record.name);
+    }
+    return done;
+};
+
+module.exports = {
+    MIGRATIONS_DIR,
+    createIndexes,
+    dropIndexes,
+    loadMigrations,
+    migrationStatus,
+    pendingMigrations,
+    migrateUp,
+    migrateDown
+};
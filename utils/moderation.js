@@ -0,0 +1,77 @@
+// server/utils/moderation.js
+const mongoose = require('mongoose');
+const Review = require('../models/Review.js');
+const ReviewReport = require('../models/ReviewReport.js');
+const ModerationLog = require('../models/ModerationLog.js');
+const { removeReviewResponses } = require('./reviewResponses.js');
+const { removeImages } = require('./images.js');
+const { BadRequestError } = require('../errors/index.js');
+
+// Review status after each action ('delete' removes the review, 'dismiss' leaves it as it is)
+const STATUS_AFTER = { hide: 'hidden', restore: 'visible' };
+
+// moderateReview - Applies a moderator's action to a review and records it in the audit log
+// action: 'hide' | 'restore' | 'delete' | 'dismiss' (close the open reports, keep the review)
+// The review change, the closed reports and the log entry are saved in one transaction,
+// so there is never a moderated review without its log entry.
+const moderateReview = async ({ review, action, moderatorId, reason }) => {
+    if (action === 'hide' && review.status === 'hidden') {
+        throw new BadRequestError('Review is already hidden.');
+    }
+    if (action === 'restore' && review.status !== 'hidden') {
+        throw new BadRequestError('Review is not hidden.');
+    }
+
+    const snapshot = {
+        user: review.user,
+        city: review.city,
+        country: review.country,
+        rating: review.rating,
+        comment: review.comment,
+        status: review.status
+    };
+
+    const session = await mongoose.startSession();
+    let log;
+    try {
+        await session.withTransaction(async () => {
+            const { modifiedCount } = await ReviewReport.updateMany(
+                { review: review._id, status: 'open' },
+                { status: action === 'dismiss' ? 'dismissed' : 'resolved', resolvedBy: moderatorId, resolvedAt: new Date() },
+                { session }
+            );
+
+            if (action === 'delete') {
+                await Review.deleteOne({ _id: review._id }, { session });
+                await removeReviewResponses([review._id], session);
+            } else {
+                if (STATUS_AFTER[action]) {
+                    review.status = STATUS_AFTER[action];
+                }
+                review.flagged = false;
+                review.reportCount = 0;
+                await review.save({ session });
+            }
+
+            [log] = await ModerationLog.create([{
+                action,
+                review: review._id,
+                reviewSnapshot: snapshot,
+                moderator: moderatorId,
+                reason,
+                reportsResolved: modifiedCount
+            }], { session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    // Files can't be part of the transaction, the pictures of a deleted review go once it is committed
+    if (action === 'delete') {
+        await removeImages({ review: review._id });
+    }
+
+    return log;
+};
+
+module.exports = { moderateReview };
@@ -0,0 +1,111 @@
+// server/utils/reviewResponses.js
+// Votes and replies on reviews. Their totals are stored on the review (helpfulCount,
+// unhelpfulCount, replyCount) so lists can show and sort by them without extra queries,
+// every change here updates the votes/replies and the totals in one transaction.
+const mongoose = require('mongoose');
+const Review = require('../models/Review.js');
+const ReviewVote = require('../models/ReviewVote.js');
+const ReviewReply = require('../models/ReviewReply.js');
+
+// Running `work(session)` in a transaction, or in the caller's one when a session is passed
+const inTransaction = async (session, work) => {
+    if (session) {
+        return work(session);
+    }
+    const ownSession = await mongoose.startSession();
+    try {
+        let result;
+        await ownSession.withTransaction(async () => {
+            result = await work(ownSession);
+        });
+        return result;
+    } finally {
+        await ownSession.endSession();
+    }
+};
+
+// castVote - Sets (1 / -1) or removes (null) a user's vote and returns the review with its new totals
+const castVote = (reviewId, userId, value) => inTransaction(null, async (session) => {
+    const filter = { review: reviewId, user: userId };
+    const previous = value === null
+        ? await ReviewVote.findOneAndDelete(filter, { session })
+        : await ReviewVote.findOneAndUpdate(filter, { value, updatedAt: new Date() }, { upsert: true, session });
+
+    const change = ReviewVote.counterChange(previous ? previous.value : null, value);
+    return Review.findByIdAndUpdate(reviewId, { $inc: change }, { new: true, session });
+});
+
+// votesBy - Map of review ID -> the user's vote on it, for a page of reviews (one query)
+const votesBy = async (userId, reviewIds) => {
+    const votes = await ReviewVote.find({ user: userId, review: { $in: reviewIds } });
+    return new Map(votes.map(vote => [vote.review.toString(), vote.value]));
+};
+
+// addReply - Saves a reply and counts it on the review
+const addReply = (review, { userId, comment, parentId }) => inTransaction(null, async (session) => {
+    const [reply] = await ReviewReply.create([{
+        review: review._id,
+        parent: parentId || null,
+        user: userId,
+        comment,
+        byReviewAuthor: review.user.equals(userId)
+    }], { session });
+
+    await Review.updateOne({ _id: review._id }, { $inc: { replyCount: 1 } }, { session });
+    return reply;
+});
+
+// removeReply - Deletes a reply, or blanks it when others answered it so the thread stays readable
+const removeReply = (reply) => inTransaction(null, async (session) => {
+    const answered = await ReviewReply.exists({ parent: reply._id }).session(session);
+    if (answered) {
+        reply.deleted = true;
+        reply.comment = '[deleted]';
+        reply.updatedAt = new Date();
+        await reply.save({ session });
+    } else {
+        await reply.deleteOne({ session });
+    }
+
+    await Review.updateOne({ _id: reply.review }, { $inc: { replyCount: -1 } }, { session });
+});
+
+// removeReviewResponses - Deletes the votes and replies on reviews that are being deleted
+const removeReviewResponses = (reviewIds, session) => inTransaction(session, async (txn) => {
+    await ReviewVote.deleteMany({ review: { $in: reviewIds } }, { session: txn });
+    await ReviewReply.deleteMany({ review: { $in: reviewIds } }, { session: txn });
+});
+
+// removeUserResponses - Takes back every vote and deletes every reply a user made (account deletion)
+const removeUserResponses = (userId, session) => inTransaction(session, async (txn) => {
+    const votes = await ReviewVote.find({ user: userId }).session(txn);
+    const replies = await ReviewReply.find({ user: userId, deleted: false }).session(txn);
+
+    // One counter update per review, with every vote and reply on it added up
+    const changes = new Map();
+    const changeFor = (reviewId) => {
+        const key = reviewId.toString();
+        if (!changes.has(key)) changes.set(key, { helpfulCount: 0, unhelpfulCount: 0, replyCount: 0 });
+        return changes.get(key);
+    };
+    votes.forEach((vote) => {
+        const change = changeFor(vote.review);
+        const { helpfulCount, unhelpfulCount } = ReviewVote.counterChange(vote.value, null);
+        change.helpfulCount += helpfulCount;
+        change.unhelpfulCount += unhelpfulCount;
+    });
+    replies.forEach((reply) => {
+        changeFor(reply.review).replyCount--;
+    });
+
+    if (changes.size > 0) {
+        await Review.bulkWrite([...changes].map(([reviewId, change]) => ({
+            updateOne: { filter: { _id: reviewId }, update: { $inc: change } }
+        })), { session: txn });
+    }
+
+    await ReviewVote.deleteMany({ user: userId }, { session: txn });
+    await ReviewReply.deleteMany({ user: userId }, { session: txn });
+});
+
+module.exports = { castVote, votesBy, addReply, removeReply, removeReviewResponses, removeUserResponses };
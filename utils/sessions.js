@@ -0,0 +1,41 @@
+// server/utils/sessions.js
+const crypto = require('crypto');
+const Session = require('../models/Session.js');
+
+const SESSION_LIFETIME = 7 * 24 * 60 * 60 * 1000; // 7 days, then the user logs in again
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Starting a session for a user and returning the plain token for the cookie
+const createSession = async (userId) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_LIFETIME);
+
+    await Session.create({ tokenHash: hashToken(token), user: userId, expiresAt });
+    return { token, expiresAt };
+};
+
+// The session for a cookie token with its user (username, role), or null when it is unknown or expired
+// Sessions older than the user's last password change are ended here, like refresh tokens.
+const findSession = async (token) => {
+    if (typeof token !== 'string' || !token) return null;
+
+    const session = await Session.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } })
+        .populate('user', 'username role passwordChangedAt');
+    if (!session) return null;
+
+    const { user } = session;
+    if (!user || (user.passwordChangedAt && session.createdAt < user.passwordChangedAt)) {
+        await session.deleteOne();
+        return null;
+    }
+    return session;
+};
+
+// Logging out: the token can't be used again, even if the cookie is still around
+const destroySession = async (token) => {
+    if (typeof token !== 'string' || !token) return;
+    await Session.deleteOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = { SESSION_LIFETIME, createSession, findSession, destroySession };
@@ -0,0 +1,18 @@
+// server/utils/textSearch.js
+
+const MAX_SEARCH_LENGTH = 200;
+
+// Turning user input into a safe $text search string.
+// In $text, double quotes start an exact phrase and a leading "-" excludes a word,
+// so those are stripped and every remaining word is searched as a plain term.
+const toTextSearch = (input) => {
+    return String(input)
+        .slice(0, MAX_SEARCH_LENGTH)
+        .replace(/["\\]/g, ' ')
+        .split(/\s+/)
+        .map(word => word.replace(/^-+/, ''))
+        .filter(Boolean)
+        .join(' ');
+};
+
+module.exports = { toTextSearch, MAX_SEARCH_LENGTH };
@@ -0,0 +1,67 @@
+// server/utils/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RevokedToken = require('../models/RevokedToken.js');
+
+// Secrets and lifetimes come from .env, with short-lived access tokens by default
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET;
+const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
+
+const getSecret = (type) => {
+    const secret = type === 'refresh' ? REFRESH_TOKEN_SECRET : ACCESS_TOKEN_SECRET;
+    if (!secret) {
+        throw new Error(`${type === 'refresh' ? 'REFRESH' : 'ACCESS'}_TOKEN_SECRET is not set in .env file`);
+    }
+    return secret;
+};
+
+// Signing a token of the given type for a user document
+// Every token gets its own random ID (jti) so it can be revoked individually.
+const signToken = (user, type) => {
+    const payload = { sub: user._id.toString(), username: user.username, role: user.role, type };
+    return jwt.sign(payload, getSecret(type), {
+        expiresIn: type === 'refresh' ? REFRESH_TOKEN_EXPIRES_IN : ACCESS_TOKEN_EXPIRES_IN,
+        jwtid: crypto.randomUUID()
+    });
+};
+
+// Issuing the access/refresh pair returned on login and refresh
+const issueTokens = (user) => ({
+    accessToken: signToken(user, 'access'),
+    refreshToken: signToken(user, 'refresh'),
+    tokenType: 'Bearer'
+});
+
+// Verifying the signature, expiry and type of a token, then checking it was not revoked.
+// Throws when the token is not usable; callers turn that into a 401.
+const verifyToken = async (token, type) => {
+    const payload = jwt.verify(token, getSecret(type));
+    if (payload.type !== type) {
+        throw new jwt.JsonWebTokenError(`Expected a ${type} token`);
+    }
+    const revoked = await RevokedToken.exists({ jti: payload.jti });
+    if (revoked) {
+        throw new jwt.JsonWebTokenError('Token has been revoked');
+    }
+    return payload;
+};
+
+// Adding a verified token payload to the revocation store until it expires
+const revokeToken = async (payload) => {
+    await RevokedToken.updateOne(
+        { jti: payload.jti },
+        {
+            $setOnInsert: {
+                jti: payload.jti,
+                user: payload.sub,
+                type: payload.type,
+                expiresAt: new Date(payload.exp * 1000)
+            }
+        },
+        { upsert: true }
+    );
+};
+
+module.exports = { issueTokens, verifyToken, revokeToken };
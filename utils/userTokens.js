@@ -0,0 +1,42 @@
+// server/utils/userTokens.js
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken.js');
+
+// How long each kind of emailed token stays valid
+const TOKEN_LIFETIMES = {
+    'password-reset': 60 * 60 * 1000, // 1 hour
+    'email-verification': 24 * 60 * 60 * 1000 // 24 hours
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Creating a new single-use token for a user and returning the plain value to email them
+// Any older unused token with the same purpose is removed so only the latest link works.
+const createUserToken = async (userId, purpose) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await UserToken.deleteMany({ user: userId, purpose, usedAt: null });
+    await UserToken.create({
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_LIFETIMES[purpose])
+    });
+
+    return token;
+};
+
+// Marking a token as used and returning its document, or null when it is unknown, used or expired
+// Done in one atomic update so the same token can't be consumed twice by parallel requests.
+const consumeUserToken = async (token, purpose) => {
+    if (typeof token !== 'string' || !token) return null;
+
+    const now = new Date();
+    return UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+    );
+};
+
+module.exports = { createUserToken, consumeUserToken };
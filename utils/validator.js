@@ -0,0 +1,151 @@
+// server/utils/validator.js
+// Small declarative validator used by middleware/validate.js.
+//
+// A schema is a rule object. Rules:
+//   { type: 'string',   required, trim, minLength, maxLength, enum, pattern, lowercase, uppercase }
+//   { type: 'number',   required, min, max, integer }
+//   { type: 'boolean',  required }
+//   { type: 'date',     required }
+//   { type: 'objectId', required }
+//   { type: 'array',    required, items: <rule>, minItems, maxItems, unique }
+//   { type: 'object',   required, properties: { name: <rule> }, allowUnknown, minProperties, check }
+// Every rule can also have:
+//   message: custom error message
+//   check:   (value, parent) => error message or null, runs after the type checks
+//            (parent is the object or array holding the value, as it was sent)
+//   allowNull: accept null (used to clear optional fields)
+// With { coerce: true } (query strings and URL params) numbers, booleans and dates are parsed from text.
+const mongoose = require('mongoose');
+
+const describe = (rule) => {
+    switch (rule.type) {
+        case 'objectId': return 'a valid ID';
+        case 'date': return 'a valid date';
+        case 'array': return 'an array';
+        case 'object': return 'an object';
+        default: return `a ${rule.type}`;
+    }
+};
+
+const coerceValue = (value, rule) => {
+    if (typeof value !== 'string') return value;
+    if (rule.type === 'number' && value.trim() !== '') return Number(value);
+    if (rule.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+};
+
+// Checking one value against its rule, collecting messages in `errors` under `path`
+// Returns the cleaned value (trimmed strings, parsed dates...) to put back on the request.
+const validateValue = (value, rule, path, errors, options, parent) => {
+    const fail = (message) => {
+        errors[path || 'request'] = rule.message || message;
+        return value;
+    };
+    const label = path || 'Request';
+
+    if (value === undefined || (value === '' && options.coerce)) {
+        if (rule.required) return fail(`${label} is required`);
+        return undefined;
+    }
+    if (value === null) {
+        if (rule.allowNull) return null;
+        return fail(`${label} cannot be null`);
+    }
+
+    if (options.coerce) {
+        value = coerceValue(value, rule);
+    }
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return fail(`${label} must be a string`);
+            if (rule.trim !== false) value = value.trim();
+            if (rule.lowercase) value = value.toLowerCase();
+            if (rule.uppercase) value = value.toUpperCase();
+            if (rule.required && value === '') return fail(`${label} is required`);
+            if (rule.minLength !== undefined && value.length < rule.minLength) return fail(`${label} must be at least ${rule.minLength} characters long`);
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) return fail(`${label} cannot exceed ${rule.maxLength} characters`);
+            if (rule.enum && !rule.enum.includes(value)) return fail(`${label} must be one of: ${rule.enum.join(', ')}`);
+            if (rule.pattern && !rule.pattern.test(value)) return fail(`${label} has an invalid format`);
+            break;
+        }
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`${label} must be a number`);
+            if (rule.integer && !Number.isInteger(value)) return fail(`${label} must be a whole number`);
+            if (rule.min !== undefined && value < rule.min) return fail(`${label} must be at least ${rule.min}`);
+            if (rule.max !== undefined && value > rule.max) return fail(`${label} must be no more than ${rule.max}`);
+            break;
+        }
+        case 'boolean': {
+            if (typeof value !== 'boolean') return fail(`${label} must be true or false`);
+            break;
+        }
+        case 'date': {
+            const date = new Date(value);
+            if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(date.getTime())) {
+                return fail(`${label} must be a valid date`);
+            }
+            value = date;
+            break;
+        }
+        case 'objectId': {
+            if (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value)) return fail(`${label} must be a valid ID`);
+            break;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return fail(`${label} must be an array`);
+            if (rule.minItems !== undefined && value.length < rule.minItems) return fail(`${label} must have at least ${rule.minItems} item(s)`);
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) return fail(`${label} cannot have more than ${rule.maxItems} items`);
+            if (rule.unique && new Set(value.map(String)).size !== value.length) return fail(`${label} cannot contain duplicates`);
+            if (rule.items) {
+                value = value.map((item, index, items) => validateValue(item, { required: true, ...rule.items }, `${path}.${index}`, errors, options, items));
+            }
+            break;
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return fail(`${label} must be ${describe(rule)}`);
+            value = validateProperties(value, rule, path, errors, options);
+            break;
+        }
+        default:
+            throw new Error(`Unknown validation rule type "${rule.type}" at ${label}`);
+    }
+
+    if (rule.check) {
+        const message = rule.check(value, parent);
+        if (message) return fail(message);
+    }
+    return value;
+};
+
+const validateProperties = (data, rule, path, errors, options) => {
+    const properties = rule.properties || {};
+    const prefix = path ? `${path}.` : '';
+    const cleaned = {};
+
+    if (!rule.allowUnknown) {
+        Object.keys(data).forEach((key) => {
+            if (!properties[key]) errors[`${prefix}${key}`] = `${key} is not an allowed field`;
+        });
+    }
+    if (rule.minProperties !== undefined && Object.keys(data).length < rule.minProperties) {
+        errors[path || 'request'] = `Provide at least ${rule.minProperties} field(s) to update`;
+    }
+
+    Object.keys(properties).forEach((key) => {
+        const value = validateValue(data[key], properties[key], `${prefix}${key}`, errors, options, data);
+        if (value !== undefined) cleaned[key] = value;
+    });
+
+    return rule.allowUnknown ? { ...data, ...cleaned } : cleaned;
+};
+
+// validate - Runs a schema against some data
+// Returns { value, errors } where errors is null when everything passed
+const validate = (data, schema, options = {}) => {
+    const errors = {};
+    const value = validateValue(data, { type: 'object', ...schema }, '', errors, options);
+    return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+module.exports = { validate };
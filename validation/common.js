@@ -0,0 +1,74 @@
+// server/validation/common.js
+// Rules shared by the request schemas of several routers
+const { isSupportedCurrency } = require('../utils/currency.js');
+
+const objectId = { type: 'objectId', required: true };
+
+// Params schema for routes like /:id or /:id/expenses/:expenseId
+const idParams = (...names) => ({
+    properties: Object.fromEntries(names.map(name => [name, objectId])),
+    allowUnknown: true // Parent router params (mergeParams) are checked by their own route
+});
+
+const latitude = { type: 'number', min: -90, max: 90, message: 'Latitude must be a number between -90 and 90' };
+const longitude = { type: 'number', min: -180, max: 180, message: 'Longitude must be a number between -180 and 180' };
+
+// Same format as the User model's email check
+const email = {
+    type: 'string',
+    lowercase: true,
+    pattern: /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+    message: 'Please fill a valid email address'
+};
+
+// 3-letter code that exists in the exchange rate table
+const currency = {
+    type: 'string',
+    uppercase: true,
+    check: (value) => (isSupportedCurrency(value) ? null : `Unsupported currency: ${value}`)
+};
+
+// Paging/sorting parameters read by utils/listQuery.js (it checks the whitelists)
+const listQuery = {
+    limit: { type: 'number', integer: true, min: 1, max: 100 },
+    offset: { type: 'number', integer: true, min: 0 },
+    cursor: { type: 'string' },
+    sort: { type: 'string' },
+    fields: { type: 'string' }
+};
+
+// ?lat=&lon=&km=&limit= for "near a point" searches
+const nearQuery = {
+    properties: {
+        lat: { ...latitude, required: true },
+        lon: { ...longitude, required: true },
+        km: { type: 'number', min: 0.001, max: 20000 },
+        limit: { type: 'number', integer: true, min: 1, max: 100 }
+    }
+};
+
+// ?bbox=west,south,east,north&limit= for map area searches
+const withinQuery = {
+    properties: {
+        bbox: {
+            type: 'string',
+            required: true,
+            check: (value) => {
+                const [west, south, east, north, ...rest] = value.split(',').map(Number);
+                if (rest.length > 0 || [west, south, east, north].some(n => !Number.isFinite(n))) {
+                    return 'bbox must be west,south,east,north in degrees';
+                }
+                if (west < -180 || east > 180 || south < -90 || north > 90) {
+                    return 'bbox is outside the valid longitude/latitude range';
+                }
+                if (west >= east || south >= north) {
+                    return 'bbox must have west < east and south < north';
+                }
+                return null;
+            }
+        },
+        limit: { type: 'number', integer: true, min: 1, max: 100 }
+    }
+};
+
+module.exports = { objectId, idParams, latitude, longitude, email, currency, listQuery, nearQuery, withinQuery };
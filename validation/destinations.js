@@ -0,0 +1,40 @@
+// server/validation/destinations.js
+const { SORT_FIELDS } = require('../utils/destinationStats.js');
+
+const listDestinationsQuery = {
+    properties: {
+        country: { type: 'string', maxLength: 100 },
+        city: { type: 'string', maxLength: 100 },
+        minReviews: { type: 'number', integer: true, min: 0 },
+        sort: { type: 'string', enum: Object.keys(SORT_FIELDS) },
+        order: { type: 'string', enum: ['asc', 'desc'] },
+        page: { type: 'number', integer: true, min: 1 },
+        limit: { type: 'number', integer: true, min: 1, max: 100 }
+    }
+};
+
+const destinationParams = {
+    properties: {
+        country: { type: 'string', required: true, maxLength: 100 },
+        city: { type: 'string', required: true, maxLength: 100 }
+    }
+};
+
+// Matching typed city/country text with the catalog
+const lookupQuery = {
+    properties: {
+        city: { type: 'string', required: true, maxLength: 100 },
+        country: { type: 'string', maxLength: 100 }
+    }
+};
+
+// Suggestions while the user types a city name
+const autocompleteQuery = {
+    properties: {
+        q: { type: 'string', required: true, maxLength: 100, message: 'Please provide the start of a city name with ?q=' },
+        country: { type: 'string', maxLength: 100 }, // Name or ISO code
+        limit: { type: 'number', integer: true, min: 1, max: 20 }
+    }
+};
+
+module.exports = { listDestinationsQuery, destinationParams, lookupQuery, autocompleteQuery };
@@ -0,0 +1,21 @@
+// server/validation/expenses.js
+const Expense = require('../models/Expense.js');
+const { currency } = require('./common.js');
+
+const expenseProperties = (required) => ({
+    amount: { type: 'number', min: 0, required },
+    currency: { ...currency, required },
+    category: { type: 'string', enum: Expense.CATEGORIES, required },
+    date: { type: 'date' },
+    description: { type: 'string', maxLength: 200, allowNull: true }
+});
+
+const createExpenseSchema = { properties: expenseProperties(true) };
+
+const updateExpenseSchema = { properties: expenseProperties(false), minProperties: 1 };
+
+const listExpensesQuery = {
+    properties: { category: { type: 'string', enum: Expense.CATEGORIES } }
+};
+
+module.exports = { createExpenseSchema, updateExpenseSchema, listExpensesQuery };
@@ -0,0 +1,29 @@
+// server/validation/moderation.js
+const ModerationLog = require('../models/ModerationLog.js');
+const { listQuery } = require('./common.js');
+
+// Every moderation action needs a reason, it ends up in the audit log
+const moderationActionSchema = {
+    properties: {
+        reason: { type: 'string', required: true, maxLength: 500, message: 'Please give a reason (up to 500 characters).' }
+    }
+};
+
+const queueQuery = {
+    properties: {
+        // flagged: reviews with open reports, hidden: reviews a moderator hid
+        status: { type: 'string', enum: ['flagged', 'hidden'] },
+        ...listQuery
+    }
+};
+
+const listLogsQuery = {
+    properties: {
+        reviewId: { type: 'objectId' },
+        moderatorId: { type: 'objectId' },
+        action: { type: 'string', enum: ModerationLog.ACTIONS },
+        ...listQuery
+    }
+};
+
+module.exports = { moderationActionSchema, queueQuery, listLogsQuery };
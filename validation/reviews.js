@@ -0,0 +1,88 @@
+// server/validation/reviews.js
+const ReviewReport = require('../models/ReviewReport.js');
+const { latitude, longitude, listQuery } = require('./common.js');
+
+const rating = { type: 'number', min: 1, max: 5, message: 'Rating must be a number between 1 and 5.' };
+const comment = { type: 'string', maxLength: 500 };
+
+const createReviewSchema = {
+    properties: {
+        // The place is typed in (city, country) or picked from the destination catalog
+        destinationId: { type: 'objectId' },
+        city: { type: 'string', maxLength: 100 },
+        country: { type: 'string', maxLength: 100 },
+        rating: { ...rating, required: true },
+        comment,
+        lat: latitude,
+        lon: longitude
+    },
+    check: (body) => {
+        if (!body.destinationId && (!body.city || !body.country)) {
+            return 'Provide a destinationId, or a city and a country.';
+        }
+        // Coordinates are optional, but need both halves when given
+        return (body.lat === undefined) !== (body.lon === undefined) ? 'Provide both lat and lon, or neither.' : null;
+    }
+};
+
+const updateReviewSchema = {
+    properties: { rating, comment: { ...comment, allowNull: true } },
+    minProperties: 1
+};
+
+const listReviewsQuery = {
+    properties: {
+        city: { type: 'string', maxLength: 100 },
+        country: { type: 'string', maxLength: 100 },
+        userId: { type: 'objectId' },
+        destinationId: { type: 'objectId' },
+        ...listQuery
+    },
+    // Force the client to provide a filter instead of dumping every review
+    check: (query) => (query.city || query.country || query.userId || query.destinationId
+        ? null
+        : 'Please provide filter criteria (e.g., city and country, destinationId or userId).')
+};
+
+const reportReviewSchema = {
+    properties: {
+        reason: { type: 'string', enum: ReviewReport.REASONS, required: true },
+        details: { type: 'string', maxLength: 500 }
+    }
+};
+
+// Staff deleting someone else's review from /api/reviews/:id give a reason for the audit log
+const deleteReviewSchema = {
+    properties: {
+        reason: { type: 'string', maxLength: 500 }
+    }
+};
+
+// { helpful: true } or { helpful: false }, DELETE /:id/vote takes the vote back
+const voteSchema = {
+    properties: { helpful: { type: 'boolean', required: true } }
+};
+
+const replyComment = { type: 'string', required: true, maxLength: 500 };
+
+const createReplySchema = {
+    properties: {
+        comment: replyComment,
+        parentId: { type: 'objectId' } // Answering another reply instead of the review
+    }
+};
+
+const updateReplySchema = {
+    properties: { comment: replyComment }
+};
+
+module.exports = {
+    createReviewSchema,
+    updateReviewSchema,
+    listReviewsQuery,
+    reportReviewSchema,
+    deleteReviewSchema,
+    voteSchema,
+    createReplySchema,
+    updateReplySchema
+};
@@ -0,0 +1,151 @@
+// server/validation/savedTrips.js
+const SavedTrip = require('../models/SavedTrip.js');
+const { objectId, latitude, longitude, email, currency, listQuery } = require('./common.js');
+
+const notes = { type: 'string', maxLength: 500 };
+
+// Rules for one stop. The place is either typed in (city, country, lat, lon) or picked
+// from the destination catalog with destinationId (see GET /api/destinations/autocomplete)
+const stopProperties = {
+    destinationId: { type: 'objectId' },
+    city: { type: 'string', maxLength: 100 },
+    country: { type: 'string', maxLength: 100 },
+    lat: latitude,
+    lon: longitude,
+    arrivalDate: { type: 'date', allowNull: true },
+    departureDate: { type: 'date', allowNull: true },
+    lodging: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', maxLength: 100 },
+            address: { type: 'string', maxLength: 200 }
+        }
+    },
+    notes
+};
+
+// Departure can't be before arrival when both are sent
+const checkStop = (stop) => {
+    if (stop.arrivalDate && stop.departureDate && stop.departureDate < stop.arrivalDate) {
+        return 'Departure date cannot be before arrival date';
+    }
+    return null;
+};
+
+// A new stop needs the whole place unless it comes from the catalog (coordinates still come in pairs)
+const checkNewStop = (stop) => {
+    if (!stop.destinationId) {
+        const missing = ['city', 'country', 'lat', 'lon'].filter(field => stop[field] === undefined);
+        if (missing.length > 0) {
+            return `Provide a destinationId or ${missing.join(', ')}`;
+        }
+    }
+    if ((stop.lat === undefined) !== (stop.lon === undefined)) {
+        return 'Provide both lat and lon, or neither';
+    }
+    return checkStop(stop);
+};
+
+const stopRule = { type: 'object', properties: stopProperties, check: checkNewStop };
+
+const plannedAmount = { type: 'number', min: 0 };
+
+const createTripSchema = {
+    properties: {
+        title: { type: 'string', maxLength: 100 },
+        stops: { type: 'array', items: stopRule, minItems: 1, maxItems: 50 },
+        // Older single-city body, turned into one stop by the route
+        city: { type: 'string', maxLength: 100 },
+        country: { type: 'string', maxLength: 100 },
+        lat: latitude,
+        lon: longitude,
+        price: { type: 'number', min: 0, required: true },
+        notes
+    },
+    check: (body) => {
+        const hasLegacyStop = ['city', 'country', 'lat', 'lon'].some(field => body[field] !== undefined);
+        if (body.stops && hasLegacyStop) {
+            return 'Send either stops or city/country/lat/lon, not both';
+        }
+        if (!body.stops && !['city', 'country', 'lat', 'lon'].every(field => body[field] !== undefined)) {
+            return 'Provide at least one stop (city, country, lat, lon)';
+        }
+        return null;
+    }
+};
+
+const updateTripSchema = {
+    properties: {
+        title: { type: 'string', maxLength: 100, allowNull: true },
+        notes: { ...notes, allowNull: true },
+        price: { type: 'number', min: 0 },
+        budget: {
+            type: 'object',
+            properties: {
+                currency,
+                lodging: plannedAmount,
+                transport: plannedAmount,
+                food: plannedAmount,
+                activities: plannedAmount
+            }
+        }
+    },
+    minProperties: 1
+};
+
+const addStopSchema = {
+    properties: {
+        ...stopProperties,
+        position: { type: 'number', integer: true, min: 0 }
+    },
+    check: checkNewStop
+};
+
+const updateStopSchema = {
+    properties: stopProperties,
+    minProperties: 1,
+    check: checkStop
+};
+
+const reorderStopsSchema = {
+    properties: {
+        stopIds: { type: 'array', items: objectId, minItems: 1, unique: true, required: true }
+    }
+};
+
+const listTripsQuery = {
+    properties: {
+        scope: { type: 'string', enum: ['all', 'owned', 'shared'] },
+        ...listQuery
+    }
+};
+
+const budgetQuery = { properties: { currency } };
+
+const memberRole = { type: 'string', enum: SavedTrip.MEMBER_ROLES };
+
+// Inviting by username or email, whichever the owner knows
+const inviteMemberSchema = {
+    properties: {
+        username: { type: 'string' },
+        email,
+        role: memberRole
+    },
+    check: (body) => ((body.username === undefined) === (body.email === undefined) ? 'Provide either a username or an email' : null)
+};
+
+const updateMemberSchema = {
+    properties: { role: { ...memberRole, required: true } }
+};
+
+module.exports = {
+    createTripSchema,
+    updateTripSchema,
+    addStopSchema,
+    updateStopSchema,
+    reorderStopsSchema,
+    listTripsQuery,
+    budgetQuery,
+    inviteMemberSchema,
+    updateMemberSchema
+};
@@ -0,0 +1,25 @@
+// server/validation/search.js
+const { MAX_SEARCH_LENGTH } = require('../utils/textSearch.js');
+
+// minX can't be above maxX
+const checkRange = (minKey, maxKey) => (query) => {
+    if (query[minKey] !== undefined && query[maxKey] !== undefined && query[minKey] > query[maxKey]) {
+        return `${minKey} cannot be greater than ${maxKey}.`;
+    }
+    return null;
+};
+
+const searchQuery = {
+    properties: {
+        q: { type: 'string', required: true, maxLength: MAX_SEARCH_LENGTH, message: 'Please provide a search term with ?q=' },
+        type: { type: 'string', enum: ['all', 'reviews', 'trips'] },
+        minRating: { type: 'number', min: 1, max: 5 },
+        maxRating: { type: 'number', min: 1, max: 5 },
+        minPrice: { type: 'number', min: 0 },
+        maxPrice: { type: 'number', min: 0 },
+        limit: { type: 'number', integer: true, min: 1, max: 50 }
+    },
+    check: (query) => checkRange('minRating', 'maxRating')(query) || checkRange('minPrice', 'maxPrice')(query)
+};
+
+module.exports = { searchQuery };
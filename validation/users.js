@@ -0,0 +1,87 @@
+// server/validation/users.js
+const { email, currency, listQuery } = require('./common.js');
+
+const username = { type: 'string', minLength: 6, maxLength: 50 };
+// Passwords are never trimmed, spaces are part of the password
+const password = { type: 'string', trim: false, required: true };
+const newPassword = { ...password, minLength: 6, message: 'Password must be at least 6 characters long' };
+
+const registerSchema = {
+    properties: {
+        username: { ...username, required: true },
+        email: { ...email, required: true },
+        password: newPassword
+    }
+};
+
+const loginSchema = {
+    properties: {
+        email: { type: 'string' },
+        username: { type: 'string' },
+        password
+    },
+    check: (body) => (body.email || body.username ? null : 'Please provide email/username and password')
+};
+
+const refreshSchema = {
+    properties: { refreshToken: { type: 'string', required: true } }
+};
+
+const logoutSchema = {
+    properties: { refreshToken: { type: 'string' } }
+};
+
+const tokenConfirmSchema = {
+    properties: { token: { type: 'string', required: true } }
+};
+
+const passwordResetRequestSchema = {
+    properties: { email: { type: 'string', lowercase: true, required: true } }
+};
+
+const passwordResetConfirmSchema = {
+    properties: {
+        token: { type: 'string', required: true },
+        newPassword
+    }
+};
+
+const updateProfileSchema = {
+    properties: {
+        username,
+        email,
+        homeCurrency: currency
+    },
+    minProperties: 1
+};
+
+const changePasswordSchema = {
+    properties: {
+        currentPassword: password,
+        newPassword
+    }
+};
+
+const deleteAccountSchema = {
+    properties: { password: { ...password, message: 'Please provide your password to delete the account' } }
+};
+
+const listUsersQuery = { properties: listQuery };
+
+// POST /api/users/me/import?dryRun=true only checks the file
+const importQuery = { properties: { dryRun: { type: 'boolean' } } };
+
+module.exports = {
+    registerSchema,
+    loginSchema,
+    refreshSchema,
+    logoutSchema,
+    tokenConfirmSchema,
+    passwordResetRequestSchema,
+    passwordResetConfirmSchema,
+    updateProfileSchema,
+    changePasswordSchema,
+    deleteAccountSchema,
+    listUsersQuery,
+    importQuery
+};